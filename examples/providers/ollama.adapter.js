@@ -0,0 +1,52 @@
+/**
+ * Example adapter for a local reviewer served by Ollama
+ *
+ * Install by copying this file and ollama.manifest.json into config/providers/
+ * and enabling the provider in .reviewrc.json:
+ *
+ *   "review_overrides": { "providers": { "ollama": { "enabled": true } } }
+ *
+ * Local models cannot read the repository themselves, so the enhanced diff is
+ * inlined into the prompt.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { extractJSON, normalizeReport } from '../../scripts/normalize-json.js';
+
+const TOOL = 'ollama-local';
+
+/**
+ * Build the `ollama run <model>` invocation (prompt via stdin)
+ */
+export async function buildCommand({ builder, config, manifest, options = {} }) {
+  const model = config.model || builder.getDefaultModel('ollama');
+  const commandPath = await builder.detectCommandPath(manifest);
+
+  const sections = [await builder.buildPrompt('ollama', config, options)];
+  const diffPath = path.join(builder.workspaceDir, 'context', 'enhanced_diff.txt');
+  try {
+    sections.push('\n=== ENHANCED DIFF ===', await fs.readFile(diffPath, 'utf8'), '=== END ENHANCED DIFF ===');
+  } catch {
+    // No diff yet (e.g. build-command debugging) - send the prompt alone
+  }
+
+  return {
+    command: commandPath,
+    args: ['run', model],
+    stdin: sections.join('\n'),
+    env: { ...process.env, TOOL, MODEL: model },
+    timeout: config.timeout_override || 900,
+    outputFile: path.join(builder.workspaceDir, 'reports', `${TOOL}.json`),
+    workingDirectory: process.cwd()
+  };
+}
+
+/**
+ * Turn the model's text answer into a review report
+ */
+export function parseOutput(raw, cmd) {
+  const report = extractJSON(raw);
+  report.model = cmd.env?.MODEL || report.model;
+  return normalizeReport(report, TOOL);
+}
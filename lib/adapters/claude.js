@@ -0,0 +1,73 @@
+/**
+ * Claude Code adapter - builds the `claude -p` invocation
+ *
+ * Output is Claude's JSON envelope, normalized by scripts/normalize-json.js.
+ * With `flags.output_format: "stream-json"` Claude streams its progress as
+ * NDJSON; the executor reduces the stream to the same envelope.
+ */
+
+import path from 'node:path';
+
+/**
+ * Build Claude Code command structure
+ */
+export async function buildCommand({ builder, config, manifest, options = {} }) {
+  const model = config.model || 'opus';
+  const timeout = config.timeout_override || 600; // Claude needs up to 10 minutes for full analysis
+
+  // Detect the actual command path
+  const commandPath = await builder.detectCommandPath(manifest);
+
+  // Build command arguments
+  const args = [];
+
+  // Model selection
+  if (model) {
+    args.push('--model', model);
+  }
+
+  // Permission mode
+  if (config.flags?.permission_mode) {
+    args.push('--permission-mode', config.flags.permission_mode);
+  }
+
+  // Output format - always JSON for the review pipeline, streamed when the
+  // installed CLI supports it (stream-json requires --verbose with -p)
+  const outputFormat = config.flags?.output_format === 'stream-json'
+    && manifest.capabilities?.output_formats?.includes('stream-json')
+    ? 'stream-json'
+    : 'json';
+  args.push('--output-format', outputFormat);
+  if (outputFormat === 'stream-json') {
+    args.push('--verbose');
+  }
+
+  // Additional flags
+  if (config.additional_flags) {
+    args.push(...config.additional_flags);
+  }
+
+  // Build the prompt (without injecting full context)
+  const prompt = await builder.buildPrompt('claude', config, options);
+
+  // Prompt flag with actual prompt content
+  args.push('-p', prompt);
+
+  // Create environment with ANTHROPIC_API_KEY removed to force Keychain auth
+  const env = { ...process.env };
+  delete env.ANTHROPIC_API_KEY;
+  delete env.ANTHROPIC_AUTH_TOKEN;
+  env.TOOL = 'claude-code';
+  env.MODEL = model;
+
+  return {
+    command: commandPath,
+    args,
+    stdin: null, // Claude takes prompt as argument, not stdin
+    env,
+    timeout,
+    outputFormat,
+    outputFile: path.join(builder.workspaceDir, 'reports', 'claude-code.json'),
+    workingDirectory: builder.projectDir // Run from project directory
+  };
+}
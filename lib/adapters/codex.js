@@ -0,0 +1,73 @@
+/**
+ * Codex CLI adapter - builds the `codex exec` invocation
+ *
+ * Codex writes its final message to a file (--output-last-message), which the
+ * executor reads back and normalizes instead of stdout.
+ */
+
+import path from 'node:path';
+
+/**
+ * Build Codex CLI command structure
+ */
+export async function buildCommand({ builder, config, manifest, options = {} }) {
+  const model = config.model || 'gpt-5';
+  const timeout = config.timeout_override || 600; // Codex needs up to 10 minutes for full PR analysis
+  const reasoning = config.reasoning_effort || 'high';
+  const sandbox = config.sandbox_mode || 'read-only';
+  const workdir = config.working_directory || '.';
+
+  // Detect the actual command path
+  const commandPath = await builder.detectCommandPath(manifest);
+
+  // Build command arguments
+  const args = ['exec'];
+
+  // Skip git repo check (we handle git context ourselves)
+  args.push('--skip-git-repo-check');
+
+  // Model
+  args.push('-m', model);
+
+  // Output file for last message
+  const outputFile = path.join(builder.workspaceDir, 'reports', 'codex-cli.raw.txt');
+  args.push('--output-last-message', outputFile);
+
+  // Sandbox mode
+  args.push('-s', sandbox);
+
+  // Working directory
+  args.push('-C', workdir);
+
+  // Reasoning effort
+  args.push('-c', `model_reasoning_effort=${reasoning}`);
+
+  // Additional config
+  if (config.additional_config) {
+    for (const [key, value] of Object.entries(config.additional_config)) {
+      args.push('-c', `${key}=${value}`);
+    }
+  }
+
+  // The prompt comes last (will be provided via argument, not stdin for Codex)
+  const prompt = await builder.buildPrompt('codex', config, options);
+  args.push(prompt);
+
+  // Create environment with OPENAI_API_KEY removed to force OAuth
+  const env = { ...process.env };
+  delete env.OPENAI_API_KEY;
+  env.TOOL = 'codex-cli';
+  env.MODEL = model;
+
+  return {
+    command: commandPath,
+    args,
+    stdin: null, // Codex takes prompt as argument, not stdin
+    env,
+    timeout,
+    outputFile: path.join(builder.workspaceDir, 'reports', 'codex-cli.json'),
+    rawOutputFile: outputFile,
+    workingDirectory: builder.projectDir, // Run from project directory
+    postProcess: true // Needs normalization from raw output
+  };
+}
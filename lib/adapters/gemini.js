@@ -0,0 +1,67 @@
+/**
+ * Gemini CLI adapter - builds the `gemini -p` invocation
+ *
+ * The prompt is piped through stdin.
+ */
+
+import path from 'node:path';
+
+/**
+ * Build Gemini CLI command structure
+ */
+export async function buildCommand({ builder, config, manifest, options = {} }) {
+  const model = config.model || 'gemini-2.5-pro';
+  const timeout = config.timeout_override || 480; // Gemini needs up to 8 minutes for full analysis
+  const flags = config.flags || {};
+
+  // Detect the actual command path
+  const commandPath = await builder.detectCommandPath(manifest);
+
+  // Build command arguments
+  const args = [];
+
+  // Model
+  args.push('-m', model);
+
+  // Non-interactive prompt mode (prompt via stdin)
+  args.push('-p');
+
+  // Enable sandbox mode if not explicitly disabled
+  if (flags.sandbox !== false) {
+    args.push('-s');
+  }
+
+  // Only enable YOLO mode if explicitly configured
+  if (flags.yolo === true) {
+    args.push('-y');
+  }
+  if (flags.all_files) {
+    args.push('-a');
+  }
+  if (flags.debug) {
+    args.push('-d');
+  }
+
+  // Additional flags
+  if (config.additional_flags) {
+    args.push(...config.additional_flags);
+  }
+
+  // Build the prompt (without full context injection)
+  const prompt = await builder.buildPrompt('gemini', config, options);
+
+  return {
+    command: commandPath,
+    args,
+    stdin: prompt, // Gemini still takes prompt via stdin
+    env: {
+      ...process.env,
+      TOOL: 'gemini-cli',
+      MODEL: model,
+      GEMINI_API_KEY: '' // Force OAuth by setting empty
+    },
+    timeout,
+    outputFile: path.join(builder.workspaceDir, 'reports', 'gemini-cli.json'),
+    workingDirectory: builder.projectDir // Run from project directory
+  };
+}
@@ -0,0 +1,681 @@
+#!/usr/bin/env node
+/**
+ * Aggregator - Combines provider reports into summary.md, gate.txt, gate.json,
+ * review.sarif and findings.json
+ *
+ * Reads one normalized report per provider from the workspace, fills in
+ * missing fields, validates against report.schema.json, and renders a
+ * deterministic summary. Providers whose JSON could not be parsed fall back
+ * to their raw output in reports/raw/. Findings on paths excluded by
+ * review.include_patterns / exclude_patterns are listed but not gated.
+ * Cited files, lines and evidence are checked against the head commit
+ * (citations.js), and with a judge (judge.js) the merged findings are
+ * adjudicated before gating. Findings with a decision in .review-triage.json
+ * (triage.js) are marked in the summary. Every finding gets a fingerprint
+ * (fingerprint.js); those in the .review-suppressions.json baseline
+ * (suppressions.js) are left out of judging and gating and only counted in a
+ * collapsed section of the summary. A Usage table lists each provider's
+ * wall time, tokens, cost and retries from its metrics.usage (usage.js).
+ * findings.json keeps the final findings and gate of the run, which publish,
+ * triage and baseline read instead of aggregating again.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import ConfigLoader from './config-loader.js';
+import ProviderRegistry from './provider-registry.js';
+import { clusterFindings, applyAgreement, findingsMatch } from './consensus.js';
+import GateEvaluator from './gate.js';
+import { applyReportDefaults } from './report-schema.js';
+import { buildSarif } from './sarif.js';
+import CitationValidator from './citations.js';
+import { createPathFilter } from './path-filter.js';
+import Triage, { applyTriage } from './triage.js';
+import Fingerprinter from './fingerprint.js';
+import Suppressions, { applySuppressions } from './suppressions.js';
+import { combineUsage, formatCost } from './usage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * @typedef {Object} AggregateResult
+ * @property {'pass'|'fail'} gate - Gate decision written to gate.txt
+ * @property {import('./gate.js').GateResult} gateResult - Rule-by-rule decision written to gate.json
+ * @property {Object[]} reports - Reports that were usable (possibly with warnings)
+ * @property {Object<string, string>} reportStatus - Per-tool status (parsed, parsed-with-warnings, failed, ...)
+ * @property {Object[]} findings - Findings merged across providers (see consensus.js)
+ * @property {Object[]} mustFix - Merged must-fix findings with enough agreement
+ * @property {Object[]} unconfirmed - Must-fix candidates below gating.min_agreement
+ * @property {Object[]} possiblyResolved - Earlier findings whose code changed (incremental review)
+ * @property {Object[]} excluded - Findings on paths outside the include/exclude patterns, each with `_tool`
+ * @property {Object[]} suppressed - Findings whose fingerprint is in the suppressions baseline
+ * @property {import('./citations.js').CitationResult|null} citations - Citation check results, null when disabled
+ * @property {import('./judge.js').Judgment|null} judgment - Judge decisions, null without a judge
+ * @property {string[]} errors - Validation and read errors
+ * @property {string} summary - Rendered summary.md
+ * @property {Object} sarif - SARIF 2.1.0 log written to review.sarif
+ */
+
+/**
+ * Final findings of a run as written to findings.json
+ *
+ * @typedef {Object} PersistedAggregate
+ * @property {'pass'|'fail'} gate
+ * @property {Object[]} findings - Judged and triaged findings, carried-forward ones included
+ * @property {Object[]} unconfirmed - Must-fix candidates below gating.min_agreement
+ * @property {Object[]} suppressed - Findings in the suppressions baseline
+ */
+
+/**
+ * Findings and gate of the last run in the project's workspace
+ *
+ * @param {string} projectDir
+ * @returns {Promise<PersistedAggregate>}
+ */
+export async function loadLastAggregate(projectDir) {
+  const file = path.join(projectDir, '.review-pipeline', 'workspace', 'findings.json');
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch {
+    throw new Error(`No findings in ${file}; run the review first`);
+  }
+  const { gate, findings = [], unconfirmed = [], suppressed = [] } = JSON.parse(content);
+  return { gate, findings, unconfirmed, suppressed };
+}
+
+export default class Aggregator {
+  constructor(options = {}) {
+    this.packageDir = options.packageDir || path.dirname(__dirname);
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.workspaceDir = path.join(this.projectDir, '.review-pipeline', 'workspace');
+    this.reportsDir = path.join(this.workspaceDir, 'reports');
+    this.rawDir = path.join(this.reportsDir, 'raw');
+    this.schemaPath = path.join(this.packageDir, 'config', 'schemas', 'report.schema.json');
+    this.verbose = options.verbose || false;
+    this.configLoader = options.configLoader || new ConfigLoader({ projectRoot: this.projectDir });
+    this.registry = options.registry || new ProviderRegistry({
+      packageDir: this.packageDir,
+      verbose: this.verbose
+    });
+    this.gateEvaluator = options.gateEvaluator || new GateEvaluator({
+      configLoader: this.configLoader,
+      verbose: this.verbose
+    });
+    // Findings from the last review in an incremental run (see incremental.js)
+    this.previous = options.previous || null;
+    // Optional Judge that adjudicates the merged findings
+    this.judge = options.judge || null;
+    this.citationValidator = options.citationValidator || null;
+  }
+
+  /**
+   * Providers expected to have produced a report: every enabled provider
+   * registered in config/providers/
+   */
+  async getExpectedProviders() {
+    if (!this.registry.loaded) {
+      await this.registry.load();
+    }
+    try {
+      await this.configLoader.load();
+      return this.configLoader.getEnabledProviders().filter(p => this.registry.has(p));
+    } catch (error) {
+      console.error('Could not load configuration, expecting all registered providers:', error.message);
+      return this.registry.list();
+    }
+  }
+
+  /**
+   * Map tool name -> report path for the given providers
+   */
+  async getReportFiles(providers) {
+    if (!this.registry.loaded) {
+      await this.registry.load();
+    }
+    return Object.fromEntries(providers.map(provider => {
+      const tool = this.registry.getToolName(provider);
+      return [tool, path.join(this.reportsDir, `${tool}.json`)];
+    }));
+  }
+
+  /**
+   * Map tool name -> raw output path for everything in reports/raw/
+   */
+  async findRawFiles() {
+    const rawFiles = {};
+    const entries = await fs.readdir(this.rawDir).catch(() => []);
+    for (const entry of entries) {
+      if (entry.endsWith('.raw.txt')) {
+        rawFiles[entry.replace('.raw.txt', '')] = path.join(this.rawDir, entry);
+      }
+    }
+    return rawFiles;
+  }
+
+  /**
+   * Test metadata written by TestRunner (null when tests did not run)
+   */
+  async loadTestMetadata() {
+    try {
+      const metadataPath = path.join(this.workspaceDir, 'context', 'test-metadata.json');
+      return JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Explicit review target recorded in pr.json, or null for the default and
+   * incremental diffs
+   */
+  async loadTarget() {
+    try {
+      const pr = JSON.parse(await fs.readFile(path.join(this.workspaceDir, 'context', 'pr.json'), 'utf8'));
+      return ['default', 'incremental'].includes(pr.target?.type) ? null : pr.target || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fix common issues so an otherwise usable report passes validation
+   */
+  applyReportDefaults(json, tool) {
+    return applyReportDefaults(json, tool);
+  }
+
+  /**
+   * Read and validate every expected report
+   */
+  async loadReports(reportFiles, rawFiles) {
+    const ajv = new Ajv({ strict: false, allErrors: true });
+    addFormats(ajv);
+    const validate = ajv.compile(JSON.parse(await fs.readFile(this.schemaPath, 'utf8')));
+
+    const reports = [];
+    const errors = [];
+    const reportStatus = {};
+
+    for (const [tool, file] of Object.entries(reportFiles)) {
+      try {
+        const json = this.applyReportDefaults(JSON.parse(await fs.readFile(file, 'utf8')), tool);
+        reportStatus[tool] = 'parsed';
+
+        if (!validate(json)) {
+          const validationErrors = ajv.errorsText(validate.errors, { separator: '\n- ' });
+          errors.push(`Schema validation failed for ${tool}:\n- ${validationErrors}`);
+
+          // Mark as having validation issues but still usable
+          reportStatus[tool] = 'parsed-with-warnings';
+          json._validation_warnings = validationErrors;
+        }
+        reports.push(json);
+      } catch (error) {
+        reportStatus[tool] = 'failed';
+        errors.push(`Missing or unreadable report for ${tool}: ${error.message}`);
+
+        // Fall back to the raw output, if any
+        if (rawFiles[tool]) {
+          try {
+            const rawContent = await fs.readFile(rawFiles[tool], 'utf8');
+            errors.push(`  Raw output available (${rawContent.length} bytes) - check artifacts for full content`);
+            reports.push({
+              tool,
+              model: 'unknown',
+              summary: `Failed to parse JSON report. Raw output available (${rawContent.length} bytes).`,
+              findings: [],
+              exit_criteria: { ready_for_pr: false, reasons: ['Failed to parse report'] },
+              _hasRawOutput: true,
+              _rawLength: rawContent.length
+            });
+          } catch (rawError) {
+            errors.push(`  Could not read raw file: ${rawError.message}`);
+          }
+        }
+      }
+    }
+
+    return { reports, errors, reportStatus };
+  }
+
+  /**
+   * Aggregate reports for the given providers (defaults to all enabled
+   * providers) and write summary.md, gate.txt, gate.json, review.sarif and
+   * findings.json
+   *
+   * @param {string[]} [providers]
+   * @returns {Promise<AggregateResult>}
+   */
+  async aggregate(providers) {
+    const expected = providers || await this.getExpectedProviders();
+    const reportFiles = await this.getReportFiles(expected);
+    const rawFiles = await this.findRawFiles();
+    const { reports, errors, reportStatus } = await this.loadReports(reportFiles, rawFiles);
+    const excluded = await this.separateExcludedFindings(reports);
+    const citations = await this.checkCitations(reports, errors);
+
+    const allFindings = reports.flatMap(r =>
+      (r.findings || []).map(f => ({ ...f, _tool: r.tool }))
+    );
+
+    // Merge the same problem reported by several providers, then keep
+    // must-fix candidates that enough providers agree on
+    const gating = await this.gateEvaluator.getGatingConfig();
+    const minAgreement = gating.min_agreement || 1;
+    const merged = clusterFindings(allFindings, Object.keys(reportFiles).length);
+    const { kept: candidates, suppressed } = await this.applySuppressions([...merged, ...this.getCarriedFindings(merged)], errors);
+    const judgment = await this.runJudge(reports, candidates, Object.keys(reportFiles).length, errors);
+    const findings = await this.applyTriage(judgment ? judgment.findings : candidates, errors);
+    const possiblyResolved = this.previous?.possiblyResolved || [];
+    const { mustFix, unconfirmed } = applyAgreement(findings, minAgreement);
+
+    const assumptions = reports.flatMap(r =>
+      (r.assumptions || []).map(a => ({ ...a, _tool: r.tool }))
+    );
+
+    const gateResult = await this.gateEvaluator.evaluate({
+      tools: Object.keys(reportFiles),
+      reports,
+      reportStatus,
+      findings,
+      mustFix,
+      unconfirmed,
+      tests: await this.loadTestMetadata(),
+      previousRules: this.previous?.unchanged ? this.previous.rules : null
+    });
+    const gate = gateResult.gate;
+
+    const summary = this.renderSummary({
+      reports,
+      errors,
+      reportStatus,
+      tools: Object.keys(reportFiles),
+      rawFiles,
+      mustFix,
+      unconfirmed,
+      minAgreement,
+      totalProviders: Object.keys(reportFiles).length,
+      uncertain: assumptions.filter(a => a.status === 'uncertain'),
+      gate,
+      gateResult,
+      since: this.previous?.since,
+      unchanged: this.previous?.unchanged === true,
+      target: await this.loadTarget(),
+      possiblyResolved,
+      judgment,
+      candidates,
+      citations,
+      excluded,
+      suppressed
+    });
+
+    await fs.mkdir(this.workspaceDir, { recursive: true });
+    await fs.writeFile(path.join(this.workspaceDir, 'summary.md'), summary);
+    await fs.writeFile(path.join(this.workspaceDir, 'gate.txt'), gate, 'utf8');
+    await fs.writeFile(path.join(this.workspaceDir, 'gate.json'), JSON.stringify(gateResult, null, 2));
+
+    const sarif = buildSarif({ findings, unconfirmed, reports, version: await this.getVersion() });
+    await fs.writeFile(path.join(this.workspaceDir, 'review.sarif'), JSON.stringify(sarif, null, 2));
+    await fs.writeFile(path.join(this.workspaceDir, 'findings.json'), JSON.stringify({ gate, findings, unconfirmed, suppressed }, null, 2));
+
+    if (this.verbose) {
+      console.error(`Aggregated ${reports.length}/${expected.length} reports, gate: ${gate}`);
+    }
+
+    return { gate, gateResult, reports, reportStatus, findings, mustFix, unconfirmed, possiblyResolved, excluded, suppressed, citations, judgment, errors, summary, sarif };
+  }
+
+  /**
+   * A section of the loaded configuration ({} when it cannot be loaded)
+   */
+  async getConfigSection(name) {
+    try {
+      if (!this.configLoader.config?.[name]) {
+        await this.configLoader.load();
+      }
+      return this.configLoader.config[name] || {};
+    } catch (error) {
+      if (this.verbose) {
+        console.error(`Could not load ${name} configuration, using defaults: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Mark findings that have a decision in the project's triage file
+   * (see triage.js)
+   */
+  async applyTriage(findings, errors) {
+    try {
+      return applyTriage(findings, await new Triage({ projectDir: this.projectDir }).load());
+    } catch (error) {
+      errors.push(error.message);
+      return findings;
+    }
+  }
+
+  /**
+   * Fingerprint the findings and split off those in the project's
+   * suppressions baseline (see suppressions.js)
+   *
+   * @returns {Promise<{kept: Object[], suppressed: Object[]}>}
+   */
+  async applySuppressions(findings, errors) {
+    try {
+      const fingerprinted = await new Fingerprinter({ projectDir: this.projectDir, verbose: this.verbose }).apply(findings);
+      return applySuppressions(fingerprinted, await new Suppressions({ projectDir: this.projectDir }).load());
+    } catch (error) {
+      errors.push(error.message);
+      return { kept: findings, suppressed: [] };
+    }
+  }
+
+  /**
+   * Move findings on paths outside review.include_patterns /
+   * exclude_patterns out of the reports; they are listed in the summary
+   * but not gated
+   */
+  async separateExcludedFindings(reports) {
+    const isIncluded = createPathFilter(await this.getConfigSection('review'));
+    const excluded = [];
+    for (const report of reports) {
+      if (!Array.isArray(report.findings)) continue;
+      report.findings = report.findings.filter(finding => {
+        if (!finding.file || isIncluded(finding.file)) return true;
+        excluded.push({ ...finding, _tool: report.tool });
+        return false;
+      });
+    }
+    return excluded;
+  }
+
+  /**
+   * Validator for finding citations, from the citations config unless one
+   * was passed in; null when the checks are disabled
+   */
+  async getCitationValidator() {
+    if (this.citationValidator) {
+      return this.citationValidator;
+    }
+    const citations = await this.getConfigSection('citations');
+    if (citations.enabled === false) {
+      return null;
+    }
+    return new CitationValidator({
+      projectDir: this.projectDir,
+      action: citations.action,
+      requireInDiff: citations.require_in_diff,
+      verbose: this.verbose
+    });
+  }
+
+  /**
+   * Check the citations of every parsed report's findings (reports are
+   * updated in place); null when disabled or when the check fails
+   */
+  async checkCitations(reports, errors) {
+    const validator = await this.getCitationValidator();
+    if (!validator) {
+      return null;
+    }
+    try {
+      return await validator.validate(reports.filter(r => !r._hasRawOutput));
+    } catch (error) {
+      errors.push(`Citation check failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Adjudicate the candidates with the judge; null without a judge or when
+   * it fails (the unjudged findings are used then). The findings of an
+   * unchanged head were judged when it was reviewed.
+   */
+  async runJudge(reports, candidates, totalProviders, errors) {
+    if (!this.judge || this.previous?.unchanged) {
+      return null;
+    }
+    try {
+      return await this.judge.adjudicate({
+        reports: reports.filter(r => !r._hasRawOutput),
+        findings: candidates,
+        totalProviders
+      });
+    } catch (error) {
+      errors.push(`Judge failed, findings are unjudged: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Carried-forward findings the providers did not report again
+   */
+  getCarriedFindings(merged) {
+    const carried = this.previous?.carried || [];
+    return carried.filter(old => !merged.some(finding => findingsMatch(finding, old)));
+  }
+
+  /**
+   * Pipeline version from package.json (for SARIF tool.driver)
+   */
+  async getVersion() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.packageDir, 'package.json'), 'utf8')).version;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Render summary.md
+   *
+   * With a judgment the judged findings come first and the per-provider
+   * sections are collapsed below them.
+   */
+  renderSummary({ reports, errors, reportStatus, tools, rawFiles, mustFix, unconfirmed = [], minAgreement = 1, totalProviders, uncertain, gate, gateResult, since, unchanged = false, target = null, possiblyResolved = [], judgment = null, candidates = [], citations = null, excluded = [], suppressed = [] }) {
+    const lines = [];
+    lines.push(`# Multi‑Model Review Summary`);
+    lines.push('');
+    if (since) {
+      lines.push(unchanged
+        ? `_No commits since the last review at ${since.slice(0, 12)}; its findings are carried forward without reviewing again._`
+        : `_Incremental review of the commits since ${since.slice(0, 12)}; earlier findings on unchanged lines are carried forward._`);
+      lines.push('');
+    }
+    if (target) {
+      lines.push(`_Reviewed: ${target.description}._`);
+      lines.push('');
+    }
+    if (errors.length) {
+      lines.push('## Validation Errors');
+      for (const e of errors) lines.push(`- ${e}`);
+      lines.push('');
+    }
+    const providerLines = [];
+    providerLines.push('## Provider Summaries');
+    for (const r of reports) {
+      const status = reportStatus[r.tool] || 'unknown';
+      const statusIcon = status === 'parsed' ? '✅' : status === 'failed' ? '⚠️' : '❓';
+      providerLines.push(`### ${statusIcon} ${r.tool} (${r.model})`);
+
+      if (r._hasRawOutput) {
+        providerLines.push(`⚠️ JSON parsing failed - raw output available (${r._rawLength} bytes)`);
+      }
+
+      providerLines.push(r.summary?.trim() || '_no summary_');
+      providerLines.push('');
+    }
+
+    providerLines.push('## Report Status');
+    for (const tool of tools) {
+      const status = reportStatus[tool] || 'missing';
+      const icon = status === 'parsed' ? '✅' : status === 'failed' ? '❌' : '⚪';
+      const hasRaw = rawFiles[tool] ? ' (raw output available)' : '';
+      providerLines.push(`- ${icon} ${tool}: ${status}${hasRaw}`);
+    }
+    providerLines.push('');
+
+    const formatFinding = (f) => {
+      const locus = [f.file, f.lines].filter(Boolean).join(':');
+      const agreement = `${f.agreed_by.join(', ')}; ${f.agreed_by.length}/${totalProviders}`;
+      const carried = f.carried_forward ? ' (carried forward)' : '';
+      const triaged = f.triage ? ` (triaged: ${f.triage.decision})` : '';
+      const entry = [`- [${f.severity}] (${agreement}) ${f.category} — ${f.message}${locus ? ` — ${locus}` : ''}${carried}${triaged}`];
+      if (f.suggestion) entry.push(`  - Suggestion: ${f.suggestion}`);
+      if (Array.isArray(f.evidence) && f.evidence.length) {
+        entry.push(`  - Evidence: ${f.evidence.join('; ')}`);
+      }
+      if (f.citation_invalid) {
+        entry.push(`  - Citation: ${f.citation_errors.join('; ')}`);
+      }
+      if (f.triage?.note) {
+        entry.push(`  - Triage note: ${f.triage.note}`);
+      }
+      return entry;
+    };
+
+    if (judgment) {
+      lines.push(`## Judged Findings (${judgment.provider})`);
+      if (judgment.summary) lines.push(judgment.summary, '');
+      if (judgment.findings.length === 0) lines.push('- None');
+      for (const f of judgment.findings) {
+        lines.push(...formatFinding(f));
+        lines.push(`  - Judge: ${f.judge.rationale}`);
+        for (const m of f.judge.merged) lines.push(`  - Merged: ${m.message} (${m.rationale})`);
+      }
+      lines.push('');
+      if (judgment.rejected.length > 0) {
+        lines.push('### Rejected by the judge');
+        for (const f of judgment.rejected) {
+          lines.push(...formatFinding(f).slice(0, 1));
+          lines.push(`  - Judge: ${f.judge.rationale}`);
+        }
+        lines.push('');
+      }
+    } else {
+      lines.push(...providerLines);
+    }
+
+    lines.push(`## Must‑fix (${judgment ? 'judged' : 'merged across providers'})`);
+    if (mustFix.length === 0) {
+      lines.push('- None');
+    } else {
+      for (const f of mustFix) lines.push(...formatFinding(f));
+    }
+    lines.push('');
+
+    if (unconfirmed.length > 0) {
+      lines.push(`## Unconfirmed (fewer than ${minAgreement} providers agree)`);
+      for (const f of unconfirmed) lines.push(...formatFinding(f));
+      lines.push('');
+    }
+
+    if (judgment) {
+      lines.push('<details>');
+      lines.push('<summary>Provider reports and findings before judging</summary>');
+      lines.push('');
+      lines.push(...providerLines);
+      lines.push('## Findings before judging');
+      if (candidates.length === 0) lines.push('- None');
+      for (const f of candidates) lines.push(...formatFinding(f));
+      lines.push('');
+      lines.push('</details>');
+      lines.push('');
+    }
+
+    if (citations?.invalid.length > 0) {
+      const outcome = { tag: 'tagged', downgrade: 'downgraded to low', drop: 'dropped' }[citations.action] || 'tagged';
+      lines.push(`## Citation Problems (${citations.invalid.length}/${citations.checked}, ${outcome})`);
+      for (const { tool, finding, errors: problems } of citations.invalid) {
+        const locus = [finding.file, finding.lines].filter(Boolean).join(':');
+        lines.push(`- (${tool}) ${finding.message} — ${locus}`);
+        for (const problem of problems) lines.push(`  - ${problem}`);
+      }
+      lines.push('');
+    }
+
+    if (possiblyResolved.length > 0) {
+      lines.push('## Possibly resolved (code changed since the last review)');
+      for (const f of possiblyResolved) lines.push(...formatFinding(f));
+      lines.push('');
+    }
+
+    if (excluded.length > 0) {
+      lines.push('## Findings on excluded paths (not gated)');
+      for (const f of excluded) {
+        const locus = [f.file, f.lines].filter(Boolean).join(':');
+        lines.push(`- [${f.severity}] (${f._tool}) ${f.category} — ${f.message} — ${locus}`);
+      }
+      lines.push('');
+    }
+
+    if (suppressed.length > 0) {
+      lines.push('<details>');
+      lines.push(`<summary>Suppressed findings (${suppressed.length}, not gated)</summary>`);
+      lines.push('');
+      for (const f of suppressed) lines.push(...formatFinding(f).slice(0, 1));
+      lines.push('');
+      lines.push('</details>');
+      lines.push('');
+    }
+
+    lines.push('## Assumptions with uncertainty');
+    if (uncertain.length === 0) {
+      lines.push('- None');
+    } else {
+      for (const a of uncertain) {
+        lines.push(`- (${a._tool}) ${a.text}`);
+        if (a.falsification_step) lines.push(`  - Falsify by: ${a.falsification_step}`);
+      }
+    }
+    lines.push('');
+
+    const usage = reports.filter(r => r.metrics?.usage);
+    if (usage.length > 0) {
+      const value = (number, format = String) => (typeof number === 'number' ? format(number) : '—');
+      const cost = (number) => `$${formatCost(number)}`;
+      const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+      const row = (name, u) => `| ${name} | ${value(u.wall_ms, seconds)} | ${value(u.tokens_in)} | ${value(u.tokens_out)} | ${value(u.tokens_total)} | ${value(u.cost_usd, cost)} | ${value(u.retries)} |`;
+      lines.push('## Usage');
+      lines.push('| Provider | Wall time | Tokens in | Tokens out | Tokens total | Cost | Retries |');
+      lines.push('|----------|-----------|-----------|------------|--------------|------|---------|');
+      for (const r of usage) lines.push(row(`${r.tool} (${r.model})`, r.metrics.usage));
+      if (usage.length > 1) lines.push(row('**Total**', combineUsage(usage.map(r => r.metrics.usage))));
+      lines.push('');
+    }
+
+    lines.push(`## Gate: **${gate.toUpperCase()}**`);
+    if (gateResult && !gateResult.enabled) {
+      lines.push('- Gating is disabled');
+    } else if (gateResult) {
+      for (const r of gateResult.rules) {
+        lines.push(`- ${r.passed ? '✅' : '❌'} ${r.rule}: ${r.reason}`);
+      }
+    }
+    lines.push('');
+
+    if (Object.keys(rawFiles).length > 0) {
+      lines.push('💡 **Note**: Raw provider outputs are preserved in the artifacts. Download the artifact to access full unprocessed outputs.');
+      lines.push('');
+    }
+
+    lines.push('_This comment was generated by a self‑hosted workflow using subscription/OAuth CLIs only. No API keys were used._');
+
+    return lines.join('\n');
+  }
+}
+
+export { Aggregator };
+
+// Allow direct execution; exit code mirrors the gate
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const aggregator = new Aggregator({ verbose: process.argv.includes('--verbose') });
+  const result = await aggregator.aggregate();
+  process.exit(result.gate === 'pass' ? 0 : 1);
+}
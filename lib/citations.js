@@ -0,0 +1,230 @@
+/**
+ * Citations - Deterministic checks of the files, lines and evidence that
+ * findings cite
+ *
+ * Runs on the normalized reports before findings are merged. For each
+ * finding it checks that:
+ * - `file` exists at the head SHA (pr.json), read with `git show`
+ * - `lines` lie inside that file, and optionally inside a diff hunk (the
+ *   same hunks enhanced_diff.txt annotates)
+ * - evidence strings of the form `file:<path> lines:<a>-<b>` resolve the
+ *   same way, and annotated diff lines (`+  12| code`) match line 12
+ *
+ * Free-text evidence is left alone. Findings that fail are tagged
+ * `citation_invalid`, downgraded to low, or dropped (citations.action).
+ */
+
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { parseUnifiedDiff } from './diff.js';
+import { parseLineRange, normalizeFile } from './consensus.js';
+
+const execFileAsync = promisify(execFile);
+
+export const CITATION_ACTIONS = ['tag', 'downgrade', 'drop'];
+
+const FILE_CITATION = /file:\s*(\S+?)[,;]?\s+lines?:\s*(\d+(?:\s*-\s*\d+)?)/i;
+const ANNOTATED_LINE = /^[+ ]\s*(\d+)\|\s?(.*)$/;
+
+/**
+ * @typedef {Object} CitationResult
+ * @property {string} action - tag, downgrade or drop
+ * @property {number} checked - Findings with a file to check
+ * @property {Object[]} invalid - {tool, finding, errors} for every failing finding
+ * @property {number} dropped - Findings removed (action: drop)
+ */
+
+/**
+ * Line ranges covered by each file's hunks on the new side of the diff
+ *
+ * @returns {Map<string, {start: number, end: number}[]>}
+ */
+export function diffHunks(diffText) {
+  const hunks = new Map();
+  for (const file of parseUnifiedDiff(diffText)) {
+    if (!file.file || file.status === 'deleted') continue;
+    hunks.set(file.file, file.hunks.map(h => ({ start: h.newStart, end: h.newStart + Math.max(h.newCount, 1) - 1 })));
+  }
+  return hunks;
+}
+
+function formatRange(range) {
+  return range.start === range.end ? String(range.start) : `${range.start}-${range.end}`;
+}
+
+export default class CitationValidator {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.contextDir = path.join(this.projectDir, '.review-pipeline', 'workspace', 'context');
+    this.action = options.action || 'tag';
+    this.requireInDiff = options.requireInDiff || false;
+    this.verbose = options.verbose || false;
+    this.headSha = null;
+    this.hunks = new Map();
+    this.files = new Map();
+  }
+
+  /**
+   * Head SHA and diff hunks from the context packet; the working tree is
+   * read instead when the head commit is not available locally or the
+   * review target is uncommitted
+   */
+  async loadContext() {
+    this.headSha = null;
+    try {
+      const pr = JSON.parse(await fs.readFile(path.join(this.contextDir, 'pr.json'), 'utf8'));
+      if (pr.headRefOid && pr.headRefOid !== 'LOCAL' && !pr.target?.uncommitted) {
+        await execFileAsync('git', ['cat-file', '-e', `${pr.headRefOid}^{commit}`], { cwd: this.projectDir });
+        this.headSha = pr.headRefOid;
+      }
+    } catch {
+      if (this.verbose) {
+        console.error('Head commit not available, checking citations against the working tree');
+      }
+    }
+    const diff = await fs.readFile(path.join(this.contextDir, 'diff.patch'), 'utf8').catch(() => '');
+    this.hunks = diffHunks(diff);
+    this.files = new Map();
+  }
+
+  /**
+   * Lines of a file at the head SHA (or in the working tree); null when it
+   * does not exist
+   */
+  async readLines(file) {
+    if (this.files.has(file)) {
+      return this.files.get(file);
+    }
+
+    let content = null;
+    if (file && !path.isAbsolute(file) && !file.split('/').includes('..')) {
+      if (this.headSha) {
+        try {
+          const { stdout } = await execFileAsync('git', ['show', `${this.headSha}:${file}`], {
+            cwd: this.projectDir,
+            maxBuffer: 50 * 1024 * 1024
+          });
+          content = stdout;
+        } catch {
+          content = null;
+        }
+      } else {
+        content = await fs.readFile(path.join(this.projectDir, file), 'utf8').catch(() => null);
+      }
+    }
+
+    const lines = content === null ? null : content.replace(/\n$/, '').split('\n');
+    this.files.set(file, lines);
+    return lines;
+  }
+
+  /**
+   * Problems with one file/lines citation
+   */
+  async checkCitation(file, lines, { inDiff = false } = {}) {
+    const lineArray = await this.readLines(file);
+    if (!lineArray) {
+      return [`${file} does not exist${this.headSha ? ` at ${this.headSha.slice(0, 7)}` : ''}`];
+    }
+
+    const range = parseLineRange(lines);
+    if (!range) {
+      return [];
+    }
+    if (range.start < 1 || range.end > lineArray.length) {
+      return [`${file}:${formatRange(range)} is outside the file (${lineArray.length} line${lineArray.length === 1 ? '' : 's'})`];
+    }
+    if (inDiff) {
+      const hunks = this.hunks.get(file) || [];
+      if (!hunks.some(h => range.start <= h.end && h.start <= range.end)) {
+        return [`${file}:${formatRange(range)} is not in the diff`];
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Problems with a finding's location and evidence (empty when valid)
+   */
+  async checkFinding(finding) {
+    if (!finding.file) {
+      return [];
+    }
+    const file = normalizeFile(finding.file);
+    const errors = await this.checkCitation(file, finding.lines, { inDiff: this.requireInDiff });
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    for (const evidence of Array.isArray(finding.evidence) ? finding.evidence : []) {
+      const citation = String(evidence).match(FILE_CITATION);
+      if (citation) {
+        errors.push(...await this.checkCitation(normalizeFile(citation[1]), citation[2]));
+        continue;
+      }
+
+      const annotated = String(evidence).match(ANNOTATED_LINE);
+      if (annotated) {
+        const lineNumber = parseInt(annotated[1], 10);
+        const actual = (await this.readLines(file))[lineNumber - 1];
+        if (actual === undefined || actual.trim() !== annotated[2].trim()) {
+          errors.push(`evidence "${String(evidence).trim()}" does not match ${file}:${lineNumber}`);
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Check every finding in the reports and apply the configured action
+   *
+   * Reports are updated in place.
+   *
+   * @param {Object[]} reports - Normalized reports
+   * @returns {Promise<CitationResult>}
+   */
+  async validate(reports) {
+    await this.loadContext();
+    const result = { action: this.action, checked: 0, invalid: [], dropped: 0 };
+
+    for (const report of reports) {
+      const kept = [];
+      for (const finding of report.findings || []) {
+        if (finding.file) result.checked++;
+        const errors = await this.checkFinding(finding);
+        if (errors.length === 0) {
+          kept.push(finding);
+          continue;
+        }
+
+        result.invalid.push({ tool: report.tool, finding, errors });
+        if (this.action === 'drop') {
+          result.dropped++;
+          continue;
+        }
+        finding.citation_invalid = true;
+        finding.citation_errors = errors;
+        if (this.action === 'downgrade') {
+          if (finding.severity !== 'low') {
+            finding.original_severity = finding.severity;
+            finding.severity = 'low';
+          }
+          finding.must_fix = false;
+        }
+        kept.push(finding);
+      }
+      if (report.findings) {
+        report.findings = kept;
+      }
+    }
+
+    if (this.verbose) {
+      console.error(`Citations: ${result.checked} checked, ${result.invalid.length} invalid (${this.action})`);
+    }
+    return result;
+  }
+}
+
+export { CitationValidator };
@@ -13,6 +13,8 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import os from 'node:os';
 import ConfigLoader from './config-loader.js';
+import ProviderRegistry from './provider-registry.js';
+import { readGeneratedArtifacts, renderReviewInputs } from './context-generators.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,7 +25,11 @@ export default class CommandBuilder {
     this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
     this.workspaceDir = path.join(this.projectDir, '.review-pipeline', 'workspace');
     this.verbose = options.verbose || false;
-    this.configLoader = new ConfigLoader();
+    this.configLoader = options.configLoader || new ConfigLoader({ projectRoot: this.projectDir });
+    this.registry = options.registry || new ProviderRegistry({
+      packageDir: this.packageDir,
+      verbose: this.verbose
+    });
   }
 
   /**
@@ -34,6 +40,16 @@ export default class CommandBuilder {
     return this.configLoader;
   }
 
+  /**
+   * Load provider manifests (once per builder)
+   */
+  async loadRegistry() {
+    if (!this.registry.loaded) {
+      await this.registry.load();
+    }
+    return this.registry;
+  }
+
   /**
    * Detect the actual command path for a provider
    */
@@ -85,234 +101,101 @@ export default class CommandBuilder {
    * Build a complete command structure for a provider
    */
   async buildCommand(provider, options = {}) {
-    // Load layered configuration
+    // Load layered configuration and the provider registry
     const config = await this.loadConfiguration();
-    
-    // Check if provider is enabled
-    if (!config.isProviderEnabled(provider)) {
+    await this.loadRegistry();
+
+    // Only providers with a manifest are allowed (prevents path traversal)
+    if (!this.registry.has(provider)) {
       if (this.verbose) {
-        console.error(`Provider ${provider} is disabled`);
+        console.error(`Unknown provider: ${provider}`);
       }
       return null;
     }
 
-    // Get provider configuration with all overrides applied
-    const providerConfig = config.getProviderConfig(provider);
-    
-    // Validate provider against whitelist to prevent path traversal
-    const ALLOWED_PROVIDERS = ['claude', 'codex', 'gemini'];
-    if (!ALLOWED_PROVIDERS.includes(provider)) {
+    // Check if provider is enabled
+    if (!config.isProviderEnabled(provider)) {
       if (this.verbose) {
-        console.error(`Unknown provider: ${provider}`);
+        console.error(`Provider ${provider} is disabled`);
       }
       return null;
     }
-    
-    // Load provider manifest
-    const manifestPath = path.join(this.packageDir, 'config', 'providers', `${provider}.manifest.json`);
-    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
 
-    // Build command based on provider type
-    switch (provider) {
-      case 'claude':
-        return await this.buildClaudeCommand(providerConfig, manifest, options);
-      case 'codex':
-        return await this.buildCodexCommand(providerConfig, manifest, options);
-      case 'gemini':
-        return await this.buildGeminiCommand(providerConfig, manifest, options);
-      default:
-        // Return null for unknown providers (graceful handling)
-        if (this.verbose) {
-          console.error(`Unknown provider: ${provider}`);
-        }
-        return null;
+    // Get provider configuration with all overrides applied; a retry may
+    // ask for a fallback model
+    const providerConfig = options.model
+      ? { ...config.getProviderConfig(provider), model: options.model }
+      : config.getProviderConfig(provider);
+    const manifest = this.registry.getManifest(provider);
+    const adapter = await this.registry.getAdapter(provider);
+
+    const cmd = await adapter.buildCommand({
+      builder: this,
+      config: providerConfig,
+      manifest,
+      options
+    });
+    if (!cmd) {
+      return null;
     }
-  }
 
-  /**
-   * Build Claude Code command structure
-   */
-  async buildClaudeCommand(config, manifest, options) {
-    const model = config.model || 'opus';
-    const timeout = config.timeout_override || 600; // Claude needs up to 10 minutes for full analysis
-    
-    // Detect the actual command path
-    const commandPath = await this.detectCommandPath(manifest);
-    
-    // Build command arguments
-    const args = [];
-    
-    // Model selection
-    if (model) {
-      args.push('--model', model);
+    // A caller-supplied timeout (e.g. --timeout) caps every provider
+    if (options.timeout) {
+      cmd.timeout = Math.min(cmd.timeout || options.timeout, options.timeout);
     }
-    
-    // Permission mode
-    if (config.flags?.permission_mode) {
-      args.push('--permission-mode', config.flags.permission_mode);
+
+    if (options.shard) {
+      this.relocateToShard(cmd, options.shard);
     }
-    
-    // Output format - ALWAYS use JSON for review pipeline
-    args.push('--output-format', 'json');
-    
-    // Additional flags
-    if (config.additional_flags) {
-      args.push(...config.additional_flags);
+    if (options.rawOutputFile) {
+      this.relocateRawOutput(cmd, options.rawOutputFile);
     }
 
-    // Build the prompt (without injecting full context)
-    const prompt = await this.buildPrompt('claude', config, options);
-    
-    // Prompt flag with actual prompt content
-    args.push('-p', prompt);
-
-    // Create environment with ANTHROPIC_API_KEY removed to force Keychain auth
-    const env = { ...process.env };
-    delete env.ANTHROPIC_API_KEY;
-    delete env.ANTHROPIC_AUTH_TOKEN;
-    env.TOOL = 'claude-code';
-    env.MODEL = model;
-    
-    return {
-      command: commandPath,
-      args,
-      stdin: null, // Claude takes prompt as argument, not stdin
-      env,
-      timeout,
-      outputFile: path.join(this.workspaceDir, 'reports', 'claude-code.json'),
-      workingDirectory: process.cwd() // Run from project directory
-    };
+    cmd.provider = provider;
+    cmd.tool = cmd.env?.TOOL || this.registry.getToolName(provider);
+    if (adapter.parseOutput) {
+      // Same adapter normalizes what it executed
+      cmd.parseOutput = adapter.parseOutput;
+    }
+    return cmd;
   }
 
   /**
-   * Build Codex CLI command structure
+   * Point a command's report files at reports/shards/<id>/ so the shards of
+   * one provider don't overwrite each other (see shards.js)
    */
-  async buildCodexCommand(config, manifest, options) {
-    const model = config.model || 'gpt-5';
-    const timeout = config.timeout_override || 600; // Codex needs up to 10 minutes for full PR analysis
-    const reasoning = config.reasoning_effort || 'high';
-    const sandbox = config.sandbox_mode || 'read-only';
-    const workdir = config.working_directory || '.';
-    
-    // Detect the actual command path
-    const commandPath = await this.detectCommandPath(manifest);
-    
-    // Build command arguments
-    const args = ['exec'];
-    
-    // Skip git repo check (we handle git context ourselves)
-    args.push('--skip-git-repo-check');
-    
-    // Model
-    args.push('-m', model);
-    
-    // Output file for last message
-    const outputFile = path.join(this.workspaceDir, 'reports', 'codex-cli.raw.txt');
-    args.push('--output-last-message', outputFile);
-    
-    // Sandbox mode
-    args.push('-s', sandbox);
-    
-    // Working directory
-    args.push('-C', workdir);
-    
-    // Reasoning effort
-    args.push('-c', `model_reasoning_effort=${reasoning}`);
-    
-    // Additional config
-    if (config.additional_config) {
-      for (const [key, value] of Object.entries(config.additional_config)) {
-        args.push('-c', `${key}=${value}`);
-      }
+  relocateToShard(cmd, shard) {
+    const shardDir = path.join(this.workspaceDir, 'reports', 'shards', String(shard.id));
+    const relocate = (file) => path.join(shardDir, path.basename(file));
+    if (cmd.rawOutputFile) {
+      this.relocateRawOutput(cmd, relocate(cmd.rawOutputFile));
     }
-
-    // The prompt comes last (will be provided via argument, not stdin for Codex)
-    const prompt = await this.buildPrompt('codex', config, options);
-    args.push(prompt);
-
-    // Create environment with OPENAI_API_KEY removed to force OAuth
-    const env = { ...process.env };
-    delete env.OPENAI_API_KEY;
-    env.TOOL = 'codex-cli';
-    env.MODEL = model;
-    
-    return {
-      command: commandPath,
-      args,
-      stdin: null, // Codex takes prompt as argument, not stdin
-      env,
-      timeout,
-      outputFile: path.join(this.workspaceDir, 'reports', 'codex-cli.json'),
-      rawOutputFile: outputFile,
-      workingDirectory: process.cwd(), // Run from project directory
-      postProcess: true // Needs normalization from raw output
-    };
+    cmd.outputFile = relocate(cmd.outputFile);
+    cmd.rawDir = path.join(shardDir, 'raw');
   }
 
   /**
-   * Build Gemini CLI command structure
+   * Point the file a provider writes its answer to (codex) at `file`, so a
+   * one-off pass such as the judge leaves the provider's review output alone
    */
-  async buildGeminiCommand(config, manifest, options) {
-    const model = config.model || 'gemini-2.5-pro';
-    const timeout = config.timeout_override || 480; // Gemini needs up to 8 minutes for full analysis
-    const flags = config.flags || {};
-    
-    // Detect the actual command path
-    const commandPath = await this.detectCommandPath(manifest);
-    
-    // Build command arguments
-    const args = [];
-    
-    // Model
-    args.push('-m', model);
-    
-    // Non-interactive prompt mode (prompt via stdin)
-    args.push('-p');
-    
-    // Enable sandbox mode if not explicitly disabled
-    if (flags.sandbox !== false) {
-      args.push('-s');
-    }
-    
-    // Only enable YOLO mode if explicitly configured
-    if (flags.yolo === true) {
-      args.push('-y');
-    }
-    if (flags.all_files) {
-      args.push('-a');
+  relocateRawOutput(cmd, file) {
+    if (!cmd.rawOutputFile) {
+      return;
     }
-    if (flags.debug) {
-      args.push('-d');
-    }
-    
-    // Additional flags
-    if (config.additional_flags) {
-      args.push(...config.additional_flags);
-    }
-
-    // Build the prompt (without full context injection)
-    const prompt = await this.buildPrompt('gemini', config, options);
-
-    return {
-      command: commandPath,
-      args,
-      stdin: prompt, // Gemini still takes prompt via stdin
-      env: {
-        ...process.env,
-        TOOL: 'gemini-cli',
-        MODEL: model,
-        GEMINI_API_KEY: '' // Force OAuth by setting empty
-      },
-      timeout,
-      outputFile: path.join(this.workspaceDir, 'reports', 'gemini-cli.json'),
-      workingDirectory: process.cwd() // Run from project directory
-    };
+    cmd.args = cmd.args?.map(arg => arg === cmd.rawOutputFile ? file : arg);
+    cmd.rawOutputFile = file;
   }
 
   /**
    * Build prompt WITHOUT injecting full context (for use with tools)
    */
   async buildPrompt(provider, config, options = {}) {
+    // Schema repair follow-ups (report-repair.js) and the judge pass
+    // (judge.js) bring their own self-contained prompt
+    if (options.standalonePrompt) {
+      return options.standalonePrompt;
+    }
+
     const sections = [];
 
     // FIRST: Provider-specific prompt overlay
@@ -329,7 +212,10 @@ export default class CommandBuilder {
     // SECOND: Core review prompt
     const corePath = path.join(this.packageDir, 'prompts', 'review.core.md');
     const corePrompt = await fs.readFile(corePath, 'utf8');
-    sections.push(corePrompt);
+    // List the context files, including artifacts from the project's
+    // context generators (context-generators.js)
+    const artifacts = await readGeneratedArtifacts(path.join(this.workspaceDir, 'context'));
+    sections.push(corePrompt.replace('{{CONTEXT_FILES}}', () => renderReviewInputs(artifacts)));
 
     // THIRD: Inject PR context if available
     const prPath = path.join(this.workspaceDir, 'context', 'pr.json');
@@ -341,7 +227,12 @@ export default class CommandBuilder {
       sections.push(`Branch: ${prData.headRefName} -> ${prData.baseRefName}`);
       sections.push(`Head SHA: ${prData.headRefOid}`);
       sections.push(`URL: ${prData.url}`);
-      sections.push('Use these values for the "pr" field in your JSON output.');
+      if (prData.target) {
+        sections.push(`Review target: ${prData.target.description}`);
+        if (prData.target.uncommitted) {
+          sections.push('The changes are not committed; read files from the working tree.');
+        }
+      }
       sections.push('=== END PR CONTEXT ===\n');
     } catch (error) {
       if (this.verbose) {
@@ -349,9 +240,23 @@ export default class CommandBuilder {
       }
     }
 
-    // FOURTH: Provider-specific output instructions if needed
-    if (provider === 'gemini') {
-      sections.push('\nCRITICAL: Output ONLY the JSON object, no markdown code fences or other text.');
+    // Scope a sharded review to the shard's files and context
+    if (options.shard) {
+      const { id, total, files, dirs, contextDir } = options.shard;
+      sections.push(`\n=== REVIEW SHARD ${id} OF ${total} ===`);
+      sections.push(`This change is too large to review in one pass and has been split into ${total} shards by directory. Review only the ${files.length} files of this shard (${dirs.join(', ')}); the other shards are reviewed separately.`);
+      sections.push('Use these context files instead of the files of the same name in .review-pipeline/workspace/context/:');
+      for (const name of ['enhanced_diff.txt', 'diff.patch', 'files.txt']) {
+        sections.push(`- ${contextDir}/${name}`);
+      }
+      sections.push('Report findings only for files in this shard. pr.json and tests.txt are shared by all shards.');
+      sections.push('=== END SHARD ===\n');
+    }
+
+    // FOURTH: Provider-specific output instructions declared by the manifest
+    const injection = this.registry.getManifest(provider)?.output_handling?.prompt_injection_needed;
+    if (injection) {
+      sections.push(`\n${injection}`);
     }
 
     // Add support for additional prompt from options
@@ -368,12 +273,7 @@ export default class CommandBuilder {
    * Get default model for a provider
    */
   getDefaultModel(provider) {
-    switch (provider) {
-      case 'claude': return 'opus';
-      case 'codex': return 'gpt-5';
-      case 'gemini': return 'gemini-2.5-pro';
-      default: return 'unknown';
-    }
+    return this.registry.getDefaultModel(provider);
   }
 
 }
@@ -381,12 +281,13 @@ export default class CommandBuilder {
 // Allow direct execution for testing/compatibility
 if (import.meta.url === `file://${process.argv[1]}`) {
   const provider = process.argv[2];
-  if (!provider || !['claude', 'codex', 'gemini'].includes(provider)) {
-    console.error('Usage: command-builder.js <claude|codex|gemini> [options]');
+  const builder = new CommandBuilder({ verbose: process.argv.includes('--verbose') });
+  const registry = await builder.loadRegistry();
+
+  if (!provider || !registry.has(provider)) {
+    console.error(`Usage: command-builder.js <${registry.list().join('|')}> [options]`);
     process.exit(1);
   }
-
-  const builder = new CommandBuilder({ verbose: process.argv.includes('--verbose') });
   
   // Always output structured command (JSON)
   const cmd = await builder.buildCommand(provider);
@@ -24,8 +24,8 @@ const packageDir = path.dirname(__dirname);
  */
 export class ConfigLoader {
   constructor(options = {}) {
-    // Use PROJECT_ROOT from environment or process.cwd() as fallback
-    const projectRoot = process.env.PROJECT_ROOT || process.cwd();
+    // Use the given project root, PROJECT_ROOT from environment, or process.cwd() as fallback
+    const projectRoot = options.projectRoot || process.env.PROJECT_ROOT || process.cwd();
     
     this.options = {
       pipelineConfigPath: path.join(packageDir, 'config', 'pipeline.config.json'),
@@ -66,6 +66,9 @@ export class ConfigLoader {
       // Apply environment overrides
       await this.applyEnvironmentOverrides();
       
+      // Apply runtime overrides (programmatic API and CLI flags)
+      this.applyRuntimeOverrides(this.options.overrides);
+      
       // Validate final configuration
       await this.validateConfig();
       
@@ -80,6 +83,12 @@ export class ConfigLoader {
    * Load JSON schemas for validation
    */
   async loadSchemas() {
+    // Schemas carry an $id, so compile them once per Ajv instance (load() may
+    // run again when the loader is shared across the pipeline)
+    if (this.pipelineValidator && this.projectValidator) {
+      return;
+    }
+
     try {
       const pipelineSchema = JSON.parse(await fs.readFile(this.options.pipelineSchemaPath, 'utf8'));
       const projectSchema = JSON.parse(await fs.readFile(this.options.projectSchemaPath, 'utf8'));
@@ -186,6 +195,20 @@ export class ConfigLoader {
     }
   }
 
+  /**
+   * Apply runtime overrides keyed by dotted config path
+   * (e.g. { 'execution.parallel': false })
+   */
+  applyRuntimeOverrides(overrides = {}) {
+    for (const [configPath, value] of Object.entries(overrides || {})) {
+      if (value === undefined) continue;
+      this.setNestedProperty(this.config, configPath, value);
+      if (this.options.verbose) {
+        console.log(`Applied runtime override: ${configPath}=${JSON.stringify(value)}`);
+      }
+    }
+  }
+
   /**
    * Merge configurations with proper precedence
    */
@@ -205,10 +228,11 @@ export class ConfigLoader {
       
       // Merge provider overrides
       if (project.review_overrides.providers) {
+        // Providers without pipeline defaults are registered through a manifest
+        // and adapter, so the project config is their only configuration
+        merged.providers = merged.providers || {};
         for (const [provider, overrides] of Object.entries(project.review_overrides.providers)) {
-          if (merged.providers[provider]) {
-            merged.providers[provider] = { ...merged.providers[provider], ...overrides };
-          }
+          merged.providers[provider] = { ...(merged.providers[provider] || {}), ...overrides };
         }
       }
       
@@ -223,6 +247,16 @@ export class ConfigLoader {
       }
     }
     
+    // Context generators only run with context.run_generators, which the
+    // project config cannot set
+    if (project.context?.generators) {
+      merged.context = { ...(merged.context || {}), generators: project.context.generators };
+    }
+
+    if (project.hooks) {
+      merged.hooks = { ...(merged.hooks || {}), ...project.hooks };
+    }
+
     // Add project metadata
     if (project.project) {
       merged.project = project.project;
@@ -0,0 +1,187 @@
+/**
+ * Consensus - Cross-provider finding deduplication
+ *
+ * Providers often report the same problem in their own words. Findings are
+ * clustered when they point at the same file, their line ranges overlap and
+ * their messages are similar (less so when they share a category). Two
+ * findings of the same tool are never merged: one provider reporting two
+ * issues is not agreement. Each cluster is merged into a single finding that
+ * records which tools agreed on it.
+ */
+
+const SEVERITY_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
+
+// Words that carry no signal when comparing finding messages
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'that', 'this', 'with', 'from', 'are', 'was', 'were',
+  'not', 'but', 'can', 'could', 'should', 'would', 'will', 'may', 'might',
+  'its', 'has', 'have', 'been', 'when', 'which', 'into', 'than', 'then',
+  'there', 'their', 'does', 'any', 'all', 'also', 'only', 'use', 'used'
+]);
+
+export const DEFAULT_OPTIONS = {
+  // Lines of slack when comparing ranges (providers cite slightly different spans)
+  lineTolerance: 3,
+  // Jaccard similarity of message words above which two findings match
+  similarityThreshold: 0.3,
+  // The same, for findings that share a category
+  categorySimilarityThreshold: 0.1
+};
+
+/**
+ * Parse a finding's `lines` field ("12", "12-20", "L12-L20", "10, 14-16")
+ * into the smallest range covering it
+ */
+export function parseLineRange(lines) {
+  const numbers = String(lines ?? '').match(/\d+/g);
+  if (!numbers) return null;
+  const values = numbers.map(n => parseInt(n, 10));
+  return { start: Math.min(...values), end: Math.max(...values) };
+}
+
+function rangesOverlap(a, b, tolerance) {
+  // Findings without usable line numbers only match each other
+  if (!a || !b) return !a && !b;
+  return a.start <= b.end + tolerance && b.start <= a.end + tolerance;
+}
+
+/**
+ * Repository-relative path as providers cite it ("./src/a.js", "b/src/a.js")
+ */
+export function normalizeFile(file) {
+  return String(file || '').replace(/^\.\//, '').replace(/^[ab]\//, '');
+}
+
+function tokenize(message) {
+  return new Set(
+    String(message || '')
+      .toLowerCase()
+      .split(/[^a-z0-9_]+/)
+      .filter(word => word.length >= 3 && !STOPWORDS.has(word))
+  );
+}
+
+/**
+ * Jaccard similarity of the words in two messages (0..1)
+ */
+export function messageSimilarity(a, b) {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Whether two findings describe the same problem
+ */
+export function findingsMatch(a, b, options = {}) {
+  const { lineTolerance, similarityThreshold, categorySimilarityThreshold } = { ...DEFAULT_OPTIONS, ...options };
+
+  if (a._tool && a._tool === b._tool) return false;
+  if (normalizeFile(a.file) !== normalizeFile(b.file)) return false;
+  if (!rangesOverlap(parseLineRange(a.lines), parseLineRange(b.lines), lineTolerance)) return false;
+
+  const threshold = a.category === b.category ? categorySimilarityThreshold : similarityThreshold;
+  return messageSimilarity(a.message, b.message) >= threshold;
+}
+
+function severityRank(severity) {
+  return SEVERITY_RANK[severity] || 0;
+}
+
+/**
+ * Merge a cluster of findings into one
+ */
+function mergeCluster(cluster, totalProviders) {
+  // The most severe (then most detailed) report speaks for the cluster
+  const representative = [...cluster].sort((a, b) =>
+    severityRank(b.severity) - severityRank(a.severity)
+    || String(b.message || '').length - String(a.message || '').length
+  )[0];
+
+  const agreedBy = [...new Set(cluster.map(f => f._tool).filter(Boolean))].sort();
+  const ranges = cluster.map(f => parseLineRange(f.lines)).filter(Boolean);
+  const lines = ranges.length === 0
+    ? representative.lines
+    : (() => {
+      const start = Math.min(...ranges.map(r => r.start));
+      const end = Math.max(...ranges.map(r => r.end));
+      return start === end ? String(start) : `${start}-${end}`;
+    })();
+
+  const { _tool, ...rest } = representative;
+  return {
+    ...rest,
+    lines,
+    must_fix: cluster.some(f => f.must_fix === true),
+    evidence: [...new Set(cluster.flatMap(f => Array.isArray(f.evidence) ? f.evidence : []))],
+    agreed_by: agreedBy,
+    consensus: totalProviders > 0 ? Math.round((agreedBy.length / totalProviders) * 100) / 100 : 0,
+    sources: cluster.map(f => ({
+      tool: f._tool,
+      severity: f.severity,
+      category: f.category,
+      lines: f.lines,
+      message: f.message
+    }))
+  };
+}
+
+/**
+ * Cluster findings (tagged with `_tool`) and merge each cluster
+ *
+ * @param {Object[]} findings - Findings from all providers, each with `_tool`
+ * @param {number} totalProviders - Providers that produced a report
+ * @param {Object} [options] - lineTolerance, similarityThreshold, categorySimilarityThreshold
+ * @returns {Object[]} Merged findings, most severe and most agreed first
+ */
+export function clusterFindings(findings, totalProviders, options = {}) {
+  const clusters = [];
+
+  for (const finding of findings) {
+    const cluster = clusters.find(members =>
+      !members.some(member => finding._tool && member._tool === finding._tool)
+      && members.some(member => findingsMatch(member, finding, options))
+    );
+    if (cluster) {
+      cluster.push(finding);
+    } else {
+      clusters.push([finding]);
+    }
+  }
+
+  return clusters
+    .map(cluster => mergeCluster(cluster, totalProviders))
+    .sort((a, b) =>
+      severityRank(b.severity) - severityRank(a.severity)
+      || b.agreed_by.length - a.agreed_by.length
+    );
+}
+
+/**
+ * Whether a merged finding is a must-fix candidate (flagged, high or critical)
+ */
+export function isMustFixCandidate(finding) {
+  return finding.must_fix === true || finding.severity === 'critical' || finding.severity === 'high';
+}
+
+/**
+ * Split merged findings into must-fix and unconfirmed (candidates reported
+ * by fewer than `minAgreement` providers)
+ */
+export function applyAgreement(findings, minAgreement = 1) {
+  const mustFix = [];
+  const unconfirmed = [];
+  for (const finding of findings.filter(isMustFixCandidate)) {
+    if (finding.agreed_by.length >= minAgreement) {
+      mustFix.push(finding);
+    } else {
+      unconfirmed.push(finding);
+    }
+  }
+  return { mustFix, unconfirmed };
+}
@@ -0,0 +1,508 @@
+#!/usr/bin/env node
+/**
+ * Context Builder - Writes the review context packet for providers
+ *
+ * Produces in .review-pipeline/workspace/context/:
+ * - diff.patch          unified diff of the review target: an explicit target
+ *                       (see ReviewTarget), else the default branch (or the
+ *                       commits since the last reviewed one in an
+ *                       incremental review)
+ * - files.txt           changed file names
+ * - enhanced_diff.txt   diff annotated with new-file line numbers
+ * - pr.json             PR metadata (GitHub Actions, gh CLI, or local git) and
+ *                       the review target
+ * - pr-simple.json      simplified PR metadata for backwards compatibility
+ *
+ * Files outside review.include_patterns / exclude_patterns (path-filter.js)
+ * are left out of diff.patch, files.txt and enhanced_diff.txt.
+ *
+ * Git and gh are invoked with execFile (no shell).
+ */
+
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { formatEnhancedDiff, parseUnifiedDiff, diffStats, filterDiff } from './diff.js';
+import { createPathFilter } from './path-filter.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Explicit review target
+ *
+ * - base:         changes on `head` (default HEAD) since it diverged from
+ *                 `base` (default origin/<default branch>): git diff base...head
+ * - staged:       the index against HEAD: git diff --cached
+ * - working-tree: uncommitted changes to tracked files: git diff HEAD
+ * - commit:       a single commit against its first parent
+ * - range:        a revision range as given (a..b or a...b)
+ *
+ * @typedef {Object} ReviewTarget
+ * @property {'base'|'staged'|'working-tree'|'commit'|'range'} type
+ * @property {string} [base]
+ * @property {string} [head]
+ * @property {string} [commit]
+ * @property {string} [range]
+ */
+
+/**
+ * What was reviewed, as recorded in pr.json
+ *
+ * @typedef {Object} TargetRecord
+ * @property {string} type - A ReviewTarget type, 'incremental' or 'default'
+ * @property {string} description - Human-readable description for prompts and reports
+ * @property {string[]} diff_args - Revision arguments passed to git diff
+ * @property {string} [base]
+ * @property {string} [head]
+ * @property {string} [commit]
+ * @property {string} [range]
+ * @property {string|null} [head_sha] - Resolved head commit (committed targets)
+ * @property {boolean} uncommitted - The target is the index or the working tree
+ *   rather than a commit (staged and working-tree targets)
+ */
+
+/**
+ * @typedef {Object} PullRequestContext
+ * @property {number} number
+ * @property {string} url
+ * @property {string} headRefName
+ * @property {string} baseRefName
+ * @property {string} headRefOid
+ * @property {string} repository
+ * @property {string} link
+ * @property {TargetRecord} [target]
+ */
+
+/**
+ * @typedef {Object} ReviewContext
+ * @property {string} contextDir
+ * @property {string} baseRef - Ref the diff was taken against
+ * @property {boolean} incremental - Diff covers only commits since the last review
+ * @property {boolean} unchanged - HEAD is the last reviewed commit (incremental, empty diff)
+ * @property {string|null} headSha - Commit the diff was taken up to (HEAD when it
+ *   includes uncommitted changes); an incremental review records it
+ * @property {string[]} files - Changed file names
+ * @property {string[]} excluded - Changed files left out by the path patterns
+ * @property {Object} stats - Output of diffStats()
+ * @property {PullRequestContext} pr
+ */
+
+export const TARGET_TYPES = ['base', 'staged', 'working-tree', 'commit', 'range'];
+
+/**
+ * Review target from the run options (--base/--head, --staged,
+ * --working-tree, --commit, --range), or null for the default diff
+ *
+ * @param {Object} options
+ * @returns {ReviewTarget|null}
+ */
+export function reviewTarget(options = {}) {
+  const targets = [
+    (options.base || options.head) && { type: 'base', base: options.base || null, head: options.head || 'HEAD' },
+    options.staged && { type: 'staged' },
+    options.workingTree && { type: 'working-tree' },
+    options.commit && { type: 'commit', commit: options.commit },
+    options.range && { type: 'range', range: options.range }
+  ].filter(Boolean);
+
+  if (targets.length > 1) {
+    throw new Error(`Choose one review target, not ${targets.map(target => target.type).join(' and ')}`);
+  }
+  return targets[0] || null;
+}
+
+/**
+ * git diff revision arguments, head revision and description of a target
+ * (`base` must be resolved)
+ *
+ * @param {ReviewTarget} target
+ */
+export function describeTarget(target) {
+  for (const value of [target.base, target.head, target.commit, target.range]) {
+    // Keep revisions from being read as git options
+    if (value && String(value).startsWith('-')) {
+      throw new Error(`Invalid revision: ${value}`);
+    }
+  }
+
+  switch (target.type) {
+    case 'base': {
+      const head = target.head || 'HEAD';
+      return {
+        args: [`${target.base}...${head}`],
+        head,
+        description: `changes on ${head} since it diverged from ${target.base} (${target.base}...${head})`,
+        uncommitted: false
+      };
+    }
+    case 'staged':
+      return { args: ['--cached'], head: null, description: 'staged changes (git diff --cached)', uncommitted: true };
+    case 'working-tree':
+      return { args: ['HEAD'], head: null, description: 'uncommitted changes to tracked files (git diff HEAD)', uncommitted: true };
+    case 'commit':
+      return {
+        args: [`${target.commit}^`, target.commit],
+        head: target.commit,
+        description: `commit ${target.commit} against its parent`,
+        uncommitted: false
+      };
+    case 'range': {
+      const match = String(target.range || '').match(/^(.*?)(\.\.\.?)(.*)$/);
+      if (!match) {
+        throw new Error(`Invalid range: ${target.range} (expected a..b or a...b)`);
+      }
+      return { args: [target.range], head: match[3] || 'HEAD', description: `range ${target.range}`, uncommitted: false };
+    }
+    default:
+      throw new Error(`Unknown review target: ${target.type} (expected one of ${TARGET_TYPES.join(', ')})`);
+  }
+}
+
+export default class ContextBuilder {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.workspaceDir = path.join(this.projectDir, '.review-pipeline', 'workspace');
+    this.contextDir = path.join(this.workspaceDir, 'context');
+    this.env = options.env || process.env;
+    // Previously reviewed commit for an incremental review (see incremental.js)
+    this.since = options.since || null;
+    // Explicit review target (ReviewTarget)
+    this.target = options.target || null;
+    // review.include_patterns / exclude_patterns
+    this.isIncluded = createPathFilter(options.review);
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Run a git (or gh) command in the project; resolves to null on failure
+   */
+  async exec(command, args) {
+    try {
+      const { stdout } = await execFileAsync(command, args, {
+        cwd: this.projectDir,
+        maxBuffer: 50 * 1024 * 1024
+      });
+      return stdout;
+    } catch (error) {
+      if (this.verbose) {
+        console.error(`${command} ${args.join(' ')} failed: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  async git(...args) {
+    return this.exec('git', args);
+  }
+
+  /**
+   * Default branch from origin/HEAD, falling back to main
+   */
+  async getDefaultBranch() {
+    const ref = await this.git('symbolic-ref', 'refs/remotes/origin/HEAD');
+    return ref ? ref.trim().replace(/^refs\/remotes\/origin\//, '') : 'main';
+  }
+
+  /**
+   * Whether `sha` is a commit before HEAD on the current history (false after
+   * a force-push, or when HEAD is the same commit)
+   */
+  async isEarlierCommit(sha) {
+    if (!/^[0-9a-f]{7,40}$/i.test(String(sha))) return false;
+    const head = (await this.git('rev-parse', 'HEAD'))?.trim();
+    if (!head || head.startsWith(sha.toLowerCase())) return false;
+    return await this.git('merge-base', '--is-ancestor', sha, 'HEAD') !== null;
+  }
+
+  /**
+   * Whether `sha` is HEAD (a re-run of an already reviewed head)
+   */
+  async isHeadCommit(sha) {
+    if (!/^[0-9a-f]{7,40}$/i.test(String(sha))) return false;
+    const head = (await this.git('rev-parse', 'HEAD'))?.trim();
+    return Boolean(head?.startsWith(sha.toLowerCase()));
+  }
+
+  /**
+   * Whether `rev` names a commit without a parent
+   */
+  async isRootCommit(rev) {
+    return await this.git('rev-parse', '--verify', '--quiet', `${rev}^{commit}`) !== null
+      && await this.git('rev-parse', '--verify', '--quiet', `${rev}^`) === null;
+  }
+
+  /**
+   * Diff of the explicit target, else the commits since the previously
+   * reviewed commit (incremental review), else origin/<default branch>,
+   * falling back to the last commit
+   */
+  async collectDiff() {
+    if (this.target) {
+      return this.collectTargetDiff();
+    }
+    if (this.since) {
+      // An unchanged head has nothing new: the diff is empty
+      const unchanged = await this.isHeadCommit(this.since);
+      if (unchanged || await this.isEarlierCommit(this.since)) {
+        // Only the commits since then (lastSha..HEAD), not uncommitted edits
+        const head = (await this.git('rev-parse', 'HEAD'))?.trim();
+        const range = `${this.since}..${head}`;
+        const diff = head ? await this.git('diff', '--patch', range, '--') : null;
+        if (diff !== null) {
+          const names = await this.git('diff', '--name-only', range, '--');
+          const target = {
+            type: 'incremental',
+            description: unchanged
+              ? `no commits since the last review (${this.since})`
+              : `commits since the last review (${this.since}..HEAD)`,
+            diff_args: [range],
+            base: this.since,
+            head_sha: head,
+            uncommitted: false
+          };
+          return { baseRef: this.since, diff, names: names || '', incremental: true, unchanged, headSha: head, target };
+        }
+      }
+      if (this.verbose) {
+        console.error(`${this.since} is not an earlier commit of HEAD, reviewing the full diff`);
+      }
+    }
+
+    const defaultBranch = await this.getDefaultBranch();
+    for (const baseRef of [`origin/${defaultBranch}`, 'HEAD~1']) {
+      const diff = await this.git('diff', '--patch', baseRef);
+      if (diff !== null) {
+        const names = await this.git('diff', '--name-only', baseRef);
+        const target = {
+          type: 'default',
+          description: `working tree against ${baseRef}`,
+          diff_args: [baseRef],
+          base: baseRef,
+          uncommitted: false
+        };
+        return { baseRef, diff, names: names || '', target };
+      }
+    }
+    return { baseRef: null, diff: null, names: null, target: null };
+  }
+
+  /**
+   * Diff of the explicit target; unlike the default diff there is no
+   * fallback, a target git cannot diff is an error
+   */
+  async collectTargetDiff() {
+    const target = { ...this.target };
+    if (target.type === 'base' && !target.base) {
+      target.base = `origin/${await this.getDefaultBranch()}`;
+    }
+    let { args, head, description, uncommitted } = describeTarget(target);
+    if (target.type === 'commit' && await this.isRootCommit(target.commit)) {
+      // No parent to diff against: diff against the empty tree instead
+      const emptyTree = (await this.git('hash-object', '-t', 'tree', '/dev/null'))?.trim();
+      args = [emptyTree, target.commit];
+      description = `root commit ${target.commit} (against the empty tree)`;
+    }
+
+    const diff = await this.git('diff', '--patch', ...args, '--');
+    if (diff === null) {
+      throw new Error(`Could not diff the review target (git diff ${args.join(' ')})`);
+    }
+    const names = await this.git('diff', '--name-only', ...args, '--');
+    const headSha = head ? (await this.git('rev-parse', '--verify', `${head}^{commit}`))?.trim() || null : null;
+
+    return {
+      baseRef: target.type === 'staged' ? 'staged' : args[0],
+      diff,
+      names: names || '',
+      target: { ...target, description, diff_args: args, head_sha: headSha, uncommitted }
+    };
+  }
+
+  /**
+   * Build the full context packet
+   *
+   * @returns {Promise<ReviewContext>}
+   */
+  async build() {
+    await fs.mkdir(this.contextDir, { recursive: true });
+
+    const { baseRef, incremental = false, unchanged = false, target, headSha, ...collected } = await this.collectDiff();
+    const { diff, names, excluded } = this.applyPathFilter(collected);
+    await fs.writeFile(path.join(this.contextDir, 'diff.patch'), diff ?? 'No diff available\n');
+    await fs.writeFile(path.join(this.contextDir, 'files.txt'), names ?? 'No files changed\n');
+    await fs.writeFile(path.join(this.contextDir, 'enhanced_diff.txt'), formatEnhancedDiff(diff || ''));
+
+    const pr = await this.buildPrContext();
+    if (target) {
+      // A committed target is reviewed at its own head, not the checkout's
+      if (this.target && target.head_sha) {
+        pr.headRefOid = target.head_sha;
+      }
+      pr.target = target;
+    }
+    await this.writePrContext(pr);
+
+    const files = (names || '').split('\n').filter(Boolean);
+    if (this.verbose) {
+      console.error(`Context built against ${baseRef || '(no base)'}: ${files.length} files changed, ${excluded.length} excluded`);
+    }
+
+    return {
+      contextDir: this.contextDir,
+      baseRef,
+      incremental,
+      unchanged,
+      headSha: headSha || target?.head_sha || (await this.git('rev-parse', 'HEAD'))?.trim() || null,
+      files,
+      excluded,
+      stats: diffStats(parseUnifiedDiff(diff || '')),
+      pr
+    };
+  }
+
+  /**
+   * Drop files outside the include/exclude patterns from the diff and the
+   * file list
+   */
+  applyPathFilter({ diff, names }) {
+    if (diff === null) {
+      return { diff, names, excluded: [] };
+    }
+    const filtered = filterDiff(diff, this.isIncluded);
+    const allNames = (names || '').split('\n').filter(Boolean);
+    const excluded = [...new Set([...filtered.excluded, ...allNames.filter(name => !this.isIncluded(name))])];
+    const kept = allNames.filter(name => this.isIncluded(name));
+    return {
+      diff: filtered.diff,
+      names: kept.length > 0 ? `${kept.join('\n')}\n` : '',
+      excluded
+    };
+  }
+
+  /**
+   * PR metadata from GitHub Actions, the gh CLI, or local git
+   *
+   * @returns {Promise<PullRequestContext>}
+   */
+  async buildPrContext() {
+    const env = this.env;
+    let pr = { number: '', url: '', headRef: '', baseRef: '', headSha: '', repo: '' };
+
+    if (env.GITHUB_ACTIONS) {
+      if (env.GITHUB_EVENT_NAME === 'pull_request' && env.GITHUB_EVENT_PATH) {
+        try {
+          const event = JSON.parse(await fs.readFile(env.GITHUB_EVENT_PATH, 'utf8'));
+          const p = event.pull_request || {};
+          pr = {
+            ...pr,
+            number: p.number || '',
+            url: p.html_url || '',
+            headRef: p.head?.ref || '',
+            baseRef: p.base?.ref || '',
+            headSha: p.head?.sha || ''
+          };
+        } catch (error) {
+          if (this.verbose) {
+            console.error(`Could not read GitHub event: ${error.message}`);
+          }
+        }
+      } else if (env.PR_NUMBER) {
+        // Manual dispatch with PR detection (set by workflow)
+        pr = {
+          ...pr,
+          number: env.PR_NUMBER,
+          url: env.PR_URL || '',
+          headRef: env.PR_HEAD_REF || '',
+          baseRef: env.PR_BASE_REF || '',
+          headSha: env.PR_HEAD_SHA || ''
+        };
+      }
+      pr.repo = env.GITHUB_REPOSITORY || '';
+    } else {
+      pr = { ...pr, ...await this.detectPrWithGh() };
+    }
+
+    // Fall back to local git information if no PR found
+    if (!pr.headSha) {
+      pr.headSha = (await this.git('rev-parse', 'HEAD'))?.trim() || 'LOCAL';
+    }
+    if (!pr.headRef) {
+      pr.headRef = (await this.git('branch', '--show-current'))?.trim() || 'LOCAL';
+    }
+    if (!pr.baseRef) {
+      pr.baseRef = await this.getDefaultBranch();
+    }
+    if (!pr.repo) {
+      const remote = (await this.git('config', '--get', 'remote.origin.url'))?.trim();
+      const match = remote?.match(/[:/]([^/:]+\/[^/]+?)(\.git)?$/);
+      pr.repo = match ? match[1] : path.basename(this.projectDir);
+    }
+
+    const number = parseInt(pr.number, 10) || 0;
+    const link = pr.url || `https://github.com/${pr.repo}/pull/${number}`;
+    return {
+      number,
+      url: link,
+      headRefName: pr.headRef,
+      baseRefName: pr.baseRef,
+      headRefOid: pr.headSha,
+      repository: pr.repo,
+      link
+    };
+  }
+
+  /**
+   * Find an open PR for the current branch using the gh CLI (local runs)
+   */
+  async detectPrWithGh() {
+    const branch = (await this.git('branch', '--show-current'))?.trim();
+    if (!branch) return {};
+
+    const output = await this.exec('gh', [
+      'pr', 'list', '--head', branch,
+      '--json', 'number,url,headRefName,baseRefName,headRefOid',
+      '--jq', '.[0]'
+    ]);
+    if (!output || !output.trim() || output.trim() === 'null') return {};
+
+    try {
+      const data = JSON.parse(output);
+      // URL format: https://github.com/owner/repo/pull/123
+      const repoMatch = data.url?.match(/^https:\/\/github\.com\/([^/]+\/[^/]+)\//);
+      return {
+        number: data.number || '',
+        url: data.url || '',
+        headRef: data.headRefName || '',
+        baseRef: data.baseRefName || '',
+        headSha: data.headRefOid || '',
+        repo: repoMatch ? repoMatch[1] : ''
+      };
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Write pr.json and pr-simple.json
+   */
+  async writePrContext(pr) {
+    await fs.writeFile(path.join(this.contextDir, 'pr.json'), JSON.stringify(pr, null, 2));
+    await fs.writeFile(path.join(this.contextDir, 'pr-simple.json'), JSON.stringify({
+      repo: pr.repository,
+      number: pr.number,
+      head_sha: pr.headRefOid,
+      branch: pr.headRefName,
+      link: pr.link
+    }, null, 2));
+  }
+}
+
+export { ContextBuilder };
+
+// Allow direct execution for context generation
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const builder = new ContextBuilder({ verbose: process.argv.includes('--verbose') });
+  const context = await builder.build();
+  console.log(JSON.stringify({ baseRef: context.baseRef, stats: context.stats, pr: context.pr }, null, 2));
+}
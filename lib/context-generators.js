@@ -0,0 +1,264 @@
+/**
+ * Context Generators - Project scripts that add artifacts to the context packet
+ *
+ * A project declares generators in .reviewrc.json under context.generators:
+ * a shell command whose standard output is written to
+ * .review-pipeline/workspace/context/<output>, with a description that is
+ * shown to providers in the <review_inputs> section of the prompt.
+ *
+ * SECURITY: the commands come from project configuration, which a pull
+ * request can change, so they only run when context.run_generators is set
+ * (CONTEXT_GENERATORS=true or --context-generators).
+ *
+ * Outputs are validated before they are written: the command must exit 0
+ * within its timeout, produce non-empty output no larger than max_size_kb,
+ * and a .json output must parse. The outcome of every generator is recorded
+ * in context/generators.json.
+ */
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Context files written by the pipeline itself
+const RESERVED_OUTPUTS = new Set([
+  'diff.patch',
+  'files.txt',
+  'enhanced_diff.txt',
+  'pr.json',
+  'pr-simple.json',
+  'tests.txt',
+  'test-metadata.json',
+  'test-summary.json',
+  'shards',
+  'shards.json',
+  'generators.json'
+]);
+
+const CONTEXT_PATH = '.review-pipeline/workspace/context';
+
+/**
+ * @typedef {Object} GeneratorResult
+ * @property {string} output - File name in the context directory
+ * @property {string} description
+ * @property {string} command
+ * @property {'ok'|'failed'|'skipped'} status
+ * @property {number} bytes - Size of the written artifact (0 unless ok)
+ * @property {number} duration_ms
+ * @property {string} [error] - Why the generator failed or was skipped
+ */
+
+/**
+ * Successful artifacts recorded in context/generators.json
+ *
+ * @returns {Promise<GeneratorResult[]>}
+ */
+export async function readGeneratedArtifacts(contextDir) {
+  try {
+    const results = JSON.parse(await fs.readFile(path.join(contextDir, 'generators.json'), 'utf8'));
+    return Array.isArray(results) ? results.filter(r => r.status === 'ok') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Context file list for the <review_inputs> section of the prompt
+ *
+ * @param {GeneratorResult[]} [artifacts] - Generated artifacts to list
+ */
+export function renderReviewInputs(artifacts = []) {
+  const lines = [
+    '**Required reading:**',
+    `- \`${CONTEXT_PATH}/enhanced_diff.txt\` - The ENHANCED DIFF with line numbers for citations`,
+    `- \`${CONTEXT_PATH}/pr.json\` - Pull request metadata (number, SHA, branch, etc.)`,
+    `- \`${CONTEXT_PATH}/files.txt\` - List of all modified files`,
+    '',
+    '**Optional reading (if they exist):**',
+    `- \`${CONTEXT_PATH}/tests.txt\` - Test execution results and output`,
+    `- \`${CONTEXT_PATH}/test-summary.json\` - Parsed test results: counts, first failures and coverage`,
+    `- \`${CONTEXT_PATH}/diff.patch\` - Raw git diff output`,
+    '- Repository files - You can read any file in the repository for additional context'
+  ];
+  if (artifacts.length > 0) {
+    lines.push('', '**Project artifacts (generated by the project for this review):**');
+    for (const artifact of artifacts) {
+      lines.push(`- \`${CONTEXT_PATH}/${artifact.output}\` - ${artifact.description || 'Project-provided context'}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+export default class ContextGenerators {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.contextDir = path.join(this.projectDir, '.review-pipeline', 'workspace', 'context');
+    this.generators = options.generators || [];
+    // context.run_generators; declared generators are skipped without it
+    this.enabled = options.enabled === true;
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Run every generator in order and write context/generators.json
+   *
+   * @returns {Promise<GeneratorResult[]>}
+   */
+  async run() {
+    await fs.mkdir(this.contextDir, { recursive: true });
+    await this.removePreviousArtifacts();
+
+    const results = [];
+    const seen = new Set();
+    for (const generator of this.generators) {
+      const result = {
+        output: generator.output,
+        description: generator.description || '',
+        command: generator.command,
+        status: 'skipped',
+        bytes: 0,
+        duration_ms: 0
+      };
+      if (!this.enabled) {
+        result.error = 'Context generators are disabled (set CONTEXT_GENERATORS=true to run them)';
+      } else if (!this.isValidOutput(generator.output) || seen.has(generator.output)) {
+        result.status = 'failed';
+        result.error = seen.has(generator.output)
+          ? `Output ${generator.output} is written by another generator`
+          : `Output ${generator.output} is not a plain file name or is reserved by the pipeline`;
+      } else {
+        Object.assign(result, await this.runGenerator(generator));
+      }
+      seen.add(generator.output);
+      results.push(result);
+
+      if (this.verbose) {
+        console.error(`Context generator ${generator.output}: ${result.status}${result.error ? ` (${result.error})` : ''}`);
+      }
+    }
+
+    await fs.writeFile(path.join(this.contextDir, 'generators.json'), JSON.stringify(results, null, 2));
+    return results;
+  }
+
+  /**
+   * A file name directly in the context directory that the pipeline does
+   * not write itself
+   */
+  isValidOutput(output) {
+    return typeof output === 'string'
+      && /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/.test(output)
+      && !RESERVED_OUTPUTS.has(output);
+  }
+
+  /**
+   * Delete the artifacts of the previous run so a generator that is removed
+   * or now fails leaves nothing stale behind
+   */
+  async removePreviousArtifacts() {
+    let previous = [];
+    try {
+      previous = JSON.parse(await fs.readFile(path.join(this.contextDir, 'generators.json'), 'utf8'));
+    } catch {
+      return;
+    }
+    for (const { output } of Array.isArray(previous) ? previous : []) {
+      if (this.isValidOutput(output)) {
+        await fs.rm(path.join(this.contextDir, output), { force: true });
+      }
+    }
+  }
+
+  /**
+   * Run one generator and write its output when it is valid
+   */
+  async runGenerator({ command, output, timeout_seconds: timeout = 60, max_size_kb: maxSizeKb = 256 }) {
+    const maxBytes = maxSizeKb * 1024;
+    const started = Date.now();
+    const { exitCode, stdout, stderr, timedOut, oversized } = await this.spawnGenerator(command, timeout, maxBytes);
+    const duration_ms = Date.now() - started;
+    const failed = (error) => ({ status: 'failed', error, duration_ms });
+
+    if (timedOut) {
+      return failed(`Timed out after ${timeout}s`);
+    }
+    if (oversized) {
+      return failed(`Output exceeds ${maxSizeKb} KB`);
+    }
+    if (exitCode !== 0) {
+      const lastLine = stderr.trim().split('\n').pop();
+      return failed(`Exited with code ${exitCode}${lastLine ? `: ${lastLine}` : ''}`);
+    }
+    if (stdout.length === 0) {
+      return failed('Produced no output');
+    }
+    if (output.endsWith('.json')) {
+      try {
+        JSON.parse(stdout.toString('utf8'));
+      } catch (error) {
+        return failed(`Output is not valid JSON: ${error.message}`);
+      }
+    }
+
+    await fs.writeFile(path.join(this.contextDir, output), stdout);
+    return { status: 'ok', bytes: stdout.length, duration_ms };
+  }
+
+  /**
+   * Spawn the command through sh -c in the project root; it is killed as
+   * soon as its output passes maxBytes. The command runs in its own process
+   * group so that a kill also reaches the processes it started.
+   */
+  spawnGenerator(command, timeout, maxBytes) {
+    return new Promise((resolve) => {
+      const child = spawn('sh', ['-c', command], {
+        cwd: this.projectDir,
+        env: { ...process.env, PROJECT_ROOT: this.projectDir, REVIEW_CONTEXT_DIR: this.contextDir },
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true
+      });
+      const kill = () => {
+        try {
+          process.kill(-child.pid, 'SIGTERM');
+        } catch {
+          child.kill('SIGTERM');
+        }
+      };
+
+      const chunks = [];
+      let size = 0;
+      let stderr = '';
+      let timedOut = false;
+      let oversized = false;
+      child.stdout.on('data', (data) => {
+        size += data.length;
+        if (size > maxBytes) {
+          if (!oversized) {
+            oversized = true;
+            kill();
+          }
+          return;
+        }
+        chunks.push(data);
+      });
+      child.stderr.on('data', (data) => { stderr += data.toString(); });
+
+      const timeoutHandle = setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, timeout * 1000);
+
+      child.on('close', (code) => {
+        clearTimeout(timeoutHandle);
+        resolve({ exitCode: code ?? 1, stdout: Buffer.concat(chunks), stderr, timedOut, oversized });
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timeoutHandle);
+        resolve({ exitCode: 127, stdout: Buffer.alloc(0), stderr: `${stderr}${error.message}\n`, timedOut, oversized });
+      });
+    });
+  }
+}
+
+export { ContextGenerators };
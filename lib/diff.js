@@ -0,0 +1,315 @@
+/**
+ * Unified diff helpers
+ *
+ * Parses `git diff` output into files and hunks, and renders the enhanced
+ * annotated diff (new-file line numbers on every added/context line) that
+ * providers cite from.
+ */
+
+/**
+ * Parse a hunk header: @@ -OLD_START,OLD_COUNT +NEW_START,NEW_COUNT @@
+ */
+export function parseHunkHeader(line) {
+  const m = line.match(/^@@\s-([0-9]+)(?:,([0-9]+))?\s\+([0-9]+)(?:,([0-9]+))?\s@@/);
+  if (!m) return null;
+  const oldStart = parseInt(m[1], 10);
+  const oldCount = m[2] ? parseInt(m[2], 10) : 1;
+  const newStart = parseInt(m[3], 10);
+  const newCount = m[4] ? parseInt(m[4], 10) : 1;
+  return { oldStart, oldCount, newStart, newCount };
+}
+
+/**
+ * Parse unified diff text into per-file records
+ *
+ * Each file has `file` (new path, or old path for deletions), `oldFile`,
+ * `status` (added/deleted/renamed/modified), `additions`, `deletions` and
+ * `hunks`. Hunk lines carry the new-file line number for added and context
+ * lines (`newLine`) and the old-file line number for removed/context lines.
+ */
+export function parseUnifiedDiff(diffText) {
+  const files = [];
+  const lines = String(diffText || '').split(/\r?\n/);
+  let current = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+  // Lines still expected in the current hunk, so "--- x" inside a hunk is
+  // read as a removed line rather than a file header
+  let oldLeft = 0;
+  let newLeft = 0;
+
+  for (const line of lines) {
+    if (hunk && (oldLeft > 0 || newLeft > 0)) {
+      const marker = line[0];
+      const content = line.substring(1);
+      if (marker === '+') {
+        hunk.lines.push({ type: '+', newLine, content });
+        current.additions++;
+        newLine++;
+        newLeft--;
+        continue;
+      }
+      if (marker === '-') {
+        hunk.lines.push({ type: '-', oldLine, content });
+        current.deletions++;
+        oldLine++;
+        oldLeft--;
+        continue;
+      }
+      if (marker === ' ' || line.length === 0) {
+        hunk.lines.push({ type: ' ', oldLine, newLine, content });
+        oldLine++;
+        newLine++;
+        oldLeft--;
+        newLeft--;
+        continue;
+      }
+      if (marker === '\\') {
+        // "\ No newline at end of file" carries no line
+        continue;
+      }
+      hunk = null;
+    }
+
+    if (line.startsWith('diff --git ')) {
+      const match = line.match(/^diff --git a\/(.+?) b\/(.+)$/);
+      current = {
+        file: match ? match[2] : null,
+        oldFile: match ? match[1] : null,
+        status: 'modified',
+        binary: false,
+        additions: 0,
+        deletions: 0,
+        hunks: []
+      };
+      files.push(current);
+      hunk = null;
+      continue;
+    }
+    if (!current) continue;
+
+    if (line.startsWith('new file mode')) {
+      current.status = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+      current.status = 'deleted';
+    } else if (line.startsWith('rename from ')) {
+      current.status = 'renamed';
+    } else if (line.startsWith('Binary files ')) {
+      current.binary = true;
+    } else if (line.startsWith('--- ')) {
+      const match = line.match(/^--- a\/(.+)$/);
+      if (match) current.oldFile = match[1];
+    } else if (line.startsWith('+++ ')) {
+      const match = line.match(/^\+\+\+ b\/(.+)$/);
+      if (match) {
+        current.file = match[1];
+      } else if (line === '+++ /dev/null') {
+        current.status = 'deleted';
+        current.file = current.oldFile;
+      }
+    } else if (line.startsWith('@@')) {
+      const header = parseHunkHeader(line);
+      if (!header) continue;
+      hunk = { ...header, header: line, lines: [] };
+      current.hunks.push(hunk);
+      oldLine = header.oldStart;
+      newLine = header.newStart;
+      oldLeft = header.oldCount;
+      newLeft = header.newCount;
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Split unified diff text into one chunk per file, each starting at its
+ * `diff --git` header
+ *
+ * @returns {{file: string, text: string}[]}
+ */
+export function splitFileDiffs(diffText) {
+  const chunks = String(diffText || '').split(/^(?=diff --git )/m).filter(chunk => chunk.startsWith('diff --git '));
+  return chunks.map(text => ({ file: parseUnifiedDiff(text)[0]?.file || '', text }));
+}
+
+/**
+ * Keep only the files of a diff that `isIncluded` accepts
+ *
+ * @param {string} diffText
+ * @param {(file: string) => boolean} isIncluded
+ * @returns {{diff: string, excluded: string[]}} Filtered diff and the files left out
+ */
+export function filterDiff(diffText, isIncluded) {
+  const kept = [];
+  const excluded = [];
+  for (const { file, text } of splitFileDiffs(diffText)) {
+    if (isIncluded(file)) {
+      kept.push(text);
+    } else {
+      excluded.push(file);
+    }
+  }
+  return { diff: kept.join(''), excluded };
+}
+
+/**
+ * Summarize a parsed diff (for metrics and gating)
+ */
+export function diffStats(files) {
+  return {
+    files_changed: files.length,
+    files_added: files.filter(f => f.status === 'added').length,
+    files_deleted: files.filter(f => f.status === 'deleted').length,
+    lines_added: files.reduce((sum, f) => sum + f.additions, 0),
+    lines_removed: files.reduce((sum, f) => sum + f.deletions, 0)
+  };
+}
+
+function formatLine(marker, lineNum, content) {
+  if (marker === '-') {
+    // Removed lines don't have line numbers in the new file
+    return `-    | ${content}`;
+  } else if (marker === '+') {
+    // Added lines get their line number with + prefix
+    const numStr = String(lineNum).padStart(4, ' ');
+    return `+${numStr}| ${content}`;
+  } else {
+    // Context lines (unchanged) get their line number with space prefix
+    const numStr = String(lineNum).padStart(4, ' ');
+    return ` ${numStr}| ${content}`;
+  }
+}
+
+/**
+ * Render the enhanced annotated diff
+ *
+ * Format:
+ *   file: <path>
+ *   @@ -<oldStart>,<oldCount> +<newStart>,<newCount> @@
+ *   + 123| added line content
+ *   -    | removed line content
+ *     456| unchanged context line
+ */
+export function formatEnhancedDiff(diffText) {
+  const lines = String(diffText || '').split(/\r?\n/);
+
+  const output = [];
+  let currentFile = null;
+  let newLineNum = 0;
+  let inHunk = false;
+  let seenFirstDiff = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Skip git metadata at the beginning (From, Date, Subject, etc.)
+    if (!seenFirstDiff && !line.startsWith('diff --git ')) {
+      continue;
+    }
+
+    // File header (diff --git a/file b/file)
+    if (line.startsWith('diff --git ')) {
+      seenFirstDiff = true;
+      // Extract the file path from the b/ part
+      const match = line.match(/^diff --git a\/.* b\/(.+)$/);
+      if (match) {
+        currentFile = match[1];
+        // Don't output the diff --git line itself, we'll output when we see +++
+        continue;
+      }
+    }
+
+    // Handle --- lines to identify deleted files
+    if (line.startsWith('--- ')) {
+      const match = line.match(/^--- a\/(.+)$/);
+      if (match && match[1] !== '/dev/null') {
+        // This will be used if the file is deleted (when +++ is /dev/null)
+        const oldFile = match[1];
+        // Check if next line is +++ /dev/null (file deletion)
+        if (i + 1 < lines.length && lines[i + 1] === '+++ /dev/null') {
+          if (output.length > 0) {
+            output.push('');  // Empty line separator
+          }
+          output.push(`file: ${oldFile} (deleted)`);
+          currentFile = oldFile;  // Track for the deletion hunks
+        }
+      }
+      continue;
+    }
+
+    // Skip index, mode lines
+    if (line.startsWith('index ') ||
+        line.startsWith('new file mode') ||
+        line.startsWith('deleted file mode')) {
+      continue;
+    }
+
+    // New file path (+++ b/path)
+    if (line.startsWith('+++ ')) {
+      const match = line.match(/^\+\+\+ b\/(.+)$/);
+      if (match) {
+        const newFile = match[1];
+        if (newFile !== '/dev/null') {
+          currentFile = newFile;
+          // Add a separator between files if not the first one
+          if (output.length > 0 && !output[output.length - 1].startsWith('file:')) {
+            output.push('');  // Empty line separator
+          }
+          output.push(`file: ${currentFile}`);
+        } else {
+          // File is being deleted
+          currentFile = null;
+        }
+      }
+      continue;
+    }
+
+    // Hunk header
+    if (line.startsWith('@@')) {
+      const hunk = parseHunkHeader(line);
+      if (hunk && currentFile) {
+        output.push(line); // Keep the @@ line as-is
+        newLineNum = hunk.newStart;
+        inHunk = true;
+      }
+      continue;
+    }
+
+    // Process diff lines within a hunk
+    if (inHunk && currentFile) {
+      if (line.length === 0) {
+        // Empty line in diff
+        output.push(formatLine(' ', newLineNum, ''));
+        newLineNum++;
+      } else {
+        const marker = line[0];
+        const content = line.substring(1);
+
+        if (marker === '-') {
+          // Removed line - no line number in new file
+          output.push(formatLine('-', null, content));
+        } else if (marker === '+') {
+          // Added line
+          output.push(formatLine('+', newLineNum, content));
+          newLineNum++;
+        } else if (marker === ' ') {
+          // Context line (unchanged)
+          output.push(formatLine(' ', newLineNum, content));
+          newLineNum++;
+        } else if (marker === '\\') {
+          // "\ No newline at end of file" - skip
+          continue;
+        } else {
+          // Not part of the diff anymore (shouldn't happen in well-formed diff)
+          inHunk = false;
+          // Process this line again as a potential new file header
+          i--;
+        }
+      }
+    }
+  }
+
+  return output.join('\n');
+}
@@ -8,33 +8,182 @@
  */
 
 import { spawn } from 'node:child_process';
+import { EventEmitter } from 'node:events';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import CommandBuilder from './command-builder.js';
+import ProviderRegistry from './provider-registry.js';
+import { parseStreamLines, streamResult } from './stream-json.js';
+import { getRetryPolicy, backoffDelay, classifyAttempt, nextAttemptOptions } from './retry-policy.js';
+import ReportRepair from './report-repair.js';
+import { loadReportFacts, applyReportFacts } from './report-facts.js';
+import { parseUsage, sumUsage } from './usage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export default class ProviderExecutor {
+// Never passed to provider processes
+const SENSITIVE_ENV_KEYS = [
+  'GH_TOKEN',
+  'GITHUB_TOKEN',
+  'ANTHROPIC_API_KEY',
+  'OPENAI_API_KEY',
+  'GEMINI_API_KEY',
+  'ANTHROPIC_AUTH_TOKEN',
+  'REVIEW_WEBHOOK_SECRET'
+];
+
+/**
+ * What a failed invocation said about its failure: stderr, plus the error
+ * result of a provider with JSON output (Claude reports its usage limit
+ * there); the rest of stdout is review text and may mention anything
+ */
+function failureOutput(cmd, { stdout, stderr }) {
+  const parts = [stderr];
+  if (cmd.outputFormat === 'json' || cmd.outputFormat === 'stream-json') {
+    try {
+      const result = JSON.parse(cmd.outputFormat === 'stream-json' ? streamResult(stdout) : stdout);
+      if (result?.is_error) {
+        parts.push(String(result.result ?? result.error ?? ''));
+      }
+    } catch {
+      // No result event (the provider died before it finished)
+    }
+  }
+  return parts.join('\n');
+}
+
+/**
+ * Runs provider CLIs and reports progress as events:
+ * - start:        {provider, command, pid, timeout}
+ * - stdout-chunk: {provider, chunk, events?} (events: parsed stream-json lines)
+ * - stderr-chunk: {provider, chunk}
+ * - heartbeat:    {provider, elapsedMs, idleMs, stdoutBytes, stderrBytes}
+ * - retry:        {provider, attempt, reason, delayMs, model}
+ * - repair:       {provider, round, errors} (schema repair follow-up)
+ * - queued:       {provider, reason, until} (the scheduler defers an invocation; until: ISO time or null)
+ * - done:         {provider, exitCode, durationMs, usage?, error?} (once, after the last attempt)
+ */
+export default class ProviderExecutor extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.packageDir = options.packageDir || path.dirname(__dirname);
     this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
     this.workspaceDir = path.join(this.projectDir, '.review-pipeline', 'workspace');
     this.verbose = options.verbose || false;
     this.dryRun = options.dryRun || false;
+    // Milliseconds between heartbeat events; 0 disables them
+    this.heartbeatInterval = options.heartbeatInterval ?? 10000;
+    // QuotaScheduler shared by every invocation, or null to start them at once
+    this.scheduler = options.scheduler || null;
     this.commandBuilder = new CommandBuilder({
       packageDir: this.packageDir,
       projectDir: this.projectDir,
+      configLoader: options.configLoader,
+      registry: options.registry,
       verbose: this.verbose
     });
+    this.reportRepair = new ReportRepair({ packageDir: this.packageDir, verbose: this.verbose });
   }
 
   /**
-   * Execute a provider command safely
+   * Execute a provider command safely, retrying failed attempts according to
+   * the retry policy (execution.retry_on_failure / max_retries)
+   *
+   * The result (or the thrown error) carries the execution's `usage`, also
+   * recorded in the report's metrics.usage (see usage.js).
    */
   async execute(provider, options = {}) {
-    // Build the structured command
+    let cmd = await this.buildCommand(provider, options);
+
+    if (this.dryRun) {
+      console.log('DRY RUN - Would execute:', cmd);
+      return { exitCode: 0, stdout: '', stderr: '' };
+    }
+
+    const execution = await this.getExecutionConfig();
+    const policy = getRetryPolicy(execution);
+    const startedAt = Date.now();
+    const facts = await this.loadReportFacts(options, startedAt);
+    const attempts = [];
+    let attemptOptions = options;
+
+    for (let attempt = 1; ; attempt++) {
+      const attemptStartedAt = Date.now();
+      let result = null;
+      let error = null;
+      try {
+        // Providers that write their final answer to a file (e.g. Codex) are
+        // read back from that file; everything else is captured from stdout
+        result = cmd.rawOutputFile
+          ? await this.executeWithOutputFile(cmd)
+          : await this.executeWithStdin(cmd);
+      } catch (err) {
+        error = err;
+      }
+
+      const failure = classifyAttempt({
+        report: error ? null : await this.readReport(cmd),
+        exitCode: result?.exitCode ?? null,
+        error
+      });
+      attempts.push({
+        attempt,
+        model: cmd.env?.MODEL || null,
+        outcome: failure ? failure.reason : 'success',
+        exit_code: result?.exitCode ?? null,
+        duration_ms: Date.now() - attemptStartedAt,
+        ...parseUsage(result?.stdout),
+        ...(error && { error: error.message })
+      });
+
+      if (!failure || !failure.retryable || attempt > policy.maxRetries) {
+        await this.injectReportFacts(cmd, facts);
+        const repairs = failure
+          ? []
+          : await this.repairReport(provider, cmd, attemptOptions, execution.schema_repair_rounds ?? 2, facts);
+        const usage = {
+          invocations: attempts.length + repairs.length,
+          retries: attempts.length - 1,
+          wall_ms: Date.now() - startedAt,
+          ...sumUsage([...attempts, ...repairs])
+        };
+        await this.recordAttempts(cmd, attempts, usage);
+        this.emit('done', {
+          provider,
+          exitCode: result?.exitCode ?? null,
+          durationMs: Date.now() - startedAt,
+          usage,
+          ...(error && { error: error.message })
+        });
+        if (error) {
+          error.usage = usage;
+          throw error;
+        }
+        return { ...result, usage };
+      }
+
+      const delayMs = backoffDelay(policy, attempt);
+      attemptOptions = nextAttemptOptions(policy, failure, {
+        options: attemptOptions,
+        manifest: this.commandBuilder.registry?.getManifest(provider),
+        model: cmd.env?.MODEL
+      });
+      this.emit('retry', { provider, attempt, reason: failure.reason, delayMs, model: attemptOptions.model || cmd.env?.MODEL || null });
+      if (this.verbose) {
+        console.error(`${provider} attempt ${attempt} failed (${failure.reason}), retrying in ${delayMs}ms`);
+      }
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+
+      cmd = await this.buildCommand(provider, attemptOptions);
+    }
+  }
+
+  /**
+   * Build the command for one attempt
+   */
+  async buildCommand(provider, options) {
     const cmd = await this.commandBuilder.buildCommand(provider, options);
     
     if (!cmd) {
@@ -51,57 +200,312 @@ export default class ProviderExecutor {
       });
     }
 
-    if (this.dryRun) {
-      console.log('DRY RUN - Would execute:', cmd);
-      return { exitCode: 0, stdout: '', stderr: '' };
+    cmd.provider = cmd.provider || provider;
+    return cmd;
+  }
+
+  /**
+   * `execution` settings from the loaded configuration ({} without one)
+   */
+  async getExecutionConfig() {
+    const configLoader = this.commandBuilder.configLoader;
+    try {
+      if (configLoader && !configLoader.config) {
+        await configLoader.load();
+      }
+      return configLoader?.config?.execution || {};
+    } catch {
+      return {};
     }
+  }
 
-    // Special handling for different providers
-    if (provider === 'codex') {
-      return await this.executeCodex(cmd);
-    } else {
-      return await this.executeWithStdin(cmd);
+  /**
+   * Read back the normalized report an attempt wrote, or null
+   */
+  async readReport(cmd) {
+    try {
+      return JSON.parse(await fs.readFile(this.validateOutputPath(cmd.outputFile), 'utf8'));
+    } catch {
+      return null;
     }
   }
 
+  /**
+   * Facts the pipeline owns for this review (see report-facts.js); a shard
+   * counts its own diff
+   */
+  async loadReportFacts(options, startedAt) {
+    const diffFile = options.shard
+      ? path.join(this.projectDir, options.shard.contextDir, 'diff.patch')
+      : undefined;
+    return loadReportFacts(path.join(this.workspaceDir, 'context'), { diffFile, timestamp: startedAt });
+  }
+
+  /**
+   * Overwrite the pipeline-owned fields of the report an attempt wrote
+   */
+  async injectReportFacts(cmd, facts) {
+    const report = await this.readReport(cmd);
+    if (!report || typeof report !== 'object') {
+      return;
+    }
+    await this.writeReport(cmd, applyReportFacts(report, facts));
+  }
+
+  /**
+   * Record every attempt and the execution's usage in the final report's
+   * metrics
+   */
+  async recordAttempts(cmd, attempts, usage) {
+    const report = await this.readReport(cmd);
+    if (!report || typeof report !== 'object') {
+      return;
+    }
+    report.metrics = { ...(report.metrics || {}), attempts, ...(usage && { usage }) };
+    await this.writeReport(cmd, report);
+  }
+
+  async writeReport(cmd, report) {
+    await fs.writeFile(this.validateOutputPath(cmd.outputFile), JSON.stringify(report, null, 2));
+  }
+
+  /**
+   * Send schema validation errors back to the provider until its report is
+   * valid, at most `rounds` follow-up invocations. The number of repairs is
+   * recorded in metrics.schema_repairs. Repaired reports get the same facts
+   * as the original before they are validated.
+   *
+   * @returns {Promise<import('./usage.js').InvocationUsage[]>} Usage of each repair invocation
+   */
+  async repairReport(provider, cmd, options, rounds, facts = null) {
+    let report = await this.readReport(cmd);
+    const invocations = [];
+    if (rounds <= 0 || !report || typeof report !== 'object' || report.error) {
+      return invocations;
+    }
+
+    const tool = cmd.tool || cmd.env?.TOOL;
+    let errors = await this.reportRepair.validate(report, tool);
+    let repairs = 0;
+
+    while (errors.length > 0 && repairs < rounds) {
+      repairs++;
+      this.emit('repair', { provider, round: repairs, errors });
+      if (this.verbose) {
+        console.error(`${provider} report fails schema validation (${errors.length} errors), repair round ${repairs}`);
+      }
+
+      let repaired = null;
+      try {
+        const repairCmd = await this.buildCommand(provider, {
+          ...options,
+          standalonePrompt: this.reportRepair.buildPrompt(report, errors)
+        });
+        const result = repairCmd.rawOutputFile
+          ? await this.executeWithOutputFile(repairCmd)
+          : await this.executeWithStdin(repairCmd);
+        invocations.push(parseUsage(result.stdout));
+        repaired = applyReportFacts(await this.readReport(repairCmd), facts);
+      } catch (error) {
+        if (this.verbose) {
+          console.error(`${provider} repair round ${repairs} failed: ${error.message}`);
+        }
+      }
+
+      // A repair that made things worse doesn't replace the last usable report
+      if (!repaired || typeof repaired !== 'object' || repaired.error) {
+        break;
+      }
+      report = repaired;
+      errors = await this.reportRepair.validate(report, tool);
+    }
+
+    report.metrics = { ...(report.metrics || {}), schema_repairs: repairs, schema_valid: errors.length === 0 };
+    await this.writeReport(cmd, report);
+    return invocations;
+  }
+
   /**
    * Execute command with stdin input (Claude, Gemini)
    */
   async executeWithStdin(cmd) {
+    // Prepare arguments, replacing STDIN_CONTENT placeholder
+    const args = cmd.args.map(arg => 
+      arg === 'STDIN_CONTENT' ? '-' : arg
+    ).filter(arg => arg !== 'STDIN_CONTENT');
+
+    const { code, signal, stdout, stderr, timedOut } = await this.spawnProvider(cmd, args, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    if (timedOut) {
+      throw new Error(`Command timed out after ${cmd.timeout} seconds`);
+    }
+
+    // Always save raw output (stdout and stderr) for debugging
+    const combinedOutput = stdout || stderr || 'No output received';
+    await this.saveRawOutput(cmd, combinedOutput);
+    
+    // Process the output
+    if (code === 0 || stdout.trim()) {
+      // A stream-json transcript is reduced to its final result envelope
+      const output = cmd.outputFormat === 'stream-json' ? streamResult(stdout) : stdout;
+      await this.processOutput(cmd, output);
+    } else {
+      // Write error fallback
+      await this.writeErrorOutput(cmd, stderr || 'Command failed');
+    }
+
+    return {
+      exitCode: code || 0,
+      stdout,
+      stderr,
+      signal
+    };
+  }
+
+  /**
+   * Execute a provider that writes its final message to rawOutputFile (Codex)
+   */
+  async executeWithOutputFile(cmd) {
+    // A shard's reports/shards/<id>/ does not exist yet, and Codex does not
+    // create the directory of --output-last-message itself
+    await fs.mkdir(path.dirname(cmd.rawOutputFile), { recursive: true });
+    await fs.mkdir(path.dirname(this.validateOutputPath(cmd.outputFile)), { recursive: true });
+
+    // The prompt is passed as an argument, not stdin
+    const { code, signal, stdout, stderr, timedOut } = await this.spawnProvider(cmd, cmd.args, {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    if (timedOut) {
+      throw new Error(`${cmd.provider || cmd.command} timed out after ${cmd.timeout} seconds`);
+    }
+
+    // The provider wrote to a file, need to read and normalize it
+    await this.processFileOutput(cmd);
+
+    return {
+      exitCode: code || 0,
+      stdout,
+      stderr,
+      signal
+    };
+  }
+
+  /**
+   * Run a one-off prompt (`options.standalonePrompt`) and return the
+   * provider's final answer as text. Nothing is normalized and the provider's
+   * review report is left alone (used by the judge pass). A provider that
+   * writes its answer to a file writes it to `options.rawOutputFile`.
+   */
+  async capture(provider, options = {}) {
+    const cmd = await this.buildCommand(provider, options);
+    const startedAt = Date.now();
+    let exitCode = null;
+
+    try {
+      if (cmd.rawOutputFile) {
+        await fs.mkdir(path.dirname(cmd.rawOutputFile), { recursive: true });
+      }
+      const args = cmd.rawOutputFile
+        ? cmd.args
+        : cmd.args.map(arg => arg === 'STDIN_CONTENT' ? '-' : arg);
+      const { code, stdout, stderr, timedOut } = await this.spawnProvider(cmd, args, {
+        stdio: [cmd.rawOutputFile ? 'ignore' : 'pipe', 'pipe', 'pipe']
+      });
+      exitCode = code;
+
+      if (timedOut) {
+        throw new Error(`${provider} timed out after ${cmd.timeout} seconds`);
+      }
+      const output = cmd.rawOutputFile
+        ? await fs.readFile(cmd.rawOutputFile, 'utf8').catch(() => stdout)
+        : cmd.outputFormat === 'stream-json' ? streamResult(stdout) : stdout;
+      if (!output.trim()) {
+        throw new Error(`${provider} produced no output (exit code ${code}): ${stderr.trim().slice(0, 200)}`);
+      }
+
+      this.emit('done', { provider, exitCode, durationMs: Date.now() - startedAt });
+      return output;
+    } catch (error) {
+      this.emit('done', { provider, exitCode, durationMs: Date.now() - startedAt, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Spawn a provider process once the scheduler admits it (see scheduler.js)
+   *
+   * A failed invocation whose error output reports a rate limit is queued
+   * again until the provider's limit resets, up to scheduler.max_requeues
+   * times. Only stderr and a JSON provider's error result are checked, never
+   * the review text, and a run killed by the timeout is not a rate limit.
+   */
+  async spawnProvider(cmd, args, options) {
+    if (!this.scheduler) {
+      return this.spawnProcess(cmd, args, options);
+    }
+
+    const provider = cmd.provider || cmd.command;
+    for (let requeues = 0; ; requeues++) {
+      const lease = await this.scheduler.acquire(provider, {
+        onWait: (wait) => this.emit('queued', wait)
+      });
+      let result;
+      try {
+        result = await this.spawnProcess(cmd, args, options);
+      } catch (error) {
+        await this.scheduler.release(lease);
+        throw error;
+      }
+
+      const limit = await this.scheduler.release(lease, {
+        output: result.code === 0 || result.timedOut ? '' : failureOutput(cmd, result),
+        tokens: parseUsage(result.stdout).tokens_total
+      });
+      if (!limit || requeues >= this.scheduler.maxRequeues) {
+        return result;
+      }
+      if (this.verbose) {
+        console.error(`${provider} hit a rate limit, queuing it again: ${limit.reason}`);
+      }
+    }
+  }
+
+  /**
+   * Spawn a provider process, streaming its output as events
+   *
+   * Emits `start`, `stdout-chunk`, `stderr-chunk` and `heartbeat` while the
+   * process runs. Resolves once it exits with everything it printed; rejects
+   * if it could not be spawned.
+   */
+  spawnProcess(cmd, args, { stdio }) {
     return new Promise((resolve, reject) => {
-      // Prepare arguments, replacing STDIN_CONTENT placeholder
-      const args = cmd.args.map(arg => 
-        arg === 'STDIN_CONTENT' ? '-' : arg
-      ).filter(arg => arg !== 'STDIN_CONTENT');
+      const provider = cmd.provider || cmd.command;
 
-      // Spawn the process with large buffer for output (10MB)
       // Sanitize environment variables (defense-in-depth)
       // Shell scripts also do this, but we add an extra layer here
       const sanitizedEnv = { ...(cmd.env || {}) };
-      const sensitiveKeys = [
-        'GH_TOKEN', 
-        'GITHUB_TOKEN', 
-        'ANTHROPIC_API_KEY', 
-        'OPENAI_API_KEY', 
-        'GEMINI_API_KEY',
-        'ANTHROPIC_AUTH_TOKEN'
-      ];
-      
-      for (const key of sensitiveKeys) {
+      for (const key of SENSITIVE_ENV_KEYS) {
         delete sanitizedEnv[key];
       }
-      
+
       const proc = spawn(cmd.command, args, {
         cwd: cmd.workingDirectory,
         env: sanitizedEnv,
-        stdio: ['pipe', 'pipe', 'pipe'],
-        maxBuffer: 10 * 1024 * 1024 // Note: maxBuffer is ignored by spawn (only used by exec)
+        stdio
       });
 
+      const startedAt = Date.now();
+      let lastOutputAt = startedAt;
       let stdout = '';
       let stderr = '';
+      let streamBuffer = '';
       let timedOut = false;
 
+      this.emit('start', { provider, command: cmd.command, pid: proc.pid, timeout: cmd.timeout || null });
+
       // Set up timeout if specified
       let timeoutHandle;
       if (cmd.timeout) {
@@ -116,159 +520,69 @@ export default class ProviderExecutor {
         }, cmd.timeout * 1000);
       }
 
-      // Provide stdin if specified, or close it
-      if (cmd.stdin) {
-        proc.stdin.write(cmd.stdin);
-        proc.stdin.end();
-      } else {
-        // Close stdin if no content to prevent hanging
-        proc.stdin.end();
+      // Report progress even when the provider is silent for minutes
+      let heartbeatHandle;
+      if (this.heartbeatInterval > 0) {
+        heartbeatHandle = setInterval(() => {
+          const now = Date.now();
+          this.emit('heartbeat', {
+            provider,
+            elapsedMs: now - startedAt,
+            idleMs: now - lastOutputAt,
+            stdoutBytes: Buffer.byteLength(stdout),
+            stderrBytes: Buffer.byteLength(stderr)
+          });
+        }, this.heartbeatInterval);
       }
 
-      // Collect stdout
-      proc.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      // Collect stderr
-      proc.stderr.on('data', (data) => {
-        stderr += data.toString();
-        if (this.verbose) {
-          console.error(`[${cmd.command}]`, data.toString().trim());
-        }
-      });
-
-      // Handle process exit
-      proc.on('exit', async (code, signal) => {
+      const cleanup = () => {
         if (timeoutHandle) {
           clearTimeout(timeoutHandle);
         }
-
-        if (timedOut) {
-          reject(new Error(`Command timed out after ${cmd.timeout} seconds`));
-          return;
+        if (heartbeatHandle) {
+          clearInterval(heartbeatHandle);
         }
+      };
 
-        try {
-          // Always save raw output (stdout and stderr) for debugging
-          const combinedOutput = stdout || stderr || 'No output received';
-          await this.saveRawOutput(cmd, combinedOutput);
-          
-          // Process the output
-          if (code === 0 || stdout.trim()) {
-            // Process and normalize the output
-            await this.processOutput(cmd, stdout);
-          } else {
-            // Write error fallback
-            await this.writeErrorOutput(cmd, stderr || 'Command failed');
-          }
-
-          resolve({
-            exitCode: code || 0,
-            stdout,
-            stderr,
-            signal
-          });
-        } catch (error) {
-          reject(error);
+      // Provide stdin if specified, or close it to prevent hanging
+      if (proc.stdin) {
+        if (cmd.stdin) {
+          proc.stdin.write(cmd.stdin);
         }
-      });
-
-      // Handle process errors
-      proc.on('error', (error) => {
-        if (timeoutHandle) {
-          clearTimeout(timeoutHandle);
-        }
-        reject(error);
-      });
-    });
-  }
-
-  /**
-   * Execute Codex with special handling
-   */
-  async executeCodex(cmd) {
-    // Codex needs the prompt as an argument, not stdin
-    return new Promise((resolve, reject) => {
-      // Apply same environment sanitization
-      const sanitizedEnv = { ...cmd.env };
-      const sensitiveKeys = [
-        'GH_TOKEN', 
-        'GITHUB_TOKEN', 
-        'ANTHROPIC_API_KEY', 
-        'OPENAI_API_KEY', 
-        'GEMINI_API_KEY',
-        'ANTHROPIC_AUTH_TOKEN'
-      ];
-      
-      for (const key of sensitiveKeys) {
-        delete sanitizedEnv[key];
-      }
-      
-      const proc = spawn(cmd.command, cmd.args, {
-        cwd: cmd.workingDirectory,
-        env: sanitizedEnv,
-        stdio: ['ignore', 'pipe', 'pipe'],
-        maxBuffer: 10 * 1024 * 1024 // 10MB to handle large review outputs
-      });
-
-      let stdout = '';
-      let stderr = '';
-      let timedOut = false;
-
-      // Set up timeout
-      let timeoutHandle;
-      if (cmd.timeout) {
-        timeoutHandle = setTimeout(() => {
-          timedOut = true;
-          proc.kill('SIGTERM');
-        }, cmd.timeout * 1000);
+        proc.stdin.end();
       }
 
-      // Collect output
       proc.stdout.on('data', (data) => {
-        stdout += data.toString();
+        const chunk = data.toString();
+        stdout += chunk;
+        lastOutputAt = Date.now();
+
+        const event = { provider, chunk };
+        if (cmd.outputFormat === 'stream-json') {
+          const parsed = parseStreamLines(streamBuffer + chunk);
+          streamBuffer = parsed.rest;
+          event.events = parsed.events;
+        }
+        this.emit('stdout-chunk', event);
       });
 
       proc.stderr.on('data', (data) => {
-        stderr += data.toString();
+        const chunk = data.toString();
+        stderr += chunk;
+        lastOutputAt = Date.now();
+        this.emit('stderr-chunk', { provider, chunk });
         if (this.verbose) {
-          console.error(`[codex]`, data.toString().trim());
+          console.error(`[${provider}]`, chunk.trim());
         }
       });
 
-      // Handle exit
-      proc.on('exit', async (code, signal) => {
-        if (timeoutHandle) {
-          clearTimeout(timeoutHandle);
-        }
-
-        if (timedOut) {
-          reject(new Error(`Codex timed out after ${cmd.timeout} seconds`));
-          return;
-        }
-
-        try {
-          // Codex writes to a file, need to read and normalize it
-          if (cmd.rawOutputFile) {
-            await this.processCodexOutput(cmd);
-          }
-
-          resolve({
-            exitCode: code || 0,
-            stdout,
-            stderr,
-            signal
-          });
-        } catch (error) {
-          reject(error);
-        }
+      proc.on('exit', (code, signal) => {
+        cleanup();
+        resolve({ code, signal, stdout, stderr, timedOut });
       });
 
       proc.on('error', (error) => {
-        if (timeoutHandle) {
-          clearTimeout(timeoutHandle);
-        }
+        cleanup();
         reject(error);
       });
     });
@@ -318,7 +632,7 @@ export default class ProviderExecutor {
         rawFileName = `${toolName}.raw.txt`;
     }
     
-    const rawDir = path.join(this.workspaceDir, 'reports', 'raw');
+    const rawDir = cmd.rawDir || path.join(this.workspaceDir, 'reports', 'raw');
     const rawPath = path.join(rawDir, rawFileName);
     
     try {
@@ -336,12 +650,24 @@ export default class ProviderExecutor {
     }
   }
 
+  /**
+   * Normalize raw provider output with the provider's adapter, falling back
+   * to normalize-json.js for adapters without parseOutput
+   */
+  async normalizeOutput(cmd, output) {
+    if (typeof cmd.parseOutput === 'function') {
+      const report = await cmd.parseOutput(output, cmd);
+      return typeof report === 'string' ? report : JSON.stringify(report, null, 2);
+    }
+    return this.normalizeJson(output, cmd);
+  }
+
   /**
    * Process and normalize provider output
    */
   async processOutput(cmd, output) {
     // Normalize the JSON output
-    const normalized = await this.normalizeJson(output);
+    const normalized = await this.normalizeOutput(cmd, output);
     
     // Write to output file
     const validatedPath = this.validateOutputPath(cmd.outputFile);
@@ -354,21 +680,21 @@ export default class ProviderExecutor {
   }
 
   /**
-   * Process Codex output from file
+   * Process provider output written to cmd.rawOutputFile
    */
-  async processCodexOutput(cmd) {
+  async processFileOutput(cmd) {
     try {
       // Read the raw output file
       const rawOutput = await fs.readFile(cmd.rawOutputFile, 'utf8');
       
       // Copy raw file to the raw directory for consistency
-      const rawDir = path.join(this.workspaceDir, 'reports', 'raw');
-      const rawPath = path.join(rawDir, 'codex-cli.raw.txt');
+      const rawDir = cmd.rawDir || path.join(this.workspaceDir, 'reports', 'raw');
+      const rawPath = path.join(rawDir, path.basename(cmd.rawOutputFile));
       await fs.mkdir(rawDir, { recursive: true });
       await fs.copyFile(cmd.rawOutputFile, rawPath);
       
       // Normalize it
-      const normalized = await this.normalizeJson(rawOutput);
+      const normalized = await this.normalizeOutput(cmd, rawOutput);
       
       // Write to final location
       const validatedPath = this.validateOutputPath(cmd.outputFile);
@@ -378,7 +704,7 @@ export default class ProviderExecutor {
       // await fs.unlink(cmd.rawOutputFile).catch(() => {});
       
       if (this.verbose) {
-        console.error(`Codex output processed and written to ${cmd.outputFile}`);
+        console.error(`${cmd.provider || cmd.command} output processed and written to ${cmd.outputFile}`);
         console.error(`Raw output preserved at ${rawPath}`);
       }
     } catch (error) {
@@ -389,7 +715,7 @@ export default class ProviderExecutor {
   /**
    * Normalize JSON output from providers
    */
-  async normalizeJson(input) {
+  async normalizeJson(input, cmd = {}) {
     // Use the actual normalize-json.js script that handles all edge cases
     const normalizePath = path.join(this.packageDir, 'scripts', 'normalize-json.js');
     
@@ -399,8 +725,8 @@ export default class ProviderExecutor {
         env: {
           ...process.env,
           // Pass environment for normalize-json.js to use
-          TOOL: process.env.TOOL || 'unknown',
-          MODEL: process.env.MODEL || 'unknown',
+          TOOL: cmd.env?.TOOL || process.env.TOOL || 'unknown',
+          MODEL: cmd.env?.MODEL || process.env.MODEL || 'unknown',
           PR_NUMBER: process.env.PR_NUMBER || '',
           PR_REPO: process.env.PR_REPO || '',
           HEAD_SHA: process.env.HEAD_SHA || '',
@@ -438,8 +764,8 @@ export default class ProviderExecutor {
           }
           
           const errorJson = {
-            tool: process.env.TOOL || 'unknown',
-            model: process.env.MODEL || 'unknown',
+            tool: cmd.env?.TOOL || process.env.TOOL || 'unknown',
+            model: cmd.env?.MODEL || process.env.MODEL || 'unknown',
             timestamp: new Date().toISOString(),
             error: `Failed to normalize output: ${stderr || 'Unknown error'}`,
             raw_output: input.substring(0, 1000),
@@ -462,8 +788,8 @@ export default class ProviderExecutor {
         
         // Can't spawn normalizer - return error JSON
         const errorJson = {
-          tool: process.env.TOOL || 'unknown',
-          model: process.env.MODEL || 'unknown',
+          tool: cmd.env?.TOOL || process.env.TOOL || 'unknown',
+          model: cmd.env?.MODEL || process.env.MODEL || 'unknown',
           timestamp: new Date().toISOString(),
           error: `Failed to run normalizer: ${error.message}`,
           raw_output: input.substring(0, 1000),
@@ -504,9 +830,10 @@ export default class ProviderExecutor {
 // Allow direct execution
 if (import.meta.url === `file://${process.argv[1]}`) {
   const provider = process.argv[2];
+  const registry = await new ProviderRegistry().load();
   
-  if (!provider || !['claude', 'codex', 'gemini'].includes(provider)) {
-    console.error('Usage: execute-provider.js <claude|codex|gemini> [options]');
+  if (!provider || !registry.has(provider)) {
+    console.error(`Usage: execute-provider.js <${registry.list().join('|')}> [options]`);
     console.error('Options:');
     console.error('  --verbose    Show detailed execution info');
     console.error('  --dry-run    Show what would be executed without running');
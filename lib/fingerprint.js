@@ -0,0 +1,109 @@
+/**
+ * Fingerprint - Stable identity of a finding across runs
+ *
+ * A fingerprint is a hash of a reported finding's file, category and the code
+ * at its cited lines (read at the head SHA like citations.js); the normalized
+ * message stands in for the code only when the code cannot be read. Line
+ * numbers are not part of it, so a finding keeps its fingerprint when code
+ * above it moves; it changes when the cited code itself changes.
+ *
+ * A merged finding (consensus.js) is fingerprinted per source: its
+ * `fingerprints` are those of every provider's report of it, and
+ * `fingerprint` is the first of them. The merged message and union line
+ * range depend on which providers agreed, so they are not hashed; a
+ * suppression matches when any source fingerprint is in the baseline.
+ */
+
+import { createHash } from 'node:crypto';
+import { normalizeFile, parseLineRange } from './consensus.js';
+import CitationValidator from './citations.js';
+
+// Cited lines hashed at most; longer ranges are cut
+const MAX_HASHED_LINES = 50;
+
+/**
+ * Message reduced to lowercase words (numbers, punctuation and spacing removed)
+ */
+export function normalizeMessage(message) {
+  return String(message || '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+}
+
+/**
+ * Hash of the cited lines with indentation and spacing normalized; '' when
+ * the code is not available
+ *
+ * @param {string[]|null} fileLines - Lines of the cited file
+ * @param {string} lines - The finding's `lines`
+ */
+export function codeHash(fileLines, lines) {
+  const range = parseLineRange(lines);
+  if (!fileLines || !range || range.start > fileLines.length) {
+    return '';
+  }
+  const end = Math.min(range.end, fileLines.length, range.start + MAX_HASHED_LINES - 1);
+  const code = fileLines.slice(range.start - 1, end).map(line => line.trim().replace(/\s+/g, ' ')).join('\n');
+  return createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * Fingerprint of a finding as one provider reported it
+ *
+ * @param {Object} finding
+ * @param {string[]|null} [fileLines] - Lines of the cited file at the head SHA
+ * @returns {string} 16 hex characters
+ */
+export function fingerprint(finding, fileLines = null) {
+  const anchor = codeHash(fileLines, finding.lines) || `message:${normalizeMessage(finding.message)}`;
+  const source = [normalizeFile(finding.file), finding.category || '', anchor].join('\n');
+  return createHash('sha256').update(source).digest('hex').slice(0, 16);
+}
+
+/**
+ * Sorted fingerprints of each provider's report of a (merged) finding
+ *
+ * @param {Object} finding - Finding, with the `sources` of a merged one
+ * @param {string[]|null} [fileLines]
+ * @returns {string[]}
+ */
+export function sourceFingerprints(finding, fileLines = null) {
+  const sources = Array.isArray(finding.sources) && finding.sources.length > 0 ? finding.sources : [finding];
+  return [...new Set(sources.map(source => fingerprint({
+    file: finding.file,
+    category: source.category ?? finding.category,
+    lines: source.lines ?? finding.lines,
+    message: source.message ?? finding.message
+  }, fileLines)))].sort();
+}
+
+export default class Fingerprinter {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    // Reads cited files at the head SHA (or from the working tree)
+    this.source = options.source || new CitationValidator({ projectDir: this.projectDir });
+    this.verbose = options.verbose || false;
+    this.loaded = false;
+  }
+
+  /**
+   * Copies of the findings with their `fingerprints` and `fingerprint`
+   *
+   * @param {Object[]} findings
+   * @returns {Promise<Object[]>}
+   */
+  async apply(findings) {
+    if (!this.loaded) {
+      await this.source.loadContext();
+      this.loaded = true;
+    }
+    const result = [];
+    for (const finding of findings) {
+      const file = normalizeFile(finding.file);
+      const fileLines = file ? await this.source.readLines(file) : null;
+      const fingerprints = sourceFingerprints(finding, fileLines);
+      result.push({ ...finding, fingerprint: fingerprints[0], fingerprints });
+    }
+    return result;
+  }
+}
+
+export { Fingerprinter };
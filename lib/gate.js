@@ -0,0 +1,197 @@
+/**
+ * Gate Evaluator - Applies the `gating` configuration to aggregated results
+ *
+ * Every rule is evaluated (no short-circuit) so gate.json can explain all
+ * reasons a change is blocked:
+ * - reports:            every expected provider produced a usable report
+ * - must_fix:           merged must-fix findings stay below must_fix_threshold
+ * - severity:           findings per severity stay within severity_thresholds
+ * - tests:              tests passed (when block_on_test_failure is set)
+ * - readiness:          providers consider the change ready for PR (all of
+ *                       them with require_unanimous_pass, else a majority)
+ */
+
+import ConfigLoader from './config-loader.js';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Used when the configuration could not be loaded
+const DEFAULT_GATING = {
+  enabled: true,
+  must_fix_threshold: 1,
+  block_on_test_failure: true,
+  require_unanimous_pass: false,
+  min_agreement: 1,
+  severity_thresholds: { critical: 0, high: 0, medium: 5, low: 10 }
+};
+
+/**
+ * @typedef {Object} GateRule
+ * @property {string} rule - reports, must_fix, severity, tests or readiness
+ * @property {boolean} passed
+ * @property {string} reason - Human-readable explanation
+ * @property {Object} [details]
+ * @property {boolean} [carried_forward] - Outcome of the last review (unchanged head)
+ */
+
+/**
+ * @typedef {Object} GateResult
+ * @property {'pass'|'fail'} gate
+ * @property {boolean} enabled - False when gating.enabled is off (gate always passes)
+ * @property {GateRule[]} rules
+ * @property {Object} gating - Effective gating configuration
+ * @property {string} timestamp
+ */
+
+export default class GateEvaluator {
+  constructor(options = {}) {
+    this.configLoader = options.configLoader || new ConfigLoader();
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Resolved gating configuration, with defaults for anything unset
+   */
+  async getGatingConfig() {
+    let gating = {};
+    try {
+      if (!this.configLoader.config?.gating) {
+        await this.configLoader.load();
+      }
+      gating = this.configLoader.config.gating || {};
+    } catch (error) {
+      if (this.verbose) {
+        console.error(`Could not load gating configuration, using defaults: ${error.message}`);
+      }
+    }
+    return {
+      ...DEFAULT_GATING,
+      ...gating,
+      severity_thresholds: { ...DEFAULT_GATING.severity_thresholds, ...(gating.severity_thresholds || {}) }
+    };
+  }
+
+  /**
+   * Evaluate the gate
+   *
+   * @param {Object} input
+   * @param {string[]} input.tools - Tools expected to report
+   * @param {Object[]} input.reports - Usable reports
+   * @param {Object<string, string>} input.reportStatus - Per-tool report status
+   * @param {Object[]} input.findings - Merged findings (consensus.js)
+   * @param {Object[]} input.mustFix - Merged must-fix findings with enough agreement
+   * @param {Object[]} [input.unconfirmed] - Must-fix candidates without enough agreement
+   * @param {Object|null} [input.tests] - Test metadata (command, exit_code)
+   * @param {GateRule[]|null} [input.previousRules] - Rules of the last review, for
+   *   an unchanged head whose providers and tests did not run again
+   * @returns {Promise<GateResult>}
+   */
+  async evaluate({ tools, reports, reportStatus, findings, mustFix, unconfirmed = [], tests = null, previousRules = null }) {
+    const gating = await this.getGatingConfig();
+    // Reports, tests and readiness keep the outcome of the last review
+    const previous = (name) => {
+      const rule = previousRules?.find(r => r.rule === name);
+      return rule && { ...rule, reason: rule.carried_forward ? rule.reason : `${rule.reason} (last review)`, carried_forward: true };
+    };
+
+    const rules = [
+      previous('reports') || this.checkReports(tools, reports, reportStatus),
+      this.checkMustFix(mustFix, gating),
+      this.checkSeverity(findings, unconfirmed, gating),
+      previous('tests') || this.checkTests(tests, gating),
+      previous('readiness') || this.checkReadiness(reports, gating)
+    ];
+
+    const enabled = gating.enabled !== false;
+    const gate = !enabled || rules.every(r => r.passed) ? 'pass' : 'fail';
+
+    if (this.verbose) {
+      for (const r of rules) {
+        console.error(`Gate rule ${r.rule}: ${r.passed ? 'pass' : 'fail'} - ${r.reason}`);
+      }
+    }
+
+    return { gate, enabled, rules, gating, timestamp: new Date().toISOString() };
+  }
+
+  checkReports(tools, reports, reportStatus) {
+    const missing = tools.filter(tool => !['parsed', 'parsed-with-warnings'].includes(reportStatus[tool]));
+    if (reports.length === 0 || tools.length === 0) {
+      return { rule: 'reports', passed: false, reason: 'No provider reports were produced', details: { missing } };
+    }
+    return {
+      rule: 'reports',
+      passed: missing.length === 0,
+      reason: missing.length === 0
+        ? `All ${tools.length} provider reports are usable`
+        : `Missing or unparseable reports: ${missing.join(', ')}`,
+      details: { missing }
+    };
+  }
+
+  checkMustFix(mustFix, gating) {
+    const threshold = gating.must_fix_threshold;
+    const count = mustFix.length;
+    // A threshold of 0 disables the rule
+    const passed = threshold === 0 || count < threshold;
+    return {
+      rule: 'must_fix',
+      passed,
+      reason: threshold === 0
+        ? `${count} must-fix findings (rule disabled)`
+        : `${count} must-fix findings (fails at ${threshold})`,
+      details: { count, threshold }
+    };
+  }
+
+  checkSeverity(findings, unconfirmed, gating) {
+    // Unconfirmed findings (below gating.min_agreement) don't count
+    const held = new Set(unconfirmed);
+    const counted = findings.filter(f => !held.has(f));
+
+    const counts = Object.fromEntries(SEVERITIES.map(s => [s, counted.filter(f => f.severity === s).length]));
+    const exceeded = SEVERITIES.filter(s => counts[s] > gating.severity_thresholds[s]);
+
+    return {
+      rule: 'severity',
+      passed: exceeded.length === 0,
+      reason: exceeded.length === 0
+        ? 'All severities within thresholds'
+        : exceeded.map(s => `${counts[s]} ${s} (max ${gating.severity_thresholds[s]})`).join(', '),
+      details: { counts, thresholds: gating.severity_thresholds }
+    };
+  }
+
+  checkTests(tests, gating) {
+    if (!gating.block_on_test_failure) {
+      return { rule: 'tests', passed: true, reason: 'Test failures do not block (block_on_test_failure is off)' };
+    }
+    if (!tests || tests.exit_code === null || tests.exit_code === undefined) {
+      return { rule: 'tests', passed: true, reason: 'No tests were run' };
+    }
+    return {
+      rule: 'tests',
+      passed: tests.exit_code === 0,
+      reason: tests.exit_code === 0 ? 'Tests passed' : `Tests failed with exit code ${tests.exit_code}`,
+      details: { command: tests.command, exit_code: tests.exit_code }
+    };
+  }
+
+  checkReadiness(reports, gating) {
+    const ready = reports.filter(r => r.exit_criteria?.ready_for_pr === true).map(r => r.tool);
+    const notReady = reports.filter(r => r.exit_criteria?.ready_for_pr !== true).map(r => r.tool);
+    const unanimous = gating.require_unanimous_pass === true;
+    const passed = reports.length > 0 && (unanimous
+      ? notReady.length === 0
+      : ready.length > reports.length / 2);
+
+    return {
+      rule: 'readiness',
+      passed,
+      reason: `${ready.length}/${reports.length} providers ready for PR (${unanimous ? 'all' : 'a majority'} required)`,
+      details: { ready, not_ready: notReady, require_unanimous_pass: unanimous }
+    };
+  }
+}
+
+export { GateEvaluator };
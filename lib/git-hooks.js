@@ -0,0 +1,193 @@
+/**
+ * Git Hooks - Local pre-push / pre-commit reviews
+ *
+ * `review-pipeline install-hook` writes hook scripts that run
+ * `review-pipeline hook <name>`: a cut-down review with the `hooks` profile
+ * (one provider, a cheap model, a short timeout, no tests or judge) of only
+ * what is being pushed (pre-push) or committed (pre-commit). The push or
+ * commit is blocked only by findings of the blocking severities (critical by
+ * default); a review that fails to run lets it through.
+ *
+ * REVIEW_SKIP_HOOKS=1 (or git's --no-verify) bypasses the hooks. A hook file
+ * that was not written by install-hook is only replaced with `force`, and is
+ * kept as <hook>.backup and restored by uninstall-hook.
+ */
+
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+export const HOOK_NAMES = ['pre-push', 'pre-commit'];
+
+// Identifies hook files written by install-hook
+export const HOOK_MARKER = '# Installed by review-pipeline install-hook';
+
+export const BYPASS_ENV = 'REVIEW_SKIP_HOOKS';
+
+const ZERO_SHA = /^0+$/;
+
+// Cheap model of a provider, used when hooks.model is null
+const HOOK_MODELS = { claude: 'haiku' };
+
+/**
+ * @typedef {Object} PushedRef
+ * @property {string} localRef
+ * @property {string} localSha
+ * @property {string} remoteRef
+ * @property {string} remoteSha
+ */
+
+/**
+ * @typedef {Object} HookChange
+ * @property {string} hook - Hook name
+ * @property {string} path - Hook file
+ * @property {'installed'|'updated'|'removed'|'restored'|'absent'} status
+ */
+
+/**
+ * Shell script for a hook that runs `review-pipeline hook <name>`
+ *
+ * @param {string} name - Hook name
+ * @param {string} binPath - Absolute path of bin/review-pipeline
+ */
+export function hookScript(name, binPath) {
+  return [
+    '#!/bin/sh',
+    HOOK_MARKER,
+    `# Skip it with ${BYPASS_ENV}=1 or --no-verify; remove it with review-pipeline uninstall-hook`,
+    `[ "$${BYPASS_ENV}" = "1" ] && exit 0`,
+    `exec node '${binPath.replace(/'/g, `'\\''`)}' hook ${name} "$@"`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Refs git passes to pre-push on stdin
+ * ("<local ref> <local sha> <remote ref> <remote sha>" per line)
+ *
+ * @returns {PushedRef[]}
+ */
+export function parsePushedRefs(input) {
+  return String(input || '').split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(fields => fields.length === 4)
+    .map(([localRef, localSha, remoteRef, remoteSha]) => ({ localRef, localSha, remoteRef, remoteSha }));
+}
+
+/**
+ * The outgoing commits of a push as base...head review targets, one per
+ * pushed ref (refs pushing the same commits share one); empty when the push
+ * only deletes refs
+ *
+ * A new remote branch is compared with the default branch.
+ *
+ * @param {PushedRef[]} refs
+ * @param {string} defaultBase - e.g. origin/main
+ */
+export function outgoingTargets(refs, defaultBase) {
+  const targets = new Map();
+  for (const ref of refs.filter(ref => !ZERO_SHA.test(ref.localSha))) {
+    const base = ZERO_SHA.test(ref.remoteSha) ? defaultBase : ref.remoteSha;
+    targets.set(`${base}...${ref.localSha}`, { type: 'base', base, head: ref.localSha });
+  }
+  return [...targets.values()];
+}
+
+/**
+ * Model of the hook review: hooks.model, else the provider's cheap model,
+ * else undefined (the provider's configured model)
+ */
+export function hookModel(provider, model) {
+  return model ?? HOOK_MODELS[provider];
+}
+
+/**
+ * Findings that block the push or commit
+ *
+ * @param {Object[]} findings - Merged findings
+ * @param {string[]} severities - hooks.block_on
+ */
+export function blockingFindings(findings, severities = ['critical']) {
+  return findings.filter(finding => severities.includes(finding.severity));
+}
+
+export default class GitHooks {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.binPath = options.binPath;
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Hooks directory of the repository (honours core.hooksPath)
+   */
+  async hooksDir() {
+    try {
+      const { stdout } = await execFileAsync('git', ['rev-parse', '--git-path', 'hooks'], { cwd: this.projectDir });
+      return path.resolve(this.projectDir, stdout.trim());
+    } catch {
+      throw new Error(`${this.projectDir} is not a git repository`);
+    }
+  }
+
+  /**
+   * Write the hook scripts
+   *
+   * @param {string[]} names - Hooks to install
+   * @param {{force?: boolean}} [options] - Replace hooks not written by install-hook
+   * @returns {Promise<HookChange[]>}
+   */
+  async install(names, { force = false } = {}) {
+    const dir = await this.hooksDir();
+    const stat = await fs.stat(dir).catch(() => null);
+    if (stat && !stat.isDirectory()) {
+      throw new Error(`Git hooks are disabled here (core.hooksPath is ${dir})`);
+    }
+    await fs.mkdir(dir, { recursive: true });
+    const changes = [];
+
+    for (const hook of names) {
+      const file = path.join(dir, hook);
+      const existing = await fs.readFile(file, 'utf8').catch(() => null);
+      if (existing !== null && !existing.includes(HOOK_MARKER)) {
+        if (!force) {
+          throw new Error(`${file} already exists; use --force to replace it (it is kept as ${hook}.backup)`);
+        }
+        await fs.rename(file, `${file}.backup`);
+      }
+      await fs.writeFile(file, hookScript(hook, this.binPath), { mode: 0o755 });
+      await fs.chmod(file, 0o755);
+      changes.push({ hook, path: file, status: existing !== null && existing.includes(HOOK_MARKER) ? 'updated' : 'installed' });
+    }
+    return changes;
+  }
+
+  /**
+   * Remove the hook scripts written by install-hook, restoring backups
+   *
+   * @param {string[]} [names]
+   * @returns {Promise<HookChange[]>}
+   */
+  async uninstall(names = HOOK_NAMES) {
+    const dir = await this.hooksDir();
+    const changes = [];
+
+    for (const hook of names) {
+      const file = path.join(dir, hook);
+      const existing = await fs.readFile(file, 'utf8').catch(() => null);
+      if (existing === null || !existing.includes(HOOK_MARKER)) {
+        changes.push({ hook, path: file, status: 'absent' });
+        continue;
+      }
+      await fs.rm(file);
+      const restored = await fs.rename(`${file}.backup`, file).then(() => true, () => false);
+      changes.push({ hook, path: file, status: restored ? 'restored' : 'removed' });
+    }
+    return changes;
+  }
+}
+
+export { GitHooks };
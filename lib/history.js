@@ -0,0 +1,230 @@
+/**
+ * History - Local store of completed review runs
+ *
+ * The workspace only holds the latest run, so every completed run is also
+ * appended as one JSON line to <history.dir>/runs.jsonl (default
+ * .review-pipeline/history). A run records the repository, PR, head SHA and
+ * gate, each provider's model and finding counts, and the merged findings,
+ * so the `history` command can list runs, show a past run's findings and
+ * chart finding counts per severity over time. The usage recorded per run
+ * is what the per-day budget counts (see usage.js).
+ */
+
+import { randomUUID } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { sumUsage } from './usage.js';
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const CHART_SYMBOLS = { critical: '█', high: '▓', medium: '▒', low: '░' };
+
+/**
+ * @typedef {Object} HistoryProvider
+ * @property {string} provider - Provider id
+ * @property {string} tool - Tool name of its report
+ * @property {string|null} model
+ * @property {string} status - completed, failed or skipped
+ * @property {number} duration_ms
+ * @property {Object<string, number>} counts - Findings per severity in its report
+ * @property {import('./usage.js').ProviderUsage|null} usage
+ */
+
+/**
+ * @typedef {Object} HistoryRun
+ * @property {string} id - Short unique id
+ * @property {string} recorded_at - ISO timestamp
+ * @property {string} repo
+ * @property {number} pr - PR number (0 for local runs)
+ * @property {string} branch
+ * @property {string} head_sha
+ * @property {'pass'|'fail'} gate
+ * @property {boolean} success
+ * @property {HistoryProvider[]} providers
+ * @property {Object<string, number>} counts - Merged findings per severity, plus must_fix
+ * @property {import('./usage.js').InvocationUsage} usage - Tokens and cost of all providers
+ * @property {Object[]} findings - Merged findings (see consensus.js)
+ * @property {string[]} errors - Pipeline errors of the run
+ */
+
+/**
+ * Findings per severity (unknown severities are not counted)
+ */
+export function severityCounts(findings = []) {
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  for (const finding of findings) {
+    if (finding.severity in counts) {
+      counts[finding.severity]++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Whether a run matches the list filters
+ *
+ * @param {HistoryRun} run
+ * @param {{repo?: string, pr?: number|string, head?: string, provider?: string, model?: string}} [filter]
+ */
+export function matchesRun(run, filter = {}) {
+  if (filter.repo && run.repo !== filter.repo) return false;
+  if (filter.pr !== undefined && filter.pr !== null && run.pr !== parseInt(filter.pr, 10)) return false;
+  if (filter.head && !run.head_sha.startsWith(filter.head)) return false;
+  if (filter.provider && !run.providers.some(p => p.provider === filter.provider || p.tool === filter.provider)) return false;
+  if (filter.model && !run.providers.some(p => p.model === filter.model)) return false;
+  return true;
+}
+
+/**
+ * Severity counts of a run, or of one provider's report in it
+ */
+export function runCounts(run, provider) {
+  if (!provider) {
+    return run.counts;
+  }
+  const entry = run.providers.find(p => p.provider === provider || p.tool === provider);
+  return entry?.counts || severityCounts();
+}
+
+/**
+ * Text chart of finding counts per severity, one stacked bar per run
+ *
+ * @param {HistoryRun[]} runs - Oldest first
+ * @param {{provider?: string, width?: number}} [options]
+ */
+export function renderChart(runs, { provider, width = 40 } = {}) {
+  if (runs.length === 0) {
+    return 'No runs recorded';
+  }
+  const totals = runs.map(run => SEVERITIES.reduce((sum, severity) => sum + runCounts(run, provider)[severity], 0));
+  const scale = Math.max(...totals) > width ? width / Math.max(...totals) : 1;
+
+  const lines = runs.map((run, index) => {
+    const counts = runCounts(run, provider);
+    const bar = SEVERITIES.map(severity => CHART_SYMBOLS[severity].repeat(Math.round(counts[severity] * scale))).join('');
+    const label = `${run.recorded_at.slice(0, 10)} ${run.head_sha.slice(0, 7).padEnd(7)} ${run.pr ? `#${run.pr}` : 'local'}`;
+    const numbers = SEVERITIES.map(severity => `${severity[0].toUpperCase()}${counts[severity]}`).join(' ');
+    return `${run.id}  ${label.padEnd(26)} ${numbers.padEnd(19)} ${bar || '·'} (${totals[index]})`;
+  });
+  const legend = SEVERITIES.map(severity => `${CHART_SYMBOLS[severity]} ${severity}`).join('  ');
+  return [...lines, '', legend].join('\n');
+}
+
+export default class ReviewHistory {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.historyDir = path.resolve(this.projectDir, options.dir || path.join('.review-pipeline', 'history'));
+    this.runsFile = path.join(this.historyDir, 'runs.jsonl');
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Append a completed run
+   *
+   * @param {Object} run
+   * @param {import('./context-builder.js').ReviewContext} run.context
+   * @param {import('./index.js').ProviderRun[]} run.results
+   * @param {import('./aggregator.js').AggregateResult} run.aggregate
+   * @param {string[]} [run.errors]
+   * @returns {Promise<HistoryRun>}
+   */
+  async record({ context, results, aggregate, errors = [] }) {
+    const pr = context.pr || {};
+    const reports = new Map((aggregate.reports || []).map(report => [report.tool, report]));
+    const entry = {
+      id: randomUUID().slice(0, 8),
+      recorded_at: new Date().toISOString(),
+      repo: pr.repository || '',
+      pr: parseInt(pr.number, 10) || 0,
+      branch: pr.headRefName || '',
+      head_sha: pr.headRefOid || '',
+      gate: aggregate.gate,
+      success: aggregate.gate === 'pass' && errors.length === 0,
+      providers: results.map(run => ({
+        provider: run.provider,
+        tool: run.tool,
+        model: reports.get(run.tool)?.model || null,
+        status: run.status,
+        duration_ms: run.durationMs,
+        counts: severityCounts(reports.get(run.tool)?.findings),
+        usage: run.usage || null
+      })),
+      usage: sumUsage(results.map(run => run.usage)),
+      counts: {
+        ...severityCounts(aggregate.findings),
+        must_fix: (aggregate.mustFix || []).length
+      },
+      findings: (aggregate.findings || []).map(({ category, severity, file, lines, message, suggestion, must_fix, agreed_by }) => ({
+        category, severity, file, lines, message, suggestion, must_fix, agreed_by
+      })),
+      errors
+    };
+
+    await fs.mkdir(this.historyDir, { recursive: true });
+    await fs.appendFile(this.runsFile, `${JSON.stringify(entry)}\n`);
+    if (this.verbose) {
+      console.error(`Recorded run ${entry.id} in ${this.runsFile}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Recorded runs, oldest first; unreadable lines are skipped
+   *
+   * @param {Object} [filter] - See matchesRun
+   * @param {number} [filter.limit] - Keep only the most recent runs
+   * @returns {Promise<HistoryRun[]>}
+   */
+  async list(filter = {}) {
+    let text;
+    try {
+      text = await fs.readFile(this.runsFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const runs = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const run = JSON.parse(line);
+        if (matchesRun(run, filter)) runs.push(run);
+      } catch {
+        if (this.verbose) {
+          console.error(`Skipping unreadable history line: ${line.slice(0, 80)}`);
+        }
+      }
+    }
+    return filter.limit ? runs.slice(-filter.limit) : runs;
+  }
+
+  /**
+   * Tokens and cost of the runs recorded since a time
+   *
+   * @param {Date} since
+   * @returns {Promise<import('./usage.js').InvocationUsage>}
+   */
+  async spentSince(since) {
+    const runs = (await this.list()).filter(run => new Date(run.recorded_at) >= since);
+    return sumUsage(runs.map(run => run.usage));
+  }
+
+  /**
+   * A run by id or unique id prefix
+   *
+   * @returns {Promise<HistoryRun>}
+   */
+  async get(id) {
+    const matches = (await this.list()).filter(run => run.id.startsWith(id));
+    if (matches.length === 0) {
+      throw new Error(`No run ${id} in ${this.runsFile}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Run id ${id} is ambiguous (${matches.map(run => run.id).join(', ')})`);
+    }
+    return matches[0];
+  }
+}
+
+export { ReviewHistory };
@@ -0,0 +1,176 @@
+/**
+ * Incremental - Re-review only the commits pushed since the last review
+ *
+ * After a clean run the head SHA and merged findings are stored in
+ * .review-pipeline/state/last-review.json. When the stored SHA is still an
+ * ancestor of HEAD, the next run diffs against it (lastSha..HEAD) instead of
+ * the default branch. Earlier findings on lines the new commits left alone
+ * are carried forward, moved to their new line numbers; findings whose code
+ * changed are reported as possibly resolved rather than gated on. When HEAD
+ * is still the stored SHA (a re-run of the same head) nothing is reviewed
+ * again: the stored findings are carried forward and the gate rules that
+ * depend on the provider reports keep their stored outcome.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseUnifiedDiff } from './diff.js';
+import { parseLineRange, normalizeFile } from './consensus.js';
+
+/**
+ * @typedef {Object} ReviewState
+ * @property {string} head_sha - Commit the findings were reviewed at
+ * @property {string} reviewed_at - ISO timestamp
+ * @property {Object[]} findings - Merged findings (consensus.js)
+ * @property {Object[]} [gate_rules] - Gate rules the head was gated with (gate.js)
+ */
+
+/**
+ * @typedef {Object} CarryForward
+ * @property {string} since - SHA the incremental diff starts from
+ * @property {Object[]} carried - Findings on untouched lines, with updated `lines`
+ * @property {Object[]} possiblyResolved - Findings whose code the new commits changed
+ * @property {Object[]|null} rules - Stored gate rules, null in older state files
+ * @property {boolean} [unchanged] - No commits since `since`; the providers did not run
+ */
+
+/**
+ * Map old line numbers of a file to new ones across a diff
+ *
+ * @returns {(line: number) => number|null} Null for removed or rewritten lines
+ */
+export function lineMapper(fileDiff) {
+  if (fileDiff.status === 'deleted' || fileDiff.binary) {
+    return () => null;
+  }
+  return (line) => {
+    let delta = 0;
+    for (const hunk of fileDiff.hunks) {
+      // A pure insertion (-N,0) goes after old line N
+      if (hunk.oldCount === 0 ? line <= hunk.oldStart : line < hunk.oldStart) break;
+      if (line < hunk.oldStart + hunk.oldCount) {
+        const context = hunk.lines.find(l => l.type === ' ' && l.oldLine === line);
+        return context ? context.newLine : null;
+      }
+      delta += hunk.newCount - hunk.oldCount;
+    }
+    return line + delta;
+  };
+}
+
+/**
+ * Move a finding across a diff
+ *
+ * @returns {Object|null} The finding at its new location, or null when the
+ *   new commits changed (or inserted code inside) its line range
+ */
+export function moveFinding(finding, files) {
+  const fileDiff = files.get(normalizeFile(finding.file));
+  if (!fileDiff) return finding;
+
+  const range = parseLineRange(finding.lines);
+  if (!range) return null;
+
+  const map = lineMapper(fileDiff);
+  const mapped = [];
+  for (let line = range.start; line <= range.end; line++) {
+    const next = map(line);
+    if (next === null) return null;
+    mapped.push(next);
+  }
+  const start = mapped[0];
+  const end = mapped[mapped.length - 1];
+  if (end - start !== range.end - range.start) return null;
+
+  return {
+    ...finding,
+    file: fileDiff.file,
+    lines: start === end ? String(start) : `${start}-${end}`
+  };
+}
+
+/**
+ * Split earlier findings into carried-forward and possibly-resolved
+ *
+ * @param {Object[]} findings - Findings from the previous review
+ * @param {string} diffText - Diff from the previous head to now
+ * @returns {{carried: Object[], possiblyResolved: Object[]}}
+ */
+export function carryForward(findings, diffText) {
+  const files = new Map();
+  for (const file of parseUnifiedDiff(diffText)) {
+    const oldFile = file.oldFile || file.file;
+    if (oldFile) files.set(oldFile, file);
+  }
+
+  const carried = [];
+  const possiblyResolved = [];
+  for (const finding of findings) {
+    const moved = moveFinding(finding, files);
+    if (moved) {
+      carried.push({ ...moved, carried_forward: true });
+    } else {
+      const { carried_forward, ...rest } = finding;
+      possiblyResolved.push({ ...rest, possibly_resolved: true });
+    }
+  }
+  return { carried, possiblyResolved };
+}
+
+export default class IncrementalReview {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.stateDir = path.join(this.projectDir, '.review-pipeline', 'state');
+    this.stateFile = path.join(this.stateDir, 'last-review.json');
+    this.contextDir = path.join(this.projectDir, '.review-pipeline', 'workspace', 'context');
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * State from the last clean review (null when there is none)
+   *
+   * @returns {Promise<ReviewState|null>}
+   */
+  async loadState() {
+    try {
+      const state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+      return state.head_sha && Array.isArray(state.findings) ? state : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Record the reviewed head and its findings for the next run
+   */
+  async saveState({ headSha, findings, rules = null }) {
+    await fs.mkdir(this.stateDir, { recursive: true });
+    const state = {
+      head_sha: headSha,
+      reviewed_at: new Date().toISOString(),
+      findings: findings.map(({ carried_forward, ...finding }) => finding),
+      ...(rules && { gate_rules: rules })
+    };
+    await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2));
+    if (this.verbose) {
+      console.error(`Review state saved at ${headSha} (${findings.length} findings)`);
+    }
+  }
+
+  /**
+   * Carry the stored findings across the incremental diff in diff.patch
+   *
+   * @param {ReviewState} state
+   * @returns {Promise<CarryForward>}
+   */
+  async carryForward(state) {
+    const diffText = await fs.readFile(path.join(this.contextDir, 'diff.patch'), 'utf8').catch(() => '');
+    const { carried, possiblyResolved } = carryForward(state.findings, diffText);
+    if (this.verbose) {
+      console.error(`Carried forward ${carried.length} findings from ${state.head_sha}, ${possiblyResolved.length} possibly resolved`);
+    }
+    return { since: state.head_sha, carried, possiblyResolved, rules: state.gate_rules || null };
+  }
+}
+
+export { IncrementalReview };
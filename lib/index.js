@@ -7,8 +7,23 @@ import ConfigLoader from './config-loader.js';
 import CommandBuilder from './command-builder.js';
 import ProviderExecutor from './execute-provider.js';
 import CriteriaBuilder from './criteria-builder.js';
+import ProviderRegistry from './provider-registry.js';
+import ContextBuilder from './context-builder.js';
+import ContextGenerators from './context-generators.js';
+import TestRunner from './test-runner.js';
+import TestResults from './test-results.js';
+import Aggregator from './aggregator.js';
+import GateEvaluator from './gate.js';
+import ReviewPublisher from './review-publisher.js';
+import IncrementalReview from './incremental.js';
+import Judge from './judge.js';
+import Sharder from './shards.js';
+import ReviewHistory from './history.js';
+import QuotaScheduler from './scheduler.js';
+import { sumUsage, combineUsage, hasBudget, exceededBudget } from './usage.js';
 import { spawn } from 'node:child_process';
-import { join, dirname } from 'node:path';
+import { EventEmitter } from 'node:events';
+import { join, dirname, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { mkdir } from 'node:fs/promises';
 
@@ -16,210 +31,658 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const packageDir = dirname(__dirname);
 
+// ProviderExecutor events re-emitted by ReviewPipeline
+const PROVIDER_EVENTS = ['start', 'stdout-chunk', 'stderr-chunk', 'heartbeat', 'retry', 'repair', 'queued', 'done'];
+
+/**
+ * @typedef {Object} ProviderRun
+ * @property {string} provider - Provider id
+ * @property {string} tool - Tool name used for the report file
+ * @property {'completed'|'failed'|'skipped'} status
+ * @property {number|null} exitCode
+ * @property {number} durationMs
+ * @property {import('./usage.js').ProviderUsage|null} [usage] - Tokens, cost and retries of the run
+ * @property {string} [error] - Why the provider failed or was skipped
+ */
+
+/**
+ * @typedef {Object} ReviewResult
+ * @property {boolean} success - Gate passed and no provider failed
+ * @property {'pass'|'fail'} gate
+ * @property {ProviderRun[]} results - One entry per requested provider
+ * @property {import('./context-builder.js').ReviewContext} context
+ * @property {import('./context-generators.js').GeneratorResult[]} generators - Project context generators
+ * @property {import('./shards.js').Shard[]|null} shards - Shards of an oversized diff, null when reviewed in one pass
+ * @property {import('./test-runner.js').TestRunResult} tests
+ * @property {import('./aggregator.js').AggregateResult} aggregate
+ * @property {string[]} errors - Provider and pipeline errors
+ * @property {import('./history.js').HistoryRun|null} history - Entry recorded in the history store, null when history is off
+ * @property {string} summary - Rendered summary.md
+ * @property {{workspace: string, reports: string, summary: string, gate: string, sarif: string}} paths
+ */
+
 /**
  * Main ReviewPipeline class for programmatic API
+ *
+ * Forwards each provider's progress events (start, stdout-chunk,
+ * stderr-chunk, heartbeat, retry, repair, done) as they happen; see
+ * ProviderExecutor.
  */
-export class ReviewPipeline {
+export class ReviewPipeline extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.options = {
       projectRoot: process.cwd(),
       configFile: '.reviewrc.json',
-      providers: ['claude', 'codex', 'gemini'],
-      parallel: true,
-      timeout: 600,
+      providers: null,      // null = every enabled provider with a manifest
+      parallel: undefined,  // undefined = execution.parallel from config
+      timeout: undefined,   // seconds; caps every provider when set
+      incremental: undefined, // undefined = review.incremental from config
+      judge: undefined,     // undefined = judge from config; a string picks the provider
+      contextGenerators: undefined, // undefined = context.run_generators from config
+      testCommand: undefined,
+      tests: undefined,     // undefined = testing.enabled from config
+      model: undefined,     // model for the providers named in `providers`; undefined = configured models
+      target: null,         // null = the default diff; a ReviewTarget (see ContextBuilder)
+      env: undefined,       // undefined = process.env; where the context builder finds the pull request
+      authCheck: true,
       verbose: false,
       ...options
     };
-    
-    this.configLoader = new ConfigLoader({
-      projectConfigPath: join(this.options.projectRoot, this.options.configFile),
+
+    this.workspaceDir = join(this.options.projectRoot, '.review-pipeline', 'workspace');
+
+    this.configLoader = this.options.configLoader || new ConfigLoader({
+      projectRoot: this.options.projectRoot,
+      projectConfigPath: resolve(this.options.projectRoot, this.options.configFile),
+      overrides: {
+        'execution.parallel': this.options.parallel,
+        'execution.timeout_seconds': this.options.timeout,
+        'review.incremental': this.options.incremental,
+        'judge.enabled': this.options.judge === undefined ? undefined : this.options.judge !== false,
+        'judge.provider': typeof this.options.judge === 'string' ? this.options.judge : undefined,
+        'context.run_generators': this.options.contextGenerators,
+        'testing.enabled': this.options.tests,
+        ...Object.fromEntries((this.options.providers || []).map(provider => [`providers.${provider}.model`, this.options.model]))
+      },
       verbose: this.options.verbose
     });
-    
+    this.registry = this.options.registry || new ProviderRegistry({
+      packageDir,
+      verbose: this.options.verbose
+    });
+
     this.results = [];
     this.errors = [];
   }
 
+  log(message) {
+    if (this.options.verbose) {
+      console.error(message);
+    }
+  }
+
   /**
    * Run the complete review pipeline
+   *
+   * @returns {Promise<ReviewResult>}
    */
   async run() {
-    try {
-      // Load configuration
-      await this.configLoader.load();
-      const config = this.configLoader.config;
-      
-      // Create workspace directories
-      const workspaceDir = join(packageDir, 'workspace');
-      await mkdir(join(workspaceDir, 'context'), { recursive: true });
-      await mkdir(join(workspaceDir, 'reports'), { recursive: true });
-      
-      // Build context
-      await this.buildContext();
-      
-      // Run tests if configured
-      if (config.testing?.enabled && config.testing?.command) {
-        await this.runTests(config.testing.command, config.testing.timeout_seconds);
-      }
-      
-      // Run provider reviews
-      const providers = this.options.providers;
-      if (this.options.parallel && config.execution?.parallel !== false) {
-        await this.runProvidersParallel(providers);
+    this.results = [];
+    this.errors = [];
+
+    // Load configuration and provider manifests
+    await this.configLoader.load();
+    await this.registry.load();
+    const config = this.configLoader.config;
+
+    if (this.options.authCheck) {
+      await this.checkAuth();
+    }
+
+    // Create workspace directories
+    await mkdir(join(this.workspaceDir, 'context'), { recursive: true });
+    await mkdir(join(this.workspaceDir, 'reports'), { recursive: true });
+
+    // Build context; an incremental review diffs against the last reviewed
+    // commit and carries earlier findings forward (not for an explicit target)
+    const incremental = config.review?.incremental === true && !this.options.target
+      ? new IncrementalReview({ projectDir: this.options.projectRoot, verbose: this.options.verbose })
+      : null;
+    const state = incremental ? await incremental.loadState() : null;
+    this.log('Building review context...');
+    let context = await this.buildContext(state?.head_sha);
+    if (context.unchanged && !state.gate_rules) {
+      // Stored before gate rules were; the gate cannot be carried forward
+      this.log(`${state.head_sha} has no stored gate rules, reviewing the full diff`);
+      context = await this.buildContext();
+    }
+    // A re-run of the reviewed head (e.g. a workflow re-run) has nothing new:
+    // its findings are carried forward and no provider runs
+    const unchanged = context.unchanged === true;
+    const previous = context.incremental
+      ? { ...await incremental.carryForward(state), ...(unchanged && { unchanged }) }
+      : null;
+    const generators = unchanged ? [] : await this.runContextGenerators(config.context);
+    const shards = unchanged ? null : await this.planShards(config.review);
+
+    // Run tests if configured
+    const tests = await this.runTests(
+      unchanged || config.testing?.enabled === false ? '' : this.getTestCommand(),
+      config.testing
+    );
+
+    // Run provider reviews
+    if (unchanged) {
+      this.log(`No commits since the last review at ${previous.since}, not reviewing again`);
+    } else {
+      const providers = this.resolveProviders();
+      const budget = await this.createBudget(config, providers);
+      if (config.execution?.parallel !== false) {
+        this.log(`Running reviews in parallel for: ${providers.join(', ')}`);
+        await this.runProvidersParallel(providers, shards, budget);
       } else {
-        await this.runProvidersSequential(providers);
+        this.log(`Running reviews sequentially for: ${providers.join(', ')}`);
+        await this.runProvidersSequential(providers, config.execution?.fail_fast === true, shards, budget);
       }
-      
-      // Aggregate results
-      await this.aggregateResults();
-      
-      return {
-        success: this.errors.length === 0,
-        results: this.results,
-        errors: this.errors,
-        summary: await this.getSummary()
-      };
-    } catch (error) {
-      this.errors.push(error.message);
-      throw error;
+    }
+
+    // Aggregate results
+    this.log('Aggregating results...');
+    const reviewed = this.results.filter(r => r.status !== 'skipped').map(r => r.provider);
+    if (reviewed.length === 0 && !unchanged) {
+      this.errors.push('No providers were run');
+    }
+    const aggregate = await this.aggregateResults(reviewed, previous);
+
+    // Only a clean run moves the reviewed head, so a failed provider sees
+    // the skipped commits next time
+    if (incremental && this.errors.length === 0) {
+      await this.saveReviewState(incremental, context, aggregate);
+    }
+
+    const history = config.history?.enabled !== false
+      ? await this.recordHistory(config.history, context, aggregate)
+      : null;
+
+    return {
+      success: aggregate.gate === 'pass' && this.errors.length === 0,
+      gate: aggregate.gate,
+      results: this.results,
+      context,
+      generators,
+      shards,
+      tests,
+      aggregate,
+      errors: this.errors,
+      history,
+      summary: aggregate.summary,
+      paths: {
+        workspace: this.workspaceDir,
+        reports: join(this.workspaceDir, 'reports'),
+        summary: join(this.workspaceDir, 'summary.md'),
+        gate: join(this.workspaceDir, 'gate.txt'),
+        sarif: join(this.workspaceDir, 'review.sarif')
+      }
+    };
+  }
+
+  /**
+   * Test command from the caller, else TEST_CMD from the environment
+   * (never from project config)
+   */
+  getTestCommand() {
+    return this.options.testCommand || this.configLoader.getTestCommand();
+  }
+
+  /**
+   * Providers to run: the requested list, or every enabled provider that
+   * has a manifest
+   */
+  resolveProviders() {
+    if (Array.isArray(this.options.providers) && this.options.providers.length > 0) {
+      return [...new Set(this.options.providers)];
+    }
+    return this.configLoader.getEnabledProviders().filter(p => this.registry.has(p));
+  }
+
+  /**
+   * Run the provider authentication check
+   */
+  async checkAuth() {
+    const code = await this.runScript('auth-check.sh');
+    if (code !== 0) {
+      throw new Error(`Authentication check failed (exit code ${code})`);
     }
   }
 
   /**
    * Build review context (diff, files, metadata)
+   *
+   * @param {string} [since] - Last reviewed commit for an incremental review
    */
-  async buildContext() {
-    // This would be implemented to gather git diff, changed files, etc.
-    // For now, delegates to the shell script
-    return this.runScript('build-context.sh');
+  async buildContext(since) {
+    const builder = new ContextBuilder({
+      projectDir: this.options.projectRoot,
+      since,
+      target: this.options.target,
+      env: this.options.env,
+      review: this.configLoader.config?.review,
+      verbose: this.options.verbose
+    });
+    return builder.build();
   }
 
   /**
-   * Run tests
+   * Run the project's context generators (context.generators) into the
+   * context directory; failures are recorded as pipeline errors
    */
-  async runTests(command, timeout = 300) {
-    return new Promise((resolve, reject) => {
-      const child = spawn('sh', ['-c', command], {
-        cwd: this.options.projectRoot,
-        timeout: timeout * 1000,
-        env: {
-          ...process.env,
-          PROJECT_ROOT: this.options.projectRoot
-        }
-      });
-      
-      let output = '';
-      child.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-      
-      child.stderr.on('data', (data) => {
-        output += data.toString();
-      });
-      
-      child.on('exit', (code) => {
-        if (code !== 0) {
-          this.errors.push(`Tests failed with exit code ${code}`);
-        }
-        resolve({ code, output });
-      });
-      
-      child.on('error', reject);
+  async runContextGenerators(context = {}) {
+    const generators = new ContextGenerators({
+      projectDir: this.options.projectRoot,
+      generators: context.generators,
+      enabled: context.run_generators === true,
+      verbose: this.options.verbose
     });
+    const results = await generators.run();
+    for (const result of results) {
+      if (result.status === 'failed') {
+        this.errors.push(`Context generator ${result.output} failed: ${result.error}`);
+      }
+    }
+    const skipped = results.filter(r => r.status === 'skipped').length;
+    if (skipped > 0) {
+      this.log(`${skipped} context generators not run (set CONTEXT_GENERATORS=true or --context-generators)`);
+    }
+    return results;
   }
 
   /**
-   * Run providers in parallel
+   * Split an oversized diff into shards (review.max_diff_size_kb and
+   * review.max_files); null when it is reviewed in one pass
    */
-  async runProvidersParallel(providers) {
-    const promises = providers.map(provider => this.runProvider(provider));
-    const results = await Promise.allSettled(promises);
-    
-    results.forEach((result, index) => {
-      if (result.status === 'fulfilled') {
-        this.results.push(result.value);
-      } else {
-        this.errors.push(`Provider ${providers[index]} failed: ${result.reason}`);
+  async planShards(review = {}) {
+    const sharder = new Sharder({
+      projectDir: this.options.projectRoot,
+      maxDiffSizeKb: review.max_diff_size_kb,
+      maxFiles: review.max_files,
+      verbose: this.options.verbose
+    });
+    const shards = await sharder.plan();
+    if (shards) {
+      this.log(`Diff split into ${shards.length} shards`);
+    }
+    return shards;
+  }
+
+  /**
+   * Run tests and parse their results (testing.results_file and
+   * coverage_file, or the test output)
+   */
+  async runTests(command, testing = {}) {
+    const runner = new TestRunner({
+      projectDir: this.options.projectRoot,
+      verbose: this.options.verbose
+    });
+    const result = await runner.run({
+      command,
+      timeout: testing.timeout_seconds ?? 300,
+      results: {
+        resultsFile: testing.results_file,
+        resultsFormat: testing.results_format,
+        coverageFile: testing.coverage_file,
+        coverageFormat: testing.coverage_format
       }
     });
+    if (result.executed) {
+      this.log(result.exitCode === 0 ? 'Tests passed' : `Tests failed with exit code ${result.exitCode}`);
+    }
+    return result;
+  }
+
+  /**
+   * Budget state when budgets are configured and some of the providers are
+   * optional, else null. Today's spend comes from the history store.
+   *
+   * @returns {Promise<{budgets: Object, optional: string[], spentToday: Object}|null>}
+   */
+  async createBudget(config, providers) {
+    const optional = providers.filter(provider => config.providers?.[provider]?.optional === true);
+    if (!hasBudget(config.budgets) || optional.length === 0) {
+      return null;
+    }
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    let spentToday = sumUsage([]);
+    if (config.history?.enabled !== false) {
+      const history = new ReviewHistory({ projectDir: this.options.projectRoot, dir: config.history?.dir });
+      spentToday = await history.spentSince(today).catch(error => {
+        console.error(`Could not read today's usage from the review history: ${error.message}`);
+        return spentToday;
+      });
+    }
+    return { budgets: config.budgets, optional, spentToday };
+  }
+
+  /**
+   * The budget reached by this run so far (and today's earlier runs), or null
+   */
+  budgetReached(budget) {
+    const run = sumUsage(this.results.map(result => result.usage));
+    return exceededBudget(budget.budgets, { run, day: sumUsage([budget.spentToday, run]) });
+  }
+
+  /**
+   * Optional providers last, so the budget is checked against what the
+   * others spent
+   */
+  orderByBudget(providers, budget) {
+    if (!budget) {
+      return providers;
+    }
+    return [
+      ...providers.filter(provider => !budget.optional.includes(provider)),
+      ...providers.filter(provider => budget.optional.includes(provider))
+    ];
+  }
+
+  /**
+   * Run providers in parallel; with a budget, optional providers run once
+   * the others are done, or are skipped when a budget has been reached
+   */
+  async runProvidersParallel(providers, shards = null, budget = null) {
+    const optional = budget ? providers.filter(provider => budget.optional.includes(provider)) : [];
+    const required = providers.filter(provider => !optional.includes(provider));
+    this.results.push(...await Promise.all(required.map(provider => this.runProvider(provider, shards))));
+    if (optional.length === 0) {
+      return;
+    }
+
+    const exceeded = this.budgetReached(budget);
+    if (exceeded) {
+      this.log(`Skipping optional providers ${optional.join(', ')}: ${exceeded}`);
+      this.results.push(...optional.map(provider => this.skipped(provider, `Skipped optional provider: ${exceeded}`)));
+      return;
+    }
+    this.results.push(...await Promise.all(optional.map(provider => this.runProvider(provider, shards))));
+  }
+
+  /**
+   * Run providers sequentially; with a budget, optional providers run last
+   * and each is skipped when a budget has been reached
+   */
+  async runProvidersSequential(providers, failFast = false, shards = null, budget = null) {
+    providers = this.orderByBudget(providers, budget);
+    for (const [index, provider] of providers.entries()) {
+      const exceeded = budget?.optional.includes(provider) ? this.budgetReached(budget) : null;
+      if (exceeded) {
+        this.log(`Skipping optional provider ${provider}: ${exceeded}`);
+        this.results.push(this.skipped(provider, `Skipped optional provider: ${exceeded}`));
+        continue;
+      }
+      const run = await this.runProvider(provider, shards);
+      this.results.push(run);
+
+      if (failFast && run.status === 'failed') {
+        for (const remaining of providers.slice(index + 1)) {
+          this.results.push(this.skipped(remaining, `Skipped after ${provider} failed (fail_fast)`));
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Run a single provider, once per shard when the diff was sharded
+   *
+   * @param {string} provider
+   * @param {import('./shards.js').Shard[]|null} [shards]
+   * @returns {Promise<ProviderRun>}
+   */
+  async runProvider(provider, shards = null) {
+    if (!this.registry.has(provider)) {
+      return this.skipped(provider, `Unknown provider: ${provider}`);
+    }
+    if (!this.configLoader.isProviderEnabled(provider)) {
+      return this.skipped(provider, `Provider ${provider} is disabled`);
+    }
+
+    if (shards) {
+      return this.runProviderShards(provider, shards);
+    }
+
+    const executor = this.createExecutor();
+
+    const started = Date.now();
+    try {
+      const result = await executor.execute(provider, { timeout: this.options.timeout });
+      this.log(`${provider} review completed`);
+      return {
+        provider,
+        tool: this.registry.getToolName(provider),
+        status: 'completed',
+        exitCode: result?.exitCode ?? 0,
+        durationMs: Date.now() - started,
+        usage: result?.usage || null
+      };
+    } catch (error) {
+      this.errors.push(`Provider ${provider} failed: ${error.message}`);
+      this.log(`${provider} review failed: ${error.message}`);
+      return {
+        provider,
+        tool: this.registry.getToolName(provider),
+        status: 'failed',
+        exitCode: null,
+        durationMs: Date.now() - started,
+        usage: error.usage || null,
+        error: error.message
+      };
+    }
   }
 
   /**
-   * Run providers sequentially
+   * Run a provider over each shard in turn and merge the shard reports into
+   * its report. The run fails only when every shard failed; a partial
+   * failure is recorded as a pipeline error.
+   *
+   * @returns {Promise<ProviderRun>}
    */
-  async runProvidersSequential(providers) {
-    for (const provider of providers) {
+  async runProviderShards(provider, shards) {
+    const tool = this.registry.getToolName(provider);
+    const started = Date.now();
+    const failures = [];
+    const usages = [];
+
+    for (const shard of shards) {
+      const executor = this.createExecutor(shard);
       try {
-        const result = await this.runProvider(provider);
-        this.results.push(result);
+        const result = await executor.execute(provider, { timeout: this.options.timeout, shard });
+        usages.push(result?.usage);
+        this.log(`${provider} review of shard ${shard.id}/${shard.total} completed`);
       } catch (error) {
-        this.errors.push(`Provider ${provider} failed: ${error.message}`);
+        usages.push(error.usage);
+        failures.push(`shard ${shard.id}/${shard.total}: ${error.message}`);
+        this.log(`${provider} review of shard ${shard.id}/${shard.total} failed: ${error.message}`);
       }
     }
+
+    const sharder = new Sharder({ projectDir: this.options.projectRoot, verbose: this.options.verbose });
+    await sharder.mergeReports(tool, shards);
+
+    if (failures.length > 0) {
+      this.errors.push(`Provider ${provider} failed on ${failures.join('; ')}`);
+    }
+    const failed = failures.length === shards.length;
+    return {
+      provider,
+      tool,
+      status: failed ? 'failed' : 'completed',
+      exitCode: failed ? null : 0,
+      durationMs: Date.now() - started,
+      usage: combineUsage(usages),
+      ...(failures.length > 0 && { error: `${failures.length}/${shards.length} shards failed` })
+    };
   }
 
   /**
-   * Run a single provider
+   * ProviderExecutor whose progress events are re-emitted by the pipeline,
+   * tagged with the shard (`shard: "2/3"`) in a sharded review
    */
-  async runProvider(provider) {
-    const executor = new ProviderExecutor();
-    return executor.execute(provider, {
-      projectRoot: this.options.projectRoot,
-      timeout: this.options.timeout
+  createExecutor(shard = null) {
+    const executor = new ProviderExecutor({
+      packageDir,
+      projectDir: this.options.projectRoot,
+      configLoader: this.configLoader,
+      registry: this.registry,
+      scheduler: this.getScheduler(),
+      verbose: this.options.verbose
     });
+    for (const event of PROVIDER_EVENTS) {
+      executor.on(event, payload => this.emit(event, shard ? { ...payload, shard: `${shard.id}/${shard.total}` } : payload));
+    }
+    return executor;
+  }
+
+  /**
+   * QuotaScheduler shared by all executors of this run, or null when
+   * scheduler.enabled is off
+   */
+  getScheduler() {
+    const scheduler = this.configLoader.config?.scheduler;
+    if (scheduler?.enabled !== true) {
+      return null;
+    }
+    this.scheduler ??= new QuotaScheduler({
+      projectDir: this.options.projectRoot,
+      stateFile: scheduler.state_file,
+      quotas: scheduler.quotas,
+      maxWaitMinutes: scheduler.max_wait_minutes,
+      pollSeconds: scheduler.poll_seconds,
+      rateLimitCooldownMinutes: scheduler.rate_limit_cooldown_minutes,
+      maxRequeues: scheduler.max_requeues,
+      verbose: this.options.verbose
+    });
+    return this.scheduler;
+  }
+
+  skipped(provider, reason) {
+    return {
+      provider,
+      tool: this.registry.getToolName(provider),
+      status: 'skipped',
+      exitCode: null,
+      durationMs: 0,
+      error: reason
+    };
   }
 
   /**
    * Aggregate results from all providers
+   *
+   * @param {string[]} providers
+   * @param {import('./incremental.js').CarryForward} [previous] - Findings from the last review
    */
-  async aggregateResults() {
-    // This would aggregate the JSON results from all providers
-    // For now, delegates to the aggregation script
-    return this.runScript('aggregate-reviews.mjs');
+  async aggregateResults(providers, previous) {
+    const aggregator = new Aggregator({
+      packageDir,
+      projectDir: this.options.projectRoot,
+      configLoader: this.configLoader,
+      registry: this.registry,
+      previous,
+      judge: this.createJudge(),
+      verbose: this.options.verbose
+    });
+    return aggregator.aggregate(providers);
   }
 
   /**
-   * Get summary of results
+   * Judge for the final adjudication stage, or null when judge.enabled is off
    */
-  async getSummary() {
-    // Read and return the generated summary
-    const summaryPath = join(packageDir, 'workspace', 'summary.md');
+  createJudge() {
+    const judge = this.configLoader.config?.judge;
+    if (judge?.enabled !== true) {
+      return null;
+    }
+    return new Judge({
+      packageDir,
+      projectDir: this.options.projectRoot,
+      provider: judge.provider || 'claude',
+      timeout: judge.timeout_seconds ?? this.options.timeout,
+      executor: this.createExecutor(),
+      verbose: this.options.verbose
+    });
+  }
+
+  /**
+   * Store the reviewed head and findings for the next incremental run
+   */
+  async saveReviewState(incremental, context, aggregate) {
+    // The commit the diff was taken up to, so the next run starts there
+    const headSha = context.headSha;
+    if (!headSha || headSha === 'LOCAL') {
+      this.log('No head commit to record, incremental state not saved');
+      return;
+    }
+    await incremental.saveState({ headSha, findings: aggregate.findings, rules: aggregate.gateResult?.rules });
+  }
+
+  /**
+   * Append the run to the history store (history.dir); a failure to record
+   * it does not fail the review
+   */
+  async recordHistory(history = {}, context, aggregate) {
+    const store = new ReviewHistory({
+      projectDir: this.options.projectRoot,
+      dir: history.dir,
+      verbose: this.options.verbose
+    });
     try {
-      const { readFile } = await import('node:fs/promises');
-      return await readFile(summaryPath, 'utf8');
-    } catch {
-      return 'No summary available';
+      return await store.record({ context, results: this.results, aggregate, errors: this.errors });
+    } catch (error) {
+      console.error(`Could not record the run in the review history: ${error.message}`);
+      return null;
     }
   }
 
   /**
-   * Helper to run a script
+   * Helper to run a script, resolving to its exit code
    */
   runScript(scriptName) {
     return new Promise((resolve, reject) => {
       const scriptPath = join(packageDir, 'scripts', scriptName);
       const child = spawn('bash', [scriptPath], {
         cwd: this.options.projectRoot,
+        stdio: this.options.verbose ? 'inherit' : 'ignore',
         env: {
           ...process.env,
           PROJECT_ROOT: this.options.projectRoot,
           PACKAGE_DIR: packageDir
         }
       });
-      
-      child.on('exit', (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          reject(new Error(`Script ${scriptName} exited with code ${code}`));
-        }
-      });
-      
+
+      child.on('exit', (code) => resolve(code ?? 1));
       child.on('error', reject);
     });
   }
 }
 
 // Export all components
-export { ConfigLoader, CommandBuilder, ProviderExecutor, CriteriaBuilder };
-export default ReviewPipeline;
\ No newline at end of file
+export {
+  ConfigLoader,
+  CommandBuilder,
+  ProviderExecutor,
+  CriteriaBuilder,
+  ProviderRegistry,
+  ContextBuilder,
+  ContextGenerators,
+  TestRunner,
+  TestResults,
+  Aggregator,
+  GateEvaluator,
+  ReviewPublisher,
+  IncrementalReview,
+  Judge,
+  Sharder,
+  ReviewHistory
+};
+export default ReviewPipeline;
@@ -0,0 +1,224 @@
+/**
+ * Judge - Optional meta-review that adjudicates the merged findings
+ *
+ * A configured provider (judge.provider) receives every provider's report,
+ * the candidate findings merged by consensus.js and the enhanced diff, and
+ * decides for each candidate whether to keep, merge or reject it, with a
+ * rationale. The decisions are written to judge.json; the judged list then
+ * stands in for the merged one in gating, SARIF and the summary.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+import { extractJSON } from '../scripts/normalize-json.js';
+import ProviderExecutor from './execute-provider.js';
+import { formatSchemaErrors } from './report-schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Larger diffs are left in enhanced_diff.txt for the judge to read itself;
+// the prompt travels as a single command-line argument
+const MAX_INLINE_DIFF_BYTES = 60 * 1024;
+// Likewise the reports, left in judge-reports.json when larger
+const MAX_INLINE_REPORTS_BYTES = 40 * 1024;
+
+/**
+ * @typedef {Object} Judgment
+ * @property {string} provider - Provider that judged
+ * @property {string} summary - Judge's overall assessment
+ * @property {Object[]} findings - Kept findings with merges folded in, each with `judge`
+ * @property {Object[]} rejected - Rejected findings, each with `judge`
+ * @property {Object[]} decisions - Decisions as returned by the judge
+ */
+
+/**
+ * Id of the candidate at `index` as shown to the judge
+ */
+export function candidateId(index) {
+  return `F${index + 1}`;
+}
+
+/**
+ * Apply the judge's decisions to the candidate findings
+ *
+ * Candidates without a decision are kept. A merge into anything other than a
+ * kept candidate is treated as keep.
+ *
+ * @param {Object[]} findings - Candidates in the order shown to the judge
+ * @param {Object[]} decisions - {id, decision, rationale, merged_into?, severity?}
+ * @param {number} totalProviders - For the consensus of merged findings
+ * @returns {{findings: Object[], rejected: Object[]}}
+ */
+export function applyDecisions(findings, decisions, totalProviders) {
+  const byId = new Map(decisions.map(d => [d.id, d]));
+  const isKept = (id) => {
+    const index = parseInt(String(id).slice(1), 10) - 1;
+    return index >= 0 && index < findings.length && (byId.get(id)?.decision ?? 'keep') === 'keep';
+  };
+
+  const kept = new Map();
+  const merges = [];
+  const rejected = [];
+
+  findings.forEach((finding, index) => {
+    const id = candidateId(index);
+    const decision = byId.get(id) || { decision: 'keep', rationale: 'Not adjudicated' };
+
+    if (decision.decision === 'reject') {
+      rejected.push({ ...finding, judge: { id, decision: 'reject', rationale: decision.rationale } });
+    } else if (decision.decision === 'merge' && decision.merged_into !== id && isKept(decision.merged_into)) {
+      merges.push({ id, finding, decision });
+    } else {
+      kept.set(id, {
+        ...finding,
+        severity: decision.severity || finding.severity,
+        judge: { id, decision: 'keep', rationale: decision.rationale, merged: [] }
+      });
+    }
+  });
+
+  for (const { id, finding, decision } of merges) {
+    const target = kept.get(decision.merged_into);
+    const agreedBy = [...new Set([...(target.agreed_by || []), ...(finding.agreed_by || [])])].sort();
+    Object.assign(target, {
+      must_fix: target.must_fix === true || finding.must_fix === true,
+      evidence: [...new Set([...(target.evidence || []), ...(finding.evidence || [])])],
+      agreed_by: agreedBy,
+      consensus: totalProviders > 0 ? Math.round((agreedBy.length / totalProviders) * 100) / 100 : 0
+    });
+    target.judge.merged.push({ id, message: finding.message, rationale: decision.rationale });
+  }
+
+  return { findings: [...kept.values()], rejected };
+}
+
+export default class Judge {
+  constructor(options = {}) {
+    this.packageDir = options.packageDir || path.dirname(__dirname);
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.workspaceDir = path.join(this.projectDir, '.review-pipeline', 'workspace');
+    this.contextDir = path.join(this.workspaceDir, 'context');
+    this.schemaPath = path.join(this.packageDir, 'config', 'schemas', 'judge.schema.json');
+    this.provider = options.provider || 'claude';
+    this.timeout = options.timeout;
+    this.verbose = options.verbose || false;
+    this.executor = options.executor || new ProviderExecutor({
+      packageDir: this.packageDir,
+      projectDir: this.projectDir,
+      configLoader: options.configLoader,
+      registry: options.registry,
+      verbose: this.verbose
+    });
+  }
+
+  /**
+   * Judge prompt: instructions, provider reports, candidates and the diff
+   */
+  async buildPrompt({ reports, findings }) {
+    const instructions = await fs.readFile(path.join(this.packageDir, 'prompts', 'judge.md'), 'utf8');
+    const diffPath = path.join(this.contextDir, 'enhanced_diff.txt');
+    const diff = await fs.readFile(diffPath, 'utf8').catch(() => '');
+
+    // The normalized reports as the providers wrote them
+    const normalized = JSON.stringify(reports.map(r => ({
+      tool: r.tool,
+      model: r.model,
+      summary: r.summary,
+      assumptions: r.assumptions,
+      findings: r.findings,
+      tests: r.tests,
+      exit_criteria: r.exit_criteria
+    })), null, 2);
+    const candidates = findings.map((f, index) => ({
+      id: candidateId(index),
+      severity: f.severity,
+      category: f.category,
+      file: f.file,
+      lines: f.lines,
+      message: f.message,
+      suggestion: f.suggestion,
+      evidence: f.evidence,
+      agreed_by: f.agreed_by,
+      sources: f.sources,
+      citation_errors: f.citation_errors
+    }));
+
+    const sections = [instructions];
+    if (Buffer.byteLength(normalized) <= MAX_INLINE_REPORTS_BYTES) {
+      sections.push('<reports>', normalized, '</reports>', '');
+    } else {
+      const reportsPath = path.join(this.workspaceDir, 'judge-reports.json');
+      await fs.mkdir(this.workspaceDir, { recursive: true });
+      await fs.writeFile(reportsPath, normalized);
+      sections.push(`The reviewers' reports are too large to include here; read them from ${path.relative(this.projectDir, reportsPath)}.`, '');
+    }
+    sections.push(
+      '<candidates>',
+      JSON.stringify(candidates, null, 2),
+      '</candidates>',
+      ''
+    );
+    if (Buffer.byteLength(diff) <= MAX_INLINE_DIFF_BYTES) {
+      sections.push('<diff>', diff, '</diff>');
+    } else {
+      sections.push(`The annotated diff is too large to include here; read it from ${path.relative(this.projectDir, diffPath)}.`);
+    }
+    return sections.join('\n');
+  }
+
+  /**
+   * Decisions from the judge's output, validated against judge.schema.json
+   */
+  async parseDecisions(output) {
+    const ajv = new Ajv({ strict: false, allErrors: true });
+    const validate = ajv.compile(JSON.parse(await fs.readFile(this.schemaPath, 'utf8')));
+
+    let json;
+    try {
+      json = extractJSON(output);
+    } catch (error) {
+      throw new Error(`Judge output is not JSON: ${error.message}`);
+    }
+    if (!validate(json)) {
+      throw new Error(`Judge output does not match judge.schema.json: ${formatSchemaErrors(validate.errors).join('; ')}`);
+    }
+    return json;
+  }
+
+  /**
+   * Run the judge over the candidates and write judge.json
+   *
+   * @param {Object} input
+   * @param {Object[]} input.reports - Normalized provider reports
+   * @param {Object[]} input.findings - Merged candidate findings
+   * @param {number} input.totalProviders
+   * @returns {Promise<Judgment>}
+   */
+  async adjudicate({ reports, findings, totalProviders }) {
+    let judgment;
+    if (findings.length === 0) {
+      judgment = { provider: this.provider, summary: 'No findings to adjudicate.', findings: [], rejected: [], decisions: [] };
+    } else {
+      if (this.verbose) {
+        console.error(`Judging ${findings.length} findings with ${this.provider}`);
+      }
+      const output = await this.executor.capture(this.provider, {
+        standalonePrompt: await this.buildPrompt({ reports, findings }),
+        // Not the provider's own raw review output (e.g. codex-cli.raw.txt)
+        rawOutputFile: path.join(this.workspaceDir, 'reports', 'judge.raw.txt'),
+        timeout: this.timeout
+      });
+      const { summary = '', decisions } = await this.parseDecisions(output);
+      judgment = { provider: this.provider, summary, ...applyDecisions(findings, decisions, totalProviders), decisions };
+    }
+
+    await fs.mkdir(this.workspaceDir, { recursive: true });
+    await fs.writeFile(path.join(this.workspaceDir, 'judge.json'), JSON.stringify(judgment, null, 2));
+    return judgment;
+  }
+}
+
+export { Judge };
@@ -0,0 +1,100 @@
+/**
+ * Path filter - review.include_patterns / exclude_patterns
+ *
+ * A path is reviewed when it matches at least one include pattern (all paths
+ * without any) and no exclude pattern. Patterns are globs over
+ * repository-relative paths:
+ * - `*` and `?` match within one path segment
+ * - `**` matches any number of segments, including none, so the default
+ *   node_modules exclusion also covers a top-level node_modules/
+ * - `{a,b}` alternatives and `[abc]` character classes
+ * A pattern without a `/` matches the file name in any directory (`*.pyc`).
+ */
+
+/**
+ * Compile a glob into an anchored regular expression
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        if (atSegmentStart && glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else if (atSegmentStart && i + 2 === glob.length && i > 0) {
+          // "dir/**" also matches "dir" itself
+          source = source.slice(0, -1) + '(?:/.*)?';
+          i += 1;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${body}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function normalizePath(file) {
+  return String(file).replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+/**
+ * Matcher for one glob; slash-less globs match the file name
+ */
+function compileGlob(glob) {
+  const regex = globToRegExp(glob);
+  const matchName = !glob.includes('/');
+  return (file) => {
+    const normalized = normalizePath(file);
+    return regex.test(matchName ? normalized.split('/').pop() : normalized);
+  };
+}
+
+/**
+ * Whether `file` matches `glob`
+ */
+export function matchesGlob(file, glob) {
+  return compileGlob(glob)(file);
+}
+
+/**
+ * Predicate for review.include_patterns / exclude_patterns
+ *
+ * @param {{include_patterns?: string[], exclude_patterns?: string[]}} [review]
+ * @returns {(file: string) => boolean}
+ */
+export function createPathFilter(review = {}) {
+  const include = (review.include_patterns || []).map(compileGlob);
+  const exclude = (review.exclude_patterns || []).map(compileGlob);
+  return (file) =>
+    (include.length === 0 || include.some(matches => matches(file)))
+    && !exclude.some(matches => matches(file));
+}
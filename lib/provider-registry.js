@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Provider Registry - Discovers providers from manifests in config/providers/
+ *
+ * Every `<id>.manifest.json` in the providers directory registers a provider.
+ * The manifest names the adapter module that turns configuration into a
+ * structured command (`buildCommand`) and, optionally, turns raw CLI output
+ * into a review report (`parseOutput`). Built-in providers use the adapters in
+ * lib/adapters/; in-house or local reviewers ship their adapter next to their
+ * manifest.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Provider ids double as file names, so keep them to a safe character set
+const PROVIDER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const MANIFEST_SUFFIX = '.manifest.json';
+
+export default class ProviderRegistry {
+  constructor(options = {}) {
+    this.packageDir = options.packageDir || path.dirname(__dirname);
+    this.providersDir = options.providersDir || path.join(this.packageDir, 'config', 'providers');
+    this.adaptersDir = path.join(this.packageDir, 'lib', 'adapters');
+    this.verbose = options.verbose || false;
+    this.providers = new Map();
+    this.loaded = false;
+  }
+
+  /**
+   * Scan the providers directory and load every manifest
+   */
+  async load() {
+    this.providers.clear();
+
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.providersDir);
+    } catch (error) {
+      if (this.verbose) {
+        console.error(`Could not read providers directory ${this.providersDir}: ${error.message}`);
+      }
+    }
+
+    for (const entry of entries.sort()) {
+      if (!entry.endsWith(MANIFEST_SUFFIX)) continue;
+
+      const id = entry.slice(0, -MANIFEST_SUFFIX.length);
+      if (!PROVIDER_ID_PATTERN.test(id)) {
+        if (this.verbose) {
+          console.error(`Ignoring manifest with invalid provider id: ${entry}`);
+        }
+        continue;
+      }
+
+      try {
+        const manifestPath = path.join(this.providersDir, entry);
+        const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+        this.providers.set(id, { id, manifest, manifestPath, adapter: null });
+      } catch (error) {
+        if (this.verbose) {
+          console.error(`Failed to load manifest ${entry}: ${error.message}`);
+        }
+      }
+    }
+
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * Check whether a provider id has a manifest
+   */
+  has(provider) {
+    return typeof provider === 'string' && this.providers.has(provider);
+  }
+
+  /**
+   * Ids of all registered providers (the provider allowlist)
+   */
+  list() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * Get the manifest for a provider
+   */
+  getManifest(provider) {
+    return this.providers.get(provider)?.manifest || null;
+  }
+
+  /**
+   * Tool name written into reports and used for report file names
+   */
+  getToolName(provider) {
+    const manifest = this.getManifest(provider);
+    return manifest?.tool || provider;
+  }
+
+  /**
+   * Default model declared by the manifest
+   */
+  getDefaultModel(provider) {
+    const models = this.getManifest(provider)?.models || [];
+    const preferred = models.find(m => m.default) || models[0];
+    return preferred?.id || 'unknown';
+  }
+
+  /**
+   * Resolve the adapter module path for a provider
+   *
+   * Manifests may name an adapter relative to the providers directory. Without
+   * one, the built-in adapter in lib/adapters/<id>.js is used.
+   */
+  resolveAdapterPath(provider) {
+    const entry = this.providers.get(provider);
+    if (!entry) {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+
+    if (!entry.manifest.adapter) {
+      return path.join(this.adaptersDir, `${provider}.js`);
+    }
+
+    // Adapters must live inside the providers directory
+    const adapterPath = path.resolve(this.providersDir, entry.manifest.adapter);
+    const relative = path.relative(this.providersDir, adapterPath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Adapter for ${provider} is outside the providers directory: ${entry.manifest.adapter}`);
+    }
+    return adapterPath;
+  }
+
+  /**
+   * Load (and cache) the adapter module for a provider
+   */
+  async getAdapter(provider) {
+    const entry = this.providers.get(provider);
+    if (!entry) {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+    if (entry.adapter) {
+      return entry.adapter;
+    }
+
+    const adapterPath = this.resolveAdapterPath(provider);
+    const adapter = await import(pathToFileURL(adapterPath).href);
+
+    if (typeof adapter.buildCommand !== 'function') {
+      throw new Error(`Adapter for ${provider} must export buildCommand(): ${adapterPath}`);
+    }
+    if (adapter.parseOutput !== undefined && typeof adapter.parseOutput !== 'function') {
+      throw new Error(`Adapter for ${provider} exports a non-function parseOutput: ${adapterPath}`);
+    }
+
+    entry.adapter = adapter;
+    return adapter;
+  }
+}
+
+// Allow direct execution to list registered providers
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const registry = new ProviderRegistry({ verbose: process.argv.includes('--verbose') });
+  await registry.load();
+  for (const id of registry.list()) {
+    console.log(`${id}\t${registry.getToolName(id)}\t${registry.getManifest(id).name || ''}`);
+  }
+}
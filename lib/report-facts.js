@@ -0,0 +1,115 @@
+/**
+ * Report Facts - Pipeline-owned report fields
+ *
+ * Providers only analyze the change; everything the pipeline already knows
+ * is written into their reports here, overwriting whatever the model put
+ * there:
+ * - timestamp          when the review was executed
+ * - pr.*               context/pr.json
+ * - tests.executed, tests.command, tests.exit_code
+ *                      context/test-metadata.json (tests.coverage from
+ *                      test-summary.json when coverage was collected)
+ * - metrics.files_changed, lines_added, lines_removed
+ *                      the reviewed diff (a shard's own diff.patch when sharded)
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseUnifiedDiff, diffStats } from './diff.js';
+
+/**
+ * @typedef {Object} ReportFacts
+ * @property {string} [timestamp] - ISO 8601 execution time
+ * @property {Object|null} pr - {repo, number, head_sha, branch, link}, null without pr.json
+ * @property {Object} tests - {executed, command, exit_code, coverage?}
+ * @property {Object|null} metrics - {files_changed, lines_added, lines_removed}, null without a diff
+ */
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Collect the facts for one review from the context directory
+ *
+ * @param {string} contextDir - .review-pipeline/workspace/context
+ * @param {Object} [options]
+ * @param {string} [options.diffFile] - Diff that was reviewed (default: contextDir/diff.patch)
+ * @param {Date|number|string} [options.timestamp] - Execution time
+ * @returns {Promise<ReportFacts>}
+ */
+export async function loadReportFacts(contextDir, options = {}) {
+  const facts = { pr: null, tests: { executed: false, command: null, exit_code: null }, metrics: null };
+  if (options.timestamp !== undefined) {
+    facts.timestamp = new Date(options.timestamp).toISOString();
+  }
+
+  const pr = await readJson(path.join(contextDir, 'pr.json'));
+  if (pr && typeof pr === 'object') {
+    facts.pr = {
+      repo: pr.repository || '',
+      number: parseInt(pr.number, 10) || 0,
+      head_sha: pr.headRefOid || '',
+      branch: pr.headRefName || '',
+      link: pr.link || pr.url || '',
+      ...(pr.target?.description && { target: pr.target.description })
+    };
+  }
+
+  // TestRunner removes test-metadata.json when no test command is configured
+  const metadata = await readJson(path.join(contextDir, 'test-metadata.json'));
+  if (metadata?.command) {
+    facts.tests = {
+      executed: true,
+      command: metadata.command,
+      exit_code: Number.isInteger(metadata.exit_code) ? metadata.exit_code : null
+    };
+    const summary = await readJson(path.join(contextDir, 'test-summary.json'));
+    if (typeof summary?.coverage?.percentage === 'number') {
+      facts.tests.coverage = summary.coverage.percentage;
+    }
+  }
+
+  try {
+    const diff = await fs.readFile(options.diffFile || path.join(contextDir, 'diff.patch'), 'utf8');
+    const { files_changed, lines_added, lines_removed } = diffStats(parseUnifiedDiff(diff));
+    facts.metrics = { files_changed, lines_added, lines_removed };
+  } catch {
+    // No diff to count
+  }
+
+  return facts;
+}
+
+/**
+ * Overwrite the pipeline-owned fields of a report with the facts
+ *
+ * @param {Object} report - Normalized provider report (modified in place)
+ * @param {ReportFacts} facts
+ * @returns {Object} The report
+ */
+export function applyReportFacts(report, facts) {
+  if (!report || typeof report !== 'object' || !facts) {
+    return report;
+  }
+  if (facts.timestamp) {
+    report.timestamp = facts.timestamp;
+  }
+  if (facts.pr) {
+    report.pr = { ...facts.pr };
+  }
+  if (facts.tests) {
+    const tests = report.tests && typeof report.tests === 'object' ? report.tests : {};
+    const fallbackSummary = facts.tests.executed ? 'No test assessment provided' : 'Tests not executed';
+    report.tests = { ...tests, ...facts.tests, summary: tests.summary || fallbackSummary };
+  }
+  if (facts.metrics) {
+    const metrics = report.metrics && typeof report.metrics === 'object' ? report.metrics : {};
+    report.metrics = { ...metrics, ...facts.metrics };
+  }
+  return report;
+}
@@ -0,0 +1,79 @@
+/**
+ * Report Repair - Schema validation feedback for provider reports
+ *
+ * Instead of guessing at fixes, the exact Ajv errors for a normalized report
+ * are sent back to the provider that wrote it in a short follow-up prompt
+ * asking for the corrected object (see ProviderExecutor.repairReport).
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { applyReportDefaults, formatSchemaErrors, PIPELINE_FIELDS } from './report-schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export default class ReportRepair {
+  constructor(options = {}) {
+    this.packageDir = options.packageDir || path.dirname(__dirname);
+    this.schemaPath = options.schemaPath || path.join(this.packageDir, 'config', 'schemas', 'report.schema.json');
+    this.verbose = options.verbose || false;
+    this.validator = null;
+  }
+
+  async loadValidator() {
+    if (!this.validator) {
+      const ajv = new Ajv({ strict: false, allErrors: true });
+      addFormats(ajv);
+      this.validator = ajv.compile(JSON.parse(await fs.readFile(this.schemaPath, 'utf8')));
+    }
+    return this.validator;
+  }
+
+  /**
+   * Schema errors the provider is responsible for
+   *
+   * The report is checked the way the aggregator will see it (with defaults
+   * applied); errors in pipeline-owned fields are left out.
+   *
+   * @param {Object} report - Normalized report
+   * @param {string} tool - Tool name used for defaults
+   * @returns {Promise<string[]>} Formatted errors, empty when the report is valid
+   */
+  async validate(report, tool) {
+    const validate = await this.loadValidator();
+    const candidate = applyReportDefaults(structuredClone(report), tool);
+    if (validate(candidate)) {
+      return [];
+    }
+    const errors = validate.errors.filter(error =>
+      !PIPELINE_FIELDS.some(field => error.instancePath === `/${field}` || error.instancePath.startsWith(`/${field}/`))
+    );
+    return formatSchemaErrors(errors);
+  }
+
+  /**
+   * Follow-up prompt asking for a corrected report
+   *
+   * The follow-up runs as a fresh invocation, so the previous output is
+   * included alongside the errors.
+   */
+  buildPrompt(report, errors) {
+    return [
+      'The JSON review you produced does not match the required report schema.',
+      '',
+      'Validation errors:',
+      ...errors.map(error => `- ${error}`),
+      '',
+      'Your previous output:',
+      JSON.stringify(report, null, 2),
+      '',
+      'Reply with only the corrected JSON object. Keep your findings and fix only what the errors point at; no prose, no markdown fences.'
+    ].join('\n');
+  }
+}
+
+export { ReportRepair };
@@ -0,0 +1,45 @@
+/**
+ * Report Schema - Shared handling of provider reports before validation
+ * against config/schemas/report.schema.json
+ */
+
+// Fields the pipeline knows better than the provider; schema errors in these
+// are never sent back to a provider
+export const PIPELINE_FIELDS = ['tool', 'model', 'timestamp', 'pr'];
+
+/**
+ * Fix common issues so an otherwise usable report passes validation
+ */
+export function applyReportDefaults(json, tool) {
+  // Fix null tests.executed (schema expects boolean)
+  if (json.tests && (json.tests.executed === null || json.tests.executed === undefined)) {
+    json.tests.executed = false;
+  }
+
+  if (!json.tool) json.tool = tool;
+  if (!json.model) json.model = 'unknown';
+  if (!json.timestamp) json.timestamp = new Date().toISOString();
+  if (!json.pr) json.pr = {};
+  if (!json.summary && json.error) {
+    // If there's an error, use it as summary
+    json.summary = `Error: ${json.error}`;
+  } else if (!json.summary) {
+    json.summary = 'No summary provided';
+  }
+  if (!json.assumptions) json.assumptions = [];
+  if (!json.findings) json.findings = [];
+  if (!json.tests) json.tests = { executed: false, command: null, exit_code: null, summary: 'Not executed' };
+  if (!json.exit_criteria) json.exit_criteria = { ready_for_pr: false, reasons: [] };
+  return json;
+}
+
+/**
+ * One line per Ajv error, including the allowed values for enums
+ */
+export function formatSchemaErrors(errors = []) {
+  return errors.map(error => {
+    const allowed = error.params?.allowedValues ? ` (allowed: ${error.params.allowedValues.join(', ')})` : '';
+    const extra = error.params?.additionalProperty ? ` (${error.params.additionalProperty})` : '';
+    return `${error.instancePath || '/'} ${error.message}${allowed}${extra}`;
+  });
+}
@@ -0,0 +1,105 @@
+/**
+ * Retry Policy - Decides whether and how a failed provider attempt is retried
+ *
+ * Driven by `execution.retry_on_failure` / `max_retries`. Attempts are retried
+ * with exponential backoff; execution failures can drop to the next model in
+ * the provider's manifest (opus → sonnet) and unparseable output can be
+ * re-prompted with a short repair instruction.
+ */
+
+// normalize-json.js error markers that are worth another attempt
+const REPORT_ERRORS = {
+  claude_execution_error: 'execution_error',
+  truncated_json: 'invalid_json',
+  unstructured_output: 'invalid_json',
+  invalid_output_format: 'invalid_json'
+};
+
+export const REPAIR_PROMPT = 'Your last output was not valid JSON. Reply with only the JSON object described above: no prose, no markdown fences.';
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxRetries - Retries after the first attempt (0 = never retry)
+ * @property {number} backoffSeconds - Delay before the first retry
+ * @property {number} backoffMultiplier - Factor applied to the delay per retry
+ * @property {boolean} fallbackModel - Retry execution failures with the next manifest model
+ * @property {boolean} repairPrompt - Retry invalid output with REPAIR_PROMPT
+ */
+
+/**
+ * Resolve the retry policy from the `execution` configuration
+ *
+ * @returns {RetryPolicy}
+ */
+export function getRetryPolicy(execution = {}) {
+  const enabled = execution.retry_on_failure === true;
+  return {
+    // retry_on_failure alone retries once
+    maxRetries: enabled ? Math.max(execution.max_retries ?? 0, 1) : 0,
+    backoffSeconds: execution.retry_backoff_seconds ?? 10,
+    backoffMultiplier: 2,
+    fallbackModel: execution.retry_fallback_model !== false,
+    repairPrompt: execution.retry_repair_prompt !== false
+  };
+}
+
+/**
+ * Milliseconds to wait before retry number `retry` (1-based)
+ */
+export function backoffDelay(policy, retry) {
+  return Math.round(policy.backoffSeconds * 1000 * policy.backoffMultiplier ** (retry - 1));
+}
+
+/**
+ * Classify an attempt; null means it succeeded
+ *
+ * @param {Object} attempt
+ * @param {Object|null} [attempt.report] - Normalized report written by the attempt
+ * @param {number|null} [attempt.exitCode]
+ * @param {Error} [attempt.error] - Error thrown by the attempt
+ * @returns {{reason: string, retryable: boolean}|null}
+ */
+export function classifyAttempt({ report = null, exitCode = 0, error = null }) {
+  if (error) {
+    // Only timeouts are transient; spawn and configuration errors won't fix themselves
+    const timedOut = /timed out/i.test(error.message);
+    return { reason: timedOut ? 'timeout' : 'error', retryable: timedOut };
+  }
+  if (report?.error && REPORT_ERRORS[report.error]) {
+    return { reason: REPORT_ERRORS[report.error], retryable: true };
+  }
+  if (exitCode !== 0 && (!report || report.error)) {
+    return { reason: 'exit_code', retryable: true };
+  }
+  return null;
+}
+
+/**
+ * The model after `current` in the manifest's list, or null if there is none
+ */
+export function getFallbackModel(manifest, current) {
+  const models = (manifest?.models || []).map(model => model.id);
+  const index = models.indexOf(current);
+  return index !== -1 && index + 1 < models.length ? models[index + 1] : null;
+}
+
+/**
+ * Options for the next attempt after a failure. The repair prompt is added
+ * once: a prompt that already ends with it is retried unchanged
+ *
+ * @returns {Object} Execute options (model, prompt) for the retry
+ */
+export function nextAttemptOptions(policy, failure, { options, manifest, model }) {
+  const next = { ...options };
+  if (failure.reason === 'invalid_json') {
+    if (policy.repairPrompt && !options.prompt?.endsWith(REPAIR_PROMPT)) {
+      next.prompt = [options.prompt, REPAIR_PROMPT].filter(Boolean).join('\n\n');
+    }
+  } else if (policy.fallbackModel) {
+    const fallback = getFallbackModel(manifest, model);
+    if (fallback) {
+      next.model = fallback;
+    }
+  }
+  return next;
+}
@@ -0,0 +1,222 @@
+/**
+ * Review Publisher - Posts merged findings as a single GitHub pull request review
+ *
+ * Findings whose lines fall inside the diff become line-anchored review
+ * comments; everything else is listed in the review body. The payload is sent
+ * to POST /repos/{owner}/{repo}/pulls/{number}/reviews on `apiUrl`, so any
+ * server speaking that endpoint (GitHub Enterprise, a local stand-in) works.
+ * In dry-run mode the payload is written to review-payload.json instead.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseUnifiedDiff } from './diff.js';
+import { parseLineRange, normalizeFile } from './consensus.js';
+
+/**
+ * @typedef {Object} PublishResult
+ * @property {Object} payload - Create-review payload
+ * @property {boolean} posted - False in dry-run mode
+ * @property {string} [payloadFile] - Where the dry-run payload was written
+ * @property {Object} [review] - GitHub's response when posted
+ */
+
+/**
+ * Lines that can carry a review comment: added and context lines on the new
+ * side of the diff, mapped to the hunk they belong to
+ *
+ * @returns {Map<string, Map<number, number>>} file → (line → hunk index)
+ */
+export function commentableLines(diffText) {
+  const result = new Map();
+  for (const file of parseUnifiedDiff(diffText)) {
+    if (!file.file || file.status === 'deleted' || file.binary) continue;
+    const lines = new Map();
+    file.hunks.forEach((hunk, index) => {
+      for (const line of hunk.lines) {
+        if (line.type !== '-') lines.set(line.newLine, index);
+      }
+    });
+    result.set(file.file, lines);
+  }
+  return result;
+}
+
+/**
+ * Anchor a finding to the diff: the last commentable line in its range, and
+ * the first one in the same hunk for multi-line findings
+ *
+ * @returns {{path: string, line: number, start_line?: number}|null} Null when outside the diff
+ */
+export function anchorFinding(finding, lines) {
+  const file = normalizeFile(finding.file);
+  const range = parseLineRange(finding.lines);
+  const fileLines = lines.get(file);
+  if (!range || !fileLines) return null;
+
+  const inDiff = [];
+  for (let line = range.start; line <= range.end; line++) {
+    if (fileLines.has(line)) inDiff.push(line);
+  }
+  if (inDiff.length === 0) return null;
+
+  const line = inDiff[inDiff.length - 1];
+  const startLine = inDiff.find(l => fileLines.get(l) === fileLines.get(line));
+  return startLine < line ? { path: file, start_line: startLine, line } : { path: file, line };
+}
+
+function formatTools(finding) {
+  const tools = finding.agreed_by || [];
+  return tools.length ? tools.join(', ') : 'unknown';
+}
+
+function commentBody(finding) {
+  const parts = [`**[${finding.severity}] ${finding.category}**: ${finding.message}`];
+  if (finding.suggestion) {
+    parts.push(`**Suggestion:** ${finding.suggestion}`);
+  }
+  parts.push(`_Reported by ${formatTools(finding)}_`);
+  return parts.join('\n\n');
+}
+
+export default class ReviewPublisher {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.workspaceDir = path.join(this.projectDir, '.review-pipeline', 'workspace');
+    this.contextDir = path.join(this.workspaceDir, 'context');
+    this.apiUrl = (options.apiUrl || process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+    this.token = options.token ?? process.env.GH_TOKEN ?? process.env.GITHUB_TOKEN;
+    this.dryRun = options.dryRun || false;
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Diff and PR metadata written by ContextBuilder
+   */
+  async loadContext() {
+    const diffText = await fs.readFile(path.join(this.contextDir, 'diff.patch'), 'utf8').catch(() => '');
+    const pr = JSON.parse(await fs.readFile(path.join(this.contextDir, 'pr.json'), 'utf8'));
+    return { diffText, pr };
+  }
+
+  /**
+   * Build the create-review payload
+   *
+   * @param {Object} input
+   * @param {Object[]} input.findings - Merged findings (consensus.js)
+   * @param {string} input.diffText - Unified diff the review covers
+   * @param {Object} [input.pr] - pr.json (headRefOid becomes commit_id)
+   * @param {'pass'|'fail'} [input.gate]
+   */
+  buildReview({ findings, diffText, pr = {}, gate }) {
+    const lines = commentableLines(diffText);
+    const comments = [];
+    const outside = [];
+
+    for (const finding of findings) {
+      const anchor = anchorFinding(finding, lines);
+      if (anchor) {
+        comments.push({
+          ...anchor,
+          side: 'RIGHT',
+          ...(anchor.start_line && { start_side: 'RIGHT' }),
+          body: commentBody(finding)
+        });
+      } else {
+        outside.push(finding);
+      }
+    }
+
+    const body = [`## Multi‑Model Review${gate ? `: ${gate.toUpperCase()}` : ''}`, ''];
+    body.push(findings.length === 0
+      ? 'No findings.'
+      : `${findings.length} findings, ${comments.length} commented inline.`);
+    if (outside.length) {
+      body.push('', '### Findings outside the diff');
+      for (const f of outside) {
+        body.push(`- [${f.severity}] (${formatTools(f)}) ${f.category} — ${f.message} — ${f.file}${f.lines ? `:${f.lines}` : ''}`);
+      }
+    }
+
+    const commitId = pr.headRefOid && pr.headRefOid !== 'LOCAL' ? pr.headRefOid : undefined;
+    return {
+      ...(commitId && { commit_id: commitId }),
+      event: 'COMMENT',
+      body: body.join('\n'),
+      comments
+    };
+  }
+
+  /**
+   * Publish findings as a review on the pull request in pr.json
+   *
+   * @param {Object} input
+   * @param {Object[]} input.findings - Merged findings
+   * @param {'pass'|'fail'} [input.gate]
+   * @returns {Promise<PublishResult>}
+   */
+  async publish({ findings, gate }) {
+    const { diffText, pr } = await this.loadContext();
+    const payload = this.buildReview({ findings, diffText, pr, gate });
+
+    if (this.dryRun) {
+      const payloadFile = path.join(this.workspaceDir, 'review-payload.json');
+      await fs.writeFile(payloadFile, JSON.stringify(payload, null, 2));
+      if (this.verbose) {
+        console.error(`Dry run: review payload written to ${payloadFile}`);
+      }
+      return { payload, posted: false, payloadFile };
+    }
+
+    if (!pr.repository || !pr.number) {
+      throw new Error('No pull request found in pr.json; cannot publish a review');
+    }
+    if (!this.token) {
+      throw new Error('GH_TOKEN or GITHUB_TOKEN is required to publish a review');
+    }
+
+    const review = await this.postReview(pr, payload);
+    return { payload, posted: true, review };
+  }
+
+  async postReview(pr, payload) {
+    const url = `${this.apiUrl}/repos/${pr.repository}/pulls/${pr.number}/reviews`;
+    let response = await this.request(url, payload);
+
+    // GitHub rejects the whole review if any comment can't be placed
+    // (e.g. the diff moved on); fall back to listing everything in the body
+    if (response.status === 422 && payload.comments.length > 0) {
+      await response.text();
+      if (this.verbose) {
+        console.error('Inline comments were rejected, posting them in the review body');
+      }
+      const lines = payload.comments.map(c => `- ${c.path}:${c.line}: ${c.body.split('\n')[0]}`);
+      response = await this.request(url, {
+        ...payload,
+        body: `${payload.body}\n\n### Inline comments\n${lines.join('\n')}`,
+        comments: []
+      });
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`GitHub API returned ${response.status}: ${text.slice(0, 200)}`);
+    }
+    return text ? JSON.parse(text) : {};
+  }
+
+  request(url, payload) {
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${this.token}`,
+        'Content-Type': 'application/json',
+        'X-GitHub-Api-Version': '2022-11-28'
+      },
+      body: JSON.stringify(payload)
+    });
+  }
+}
+
+export { ReviewPublisher };
@@ -0,0 +1,437 @@
+/**
+ * Review Server - Reviews pull requests from signed webhooks
+ *
+ * `review-pipeline serve` replaces the self-hosted Actions runner: the forge
+ * posts pull_request webhooks to POST /webhook, signed with the shared secret
+ * (X-Hub-Signature-256). Each accepted event becomes a job that is queued,
+ * cloned into its own workspace under work_dir/jobs/<id>/repo, reviewed with
+ * ReviewPipeline and published with ReviewPublisher to `apiUrl`. A newer event
+ * for the same pull request supersedes a job that has not started yet.
+ *
+ * Endpoints:
+ * - POST /webhook    pull_request events (ping is answered, others ignored)
+ * - GET  /jobs       recent jobs, newest first
+ * - GET  /jobs/<id>  one job
+ * - GET  /healthz    queue and running counts
+ *
+ * Git runs with execFile (no shell) and the runner's own credentials. The
+ * forge token is passed in as `token` (see takeServerSecrets), never read
+ * from the environment the reviewed code runs in.
+ */
+
+import { execFile } from 'node:child_process';
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import ReviewPipeline from './index.js';
+import ReviewPublisher from './review-publisher.js';
+
+const execFileAsync = promisify(execFile);
+
+// pull_request actions that change what there is to review
+export const REVIEW_ACTIONS = ['opened', 'synchronize', 'reopened', 'ready_for_review'];
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+// Finished jobs kept for the status endpoint
+const MAX_JOBS = 200;
+
+/**
+ * @typedef {Object} ReviewJob
+ * @property {string} id
+ * @property {string|null} delivery - X-GitHub-Delivery of the webhook
+ * @property {string} repository - owner/name
+ * @property {number} number
+ * @property {string} action
+ * @property {string} head_sha
+ * @property {'queued'|'running'|'completed'|'failed'|'superseded'} status
+ * @property {string} created_at
+ * @property {string|null} started_at
+ * @property {string|null} finished_at
+ * @property {'pass'|'fail'|null} gate
+ * @property {number|null} findings
+ * @property {string|null} review_url
+ * @property {string[]} errors - Pipeline errors of a completed job
+ * @property {string|null} error - Why the job failed
+ * @property {string|null} superseded_by
+ */
+
+/**
+ * `sha256=<hex>` HMAC of a webhook body, as sent in X-Hub-Signature-256
+ */
+export function signPayload(secret, body) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Whether X-Hub-Signature-256 matches the body (constant-time)
+ */
+export function verifySignature(secret, body, signature) {
+  if (typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, body));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Read the webhook secret and the forge token, and remove them from `env` so
+ * that code the reviewed pull request controls (its tests, context
+ * generators) cannot see them
+ *
+ * @returns {{secret: string|undefined, token: string|undefined}}
+ */
+export function takeServerSecrets(env = process.env) {
+  const secret = env.REVIEW_WEBHOOK_SECRET;
+  const token = env.GH_TOKEN ?? env.GITHUB_TOKEN;
+  for (const name of ['REVIEW_WEBHOOK_SECRET', 'GH_TOKEN', 'GITHUB_TOKEN']) {
+    delete env[name];
+  }
+  return { secret, token };
+}
+
+/**
+ * What to review for a pull_request event, or why the event is ignored
+ *
+ * @returns {{job: Object}|{ignored: string}}
+ */
+export function parsePullRequestEvent(payload) {
+  const pr = payload?.pull_request;
+  if (!pr || !payload.repository?.full_name) {
+    return { ignored: 'not a pull request event' };
+  }
+  if (!REVIEW_ACTIONS.includes(payload.action)) {
+    return { ignored: `action ${payload.action}` };
+  }
+  if (pr.draft) {
+    return { ignored: 'draft pull request' };
+  }
+  if (!pr.head?.sha || !pr.head?.ref || !pr.base?.ref || !payload.repository.clone_url) {
+    return { ignored: 'pull request without head, base or clone URL' };
+  }
+  return {
+    job: {
+      repository: payload.repository.full_name,
+      number: pr.number,
+      action: payload.action,
+      head_sha: pr.head.sha,
+      head_ref: pr.head.ref,
+      base_ref: pr.base.ref,
+      clone_url: payload.repository.clone_url,
+      // Forks are fetched from their own repository
+      head_clone_url: pr.head.repo?.clone_url || payload.repository.clone_url
+    }
+  };
+}
+
+export default class ReviewServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    if (!options.secret) {
+      throw new Error('A webhook secret is required (REVIEW_WEBHOOK_SECRET)');
+    }
+    this.secret = options.secret;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 8787;
+    this.workDir = path.resolve(options.workDir || path.join(os.homedir(), '.review-pipeline', 'serve'));
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.keepWorkspaces = options.keepWorkspaces || false;
+    // owner/name allow-list; empty accepts every signed event
+    this.repositories = options.repositories || [];
+    this.apiUrl = options.apiUrl;
+    this.token = options.token;
+    // ReviewPipeline options shared by every job (providers, timeout, ...).
+    // Tests run code from the pull request, so they are off unless asked for
+    this.pipelineOptions = { tests: false, ...options.pipelineOptions };
+    this.createPipeline = options.createPipeline || (pipelineOptions => new ReviewPipeline(pipelineOptions));
+    this.verbose = options.verbose || false;
+
+    /** @type {Map<string, ReviewJob & {internal: Object}>} */
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        console.error(`Request failed: ${error.message}`);
+        this.send(res, 500, { error: 'internal error' });
+      });
+    });
+  }
+
+  /**
+   * Start listening; resolves to the bound address
+   *
+   * @returns {Promise<{host: string, port: number, url: string}>}
+   */
+  async listen() {
+    await fs.mkdir(path.join(this.workDir, 'jobs'), { recursive: true });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    const { port } = this.server.address();
+    return { host: this.host, port, url: `http://${this.host}:${port}` };
+  }
+
+  /**
+   * Stop accepting requests; queued jobs are dropped, running ones finish
+   */
+  async close() {
+    this.queue.length = 0;
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'POST' && url.pathname === '/webhook') {
+      return this.handleWebhook(req, res);
+    }
+    if (req.method === 'GET' && url.pathname === '/healthz') {
+      return this.send(res, 200, { ok: true, queued: this.queue.length, running: this.running });
+    }
+    if (req.method === 'GET' && url.pathname === '/jobs') {
+      return this.send(res, 200, { jobs: [...this.jobs.values()].reverse().map(job => this.view(job)) });
+    }
+    const match = url.pathname.match(/^\/jobs\/([\w-]+)$/);
+    if (req.method === 'GET' && match) {
+      const job = this.jobs.get(match[1]);
+      return job ? this.send(res, 200, this.view(job)) : this.send(res, 404, { error: 'no such job' });
+    }
+    return this.send(res, 404, { error: 'not found' });
+  }
+
+  async handleWebhook(req, res) {
+    const body = await this.readBody(req);
+    if (body === null) {
+      return this.send(res, 413, { error: 'payload too large' });
+    }
+    if (!verifySignature(this.secret, body, req.headers['x-hub-signature-256'])) {
+      return this.send(res, 401, { error: 'invalid signature' });
+    }
+
+    const event = req.headers['x-github-event'];
+    if (event === 'ping') {
+      return this.send(res, 200, { ok: true });
+    }
+    if (event !== 'pull_request') {
+      return this.send(res, 202, { ignored: `event ${event || '(none)'}` });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch {
+      return this.send(res, 400, { error: 'payload is not JSON' });
+    }
+    const parsed = parsePullRequestEvent(payload);
+    if (parsed.ignored) {
+      return this.send(res, 202, { ignored: parsed.ignored });
+    }
+    if (this.repositories.length > 0 && !this.repositories.includes(parsed.job.repository)) {
+      return this.send(res, 403, { error: `repository ${parsed.job.repository} is not served` });
+    }
+
+    const job = this.enqueue(parsed.job, payload, req.headers['x-github-delivery'] || null);
+    return this.send(res, 202, { id: job.id, status: job.status, url: `/jobs/${job.id}` });
+  }
+
+  /**
+   * Request body, or null when it exceeds MAX_BODY_BYTES
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+      });
+      req.on('end', () => resolve(size > MAX_BODY_BYTES ? null : Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  send(res, status, body) {
+    if (res.headersSent) {
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(`${JSON.stringify(body)}\n`);
+  }
+
+  /**
+   * Queue a review, superseding queued jobs of the same pull request
+   */
+  enqueue(target, payload, delivery) {
+    const id = randomUUID().replace(/-/g, '').slice(0, 12);
+    const job = {
+      id,
+      delivery,
+      repository: target.repository,
+      number: target.number,
+      action: target.action,
+      head_sha: target.head_sha,
+      status: 'queued',
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      gate: null,
+      findings: null,
+      review_url: null,
+      errors: [],
+      error: null,
+      superseded_by: null,
+      internal: { target, payload }
+    };
+
+    for (const queued of this.queue.filter(q => q.repository === job.repository && q.number === job.number)) {
+      this.update(queued, { status: 'superseded', superseded_by: id, finished_at: job.created_at });
+    }
+    this.queue = this.queue.filter(q => q.status === 'queued');
+    this.queue.push(job);
+    this.jobs.set(id, job);
+    this.prune();
+    this.emit('job', this.view(job));
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond MAX_JOBS
+   */
+  prune() {
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= MAX_JOBS) break;
+      if (!['queued', 'running'].includes(job.status)) this.jobs.delete(id);
+    }
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.running++;
+      this.execute(job).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async execute(job) {
+    this.update(job, { status: 'running', started_at: new Date().toISOString() });
+    let outcome;
+    try {
+      outcome = { status: 'completed', ...await this.runJob(job) };
+    } catch (error) {
+      outcome = { status: 'failed', error: error.message };
+    }
+    // A finished job's checkout is already gone
+    if (!this.keepWorkspaces) {
+      await fs.rm(this.repoDir(job), { recursive: true, force: true });
+    }
+    this.update(job, { ...outcome, finished_at: new Date().toISOString() });
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes);
+    this.emit('job', this.view(job));
+    const record = `${JSON.stringify(this.view(job), null, 2)}\n`;
+    fs.mkdir(this.jobDir(job), { recursive: true })
+      .then(() => fs.writeFile(path.join(this.jobDir(job), 'job.json'), record))
+      .catch(error => {
+        if (this.verbose) {
+          console.error(`Could not record job ${job.id}: ${error.message}`);
+        }
+      });
+  }
+
+  view(job) {
+    const { internal, ...view } = job;
+    return view;
+  }
+
+  jobDir(job) {
+    return path.join(this.workDir, 'jobs', job.id);
+  }
+
+  repoDir(job) {
+    return path.join(this.jobDir(job), 'repo');
+  }
+
+  /**
+   * Check out the pull request, review it and publish the review
+   *
+   * @returns {Promise<Partial<ReviewJob>>}
+   */
+  async runJob(job) {
+    const { target, payload } = job.internal;
+    const repoDir = this.repoDir(job);
+    const eventFile = path.join(this.jobDir(job), 'event.json');
+    await fs.mkdir(this.jobDir(job), { recursive: true });
+    await fs.writeFile(eventFile, JSON.stringify(payload));
+    await this.checkout(target, repoDir);
+
+    // The context builder reads the pull request the same way it does on
+    // an Actions runner
+    const pipeline = this.createPipeline({
+      ...this.pipelineOptions,
+      projectRoot: repoDir,
+      env: {
+        GITHUB_ACTIONS: 'true',
+        GITHUB_EVENT_NAME: 'pull_request',
+        GITHUB_EVENT_PATH: eventFile,
+        GITHUB_REPOSITORY: target.repository
+      },
+      verbose: this.verbose
+    });
+    const result = await pipeline.run();
+
+    const publisher = new ReviewPublisher({
+      projectDir: repoDir,
+      apiUrl: this.apiUrl,
+      token: this.token,
+      verbose: this.verbose
+    });
+    const published = await publisher.publish({ findings: result.aggregate.findings, gate: result.gate });
+
+    return {
+      gate: result.gate,
+      findings: result.aggregate.findings.length,
+      review_url: published.review?.html_url || null,
+      errors: result.errors
+    };
+  }
+
+  /**
+   * Clone the base repository and check out the head commit, with
+   * origin/HEAD pointing at the base branch the diff is taken against
+   */
+  async checkout(target, repoDir) {
+    await fs.rm(repoDir, { recursive: true, force: true });
+    await this.git(path.dirname(repoDir), 'clone', '--quiet', '--no-tags', '--', target.clone_url, repoDir);
+    await this.git(repoDir, 'fetch', '--quiet', '--no-tags', '--', target.head_clone_url, target.head_ref);
+    try {
+      await this.git(repoDir, 'cat-file', '-e', `${target.head_sha}^{commit}`);
+    } catch {
+      throw new Error(`Head commit ${target.head_sha} is no longer on ${target.head_ref}`);
+    }
+    await this.git(repoDir, 'checkout', '--quiet', '--detach', target.head_sha);
+    await this.git(repoDir, 'symbolic-ref', 'refs/remotes/origin/HEAD', `refs/remotes/origin/${target.base_ref}`);
+  }
+
+  async git(cwd, ...args) {
+    try {
+      const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 50 * 1024 * 1024 });
+      return stdout;
+    } catch (error) {
+      throw new Error(`git ${args[0]} failed: ${(error.stderr || error.message).trim().slice(0, 300)}`);
+    }
+  }
+}
+
+export { ReviewServer };
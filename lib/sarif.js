@@ -0,0 +1,108 @@
+/**
+ * SARIF - Export of merged findings as SARIF 2.1.0 (review.sarif)
+ *
+ * One run for the whole pipeline: `category` becomes the rule, `severity` the
+ * level, and `file`/`lines` the physical location. The providers and models
+ * that took part are listed in the run properties, and each result records
+ * which tools agreed on it; its fingerprint (fingerprint.js) is a partial
+ * fingerprint so code scanning can follow it across line moves. Suggestions
+ * are free text rather than edits, so they go in the message and result
+ * properties; SARIF `fixes` must carry concrete replacements.
+ */
+
+import { parseLineRange, normalizeFile } from './consensus.js';
+
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+
+/**
+ * SARIF level for a finding severity
+ */
+export function severityToLevel(severity) {
+  return LEVELS[severity] || 'warning';
+}
+
+/**
+ * Rule id for a finding category
+ */
+export function ruleId(category) {
+  return `review/${category || 'general'}`;
+}
+
+function buildRule(category) {
+  const name = String(category || 'general');
+  return {
+    id: ruleId(category),
+    name: name.charAt(0).toUpperCase() + name.slice(1),
+    shortDescription: { text: `${name} issue found in AI review` },
+    properties: { tags: [name] }
+  };
+}
+
+function buildLocation(finding) {
+  const physicalLocation = {
+    artifactLocation: { uri: normalizeFile(finding.file), uriBaseId: '%SRCROOT%' }
+  };
+  const range = parseLineRange(finding.lines);
+  if (range) {
+    physicalLocation.region = { startLine: range.start, endLine: range.end };
+  }
+  return { physicalLocation };
+}
+
+/**
+ * Build the SARIF log
+ *
+ * @param {Object} input
+ * @param {Object[]} input.findings - Merged findings (consensus.js)
+ * @param {Object[]} [input.unconfirmed] - Must-fix candidates below gating.min_agreement
+ * @param {Object[]} [input.reports] - Provider reports (tool, model)
+ * @param {string} [input.version] - Pipeline version for tool.driver
+ * @returns {Object} SARIF 2.1.0 log
+ */
+export function buildSarif({ findings, unconfirmed = [], reports = [], version }) {
+  const held = new Set(unconfirmed);
+  const categories = [...new Set(findings.map(f => f.category || 'general'))].sort();
+  const rules = categories.map(buildRule);
+
+  const results = findings.map(finding => {
+    const suggestion = finding.suggestion ? `\n\nSuggestion: ${finding.suggestion}` : '';
+    return {
+      ruleId: ruleId(finding.category),
+      ruleIndex: categories.indexOf(finding.category || 'general'),
+      level: severityToLevel(finding.severity),
+      message: { text: `${finding.message}${suggestion}` },
+      locations: finding.file ? [buildLocation(finding)] : [],
+      ...(finding.fingerprint && { partialFingerprints: { 'reviewFinding/v1': finding.fingerprint } }),
+      properties: {
+        severity: finding.severity,
+        must_fix: finding.must_fix === true,
+        agreed_by: finding.agreed_by || [],
+        consensus: finding.consensus,
+        ...(held.has(finding) && { unconfirmed: true }),
+        ...(finding.suggestion && { suggestion: finding.suggestion }),
+        ...(finding.evidence?.length && { evidence: finding.evidence })
+      }
+    };
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'multi-model-review-pipeline',
+          ...(version && { version }),
+          informationUri: 'https://github.com/multi-model/review-pipeline',
+          rules
+        }
+      },
+      properties: {
+        providers: reports.map(r => ({ tool: r.tool, model: r.model }))
+      },
+      results
+    }]
+  };
+}
@@ -0,0 +1,311 @@
+/**
+ * Scheduler - Quota-aware admission of provider invocations
+ *
+ * Subscription plans limit how much each CLI may be used in a rolling window
+ * (Claude's five-hour window, for example), and several reviews on one runner
+ * share those limits. Every provider process is started through the
+ * scheduler, which keeps a state file shared by all pipelines on the machine
+ * (default ~/.review-pipeline/scheduler.json). For each provider it records
+ * the invocations started in the window and the ones still running. Before a
+ * start it enforces the provider's quota (scheduler.quotas):
+ *
+ * - max_concurrent:  invocations running at once
+ * - max_invocations: invocations started in the last window_minutes
+ * - max_tokens:      tokens reported in the last window_minutes
+ *
+ * A rate-limit message in a provider's output blocks the provider until the
+ * reset time it names, or for rate_limit_cooldown_minutes, and the failed
+ * invocation is queued again (max_requeues). A job that cannot start is
+ * deferred until the window allows it; one that would wait longer than
+ * max_wait_minutes fails instead.
+ */
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+export const SCHEDULER_VERSION = 1;
+
+// A lock file older than this is left over from a crashed process
+const STALE_LOCK_MS = 30000;
+
+const RATE_LIMIT_PATTERN = /rate[ _-]?limit|too many requests|\b429\b|quota exceeded|resource[_ ]exhausted|usage limit/i;
+
+/**
+ * @typedef {Object} Quota
+ * @property {number} [max_concurrent] - Invocations running at once (default 1)
+ * @property {number} [window_minutes] - Length of the rolling window (default 300)
+ * @property {number|null} [max_invocations] - Starts per window
+ * @property {number|null} [max_tokens] - Reported tokens per window
+ */
+
+/**
+ * @typedef {Object} Lease
+ * @property {string} id
+ * @property {string} provider
+ * @property {string} started_at - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {string} reason - The line that reported the limit
+ * @property {number|null} resetAt - Epoch ms the provider named, null when it named none
+ */
+
+/**
+ * Find a rate-limit or usage-limit message in provider output
+ *
+ * Understands Claude's "usage limit reached|<epoch seconds>", "try again in
+ * 2 hours 5 minutes" and "retry after 30 seconds"; otherwise the reset time
+ * is unknown.
+ *
+ * @param {string} text
+ * @param {number} [now] - Epoch ms
+ * @returns {RateLimit|null}
+ */
+export function detectRateLimit(text, now = Date.now()) {
+  const line = String(text || '').split('\n').find(l => RATE_LIMIT_PATTERN.test(l));
+  if (!line) {
+    return null;
+  }
+  const reason = line.trim().slice(0, 200);
+
+  const epoch = line.match(/limit reached\|(\d{10})/i);
+  if (epoch) {
+    return { reason, resetAt: parseInt(epoch[1], 10) * 1000 };
+  }
+  const retryIn = line.match(/(?:try again|retry) (?:in|after)\s+(?:(\d+)\s*h\w*)?\s*(?:(\d+)\s*m\w*)?\s*(?:(\d+)\s*s\w*)?/i);
+  if (retryIn && (retryIn[1] || retryIn[2] || retryIn[3])) {
+    const [, hours = 0, minutes = 0, seconds = 0] = retryIn.map(n => parseInt(n, 10) || 0);
+    return { reason, resetAt: now + ((hours * 60 + minutes) * 60 + seconds) * 1000 };
+  }
+  return { reason, resetAt: null };
+}
+
+/**
+ * Whether a process recorded in the state file is still running
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+export default class QuotaScheduler {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.stateFile = options.stateFile
+      ? path.resolve(this.projectDir, options.stateFile)
+      : path.join(os.homedir(), '.review-pipeline', 'scheduler.json');
+    this.lockFile = `${this.stateFile}.lock`;
+    /** @type {Object<string, Quota>} */
+    this.quotas = options.quotas || {};
+    this.maxWaitMs = (options.maxWaitMinutes ?? 30) * 60000;
+    this.pollMs = (options.pollSeconds ?? 15) * 1000;
+    this.cooldownMs = (options.rateLimitCooldownMinutes ?? 60) * 60000;
+    // Times a rate-limited invocation is queued again before it fails
+    this.maxRequeues = options.maxRequeues ?? 1;
+    this.now = options.now || (() => Date.now());
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.verbose = options.verbose || false;
+  }
+
+  quota(provider) {
+    return { max_concurrent: 1, window_minutes: 300, max_invocations: null, max_tokens: null, ...(this.quotas[provider] || {}) };
+  }
+
+  /**
+   * Read, change and write the state file under a lock file, so pipelines
+   * running side by side see each other's invocations
+   *
+   * @param {(state: Object) => any} change
+   */
+  async update(change) {
+    await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+    await this.lock();
+    try {
+      let state;
+      try {
+        state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT' && this.verbose) {
+          console.error(`Unreadable scheduler state ${this.stateFile}, starting over: ${error.message}`);
+        }
+      }
+      if (state?.version !== SCHEDULER_VERSION || typeof state.providers !== 'object') {
+        state = { version: SCHEDULER_VERSION, providers: {} };
+      }
+      const result = change(state);
+      await fs.writeFile(this.stateFile, `${JSON.stringify(state, null, 2)}\n`);
+      return result;
+    } finally {
+      await fs.rm(this.lockFile, { force: true });
+    }
+  }
+
+  async lock() {
+    for (;;) {
+      try {
+        await (await fs.open(this.lockFile, 'wx')).close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      const stat = await fs.stat(this.lockFile).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+        await fs.rm(this.lockFile, { force: true });
+        continue;
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  /**
+   * Provider state with finished invocations outside the window and
+   * invocations of processes that are gone dropped
+   */
+  providerState(state, provider, now) {
+    const entry = state.providers[provider] || { invocations: [], blocked_until: null };
+    const windowStart = now - this.quota(provider).window_minutes * 60000;
+    entry.invocations = entry.invocations.filter(invocation =>
+      invocation.finished_at
+        ? Date.parse(invocation.started_at) > windowStart
+        : invocation.host !== os.hostname() || isRunning(invocation.pid)
+    );
+    if (entry.blocked_until && Date.parse(entry.blocked_until) <= now) {
+      entry.blocked_until = null;
+      delete entry.blocked_reason;
+    }
+    state.providers[provider] = entry;
+    return entry;
+  }
+
+  /**
+   * Why the provider cannot start now and when it may, or null when it can
+   *
+   * @returns {{reason: string, until: number|null}|null} until: epoch ms, null when a running invocation must finish first
+   */
+  admission(entry, provider, now) {
+    const quota = this.quota(provider);
+    if (entry.blocked_until) {
+      return { reason: `rate limited (${entry.blocked_reason || 'limit reported'})`, until: Date.parse(entry.blocked_until) };
+    }
+    const running = entry.invocations.filter(invocation => !invocation.finished_at);
+    if (running.length >= quota.max_concurrent) {
+      return { reason: `${running.length}/${quota.max_concurrent} invocations running`, until: null };
+    }
+    const windowMs = quota.window_minutes * 60000;
+    const recent = entry.invocations.filter(invocation => Date.parse(invocation.started_at) > now - windowMs);
+    const oldest = Math.min(...recent.map(invocation => Date.parse(invocation.started_at)));
+    if (quota.max_invocations && recent.length >= quota.max_invocations) {
+      return { reason: `${recent.length}/${quota.max_invocations} invocations in ${quota.window_minutes} minutes`, until: oldest + windowMs };
+    }
+    const tokens = recent.reduce((sum, invocation) => sum + (invocation.tokens || 0), 0);
+    if (quota.max_tokens && tokens >= quota.max_tokens) {
+      return { reason: `${tokens}/${quota.max_tokens} tokens in ${quota.window_minutes} minutes`, until: oldest + windowMs };
+    }
+    return null;
+  }
+
+  /**
+   * Wait until the provider's quota allows another invocation and record it
+   *
+   * @param {string} provider
+   * @param {{onWait?: (wait: {provider: string, reason: string, until: string|null}) => void}} [options]
+   * @returns {Promise<Lease>}
+   */
+  async acquire(provider, { onWait } = {}) {
+    const deadline = this.now() + this.maxWaitMs;
+    let announced = null;
+
+    for (;;) {
+      const now = this.now();
+      const outcome = await this.update(state => {
+        const entry = this.providerState(state, provider, now);
+        const wait = this.admission(entry, provider, now);
+        if (wait) {
+          return { wait };
+        }
+        const lease = { id: randomUUID().slice(0, 8), provider, started_at: new Date(now).toISOString() };
+        entry.invocations.push({ id: lease.id, pid: process.pid, host: os.hostname(), started_at: lease.started_at, finished_at: null });
+        return { lease };
+      });
+      if (outcome.lease) {
+        return outcome.lease;
+      }
+
+      const { reason, until } = outcome.wait;
+      if ((until ?? now) > deadline || now >= deadline) {
+        const available = until ? `, available again at ${new Date(until).toISOString()}` : '';
+        throw new Error(`${provider} quota exhausted: ${reason}${available} (waited up to scheduler.max_wait_minutes)`);
+      }
+      if (announced !== reason) {
+        announced = reason;
+        onWait?.({ provider, reason, until: until ? new Date(until).toISOString() : null });
+        if (this.verbose) {
+          console.error(`${provider} deferred: ${reason}`);
+        }
+      }
+      await this.sleep(Math.max(1, Math.min(this.pollMs, until ? until - now : this.pollMs)));
+    }
+  }
+
+  /**
+   * Record that an invocation finished, with the tokens it reported, and
+   * block the provider when its output reports a rate limit
+   *
+   * @param {Lease} lease
+   * @param {{output?: string, tokens?: number|null}} [result]
+   * @returns {Promise<RateLimit|null>} The rate limit found in the output
+   */
+  async release(lease, { output = '', tokens = null } = {}) {
+    const now = this.now();
+    const limit = detectRateLimit(output, now);
+    await this.update(state => {
+      const entry = this.providerState(state, lease.provider, now);
+      const invocation = entry.invocations.find(i => i.id === lease.id);
+      if (invocation) {
+        invocation.finished_at = new Date(now).toISOString();
+        if (typeof tokens === 'number') invocation.tokens = tokens;
+      }
+      if (limit) {
+        const until = limit.resetAt && limit.resetAt > now ? limit.resetAt : now + this.cooldownMs;
+        entry.blocked_until = new Date(until).toISOString();
+        entry.blocked_reason = limit.reason;
+      }
+    });
+    if (limit && this.verbose) {
+      console.error(`${lease.provider} reported a rate limit: ${limit.reason}`);
+    }
+    return limit;
+  }
+
+  /**
+   * Current state per provider, for status displays
+   *
+   * @returns {Promise<Object<string, {running: number, recent: number, tokens: number, blocked_until: string|null, waiting: string|null}>>}
+   */
+  async status() {
+    const now = this.now();
+    return this.update(state => Object.fromEntries(Object.keys({ ...this.quotas, ...state.providers }).map(provider => {
+      const entry = this.providerState(state, provider, now);
+      const windowStart = now - this.quota(provider).window_minutes * 60000;
+      const recent = entry.invocations.filter(invocation => Date.parse(invocation.started_at) > windowStart);
+      return [provider, {
+        running: entry.invocations.filter(invocation => !invocation.finished_at).length,
+        recent: recent.length,
+        tokens: recent.reduce((sum, invocation) => sum + (invocation.tokens || 0), 0),
+        blocked_until: entry.blocked_until || null,
+        waiting: this.admission(entry, provider, now)?.reason || null
+      }];
+    })));
+  }
+}
+
+export { QuotaScheduler };
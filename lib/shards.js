@@ -0,0 +1,226 @@
+/**
+ * Shards - Splits oversized diffs into shards reviewed one invocation each
+ *
+ * A diff larger than review.max_diff_size_kb, or touching more than
+ * review.max_files files, is split into shards that stay under both limits.
+ * Files are grouped by directory so related changes are reviewed together;
+ * a directory is only split across shards when it does not fit in one, and
+ * a single file larger than the budget gets a shard to itself.
+ *
+ * Each shard gets its own context files in context/shards/<id>/ (diff.patch,
+ * enhanced_diff.txt, files.txt) and writes its reports to reports/shards/<id>/.
+ * The shard reports are merged back into one report per provider in
+ * reports/<tool>.json before aggregation.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { formatEnhancedDiff, splitFileDiffs } from './diff.js';
+import { loadReportFacts, applyReportFacts } from './report-facts.js';
+import { combineUsage } from './usage.js';
+
+/**
+ * @typedef {Object} Shard
+ * @property {number} id - 1-based shard number
+ * @property {number} total - Number of shards
+ * @property {string[]} files - Files in this shard
+ * @property {string[]} dirs - Directories the files belong to
+ * @property {number} bytes - Size of the shard's diff
+ * @property {string} contextDir - Shard context files, relative to the project
+ */
+
+/**
+ * Directory a file is grouped by ('.' for the repository root)
+ */
+function groupKey(file) {
+  return path.posix.dirname(file);
+}
+
+/**
+ * Pack per-file diffs into shards under both limits
+ *
+ * @param {{file: string, text: string}[]} fileDiffs - Output of splitFileDiffs()
+ * @param {{maxBytes: number, maxFiles: number}} limits
+ * @returns {{file: string, text: string}[][]} File diffs per shard
+ */
+export function planShards(fileDiffs, { maxBytes, maxFiles }) {
+  const groups = new Map();
+  for (const fileDiff of [...fileDiffs].sort((a, b) => a.file.localeCompare(b.file))) {
+    const key = groupKey(fileDiff.file);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(fileDiff);
+  }
+
+  const shards = [];
+  let current = [];
+  let currentBytes = 0;
+  const fits = (bytes, files) => currentBytes + bytes <= maxBytes && current.length + files <= maxFiles;
+  const close = () => {
+    if (current.length > 0) shards.push(current);
+    current = [];
+    currentBytes = 0;
+  };
+
+  for (const group of groups.values()) {
+    const groupBytes = group.reduce((sum, f) => sum + Buffer.byteLength(f.text), 0);
+    // Keep a directory together, in a fresh shard if need be
+    if (!fits(groupBytes, group.length) && groupBytes <= maxBytes && group.length <= maxFiles) {
+      close();
+    }
+    for (const fileDiff of group) {
+      const bytes = Buffer.byteLength(fileDiff.text);
+      if (!fits(bytes, 1)) close();
+      current.push(fileDiff);
+      currentBytes += bytes;
+    }
+  }
+  close();
+  return shards;
+}
+
+/**
+ * Merge the reports of one provider's shards into a single report
+ *
+ * Findings and assumptions are concatenated (shards never share a file).
+ * The merged report is ready for PR only when every shard succeeded and is
+ * ready. Without any usable shard report the result is an error report.
+ * metrics.usage adds up the usage of every shard, failed ones included.
+ *
+ * @param {Object[]} shards - Shard (see Shard)
+ * @param {(Object|null)[]} reports - Report per shard, null when missing
+ * @returns {Object} Report in report.schema.json form (or an error report)
+ */
+export function mergeShardReports(shards, reports) {
+  const usable = reports.map((report, index) => ({ report, shard: shards[index] }))
+    .filter(({ report }) => report && typeof report === 'object' && !report.error);
+  const failed = reports.map((report, index) => ({ report, shard: shards[index] }))
+    .filter(({ report }) => !report || typeof report !== 'object' || report.error);
+  const failureReasons = failed.map(({ report, shard }) =>
+    `Shard ${shard.id}/${shard.total} (${shard.dirs.join(', ')}) failed: ${report?.error || 'no report'}`
+  );
+
+  const usage = combineUsage(reports.map(report => report?.metrics?.usage));
+
+  if (usable.length === 0) {
+    const first = reports.find(r => r && typeof r === 'object') || {};
+    return {
+      tool: first.tool || 'unknown',
+      model: first.model || 'unknown',
+      timestamp: new Date().toISOString(),
+      error: `All ${shards.length} shards failed`,
+      findings: [],
+      ...(usage && { metrics: { usage } }),
+      exit_criteria: { ready_for_pr: false, reasons: failureReasons }
+    };
+  }
+
+  const base = usable[0].report;
+  return {
+    ...base,
+    summary: usable.map(({ report, shard }) =>
+      `[Shard ${shard.id}/${shard.total}: ${shard.dirs.join(', ')}] ${String(report.summary || '').trim()}`
+    ).join('\n\n'),
+    assumptions: usable.flatMap(({ report }) => report.assumptions || []),
+    findings: usable.flatMap(({ report }) => report.findings || []),
+    tests: usable.map(({ report }) => report.tests).find(t => t?.executed) || base.tests,
+    exit_criteria: {
+      ready_for_pr: failed.length === 0 && usable.every(({ report }) => report.exit_criteria?.ready_for_pr === true),
+      reasons: [
+        ...usable.flatMap(({ report }) => report.exit_criteria?.reasons || []),
+        ...failureReasons
+      ]
+    },
+    metrics: {
+      ...(base.metrics || {}),
+      ...(usage && { usage }),
+      shards: usable.map(({ report, shard }) => ({ id: shard.id, files: shard.files.length, ...(report.metrics || {}) }))
+    }
+  };
+}
+
+export default class Sharder {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.workspaceDir = path.join(this.projectDir, '.review-pipeline', 'workspace');
+    this.contextDir = path.join(this.workspaceDir, 'context');
+    this.reportsDir = path.join(this.workspaceDir, 'reports');
+    this.maxBytes = (options.maxDiffSizeKb ?? 500) * 1024;
+    this.maxFiles = options.maxFiles ?? 100;
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Split context/diff.patch into shards and write their context files;
+   * null when the diff is within both limits
+   *
+   * @returns {Promise<Shard[]|null>}
+   */
+  async plan() {
+    await fs.rm(path.join(this.contextDir, 'shards'), { recursive: true, force: true });
+    await fs.rm(path.join(this.reportsDir, 'shards'), { recursive: true, force: true });
+    await fs.rm(path.join(this.contextDir, 'shards.json'), { force: true });
+
+    const diff = await fs.readFile(path.join(this.contextDir, 'diff.patch'), 'utf8').catch(() => '');
+    const fileDiffs = splitFileDiffs(diff);
+    if (Buffer.byteLength(diff) <= this.maxBytes && fileDiffs.length <= this.maxFiles) {
+      return null;
+    }
+
+    const planned = planShards(fileDiffs, { maxBytes: this.maxBytes, maxFiles: this.maxFiles });
+    const shards = [];
+    for (const [index, fileDiffsInShard] of planned.entries()) {
+      const id = index + 1;
+      const dir = path.join(this.contextDir, 'shards', String(id));
+      const text = fileDiffsInShard.map(f => f.text).join('');
+      const files = fileDiffsInShard.map(f => f.file);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, 'diff.patch'), text);
+      await fs.writeFile(path.join(dir, 'files.txt'), `${files.join('\n')}\n`);
+      await fs.writeFile(path.join(dir, 'enhanced_diff.txt'), formatEnhancedDiff(text));
+      shards.push({
+        id,
+        total: planned.length,
+        files,
+        dirs: [...new Set(files.map(groupKey))],
+        bytes: Buffer.byteLength(text),
+        contextDir: path.relative(this.projectDir, dir)
+      });
+    }
+
+    await fs.writeFile(path.join(this.contextDir, 'shards.json'), JSON.stringify(shards, null, 2));
+    if (this.verbose) {
+      console.error(`Diff of ${fileDiffs.length} files (${Math.round(Buffer.byteLength(diff) / 1024)} KB) split into ${shards.length} shards`);
+    }
+    return shards;
+  }
+
+  /**
+   * Report directory of a shard
+   */
+  shardReportsDir(shard) {
+    return path.join(this.reportsDir, 'shards', String(shard.id));
+  }
+
+  /**
+   * Merge a tool's shard reports into reports/<tool>.json
+   *
+   * @returns {Promise<Object>} The merged report
+   */
+  async mergeReports(tool, shards) {
+    const reports = [];
+    for (const shard of shards) {
+      try {
+        reports.push(JSON.parse(await fs.readFile(path.join(this.shardReportsDir(shard), `${tool}.json`), 'utf8')));
+      } catch {
+        reports.push(null);
+      }
+    }
+    // The merged report counts the whole diff, not its first shard's
+    const merged = applyReportFacts(mergeShardReports(shards, reports), await loadReportFacts(this.contextDir));
+    await fs.mkdir(this.reportsDir, { recursive: true });
+    await fs.writeFile(path.join(this.reportsDir, `${tool}.json`), JSON.stringify(merged, null, 2));
+    return merged;
+  }
+}
+
+export { Sharder };
@@ -0,0 +1,67 @@
+/**
+ * Stream JSON - Helpers for Claude's `--output-format stream-json` output
+ *
+ * The stream is newline-delimited JSON: a `system` init event, `assistant`
+ * and `user` turns (text, tool use, tool results) and a final `result` event
+ * that carries the same envelope `--output-format json` prints.
+ */
+
+/**
+ * Split buffered stream output into parsed events
+ *
+ * @param {string} buffer - Output not yet consumed, may end mid-line
+ * @returns {{events: Object[], rest: string}} Parsed events and the trailing partial line
+ */
+export function parseStreamLines(buffer) {
+  const lines = buffer.split('\n');
+  const rest = lines.pop();
+  const events = [];
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    try {
+      events.push(JSON.parse(trimmed));
+    } catch {
+      // Not an event (e.g. a warning printed by the CLI); ignore it
+    }
+  }
+  return { events, rest };
+}
+
+/**
+ * Reduce a complete stream to the final result envelope, so it can be
+ * normalized exactly like `--output-format json` output
+ *
+ * @param {string} output - Full stream output
+ * @returns {string} The result event as JSON, or the output unchanged if there is none
+ */
+export function streamResult(output) {
+  const { events } = parseStreamLines(`${output}\n`);
+  const result = events.filter(event => event.type === 'result').pop();
+  return result ? JSON.stringify(result) : output;
+}
+
+/**
+ * One-line description of an event for progress displays, or null for
+ * events not worth showing
+ */
+export function describeStreamEvent(event) {
+  switch (event?.type) {
+    case 'system':
+      return event.subtype === 'init' ? `session started${event.model ? ` (${event.model})` : ''}` : null;
+    case 'assistant': {
+      const content = Array.isArray(event.message?.content) ? event.message.content : [];
+      const tool = content.filter(part => part.type === 'tool_use').pop();
+      if (tool) {
+        const target = tool.input?.file_path || tool.input?.path || tool.input?.pattern || tool.input?.command;
+        return `${tool.name}${target ? ` ${String(target).slice(0, 60)}` : ''}`;
+      }
+      const text = content.filter(part => part.type === 'text').map(part => part.text).join(' ').trim();
+      return text ? text.replace(/\s+/g, ' ').slice(0, 80) : null;
+    }
+    case 'result':
+      return `finished (${event.subtype || 'done'}${event.num_turns ? `, ${event.num_turns} turns` : ''})`;
+    default:
+      return null;
+  }
+}
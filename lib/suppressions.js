@@ -0,0 +1,135 @@
+/**
+ * Suppressions - Baseline of known findings hidden from the summary
+ *
+ * .review-suppressions.json in the project root lists finding fingerprints
+ * (see fingerprint.js) that should no longer be reported, typically recurring
+ * false positives or accepted debt. `review-pipeline baseline` writes the
+ * findings of the last run (findings.json) to it; the aggregator then moves
+ * findings with a fingerprint in the baseline out of the gate and lists them in a
+ * collapsed section of the summary. A suppression stops matching when the
+ * cited code changes, so a finding comes back when its code is edited.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { normalizeFile } from './consensus.js';
+
+export const SUPPRESSIONS_FILE = '.review-suppressions.json';
+export const SUPPRESSIONS_VERSION = 1;
+
+/**
+ * @typedef {Object} Suppression
+ * @property {string} fingerprint - See fingerprint.js
+ * @property {string[]} [fingerprints] - Every source fingerprint of the finding
+ * @property {string} file
+ * @property {string} category
+ * @property {string} severity
+ * @property {string} message
+ * @property {string} [reason]
+ * @property {string} created_at - ISO timestamp
+ */
+
+/**
+ * Fingerprints of a finding or suppression entry
+ */
+function fingerprintsOf(item) {
+  return item.fingerprints?.length ? item.fingerprints : [item.fingerprint].filter(Boolean);
+}
+
+/**
+ * Split fingerprinted findings into kept and suppressed ones; a finding is
+ * suppressed when any of its source fingerprints is in the baseline
+ *
+ * @param {Object[]} findings - Findings with a `fingerprint` (and `fingerprints`)
+ * @param {{suppressions: Suppression[]}} baseline
+ * @returns {{kept: Object[], suppressed: Object[]}}
+ */
+export function applySuppressions(findings, baseline) {
+  const known = new Set(baseline.suppressions.flatMap(fingerprintsOf));
+  const kept = [];
+  const suppressed = [];
+  for (const finding of findings) {
+    (fingerprintsOf(finding).some(fp => known.has(fp)) ? suppressed : kept).push(finding);
+  }
+  return { kept, suppressed };
+}
+
+export default class Suppressions {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.suppressionsFile = path.resolve(this.projectDir, options.file || SUPPRESSIONS_FILE);
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * The baseline ({version, suppressions: []} without a suppressions file)
+   *
+   * @returns {Promise<{version: number, suppressions: Suppression[]}>}
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.suppressionsFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: SUPPRESSIONS_VERSION, suppressions: [] };
+      }
+      throw new Error(`Could not read ${this.suppressionsFile}: ${error.message}`);
+    }
+    if (data.version !== SUPPRESSIONS_VERSION || !Array.isArray(data.suppressions)) {
+      throw new Error(`${this.suppressionsFile} is not a version ${SUPPRESSIONS_VERSION} suppressions file`);
+    }
+    return data;
+  }
+
+  /**
+   * Write the baseline in a stable order so the file diffs cleanly
+   */
+  async save(baseline) {
+    const suppressions = [...baseline.suppressions].sort((a, b) =>
+      a.file.localeCompare(b.file) || a.fingerprint.localeCompare(b.fingerprint)
+    );
+    await fs.writeFile(this.suppressionsFile, `${JSON.stringify({ version: SUPPRESSIONS_VERSION, suppressions }, null, 2)}\n`);
+  }
+
+  /**
+   * Add fingerprinted findings to the baseline and save it
+   *
+   * @param {Object[]} findings - Findings with a `fingerprint`
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Recorded with each new entry
+   * @param {boolean} [options.replace] - Drop the existing entries first
+   * @returns {Promise<{added: number, total: number}>}
+   */
+  async baseline(findings, { reason, replace = false } = {}) {
+    const baseline = replace ? { version: SUPPRESSIONS_VERSION, suppressions: [] } : await this.load();
+    const known = new Set(baseline.suppressions.flatMap(fingerprintsOf));
+    const createdAt = new Date().toISOString();
+    let added = 0;
+
+    for (const finding of findings) {
+      const fingerprints = fingerprintsOf(finding);
+      if (fingerprints.length === 0 || fingerprints.some(fp => known.has(fp))) continue;
+      fingerprints.forEach(fp => known.add(fp));
+      baseline.suppressions.push({
+        fingerprint: finding.fingerprint,
+        ...(fingerprints.length > 1 && { fingerprints }),
+        file: normalizeFile(finding.file),
+        category: finding.category || '',
+        severity: finding.severity || '',
+        message: finding.message || '',
+        ...(reason && { reason }),
+        created_at: createdAt
+      });
+      added++;
+    }
+
+    await this.save(baseline);
+    if (this.verbose) {
+      console.error(`Wrote ${baseline.suppressions.length} suppressions to ${this.suppressionsFile}`);
+    }
+    return { added, total: baseline.suppressions.length };
+  }
+}
+
+export { Suppressions };
@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+/**
+ * Test Results - Parses test and coverage reports into test-summary.json
+ *
+ * Test results are read from testing.results_file, or from the test command's
+ * own output when no file is configured (TAP and `go test -json` are usually
+ * printed). Supported formats, detected from the content unless given:
+ * - junit      JUnit XML (pytest --junit-xml, most CI reporters)
+ * - tap        TAP (node --test, tape)
+ * - jest       Jest / Vitest JSON reporter (`vitest` is an alias)
+ * - go-test    `go test -json` event stream
+ *
+ * Coverage is read from testing.coverage_file:
+ * - lcov           lcov.info
+ * - cobertura      Cobertura XML
+ * - coverage-json  coverage.py JSON or Istanbul json-summary
+ *
+ * Writes .review-pipeline/workspace/context/test-summary.json.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const RESULT_FORMATS = ['junit', 'tap', 'jest', 'vitest', 'go-test'];
+export const COVERAGE_FORMATS = ['lcov', 'cobertura', 'coverage-json'];
+
+// Failures listed in the summary
+const MAX_FAILURES = 5;
+
+/**
+ * @typedef {Object} TestResultsSummary
+ * @property {number} total
+ * @property {number} passed
+ * @property {number} failed - Failures and errors
+ * @property {number} skipped
+ * @property {number} duration - Seconds
+ * @property {{unit: number, integration: number, e2e: number, other: number}} categories
+ * @property {{test: string, message: string, type: string}[]|null} failures - First few failures
+ */
+
+/**
+ * @typedef {Object} TestSummary
+ * @property {TestResultsSummary|{}} tests - Empty when no results were found
+ * @property {{enabled: boolean, percentage: number|null}} coverage
+ * @property {boolean} success - Results were found and nothing failed
+ * @property {number} [pass_rate] - passed / total, when any test ran
+ */
+
+/**
+ * Guess the format of a test or coverage report from its content
+ *
+ * @returns {string|null} One of RESULT_FORMATS or COVERAGE_FORMATS
+ */
+export function detectFormat(text) {
+  const trimmed = String(text || '').trim();
+  if (trimmed.startsWith('<')) {
+    if (/<testsuites?[\s>]/.test(trimmed)) return 'junit';
+    if (/<coverage[\s>]/.test(trimmed)) return 'cobertura';
+    return null;
+  }
+  if (trimmed.startsWith('{')) {
+    try {
+      const json = JSON.parse(trimmed);
+      if (Array.isArray(json.testResults) || 'numTotalTests' in json) return 'jest';
+      if (json.totals?.percent_covered !== undefined || json.total?.lines) return 'coverage-json';
+    } catch {
+      // Several JSON objects: a go test -json stream
+    }
+  }
+  if (/^\{.*"Action"\s*:/m.test(trimmed)) return 'go-test';
+  if (/^(TN:|SF:)/m.test(trimmed)) return 'lcov';
+  if (/^(TAP version \d+|1\.\.\d+|(not )?ok\b)/m.test(trimmed)) return 'tap';
+  return null;
+}
+
+function categorize(name) {
+  const lower = String(name || '').toLowerCase();
+  if (lower.includes('unit')) return 'unit';
+  if (lower.includes('integration')) return 'integration';
+  if (lower.includes('e2e') || lower.includes('end_to_end')) return 'e2e';
+  return 'other';
+}
+
+/**
+ * Totals, categories and the first failures from per-test outcomes
+ *
+ * @param {{name: string, group: string, status: 'passed'|'failed'|'skipped', message?: string, type?: string}[]} cases
+ * @param {number} duration - Seconds
+ * @returns {TestResultsSummary}
+ */
+function summarizeCases(cases, duration) {
+  const categories = { unit: 0, integration: 0, e2e: 0, other: 0 };
+  for (const testCase of cases) {
+    categories[categorize(testCase.group)]++;
+  }
+  const failures = cases.filter(c => c.status === 'failed').slice(0, MAX_FAILURES).map(c => ({
+    test: c.group ? `${c.group}.${c.name}` : c.name,
+    message: c.message || 'No message',
+    type: c.type || 'AssertionError'
+  }));
+  return {
+    total: cases.length,
+    passed: cases.filter(c => c.status === 'passed').length,
+    failed: cases.filter(c => c.status === 'failed').length,
+    skipped: cases.filter(c => c.status === 'skipped').length,
+    duration: Math.round(duration * 100) / 100,
+    categories,
+    failures: failures.length > 0 ? failures : null
+  };
+}
+
+function decodeXml(value) {
+  return String(value ?? '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function xmlAttributes(tag) {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+}
+
+/**
+ * JUnit XML; errors count as failures
+ *
+ * @returns {TestResultsSummary}
+ */
+export function parseJUnit(xml) {
+  const cases = [];
+  for (const match of xml.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+    const attributes = xmlAttributes(match[1]);
+    const body = match[2] || '';
+    const failure = body.match(/<(failure|error)\b([^>]*?)\/?>/);
+    const status = failure ? 'failed' : /<skipped\b/.test(body) ? 'skipped' : 'passed';
+    const failureAttributes = failure ? xmlAttributes(failure[2]) : {};
+    cases.push({
+      name: attributes.name || '',
+      group: attributes.classname || attributes.file || '',
+      status,
+      message: failureAttributes.message,
+      type: failureAttributes.type || (failure?.[1] === 'error' ? 'Error' : undefined)
+    });
+  }
+
+  // Suite times; nested suites are already included in their parent's time
+  const root = xml.match(/<testsuites\b([^>]*)>/);
+  let duration = root ? Number(xmlAttributes(root[1]).time) : NaN;
+  if (Number.isNaN(duration)) {
+    duration = 0;
+    let depth = 0;
+    for (const tag of xml.matchAll(/<(\/?)testsuite\b([^>]*?)(\/?)>/g)) {
+      if (tag[1]) {
+        depth--;
+        continue;
+      }
+      if (depth === 0) duration += Number(xmlAttributes(tag[2]).time) || 0;
+      if (!tag[3]) depth++;
+    }
+  }
+  return summarizeCases(cases, duration);
+}
+
+/**
+ * TAP output; only top-level test points are counted, and SKIP / TODO
+ * directives count as skipped
+ *
+ * @returns {TestResultsSummary}
+ */
+export function parseTap(text) {
+  const cases = [];
+  const lines = text.split('\n');
+  let duration = 0;
+  for (const [index, line] of lines.entries()) {
+    const point = line.match(/^(not )?ok\b\s*\d*\s*(?:-\s*)?([^#]*)(?:#\s*(\w+)(.*))?$/);
+    if (point) {
+      const directive = point[3]?.toUpperCase();
+      const testCase = {
+        name: point[2].trim(),
+        group: '',
+        status: directive === 'SKIP' || directive === 'TODO' ? 'skipped' : point[1] ? 'failed' : 'passed'
+      };
+      if (testCase.status === 'failed') {
+        // Message from the YAML diagnostic block that follows, if any
+        for (const next of lines.slice(index + 1)) {
+          if (/^(not )?ok\b/.test(next)) break;
+          const message = next.match(/^\s+(?:message|error):\s*['"]?(.*?)['"]?\s*$/);
+          if (message && message[1]) {
+            testCase.message = message[1];
+            break;
+          }
+        }
+      }
+      cases.push(testCase);
+    }
+    const durationLine = line.match(/^# duration_ms\s+([\d.]+)/);
+    if (durationLine) duration = Number(durationLine[1]) / 1000;
+  }
+  return summarizeCases(cases, duration);
+}
+
+/**
+ * Jest JSON reporter (`--json`), which Vitest's json reporter also writes
+ *
+ * @param {string|Object} text
+ * @param {{projectDir?: string}} [options] - Test file paths are shown relative to it
+ * @returns {TestResultsSummary}
+ */
+export function parseJestJson(text, { projectDir } = {}) {
+  const report = typeof text === 'string' ? JSON.parse(text) : text;
+  const cases = [];
+  let duration = 0;
+  for (const file of report.testResults || []) {
+    const testFile = file.name || file.testFilePath || '';
+    const group = projectDir && path.isAbsolute(testFile) ? path.relative(projectDir, testFile) : testFile;
+    for (const assertion of file.assertionResults || file.testResults || []) {
+      const status = assertion.status === 'passed' ? 'passed'
+        : assertion.status === 'failed' ? 'failed'
+          : 'skipped';
+      cases.push({
+        name: assertion.fullName || assertion.title || '',
+        group,
+        status,
+        message: String(assertion.failureMessages?.[0] || '').split('\n')[0] || undefined
+      });
+    }
+    if (file.endTime && file.startTime) {
+      duration += (file.endTime - file.startTime) / 1000;
+    }
+  }
+  return summarizeCases(cases, duration);
+}
+
+/**
+ * `go test -json` event stream; non-JSON lines are ignored
+ *
+ * @returns {TestResultsSummary}
+ */
+export function parseGoTestJson(text) {
+  const outcomes = new Map();
+  const output = new Map();
+  let duration = 0;
+  for (const line of text.split('\n')) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (!event || typeof event !== 'object' || !event.Action) continue;
+    const key = `${event.Package}\u0000${event.Test || ''}`;
+    if (event.Action === 'output' && event.Test) {
+      output.set(key, [...(output.get(key) || []), event.Output || '']);
+    }
+    if (!['pass', 'fail', 'skip'].includes(event.Action)) continue;
+    if (event.Test) {
+      outcomes.set(key, { package: event.Package || '', test: event.Test, action: event.Action });
+    } else {
+      duration += Number(event.Elapsed) || 0;
+    }
+  }
+
+  const cases = [...outcomes.entries()].map(([key, { package: pkg, test, action }]) => {
+    // Failure message: the last output line that is not go test's own
+    // "--- FAIL" marker
+    const message = (output.get(key) || [])
+      .map(l => l.trim())
+      .filter(l => l && !l.startsWith('--- ') && !l.startsWith('=== '))
+      .pop();
+    return {
+      name: test,
+      group: pkg,
+      status: action === 'pass' ? 'passed' : action === 'fail' ? 'failed' : 'skipped',
+      message,
+      type: 'FAIL'
+    };
+  });
+  return summarizeCases(cases, duration);
+}
+
+/**
+ * Line coverage percentage from lcov.info
+ */
+export function parseLcov(text) {
+  let found = 0;
+  let hit = 0;
+  for (const line of text.split('\n')) {
+    if (line.startsWith('LF:')) found += Number(line.slice(3)) || 0;
+    if (line.startsWith('LH:')) hit += Number(line.slice(3)) || 0;
+  }
+  return found > 0 ? (hit / found) * 100 : null;
+}
+
+/**
+ * Line coverage percentage from Cobertura XML
+ */
+export function parseCobertura(xml) {
+  const root = xml.match(/<coverage\b([^>]*)>/);
+  const rate = root ? Number(xmlAttributes(root[1])['line-rate']) : NaN;
+  return Number.isNaN(rate) ? null : rate * 100;
+}
+
+/**
+ * Coverage percentage from coverage.py JSON or an Istanbul json-summary
+ */
+export function parseCoverageJson(text) {
+  const json = typeof text === 'string' ? JSON.parse(text) : text;
+  const percentage = json.totals?.percent_covered ?? json.summary?.percent_covered ?? json.total?.lines?.pct;
+  return typeof percentage === 'number' ? percentage : null;
+}
+
+const RESULT_PARSERS = {
+  junit: parseJUnit,
+  tap: parseTap,
+  jest: parseJestJson,
+  vitest: parseJestJson,
+  'go-test': parseGoTestJson
+};
+
+const COVERAGE_PARSERS = {
+  lcov: parseLcov,
+  cobertura: parseCobertura,
+  'coverage-json': parseCoverageJson
+};
+
+/**
+ * Combine parsed results and coverage into the test-summary.json document
+ *
+ * @param {TestResultsSummary|null} tests
+ * @param {number|null} coverage - Percentage
+ * @returns {TestSummary}
+ */
+export function buildTestSummary(tests, coverage) {
+  const summary = {
+    tests: tests || {},
+    coverage: {
+      enabled: coverage !== null,
+      percentage: coverage !== null ? Math.round(coverage * 10) / 10 : null
+    },
+    success: tests ? tests.failed === 0 : false
+  };
+  if (tests && tests.total > 0) {
+    summary.pass_rate = Math.round((tests.passed / tests.total) * 1000) / 1000;
+  }
+  return summary;
+}
+
+export default class TestResults {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.contextDir = path.join(this.projectDir, '.review-pipeline', 'workspace', 'context');
+    this.summaryFile = path.join(this.contextDir, 'test-summary.json');
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Parse the configured reports (or the test output) and write
+   * test-summary.json; removes a stale summary and resolves to null when
+   * nothing could be parsed
+   *
+   * @param {Object} options
+   * @param {string} [options.output] - Test command output, parsed when no results file is set
+   * @param {string} [options.resultsFile] - Relative to the project root
+   * @param {string} [options.resultsFormat='auto']
+   * @param {string} [options.coverageFile] - Relative to the project root
+   * @param {string} [options.coverageFormat='auto']
+   * @returns {Promise<TestSummary|null>}
+   */
+  async ingest({ output = '', resultsFile, resultsFormat = 'auto', coverageFile, coverageFormat = 'auto' } = {}) {
+    await fs.rm(this.summaryFile, { force: true });
+
+    const resultsText = resultsFile ? await this.readReport(resultsFile) : output;
+    const parsed = this.parse(resultsText, resultsFormat, RESULT_PARSERS, resultsFile || 'test output');
+    // A report without a single test case was most likely not a test report
+    const tests = parsed?.total > 0 ? parsed : null;
+    const coverageText = coverageFile ? await this.readReport(coverageFile) : null;
+    const coverage = this.parse(coverageText, coverageFormat, COVERAGE_PARSERS, coverageFile);
+
+    if (!tests && coverage === null) {
+      return null;
+    }
+    const summary = buildTestSummary(tests, coverage);
+    await fs.mkdir(this.contextDir, { recursive: true });
+    await fs.writeFile(this.summaryFile, JSON.stringify(summary, null, 2));
+    return summary;
+  }
+
+  /**
+   * Remove test-summary.json (no tests were run)
+   */
+  async clear() {
+    await fs.rm(this.summaryFile, { force: true });
+  }
+
+  /**
+   * Read a report inside the project; null when missing or outside it
+   */
+  async readReport(file) {
+    const resolved = path.resolve(this.projectDir, file);
+    const relative = path.relative(this.projectDir, resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      if (this.verbose) {
+        console.error(`Ignoring test report outside the project: ${file}`);
+      }
+      return null;
+    }
+    try {
+      return await fs.readFile(resolved, 'utf8');
+    } catch (error) {
+      if (this.verbose) {
+        console.error(`Could not read test report ${file}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Parse with the given or detected format's parser; null when the format
+   * is unknown or the report does not parse
+   */
+  parse(text, format, parsers, source) {
+    if (!text || !text.trim()) {
+      return null;
+    }
+    const resolved = format === 'auto' || !format ? detectFormat(text) : format;
+    const parser = parsers[resolved];
+    if (!parser) {
+      if (this.verbose) {
+        console.error(`No ${Object.keys(parsers).join('/')} report recognized in ${source}`);
+      }
+      return null;
+    }
+    try {
+      return parser(text, { projectDir: this.projectDir });
+    } catch (error) {
+      if (this.verbose) {
+        console.error(`Could not parse ${source} as ${resolved}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+}
+
+export { TestResults };
+
+// Allow direct execution: summarize tests.txt and the configured reports
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { default: ConfigLoader } = await import('./config-loader.js');
+  const loader = new ConfigLoader();
+  const testing = await loader.load().then(config => config.testing || {}, () => ({}));
+  const results = new TestResults({ verbose: process.argv.includes('--verbose') });
+  // tests.txt wraps the output in a "$ command" line and an exit marker
+  const output = (await fs.readFile(path.join(results.contextDir, 'tests.txt'), 'utf8').catch(() => ''))
+    .replace(/^\$ .*\n/, '')
+    .replace(/== exit:-?\d+ ==\n?$/, '');
+  const summary = await results.ingest({
+    output,
+    resultsFile: testing.results_file,
+    resultsFormat: testing.results_format,
+    coverageFile: testing.coverage_file,
+    coverageFormat: testing.coverage_format
+  });
+  console.log(summary ? `Test summary written to ${results.summaryFile}` : 'No test results found');
+}
@@ -0,0 +1,120 @@
+/**
+ * Test Runner - Runs the project's test command for the review context
+ *
+ * SECURITY: The command comes from the caller (CLI --test-cmd) or from
+ * TEST_CMD in the environment via ConfigLoader.getTestCommand(); it is never
+ * read from project configuration.
+ *
+ * Writes tests.txt (command, combined output, exit marker) and
+ * test-metadata.json to .review-pipeline/workspace/context/, and
+ * test-summary.json from the parsed test and coverage reports
+ * (test-results.js).
+ */
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import TestResults from './test-results.js';
+
+/**
+ * @typedef {Object} TestRunResult
+ * @property {boolean} executed
+ * @property {string|null} command
+ * @property {number|null} exitCode
+ * @property {boolean} timedOut
+ * @property {number} durationMs
+ * @property {string} outputFile - Path to tests.txt
+ * @property {import('./test-results.js').TestSummary|null} summary - Parsed results, null when none were found
+ */
+
+export default class TestRunner {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.contextDir = path.join(this.projectDir, '.review-pipeline', 'workspace', 'context');
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Run the test command and record its output
+   *
+   * @param {Object} options
+   * @param {string} [options.command] - Shell command; empty means no tests
+   * @param {number} [options.timeout=300] - Seconds before the run is killed
+   * @param {Object} [options.results] - Report files to parse (see TestResults.ingest)
+   * @returns {Promise<TestRunResult>}
+   */
+  async run({ command, timeout = 300, results = {} } = {}) {
+    await fs.mkdir(this.contextDir, { recursive: true });
+    const outputFile = path.join(this.contextDir, 'tests.txt');
+    const metadataFile = path.join(this.contextDir, 'test-metadata.json');
+    const testResults = new TestResults({ projectDir: this.projectDir, verbose: this.verbose });
+
+    if (!command) {
+      await fs.writeFile(outputFile, 'No test command configured\n');
+      // Don't let a previous run's results reach the gate
+      await fs.rm(metadataFile, { force: true });
+      await testResults.clear();
+      return { executed: false, command: null, exitCode: null, timedOut: false, durationMs: 0, outputFile, summary: null };
+    }
+
+    if (this.verbose) {
+      console.error(`Running tests: ${command}`);
+    }
+
+    const started = Date.now();
+    const { exitCode, output, timedOut } = await this.spawnTests(command, timeout);
+    const durationMs = Date.now() - started;
+
+    const body = output && !output.endsWith('\n') ? `${output}\n` : output;
+    await fs.writeFile(outputFile, `$ ${command}\n${body}== exit:${exitCode} ==\n`);
+    const summary = await testResults.ingest({ output, ...results });
+    await fs.writeFile(metadataFile, JSON.stringify({
+      command,
+      exit_code: exitCode,
+      timestamp: new Date().toISOString(),
+      working_directory: this.projectDir,
+      timeout_seconds: timeout,
+      timed_out: timedOut,
+      duration_ms: durationMs,
+      summary_generated: summary !== null
+    }, null, 2));
+
+    return { executed: true, command, exitCode, timedOut, durationMs, outputFile, summary };
+  }
+
+  /**
+   * Spawn the command through sh -c (test commands are shell snippets)
+   */
+  spawnTests(command, timeout) {
+    return new Promise((resolve) => {
+      const child = spawn('sh', ['-c', `set -e; ${command}`], {
+        cwd: this.projectDir,
+        env: { ...process.env, PROJECT_ROOT: this.projectDir },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      let output = '';
+      let timedOut = false;
+      child.stdout.on('data', (data) => { output += data.toString(); });
+      child.stderr.on('data', (data) => { output += data.toString(); });
+
+      const timeoutHandle = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+      }, timeout * 1000);
+
+      child.on('close', (code) => {
+        clearTimeout(timeoutHandle);
+        // Match coreutils timeout(1), which the shell runners used
+        resolve({ exitCode: timedOut ? 124 : (code ?? 1), output, timedOut });
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timeoutHandle);
+        resolve({ exitCode: 127, output: `${output}${error.message}\n`, timedOut });
+      });
+    });
+  }
+}
+
+export { TestRunner };
@@ -0,0 +1,303 @@
+/**
+ * Triage - Reviewer decisions on findings, kept in the repository
+ *
+ * `review-pipeline triage` walks through the merged findings of the latest
+ * aggregate, grouped by file with the cited code, and records a decision for
+ * each: accepted, false-positive, wont-fix or duplicate. Decisions are
+ * written to .review-triage.json in the project root, a versioned file meant
+ * to be committed. A decision is keyed by the finding's file, category and
+ * normalized message, so it still applies when the finding moves to other
+ * lines in a later run; the aggregator marks triaged findings in the summary
+ * and the decisions per tool give each provider's triage record.
+ */
+
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline';
+import { normalizeFile, parseLineRange } from './consensus.js';
+import { normalizeMessage } from './fingerprint.js';
+
+export const TRIAGE_FILE = '.review-triage.json';
+export const TRIAGE_VERSION = 1;
+export const DECISIONS = ['accepted', 'false-positive', 'wont-fix', 'duplicate'];
+
+const DECISION_KEYS = { a: 'accepted', f: 'false-positive', w: 'wont-fix', d: 'duplicate' };
+
+/**
+ * @typedef {Object} TriageDecision
+ * @property {string} key - See triageKey
+ * @property {string} file
+ * @property {string} lines - Lines when the decision was made
+ * @property {string} category
+ * @property {string} severity
+ * @property {string} message
+ * @property {string[]} tools - Tools that reported the finding
+ * @property {'accepted'|'false-positive'|'wont-fix'|'duplicate'} decision
+ * @property {string} [note]
+ * @property {string} head_sha - Commit the finding was triaged at
+ * @property {string} decided_at - ISO timestamp
+ */
+
+/**
+ * Identity of a finding across runs: file, category and message with
+ * numbers, punctuation and case removed (line numbers are left out)
+ */
+export function triageKey(finding) {
+  const source = [normalizeFile(finding.file), finding.category || '', normalizeMessage(finding.message)].join('\n');
+  return createHash('sha256').update(source).digest('hex').slice(0, 16);
+}
+
+/**
+ * Findings grouped by file (in path order), each group ordered by line
+ *
+ * @returns {{file: string, findings: Object[]}[]}
+ */
+export function groupByFile(findings) {
+  const groups = new Map();
+  for (const finding of findings) {
+    const file = normalizeFile(finding.file) || '(no file)';
+    if (!groups.has(file)) groups.set(file, []);
+    groups.get(file).push(finding);
+  }
+  const start = (finding) => parseLineRange(finding.lines)?.start ?? 0;
+  return [...groups.keys()].sort().map(file => ({
+    file,
+    findings: groups.get(file).sort((a, b) => start(a) - start(b))
+  }));
+}
+
+/**
+ * The cited lines of a file with a little context, numbered, cited lines
+ * marked with `>`; empty when the lines cannot be shown
+ *
+ * @param {string} text - File contents
+ * @param {string} lines - The finding's `lines`
+ * @param {{context?: number, maxLines?: number}} [options]
+ */
+export function citedCode(text, lines, { context = 2, maxLines = 20 } = {}) {
+  const range = parseLineRange(lines);
+  const fileLines = text.replace(/\n$/, '').split('\n');
+  if (!range || range.start > fileLines.length) {
+    return [];
+  }
+  const first = Math.max(1, range.start - context);
+  const last = Math.min(fileLines.length, range.end + context, first + maxLines - 1);
+  const width = String(last).length;
+  const code = [];
+  for (let line = first; line <= last; line++) {
+    const marker = line >= range.start && line <= range.end ? '>' : ' ';
+    code.push(`${marker} ${String(line).padStart(width)} | ${fileLines[line - 1]}`);
+  }
+  return code;
+}
+
+/**
+ * Copies of the findings with the recorded decision as `triage`
+ *
+ * @param {Object[]} findings
+ * @param {{decisions: TriageDecision[]}} triage
+ */
+export function applyTriage(findings, triage) {
+  const decisions = new Map(triage.decisions.map(decision => [decision.key, decision]));
+  return findings.map(finding => {
+    const decision = decisions.get(triageKey(finding));
+    return decision
+      ? { ...finding, triage: { decision: decision.decision, ...(decision.note && { note: decision.note }) } }
+      : finding;
+  });
+}
+
+/**
+ * Decisions per tool that reported the triaged findings
+ *
+ * @returns {Object<string, Object<string, number>>} tool -> decision -> count
+ */
+export function triageStats(triage) {
+  const stats = {};
+  for (const decision of triage.decisions) {
+    for (const tool of decision.tools || []) {
+      stats[tool] = stats[tool] || Object.fromEntries(DECISIONS.map(d => [d, 0]));
+      stats[tool][decision.decision]++;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Parse an answer such as "f generated code" into a decision and note;
+ * `skip` and `quit` for s and q, null when the answer is not understood
+ */
+export function parseAnswer(answer) {
+  const match = String(answer).trim().match(/^(\S+)\s*(.*)$/);
+  if (!match) return null;
+  const [, key, note] = match;
+  const lower = key.toLowerCase();
+  if (lower === 's' || lower === 'skip') return { action: 'skip' };
+  if (lower === 'q' || lower === 'quit') return { action: 'quit' };
+  const decision = DECISION_KEYS[lower] || (DECISIONS.includes(lower) ? lower : null);
+  return decision ? { action: 'decide', decision, note: note.trim() } : null;
+}
+
+export default class Triage {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.env.PROJECT_ROOT || process.cwd();
+    this.triageFile = path.resolve(this.projectDir, options.file || TRIAGE_FILE);
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Recorded decisions ({version, decisions: []} without a triage file)
+   *
+   * @returns {Promise<{version: number, decisions: TriageDecision[]}>}
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.triageFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: TRIAGE_VERSION, decisions: [] };
+      }
+      throw new Error(`Could not read ${this.triageFile}: ${error.message}`);
+    }
+    if (data.version !== TRIAGE_VERSION || !Array.isArray(data.decisions)) {
+      throw new Error(`${this.triageFile} is not a version ${TRIAGE_VERSION} triage file`);
+    }
+    return data;
+  }
+
+  /**
+   * Write the decisions in a stable order so the file diffs cleanly
+   */
+  async save(triage) {
+    const decisions = [...triage.decisions].sort((a, b) =>
+      a.file.localeCompare(b.file) || a.key.localeCompare(b.key)
+    );
+    await fs.writeFile(this.triageFile, `${JSON.stringify({ version: TRIAGE_VERSION, decisions }, null, 2)}\n`);
+  }
+
+  /**
+   * Record (or replace) the decision for a finding
+   *
+   * @returns {TriageDecision}
+   */
+  decide(triage, finding, { decision, note, headSha = '' }) {
+    const key = triageKey(finding);
+    const entry = {
+      key,
+      file: normalizeFile(finding.file),
+      lines: String(finding.lines ?? ''),
+      category: finding.category || '',
+      severity: finding.severity || '',
+      message: finding.message || '',
+      tools: finding.agreed_by || (finding._tool ? [finding._tool] : []),
+      decision,
+      ...(note && { note }),
+      head_sha: headSha,
+      decided_at: new Date().toISOString()
+    };
+    triage.decisions = [...triage.decisions.filter(d => d.key !== key), entry];
+    return entry;
+  }
+
+  /**
+   * Head commit of the latest review ('' without context/pr.json)
+   */
+  async reviewedHead() {
+    try {
+      const pr = JSON.parse(await fs.readFile(path.join(this.projectDir, '.review-pipeline', 'workspace', 'context', 'pr.json'), 'utf8'));
+      return pr.headRefOid || '';
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Contents of a cited file inside the project, null otherwise
+   */
+  async readSource(file) {
+    const resolved = path.resolve(this.projectDir, file);
+    if (!resolved.startsWith(path.resolve(this.projectDir) + path.sep)) {
+      return null;
+    }
+    return fs.readFile(resolved, 'utf8').catch(() => null);
+  }
+
+  /**
+   * Walk through the findings in the terminal, saving after every decision
+   *
+   * @param {Object[]} findings - Merged findings of the latest aggregate
+   * @param {Object} [options]
+   * @param {boolean} [options.all] - Revisit findings that already have a decision
+   * @param {string} [options.headSha] - Commit the findings were reviewed at (default: context/pr.json)
+   * @param {NodeJS.ReadableStream} [options.input]
+   * @param {NodeJS.WritableStream} [options.output]
+   * @returns {Promise<{decided: number, skipped: number, remaining: number}>}
+   */
+  async walk(findings, { all = false, headSha, input = process.stdin, output = process.stdout } = {}) {
+    const triage = await this.load();
+    headSha = headSha ?? await this.reviewedHead();
+    const decided = new Set(triage.decisions.map(d => d.key));
+    const pending = all ? findings : findings.filter(f => !decided.has(triageKey(f)));
+    const groups = groupByFile(pending);
+    const print = (text = '') => output.write(`${text}\n`);
+
+    const previously = findings.length - pending.length;
+    print(`Triage: ${pending.length} findings in ${groups.length} files${previously > 0 ? ` (${previously} already triaged, use --all to revisit)` : ''}`);
+
+    const rl = readline.createInterface({ input, terminal: false });
+    const answers = rl[Symbol.asyncIterator]();
+    const result = { decided: 0, skipped: 0, remaining: pending.length };
+    let index = 0;
+
+    try {
+      for (const group of groups) {
+        print('');
+        print(`── ${group.file} (${group.findings.length}) ──`);
+        const source = await this.readSource(group.file);
+
+        for (const finding of group.findings) {
+          index++;
+          print('');
+          print(`[${index}/${pending.length}] ${String(finding.severity).toUpperCase()} ${finding.category} — ${finding.message}`);
+          const tools = finding.agreed_by?.length ? ` · ${finding.agreed_by.join(', ')}` : '';
+          const previous = triage.decisions.find(d => d.key === triageKey(finding));
+          print(`    ${group.file}:${finding.lines}${tools}${finding.must_fix ? ' · must fix' : ''}${previous ? ` · was ${previous.decision}` : ''}`);
+          const code = source === null ? [] : citedCode(source, finding.lines);
+          for (const line of code) print(`    ${line}`);
+          if (finding.suggestion) print(`    Suggestion: ${finding.suggestion}`);
+
+          let answer = null;
+          while (!answer) {
+            output.write('  [a]ccept [f]alse positive [w]on\'t fix [d]uplicate [s]kip [q]uit (note after the key) > ');
+            const next = await answers.next();
+            if (next.done) {
+              print('');
+              return result;
+            }
+            answer = parseAnswer(next.value);
+            if (!answer) print('  Unknown answer');
+          }
+
+          if (answer.action === 'quit') {
+            return result;
+          }
+          result.remaining--;
+          if (answer.action === 'skip') {
+            result.skipped++;
+            continue;
+          }
+          this.decide(triage, finding, { decision: answer.decision, note: answer.note, headSha });
+          await this.save(triage);
+          result.decided++;
+        }
+      }
+      return result;
+    } finally {
+      rl.close();
+    }
+  }
+}
+
+export { Triage };
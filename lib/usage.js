@@ -0,0 +1,159 @@
+/**
+ * Usage - Tokens, cost and wall time of provider invocations, and run budgets
+ *
+ * Claude's result envelope (`--output-format json` or the final stream-json
+ * event) reports `usage` tokens and `total_cost_usd`; Codex ends its output
+ * with "tokens used: N". The executor parses every invocation (attempts and
+ * schema repairs) and records the totals in the report's metrics.usage.
+ * Budgets (budgets.per_run / per_day) cap the reported cost and tokens; once
+ * one is exceeded, providers marked `optional` are skipped.
+ */
+
+import { streamResult } from './stream-json.js';
+
+/**
+ * @typedef {Object} InvocationUsage
+ * @property {number|null} tokens_in - Input tokens, cache reads and writes included
+ * @property {number|null} tokens_out
+ * @property {number|null} tokens_total - tokens_in + tokens_out, or the total a provider reports alone
+ * @property {number|null} cost_usd - Cost reported by the provider
+ */
+
+/**
+ * @typedef {Object} ProviderUsage
+ * @property {number} invocations - Attempts plus schema repair rounds
+ * @property {number} retries - Attempts after the first
+ * @property {number} wall_ms - Wall time of the whole execution, backoff included
+ * @property {number|null} tokens_in
+ * @property {number|null} tokens_out
+ * @property {number|null} tokens_total
+ * @property {number|null} cost_usd
+ */
+
+const USAGE_FIELDS = ['tokens_in', 'tokens_out', 'tokens_total', 'cost_usd'];
+
+/**
+ * Claude's result envelope in plain or stream-json output, or null
+ */
+function resultEnvelope(output) {
+  for (const candidate of [output.trim(), streamResult(output)]) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && parsed.type === 'result') {
+        return parsed;
+      }
+    } catch {
+      // Not a single JSON document
+    }
+  }
+  return null;
+}
+
+/**
+ * Tokens and cost reported in a provider's output (null where it reports
+ * nothing)
+ *
+ * @param {string} output - Everything the provider printed to stdout
+ * @returns {InvocationUsage}
+ */
+export function parseUsage(output) {
+  const usage = { tokens_in: null, tokens_out: null, tokens_total: null, cost_usd: null };
+  const text = String(output || '');
+
+  const envelope = text.trim() ? resultEnvelope(text) : null;
+  if (envelope) {
+    const tokens = envelope.usage || {};
+    if (tokens.input_tokens !== undefined || tokens.output_tokens !== undefined) {
+      usage.tokens_in = (tokens.input_tokens || 0) + (tokens.cache_creation_input_tokens || 0) + (tokens.cache_read_input_tokens || 0);
+      usage.tokens_out = tokens.output_tokens || 0;
+      usage.tokens_total = usage.tokens_in + usage.tokens_out;
+    }
+    if (typeof envelope.total_cost_usd === 'number') {
+      usage.cost_usd = envelope.total_cost_usd;
+    }
+    return usage;
+  }
+
+  const codex = [...text.matchAll(/tokens used:\s*([\d,]+)/g)].pop();
+  if (codex) {
+    usage.tokens_total = parseInt(codex[1].replace(/,/g, ''), 10);
+  }
+  return usage;
+}
+
+/**
+ * Field-wise sum of usages; a field stays null when no entry reports it
+ *
+ * @param {Array<Object|null|undefined>} entries
+ */
+export function sumUsage(entries) {
+  const total = Object.fromEntries(USAGE_FIELDS.map(field => [field, null]));
+  for (const entry of entries) {
+    for (const field of USAGE_FIELDS) {
+      if (typeof entry?.[field] === 'number') {
+        total[field] = (total[field] || 0) + entry[field];
+      }
+    }
+  }
+  if (total.cost_usd !== null) {
+    total.cost_usd = Math.round(total.cost_usd * 1e6) / 1e6;
+  }
+  return total;
+}
+
+/**
+ * Usage of several executions (e.g. the shards of one provider) combined;
+ * null when none has any
+ *
+ * @param {Array<ProviderUsage|null|undefined>} entries
+ * @returns {ProviderUsage|null}
+ */
+export function combineUsage(entries) {
+  const usages = entries.filter(Boolean);
+  if (usages.length === 0) {
+    return null;
+  }
+  const count = (field) => usages.reduce((sum, usage) => sum + (usage[field] || 0), 0);
+  return {
+    invocations: count('invocations'),
+    retries: count('retries'),
+    wall_ms: count('wall_ms'),
+    ...sumUsage(usages)
+  };
+}
+
+/**
+ * Whether any budget is configured
+ */
+export function hasBudget(budgets = {}) {
+  return ['per_run', 'per_day'].some(period =>
+    typeof budgets[period]?.cost_usd === 'number' || typeof budgets[period]?.tokens === 'number'
+  );
+}
+
+/**
+ * The first budget that has been reached, as a reason, or null
+ *
+ * @param {Object} budgets - budgets from the configuration
+ * @param {{run: Object, day: Object}} spent - Usage of this run and of today's runs including it
+ */
+export function exceededBudget(budgets = {}, spent) {
+  for (const [period, scope, label] of [['per_run', 'run', 'run'], ['per_day', 'day', 'daily']]) {
+    const limit = budgets[period] || {};
+    const used = spent[scope] || {};
+    if (typeof limit.cost_usd === 'number' && (used.cost_usd || 0) >= limit.cost_usd) {
+      return `${label} budget of $${limit.cost_usd} reached ($${formatCost(used.cost_usd || 0)} spent)`;
+    }
+    if (typeof limit.tokens === 'number' && (used.tokens_total || 0) >= limit.tokens) {
+      return `${label} budget of ${limit.tokens} tokens reached (${used.tokens_total || 0} used)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Cost with up to four decimals ("0.0421")
+ */
+export function formatCost(cost) {
+  return String(Math.round(cost * 10000) / 10000);
+}
@@ -11,6 +11,8 @@
  * Usage:
  *   cat file.json | node normalize-json.js
  *   node normalize-json.js file.json
+ *
+ * Provider adapters can also import extractJSON/normalizeReport directly.
  */
 
 import fs from 'fs';
@@ -404,15 +406,11 @@ function normalizeReport(data, tool) {
   if (tool) data.tool = tool;
   if (process.env.MODEL) data.model = process.env.MODEL;
   
-  // TODO: Remove more fields from LLM responsibility:
-  // - timestamp: We know when we executed the review, use Date.now()
-  // - pr.*: We have all PR data in pr.json, inject it here
-  // - tests.executed: We know if we ran tests from pipeline config
-  // - tests.command: We know the test command from pipeline.config.json
-  // - tests.exit_code: We have the actual exit code from test execution
-  // The LLM should only provide analysis (summary, findings, assumptions)
-  // not report factual data we already know from the execution environment
-  
+  // timestamp, pr.*, tests.executed/command/exit_code and the diff metrics
+  // are not part of the provider's output contract; ProviderExecutor
+  // overwrites them from the context files (lib/report-facts.js). The
+  // defaults below only keep a standalone normalization schema-valid.
+
   if (!data.timestamp) data.timestamp = new Date().toISOString();
   if (!data.pr || typeof data.pr !== 'object') {
     data.pr = {};
@@ -637,6 +635,9 @@ async function main() {
   }
 }
 
+// Exported for provider adapters that parse their own output
+export { extractJSON, normalizeReport };
+
 // Check if script is run directly (ES module equivalent)
 if (process.argv[1] && import.meta.url.endsWith(process.argv[1])) {
   main().catch(err => {
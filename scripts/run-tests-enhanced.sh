@@ -1,5 +1,6 @@
 #!/usr/bin/env bash
 # Enhanced test runner that generates structured JSON outputs alongside plain text
+# (test-summary.json, see lib/test-results.js)
 # This preserves the existing tests.txt format while adding JSON context
 set -euo pipefail
 
@@ -36,25 +37,12 @@ TEST_EXIT_CODE=$?
 echo "== exit:$TEST_EXIT_CODE ==" >> "$CONTEXT_DIR/tests.txt"
 set -e
 
-# Now run the same tests with structured output (non-breaking enhancement)
+# Parse the test and coverage reports into test-summary.json. The reports
+# come from TEST_RESULTS_FILE / TEST_COVERAGE_FILE (or testing.results_file
+# and coverage_file); without a results file the output above is parsed
+# (TAP, go test -json)
 echo "Generating structured test data..."
-
-# Run with JUnit XML output
-set +e
-(cd "$PROJECT_ROOT" && timeout 300 sh -c "set -e; $TEST_CMD --junit-xml=$CONTEXT_DIR/test-results.xml --cov-report=json:$CONTEXT_DIR/coverage.json -q") >/dev/null 2>&1
-ENHANCED_EXIT_CODE=$?
-set -e
-
-# Generate test summary JSON
-if [ -f "$CONTEXT_DIR/test-results.xml" ]; then
-  # Convert JUnit XML to JSON summary
-  python3 "$SCRIPT_DIR/generate-test-summary.py" \
-    "$CONTEXT_DIR/test-results.xml" \
-    "$CONTEXT_DIR/coverage.json" \
-    "$CONTEXT_DIR/test-summary.json" 2>/dev/null || {
-    echo "Warning: Could not generate test summary JSON"
-  }
-fi
+PROJECT_ROOT="$PROJECT_ROOT" node "$PACKAGE_DIR/lib/test-results.js" || echo "Warning: Could not generate test summary JSON"
 
 # Create a basic metadata file with test execution info
 cat > "$CONTEXT_DIR/test-metadata.json" <<EOF
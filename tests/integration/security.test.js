@@ -83,6 +83,13 @@ vi.mock('node:fs/promises', () => {
       writeFile: vi.fn().mockResolvedValue(undefined),
       access: vi.fn().mockResolvedValue(undefined),
       mkdir: vi.fn().mockResolvedValue(undefined),
+      readdir: vi.fn(async (dirPath) => {
+        // List stored files directly inside dirPath (used for provider manifests)
+        const prefix = `${dirPath}/`;
+        return [...fileStore.keys()]
+          .filter(p => p.startsWith(prefix) && !p.slice(prefix.length).includes('/'))
+          .map(p => p.slice(prefix.length));
+      }),
       
       // Helper methods
       setFile: (path, content) => fileStore.set(path, content),
@@ -0,0 +1,371 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Aggregator, { loadLastAggregate } from '../../lib/aggregator.js';
+import { triageKey } from '../../lib/triage.js';
+import { fingerprint } from '../../lib/fingerprint.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const packageDir = path.dirname(path.dirname(__dirname));
+
+function report(tool, overrides = {}) {
+  return {
+    tool,
+    model: 'test-model',
+    timestamp: '2025-01-01T00:00:00Z',
+    pr: { repo: 'owner/repo', number: 1, head_sha: 'abc123', branch: 'feature', link: 'https://github.com/owner/repo/pull/1' },
+    summary: `${tool} looked at the change`,
+    assumptions: [],
+    findings: [],
+    tests: { executed: false, command: null, exit_code: null, summary: 'Not executed' },
+    exit_criteria: { ready_for_pr: true, reasons: [] },
+    ...overrides
+  };
+}
+
+describe('Aggregator', () => {
+  let projectDir;
+  let reportsDir;
+  let aggregator;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aggregator-'));
+    reportsDir = path.join(projectDir, '.review-pipeline', 'workspace', 'reports');
+    await fs.mkdir(path.join(reportsDir, 'raw'), { recursive: true });
+    aggregator = new Aggregator({ packageDir, projectDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  async function writeReport(tool, json) {
+    await fs.writeFile(path.join(reportsDir, `${tool}.json`), JSON.stringify(json));
+  }
+
+  it('should pass the gate when every provider is ready with no must-fix findings', async () => {
+    await writeReport('claude-code', report('claude-code'));
+    await writeReport('codex-cli', report('codex-cli'));
+
+    const result = await aggregator.aggregate(['claude', 'codex']);
+
+    expect(result.gate).toBe('pass');
+    expect(result.errors).toEqual([]);
+    expect(result.reportStatus).toEqual({ 'claude-code': 'parsed', 'codex-cli': 'parsed' });
+
+    const workspace = path.join(projectDir, '.review-pipeline', 'workspace');
+    expect(await fs.readFile(path.join(workspace, 'gate.txt'), 'utf8')).toBe('pass');
+    expect(await fs.readFile(path.join(workspace, 'summary.md'), 'utf8')).toBe(result.summary);
+    expect(result.summary).toContain('## Gate: **PASS**');
+  });
+
+  it('should write gate.json explaining the decision, including test results', async () => {
+    await writeReport('claude-code', report('claude-code'));
+    const contextDir = path.join(projectDir, '.review-pipeline', 'workspace', 'context');
+    await fs.mkdir(contextDir, { recursive: true });
+    await fs.writeFile(path.join(contextDir, 'test-metadata.json'), JSON.stringify({ command: 'npm test', exit_code: 2 }));
+
+    const result = await aggregator.aggregate(['claude']);
+
+    const gateJson = JSON.parse(await fs.readFile(path.join(projectDir, '.review-pipeline', 'workspace', 'gate.json'), 'utf8'));
+    expect(gateJson).toMatchObject({ gate: 'fail', enabled: true });
+    expect(gateJson.rules.find(r => r.rule === 'tests')).toMatchObject({ passed: false, reason: 'Tests failed with exit code 2' });
+    expect(result.gateResult).toEqual(gateJson);
+    expect(result.summary).toContain('- ❌ tests: Tests failed with exit code 2');
+  });
+
+  it('should fail the gate on must-fix findings', async () => {
+    await writeReport('claude-code', report('claude-code', {
+      findings: [{
+        severity: 'high',
+        category: 'security',
+        file: 'src/app.js',
+        lines: '12',
+        message: 'Command injection',
+        suggestion: 'Use execFile',
+        evidence: ['+  12| exec(input)'],
+        must_fix: true
+      }]
+    }));
+
+    const result = await aggregator.aggregate(['claude']);
+
+    expect(result.gate).toBe('fail');
+    expect(result.mustFix).toHaveLength(1);
+    expect(result.mustFix[0].agreed_by).toEqual(['claude-code']);
+    expect(result.summary).toContain('- [high] (claude-code; 1/1) security — Command injection — src/app.js:12');
+  });
+
+  it('should write review.sarif with the merged findings', async () => {
+    await writeReport('claude-code', report('claude-code', {
+      findings: [{ severity: 'medium', category: 'performance', file: 'src/db.js', lines: '40', message: 'N+1 query' }]
+    }));
+
+    const result = await aggregator.aggregate(['claude']);
+
+    const sarif = JSON.parse(await fs.readFile(path.join(projectDir, '.review-pipeline', 'workspace', 'review.sarif'), 'utf8'));
+    expect(sarif).toEqual(result.sarif);
+    expect(sarif.runs[0].tool.driver.version).toBe(JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf8')).version);
+    expect(sarif.runs[0].results).toEqual([expect.objectContaining({ ruleId: 'review/performance', level: 'warning' })]);
+  });
+
+  it('should gate on carried-forward findings and list possibly resolved ones', async () => {
+    const carried = { severity: 'high', category: 'security', file: 'src/app.js', lines: '20', message: 'Command injection', agreed_by: ['codex-cli'], consensus: 1, carried_forward: true };
+    const resolved = { severity: 'medium', category: 'bug', file: 'src/db.js', lines: '5', message: 'Off by one', agreed_by: ['claude-code'], consensus: 1, possibly_resolved: true };
+    const style = { severity: 'low', category: 'style', file: 'src/ui.js', lines: '3', message: 'Unused variable' };
+    const again = { ...style, agreed_by: ['claude-code'], consensus: 1, carried_forward: true };
+    await writeReport('claude-code', report('claude-code', { findings: [style] }));
+    aggregator = new Aggregator({ packageDir, projectDir, previous: { since: 'a1b2c3d4e5f6a7b8', carried: [carried, again], possiblyResolved: [resolved] } });
+
+    const result = await aggregator.aggregate(['claude']);
+
+    expect(result.gate).toBe('fail');
+    expect(result.findings).toHaveLength(2);
+    expect(result.findings.find(f => f.category === 'style').carried_forward).toBeUndefined();
+    expect(result.mustFix).toEqual([{ ...carried, fingerprint: expect.stringMatching(/^[0-9a-f]{16}$/), fingerprints: [expect.stringMatching(/^[0-9a-f]{16}$/)] }]);
+    expect(result.possiblyResolved).toEqual([resolved]);
+    expect(result.summary).toContain('Incremental review of the commits since a1b2c3d4e5f6');
+    expect(result.summary).toContain('security — Command injection — src/app.js:20 (carried forward)');
+    expect(result.summary).toContain('## Possibly resolved');
+    expect(result.summary).toContain('bug — Off by one — src/db.js:5');
+  });
+
+  it('should gate an unchanged head on its carried findings and the stored rules', async () => {
+    const carried = { severity: 'medium', category: 'bug', file: 'src/db.js', lines: '5', message: 'Off by one', agreed_by: ['claude-code'], consensus: 1, carried_forward: true };
+    const rules = [
+      { rule: 'reports', passed: true, reason: 'All 2 provider reports are usable' },
+      { rule: 'tests', passed: true, reason: 'Tests passed' },
+      { rule: 'readiness', passed: true, reason: '2/2 providers ready for PR (a majority required)' }
+    ];
+    const judge = { adjudicate: async () => { throw new Error('the judge should not run'); } };
+    aggregator = new Aggregator({ packageDir, projectDir, judge, previous: { since: 'a1b2c3d4e5f6a7b8', carried: [carried], possiblyResolved: [], rules, unchanged: true } });
+
+    const result = await aggregator.aggregate([]);
+
+    expect(result.gate).toBe('pass');
+    expect(result.errors).toEqual([]);
+    expect(result.findings).toEqual([expect.objectContaining({ message: 'Off by one', carried_forward: true })]);
+    expect(result.gateResult.rules.find(r => r.rule === 'readiness')).toMatchObject({
+      passed: true,
+      reason: '2/2 providers ready for PR (a majority required) (last review)',
+      carried_forward: true
+    });
+    expect(result.summary).toContain('_No commits since the last review at a1b2c3d4e5f6; its findings are carried forward without reviewing again._');
+  });
+
+  it('should gate on judged findings and collapse the provider sections below them', async () => {
+    const real = { severity: 'high', category: 'security', file: 'src/app.js', lines: '12', message: 'Command injection' };
+    const noise = { severity: 'critical', category: 'bug', file: 'src/db.js', lines: '3', message: 'Null dereference' };
+    await writeReport('claude-code', report('claude-code', { findings: [real, noise] }));
+    const judge = {
+      adjudicate: async ({ findings }) => ({
+        provider: 'claude',
+        summary: 'One real issue.',
+        findings: [{ ...findings.find(f => f.file === 'src/app.js'), judge: { id: 'F2', decision: 'keep', rationale: 'exec of user input', merged: [] } }],
+        rejected: [{ ...findings.find(f => f.file === 'src/db.js'), judge: { id: 'F1', decision: 'reject', rationale: 'Checked on line 2' } }],
+        decisions: []
+      })
+    };
+    aggregator = new Aggregator({ packageDir, projectDir, judge });
+
+    const result = await aggregator.aggregate(['claude']);
+
+    expect(result.mustFix.map(f => f.message)).toEqual(['Command injection']);
+    expect(result.sarif.runs[0].results).toHaveLength(1);
+    const { summary } = result;
+    expect(summary.indexOf('## Judged Findings (claude)')).toBeLessThan(summary.indexOf('<details>'));
+    expect(summary).toContain('  - Judge: exec of user input');
+    expect(summary).toContain('### Rejected by the judge\n- [critical] (claude-code; 1/1) bug — Null dereference — src/db.js:3\n  - Judge: Checked on line 2');
+    expect(summary).toContain('## Must‑fix (judged)');
+    expect(summary.indexOf('## Provider Summaries')).toBeGreaterThan(summary.indexOf('<details>'));
+    expect(summary.indexOf('## Findings before judging')).toBeLessThan(summary.indexOf('</details>'));
+  });
+
+  it('should persist the final findings and gate for publish, triage and baseline', async () => {
+    const real = { severity: 'high', category: 'security', file: 'src/app.js', lines: '12', message: 'Command injection' };
+    const noise = { severity: 'critical', category: 'bug', file: 'src/db.js', lines: '3', message: 'Null dereference' };
+    await writeReport('claude-code', report('claude-code', { findings: [real, noise] }));
+    const judge = {
+      adjudicate: async ({ findings }) => ({
+        provider: 'claude',
+        summary: 'One real issue.',
+        findings: [{ ...findings.find(f => f.file === 'src/app.js'), judge: { id: 'F2', decision: 'keep', rationale: 'exec of user input', merged: [] } }],
+        rejected: [{ ...findings.find(f => f.file === 'src/db.js'), judge: { id: 'F1', decision: 'reject', rationale: 'Checked on line 2' } }],
+        decisions: []
+      })
+    };
+    await expect(loadLastAggregate(projectDir)).rejects.toThrow('run the review first');
+
+    const result = await new Aggregator({ packageDir, projectDir, judge }).aggregate(['claude']);
+
+    const last = await loadLastAggregate(projectDir);
+    expect(last.gate).toBe(result.gate);
+    expect(last.findings.map(f => f.message)).toEqual(['Command injection']);
+    expect(last).toMatchObject({ unconfirmed: [], suppressed: [] });
+  });
+
+  it('should fall back to the unjudged findings when the judge fails', async () => {
+    await writeReport('claude-code', report('claude-code', {
+      findings: [{ severity: 'high', category: 'security', file: 'src/app.js', lines: '12', message: 'Command injection' }]
+    }));
+    aggregator = new Aggregator({ packageDir, projectDir, judge: { adjudicate: async () => { throw new Error('claude timed out'); } } });
+
+    const result = await aggregator.aggregate(['claude']);
+
+    expect(result.judgment).toBeNull();
+    expect(result.mustFix).toHaveLength(1);
+    expect(result.errors).toContain('Judge failed, findings are unjudged: claude timed out');
+    expect(result.summary).not.toContain('<details>');
+  });
+
+  it('should downgrade findings whose citations do not resolve', async () => {
+    await fs.mkdir(path.join(projectDir, 'src'));
+    await fs.writeFile(path.join(projectDir, 'src', 'app.js'), 'const a = 1;\nexec(input);\n');
+    await writeReport('claude-code', report('claude-code', {
+      findings: [
+        { severity: 'high', category: 'security', file: 'src/app.js', lines: '2', message: 'Command injection', evidence: ['+  2| exec(input);'] },
+        { severity: 'critical', category: 'correctness', file: 'src/missing.js', lines: '8', message: 'Null dereference', must_fix: true }
+      ]
+    }));
+
+    process.env.CITATIONS_ACTION = 'downgrade';
+    try {
+      const result = await aggregator.aggregate(['claude']);
+
+      expect(result.citations).toMatchObject({ action: 'downgrade', checked: 2, dropped: 0 });
+      expect(result.mustFix.map(f => f.message)).toEqual(['Command injection']);
+      expect(result.findings.find(f => f.file === 'src/missing.js')).toMatchObject({ severity: 'low', must_fix: false, citation_invalid: true });
+      expect(result.summary).toContain('## Citation Problems (1/2, downgraded to low)\n- (claude-code) Null dereference — src/missing.js:8\n  - src/missing.js does not exist');
+    } finally {
+      delete process.env.CITATIONS_ACTION;
+    }
+  });
+
+  it('should list findings on excluded paths without gating them', async () => {
+    await writeReport('claude-code', report('claude-code', {
+      findings: [{ severity: 'critical', category: 'security', file: 'vendor/lib/parse.js', lines: '10', message: 'Prototype pollution', must_fix: true }]
+    }));
+
+    const result = await aggregator.aggregate(['claude']);
+
+    expect(result.gate).toBe('pass');
+    expect(result.findings).toEqual([]);
+    expect(result.excluded).toEqual([expect.objectContaining({ file: 'vendor/lib/parse.js', _tool: 'claude-code' })]);
+    expect(result.summary).toContain('## Findings on excluded paths (not gated)\n- [critical] (claude-code) security — Prototype pollution — vendor/lib/parse.js:10');
+  });
+
+  it('should mark findings that were triaged in .review-triage.json', async () => {
+    const finding = { severity: 'high', category: 'security', file: 'src/app.js', lines: '12', message: 'Command injection in exec call' };
+    await writeReport('claude-code', report('claude-code', { findings: [finding] }));
+    await fs.writeFile(path.join(projectDir, '.review-triage.json'), JSON.stringify({
+      version: 1,
+      decisions: [{ key: triageKey({ ...finding, lines: '40' }), file: 'src/app.js', decision: 'false-positive', note: 'Arguments are constants', tools: ['claude-code'] }]
+    }));
+
+    const result = await aggregator.aggregate(['claude']);
+
+    expect(result.findings[0].triage).toEqual({ decision: 'false-positive', note: 'Arguments are constants' });
+    expect(result.summary).toContain('Command injection in exec call — src/app.js:12 (triaged: false-positive)');
+    expect(result.summary).toContain('  - Triage note: Arguments are constants');
+  });
+
+  it('should leave findings in .review-suppressions.json out of the gate', async () => {
+    await fs.mkdir(path.join(projectDir, 'src'));
+    await fs.writeFile(path.join(projectDir, 'src', 'app.js'), 'const { exec } = require("child_process");\nexec(`ls ${dir}`);\n');
+    const suppressedFinding = { severity: 'critical', category: 'security', file: 'src/app.js', lines: '2', message: 'Command injection in exec call', must_fix: true };
+    const keptFinding = { severity: 'low', category: 'style', file: 'src/app.js', lines: '1', message: 'Prefer import over require' };
+    await writeReport('claude-code', report('claude-code', { findings: [suppressedFinding, keptFinding] }));
+    await fs.writeFile(path.join(projectDir, '.review-suppressions.json'), JSON.stringify({
+      version: 1,
+      suppressions: [{ fingerprint: fingerprint({ ...suppressedFinding, lines: '3' }, ['// older revision', 'const { exec } = require("child_process");', 'exec(`ls ${dir}`);']), file: 'src/app.js' }]
+    }));
+
+    const result = await aggregator.aggregate(['claude']);
+
+    expect(result.gate).toBe('pass');
+    expect(result.findings.map(f => f.message)).toEqual(['Prefer import over require']);
+    expect(result.findings[0].fingerprint).toMatch(/^[0-9a-f]{16}$/);
+    expect(result.suppressed).toEqual([expect.objectContaining({ message: 'Command injection in exec call' })]);
+    expect(result.summary).toContain('<summary>Suppressed findings (1, not gated)</summary>');
+    expect(result.sarif.runs[0].results[0].partialFingerprints).toEqual({ 'reviewFinding/v1': result.findings[0].fingerprint });
+  });
+
+  it('should render a Usage table from the reports\' metrics', async () => {
+    await writeReport('claude-code', report('claude-code', {
+      metrics: { usage: { invocations: 2, retries: 1, wall_ms: 83400, tokens_in: 24000, tokens_out: 1800, tokens_total: 25800, cost_usd: 0.42134 } }
+    }));
+    await writeReport('codex-cli', report('codex-cli', {
+      metrics: { usage: { invocations: 1, retries: 0, wall_ms: 61000, tokens_in: null, tokens_out: null, tokens_total: 18342, cost_usd: null } }
+    }));
+
+    const result = await aggregator.aggregate(['claude', 'codex']);
+
+    expect(result.summary).toContain([
+      '## Usage',
+      '| Provider | Wall time | Tokens in | Tokens out | Tokens total | Cost | Retries |',
+      '|----------|-----------|-----------|------------|--------------|------|---------|',
+      '| claude-code (test-model) | 83.4s | 24000 | 1800 | 25800 | $0.4213 | 1 |',
+      '| codex-cli (test-model) | 61.0s | — | — | 18342 | — | 0 |',
+      '| **Total** | 144.4s | 24000 | 1800 | 44142 | $0.4213 | 1 |'
+    ].join('\n'));
+  });
+
+  it('should merge findings reported by several providers', async () => {
+    const shared = { severity: 'high', category: 'security', file: 'src/app.js', lines: '12', message: 'Command injection in exec call' };
+    await writeReport('claude-code', report('claude-code', { findings: [shared] }));
+    await writeReport('codex-cli', report('codex-cli', { findings: [{ ...shared, lines: '11-13' }] }));
+
+    const result = await aggregator.aggregate(['claude', 'codex']);
+
+    expect(result.mustFix).toHaveLength(1);
+    expect(result.mustFix[0]).toMatchObject({ agreed_by: ['claude-code', 'codex-cli'], consensus: 1, lines: '11-13' });
+    expect(result.summary).toContain('(claude-code, codex-cli; 2/2) security');
+  });
+
+  it('should require gating.min_agreement providers before a finding is must-fix', async () => {
+    await writeReport('claude-code', report('claude-code', {
+      findings: [{ severity: 'critical', category: 'security', file: 'src/app.js', lines: '12', message: 'Command injection' }]
+    }));
+    await writeReport('codex-cli', report('codex-cli'));
+
+    process.env.GATE_MIN_AGREEMENT = '2';
+    try {
+      const result = await aggregator.aggregate(['claude', 'codex']);
+
+      expect(result.mustFix).toEqual([]);
+      expect(result.unconfirmed).toHaveLength(1);
+      expect(result.gate).toBe('pass');
+      expect(result.summary).toContain('## Unconfirmed (fewer than 2 providers agree)');
+    } finally {
+      delete process.env.GATE_MIN_AGREEMENT;
+    }
+  });
+
+  it('should fall back to raw output when a report is missing', async () => {
+    await fs.writeFile(path.join(reportsDir, 'raw', 'gemini-cli.raw.txt'), 'not json');
+
+    const result = await aggregator.aggregate(['gemini']);
+
+    expect(result.gate).toBe('fail');
+    expect(result.reportStatus['gemini-cli']).toBe('failed');
+    expect(result.reports[0]._hasRawOutput).toBe(true);
+    expect(result.summary).toContain('gemini-cli: failed (raw output available)');
+  });
+
+  it('should fill in missing fields before validation', async () => {
+    await writeReport('codex-cli', { findings: [], exit_criteria: { ready_for_pr: true, reasons: [] } });
+
+    const result = await aggregator.aggregate(['codex']);
+
+    expect(result.reports[0]).toMatchObject({ tool: 'codex-cli', model: 'unknown', summary: 'No summary provided' });
+  });
+
+  it('should never pass without any reports', async () => {
+    const result = await aggregator.aggregate([]);
+
+    expect(result.gate).toBe('fail');
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import CitationValidator, { diffHunks } from '../../lib/citations.js';
+
+const DIFF = `diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -3,2 +3,3 @@ function run(req) {
+   const cmd = req.query.cmd;
++  exec(cmd);
+   return true;
+`;
+
+function finding(extra = {}) {
+  return { severity: 'high', category: 'security', file: 'src/app.js', lines: '4', message: 'Command injection', evidence: [], must_fix: true, ...extra };
+}
+
+describe('diffHunks', () => {
+  it('should map files to the new-side line ranges of their hunks', () => {
+    expect(diffHunks(DIFF).get('src/app.js')).toEqual([{ start: 3, end: 5 }]);
+  });
+});
+
+describe('CitationValidator', () => {
+  let projectDir;
+  let headSha;
+
+  const git = (...args) => execFileSync('git', args, { cwd: projectDir, encoding: 'utf8' }).trim();
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'citations-'));
+    await fs.mkdir(path.join(projectDir, 'src'));
+    await fs.writeFile(path.join(projectDir, 'src', 'app.js'), 'function run(req) {\n  // run it\n  const cmd = req.query.cmd;\n  exec(cmd);\n  return true;\n}\n');
+    git('init', '-q');
+    git('add', '.');
+    git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'head');
+    headSha = git('rev-parse', 'HEAD');
+
+    // The working tree moves on after the reviewed commit
+    await fs.writeFile(path.join(projectDir, 'src', 'app.js'), 'changed\n');
+    await fs.writeFile(path.join(projectDir, 'src', 'untracked.js'), 'new\n');
+
+    const contextDir = path.join(projectDir, '.review-pipeline', 'workspace', 'context');
+    await fs.mkdir(contextDir, { recursive: true });
+    await fs.writeFile(path.join(contextDir, 'pr.json'), JSON.stringify({ headRefOid: headSha }));
+    await fs.writeFile(path.join(contextDir, 'diff.patch'), DIFF);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should check files and lines at the head commit rather than the working tree', async () => {
+    const validator = new CitationValidator({ projectDir });
+    await validator.loadContext();
+
+    expect(await validator.checkFinding(finding())).toEqual([]);
+    expect(await validator.checkFinding(finding({ lines: '5-9' }))).toEqual(['src/app.js:5-9 is outside the file (6 lines)']);
+    expect(await validator.checkFinding(finding({ file: 'src/untracked.js', lines: '1' }))).toEqual([`src/untracked.js does not exist at ${headSha.slice(0, 7)}`]);
+    expect(await validator.checkFinding(finding({ file: '../outside.js' }))).toEqual([`../outside.js does not exist at ${headSha.slice(0, 7)}`]);
+    expect(await validator.checkFinding({ severity: 'low', category: 'docs', message: 'No changelog entry' })).toEqual([]);
+  });
+
+  it('should require the lines to be in the diff when configured', async () => {
+    const validator = new CitationValidator({ projectDir, requireInDiff: true });
+    await validator.loadContext();
+
+    expect(await validator.checkFinding(finding({ lines: '4' }))).toEqual([]);
+    expect(await validator.checkFinding(finding({ lines: '1-2' }))).toEqual(['src/app.js:1-2 is not in the diff']);
+  });
+
+  it('should resolve file citations and annotated diff lines in the evidence', async () => {
+    const validator = new CitationValidator({ projectDir });
+    await validator.loadContext();
+
+    expect(await validator.checkFinding(finding({
+      evidence: ['+  4|   exec(cmd);', 'file:src/app.js lines:3-4', 'cmd comes straight from the query string']
+    }))).toEqual([]);
+    expect(await validator.checkFinding(finding({
+      evidence: ['+  4| execSync(cmd)', 'file:src/db.js lines:10']
+    }))).toEqual([
+      'evidence "+  4| execSync(cmd)" does not match src/app.js:4',
+      `src/db.js does not exist at ${headSha.slice(0, 7)}`
+    ]);
+  });
+
+  it('should tag, downgrade or drop findings with invalid citations', async () => {
+    const reports = () => [{ tool: 'claude-code', findings: [finding(), finding({ lines: '40', message: 'Missing check' })] }];
+
+    const tagged = reports();
+    const tagResult = await new CitationValidator({ projectDir }).validate(tagged);
+    expect(tagResult).toMatchObject({ action: 'tag', checked: 2, dropped: 0 });
+    expect(tagResult.invalid).toEqual([{ tool: 'claude-code', finding: tagged[0].findings[1], errors: ['src/app.js:40 is outside the file (6 lines)'] }]);
+    expect(tagged[0].findings[1]).toMatchObject({ severity: 'high', must_fix: true, citation_invalid: true });
+    expect(tagged[0].findings[0].citation_invalid).toBeUndefined();
+
+    const downgraded = reports();
+    await new CitationValidator({ projectDir, action: 'downgrade' }).validate(downgraded);
+    expect(downgraded[0].findings[1]).toMatchObject({ severity: 'low', original_severity: 'high', must_fix: false, citation_invalid: true });
+
+    const dropped = reports();
+    const dropResult = await new CitationValidator({ projectDir, action: 'drop' }).validate(dropped);
+    expect(dropResult.dropped).toBe(1);
+    expect(dropped[0].findings.map(f => f.message)).toEqual(['Command injection']);
+  });
+
+  it('should read the working tree for local runs', async () => {
+    await fs.writeFile(path.join(projectDir, '.review-pipeline', 'workspace', 'context', 'pr.json'), JSON.stringify({ headRefOid: 'LOCAL' }));
+    const validator = new CitationValidator({ projectDir });
+    await validator.loadContext();
+
+    expect(await validator.checkFinding(finding({ file: 'src/untracked.js', lines: '1' }))).toEqual([]);
+    expect(await validator.checkFinding(finding({ lines: '4' }))).toEqual(['src/app.js:4 is outside the file (1 line)']);
+  });
+});
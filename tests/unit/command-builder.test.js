@@ -41,6 +41,13 @@ vi.mock('node:fs/promises', () => {
       writeFile: vi.fn().mockResolvedValue(undefined),
       access: vi.fn().mockResolvedValue(undefined),
       mkdir: vi.fn().mockResolvedValue(undefined),
+      readdir: vi.fn(async (dirPath) => {
+        // List stored files directly inside dirPath (used for provider manifests)
+        const prefix = `${dirPath}/`;
+        return [...fileStore.keys()]
+          .filter(p => p.startsWith(prefix) && !p.slice(prefix.length).includes('/'))
+          .map(p => p.slice(prefix.length));
+      }),
       
       // Helper methods
       setFile: (path, content) => fileStore.set(path, content),
@@ -221,6 +228,60 @@ describe('CommandBuilder', () => {
       expect(command.env.TOOL).toBe('codex-cli');
     });
 
+    it('should scope a shard to its context files and report directory', async () => {
+      const shard = { id: 2, total: 3, files: ['src/api/a.js', 'src/api/b.js'], dirs: ['src/api'], contextDir: '.review-pipeline/workspace/context/shards/2' };
+      const command = await commandBuilder.buildCommand('codex', { shard });
+
+      const shardDir = path.join(commandBuilder.workspaceDir, 'reports', 'shards', '2');
+      expect(command.outputFile).toBe(path.join(shardDir, 'codex-cli.json'));
+      expect(command.rawOutputFile).toBe(path.join(shardDir, 'codex-cli.raw.txt'));
+      expect(command.args).toContain(command.rawOutputFile);
+      expect(command.rawDir).toBe(path.join(shardDir, 'raw'));
+      const prompt = command.args.find(arg => arg.includes('Core review prompt content'));
+      expect(prompt).toContain('=== REVIEW SHARD 2 OF 3 ===');
+      expect(prompt).toContain('Review only the 2 files of this shard (src/api)');
+      expect(prompt).toContain('- .review-pipeline/workspace/context/shards/2/enhanced_diff.txt');
+    });
+
+    it('should write a one-off answer to its own raw output file', async () => {
+      const rawOutputFile = path.join(commandBuilder.workspaceDir, 'reports', 'judge.raw.txt');
+      const command = await commandBuilder.buildCommand('codex', { standalonePrompt: 'judge this', rawOutputFile });
+
+      expect(command.rawOutputFile).toBe(rawOutputFile);
+      expect(command.args).toContain(rawOutputFile);
+      expect(command.args).not.toContain(path.join(commandBuilder.workspaceDir, 'reports', 'codex-cli.raw.txt'));
+    });
+
+    it('should list generated context artifacts in the review inputs', async () => {
+      fs.setFile(path.join(packageDir, 'prompts', 'review.core.md'), '<review_inputs>\n{{CONTEXT_FILES}}\n</review_inputs>');
+      fs.setFile(path.join(commandBuilder.workspaceDir, 'context', 'generators.json'), JSON.stringify([
+        { output: 'schema.sql', description: 'Database schema', status: 'ok' },
+        { output: 'routes.json', description: 'HTTP routes', status: 'failed', error: 'Exited with code 1' }
+      ]));
+
+      const command = await commandBuilder.buildCommand('codex', {});
+
+      const prompt = command.args.find(arg => arg.includes('<review_inputs>'));
+      expect(prompt).not.toContain('{{CONTEXT_FILES}}');
+      expect(prompt).toContain('- `.review-pipeline/workspace/context/files.txt` - List of all modified files');
+      expect(prompt).toContain('- `.review-pipeline/workspace/context/schema.sql` - Database schema');
+      expect(prompt).not.toContain('routes.json');
+    });
+
+    it('should give the PR context without asking for the pipeline-owned pr field', async () => {
+      fs.setFile(path.join(commandBuilder.workspaceDir, 'context', 'pr.json'), JSON.stringify({
+        number: 7, url: 'https://github.com/o/r/pull/7', headRefName: 'fix', baseRefName: 'main', headRefOid: 'abc123',
+        target: { type: 'staged', description: 'staged changes (git diff --cached)', uncommitted: true }
+      }));
+
+      const command = await commandBuilder.buildCommand('codex', {});
+
+      const prompt = command.args.find(arg => arg.includes('=== PULL REQUEST CONTEXT ==='));
+      expect(prompt).toContain('Head SHA: abc123');
+      expect(prompt).toContain('Review target: staged changes (git diff --cached)');
+      expect(prompt).not.toContain('"pr" field');
+    });
+
     it('should build Gemini command correctly', async () => {
       const command = await commandBuilder.buildCommand('gemini', {});
       
@@ -160,6 +160,27 @@ describe('ConfigLoader', () => {
       expect(configLoader.config).toBeDefined();
       expect(configLoader.config.providers).toBeDefined();
     });
+
+    it('should take context generators from the project config but not the switch that runs them', async () => {
+      const projectConfigPath = path.join('/tmp', 'project', '.reviewrc.json');
+      const generators = [{ command: 'cat db/schema.sql', output: 'schema.sql', description: 'Database schema' }];
+      fs.setFile(projectConfigPath, JSON.stringify({ context: { run_generators: true, generators } }));
+
+      const loader = new ConfigLoader({ projectConfigPath });
+      await loader.load();
+
+      expect(loader.config.context).toEqual({ generators });
+    });
+
+    it('should let the project config set the hooks profile', async () => {
+      const projectConfigPath = path.join('/tmp', 'project', '.reviewrc.json');
+      fs.setFile(projectConfigPath, JSON.stringify({ hooks: { provider: 'codex', block_on: ['critical', 'high'] } }));
+
+      const loader = new ConfigLoader({ projectConfigPath });
+      await loader.load();
+
+      expect(loader.config.hooks).toMatchObject({ provider: 'codex', block_on: ['critical', 'high'] });
+    });
   });
 
   describe('getProviderConfig', () => {
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseLineRange,
+  messageSimilarity,
+  findingsMatch,
+  clusterFindings,
+  applyAgreement
+} from '../../lib/consensus.js';
+
+function finding(tool, overrides = {}) {
+  return {
+    _tool: tool,
+    category: 'security',
+    severity: 'high',
+    file: 'src/app.js',
+    lines: '12',
+    message: 'User input is passed to exec without sanitization',
+    ...overrides
+  };
+}
+
+describe('consensus', () => {
+  describe('parseLineRange', () => {
+    it('should parse the common line formats', () => {
+      expect(parseLineRange('12')).toEqual({ start: 12, end: 12 });
+      expect(parseLineRange('12-20')).toEqual({ start: 12, end: 20 });
+      expect(parseLineRange('L12-L20')).toEqual({ start: 12, end: 20 });
+      expect(parseLineRange('10, 14-16')).toEqual({ start: 10, end: 16 });
+      expect(parseLineRange('')).toBeNull();
+    });
+  });
+
+  describe('findingsMatch', () => {
+    it('should match findings on the same file with overlapping lines', () => {
+      expect(findingsMatch(finding('a'), finding('b', { lines: '10-14' }))).toBe(true);
+    });
+
+    it('should not match findings on different files or distant lines', () => {
+      expect(findingsMatch(finding('a'), finding('b', { file: 'src/other.js' }))).toBe(false);
+      expect(findingsMatch(finding('a'), finding('b', { lines: '80' }))).toBe(false);
+    });
+
+    it('should match different categories only when the messages are similar', () => {
+      const similar = finding('b', { category: 'correctness', message: 'exec receives unsanitized user input' });
+      const unrelated = finding('b', { category: 'style', message: 'Prefer const over let' });
+
+      expect(messageSimilarity(finding('a').message, similar.message)).toBeGreaterThan(0.3);
+      expect(findingsMatch(finding('a'), similar)).toBe(true);
+      expect(findingsMatch(finding('a'), unrelated)).toBe(false);
+    });
+
+    it('should not match unrelated findings that only share a category', () => {
+      const secret = finding('b', { lines: '14', message: 'Hardcoded API key in source' });
+
+      expect(findingsMatch(finding('a'), secret)).toBe(false);
+      expect(findingsMatch(finding('a'), finding('b', { message: 'Command injection via exec' }))).toBe(true);
+    });
+
+    it('should not match two findings of the same tool', () => {
+      expect(findingsMatch(finding('a'), finding('a', { lines: '13' }))).toBe(false);
+    });
+  });
+
+  describe('clusterFindings', () => {
+    it('should merge the same problem from several providers', () => {
+      const merged = clusterFindings([
+        finding('claude-code', { lines: '12-14', evidence: ['+  12| exec(input)'] }),
+        finding('codex-cli', { severity: 'critical', lines: '13', message: 'Command injection via exec' }),
+        finding('gemini-cli', { file: 'README.md', lines: '1', category: 'docs', severity: 'low', message: 'Typo' })
+      ], 3);
+
+      expect(merged).toHaveLength(2);
+      expect(merged[0]).toMatchObject({
+        severity: 'critical',
+        message: 'Command injection via exec',
+        lines: '12-14',
+        agreed_by: ['claude-code', 'codex-cli'],
+        consensus: 0.67,
+        evidence: ['+  12| exec(input)']
+      });
+      expect(merged[0].sources).toHaveLength(2);
+      expect(merged[0]._tool).toBeUndefined();
+      expect(merged[1].agreed_by).toEqual(['gemini-cli']);
+    });
+
+    it('should keep two findings of one provider apart even when another provider matches both', () => {
+      const merged = clusterFindings([
+        finding('claude-code'),
+        finding('codex-cli', { lines: '13' }),
+        finding('claude-code', { lines: '14', message: 'exec output is logged without sanitization' })
+      ], 2);
+
+      expect(merged).toHaveLength(2);
+      expect(merged.map(f => f.agreed_by)).toEqual([['claude-code', 'codex-cli'], ['claude-code']]);
+      expect(merged[1].consensus).toBe(0.5);
+    });
+  });
+
+  describe('applyAgreement', () => {
+    it('should hold back must-fix candidates below the agreement threshold', () => {
+      const merged = clusterFindings([
+        finding('claude-code'),
+        finding('codex-cli'),
+        finding('claude-code', { file: 'src/db.js', message: 'SQL built by concatenation' }),
+        finding('codex-cli', { file: 'src/ui.js', severity: 'low', category: 'style', message: 'Long line' })
+      ], 2);
+
+      const { mustFix, unconfirmed } = applyAgreement(merged, 2);
+
+      expect(mustFix.map(f => f.file)).toEqual(['src/app.js']);
+      expect(unconfirmed.map(f => f.file)).toEqual(['src/db.js']);
+      expect(applyAgreement(merged, 1).mustFix).toHaveLength(2);
+    });
+  });
+});
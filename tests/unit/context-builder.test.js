@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import ContextBuilder, { reviewTarget } from '../../lib/context-builder.js';
+
+describe('reviewTarget', () => {
+  it('should build one target from the run options', () => {
+    expect(reviewTarget({})).toBeNull();
+    expect(reviewTarget({ base: 'origin/main' })).toEqual({ type: 'base', base: 'origin/main', head: 'HEAD' });
+    expect(reviewTarget({ head: 'feature' })).toEqual({ type: 'base', base: null, head: 'feature' });
+    expect(reviewTarget({ workingTree: true })).toEqual({ type: 'working-tree' });
+    expect(reviewTarget({ range: 'a..b' })).toEqual({ type: 'range', range: 'a..b' });
+    expect(() => reviewTarget({ staged: true, commit: 'abc' })).toThrow('Choose one review target, not staged and commit');
+  });
+});
+
+describe('ContextBuilder', () => {
+  let projectDir;
+  let git;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'context-builder-'));
+    git = (...args) => execFileSync('git', args, {
+      cwd: projectDir,
+      env: { ...process.env, GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' }
+    }).toString().trim();
+    git('init', '--quiet', '-b', 'main');
+    await fs.writeFile(path.join(projectDir, 'base.js'), 'base\n');
+    git('add', '.');
+    git('commit', '--quiet', '-m', 'base');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should diff the changes on head since it diverged from base', async () => {
+    git('checkout', '--quiet', '-b', 'feature');
+    await fs.writeFile(path.join(projectDir, 'feature.js'), 'feature\n');
+    git('add', '.');
+    git('commit', '--quiet', '-m', 'feature');
+    const head = git('rev-parse', 'HEAD');
+    // A later commit on main is not part of the feature's changes
+    git('checkout', '--quiet', 'main');
+    await fs.writeFile(path.join(projectDir, 'main.js'), 'main\n');
+    git('add', '.');
+    git('commit', '--quiet', '-m', 'main');
+
+    const context = await new ContextBuilder({ projectDir, env: {}, target: { type: 'base', base: 'main', head } }).build();
+
+    expect(context.baseRef).toBe(`main...${head}`);
+    expect(context.files).toEqual(['feature.js']);
+    const pr = JSON.parse(await fs.readFile(path.join(context.contextDir, 'pr.json'), 'utf8'));
+    expect(pr.headRefOid).toBe(head);
+    expect(pr.target).toMatchObject({ type: 'base', diff_args: [`main...${head}`], head_sha: head, uncommitted: false });
+    expect(pr.target.description).toBe(`changes on ${head} since it diverged from main (main...${head})`);
+  });
+
+  it('should diff only the staged changes', async () => {
+    await fs.writeFile(path.join(projectDir, 'staged.js'), 'staged\n');
+    await fs.writeFile(path.join(projectDir, 'base.js'), 'unstaged edit\n');
+    git('add', 'staged.js');
+
+    const context = await new ContextBuilder({ projectDir, env: {}, target: { type: 'staged' } }).build();
+
+    expect(context.baseRef).toBe('staged');
+    expect(context.files).toEqual(['staged.js']);
+    expect(await fs.readFile(path.join(context.contextDir, 'diff.patch'), 'utf8')).not.toContain('unstaged edit');
+  });
+
+  it('should diff the uncommitted changes to tracked files', async () => {
+    await fs.writeFile(path.join(projectDir, 'base.js'), 'unstaged edit\n');
+    await fs.writeFile(path.join(projectDir, 'untracked.js'), 'untracked\n');
+
+    const context = await new ContextBuilder({ projectDir, env: {}, target: { type: 'working-tree' } }).build();
+
+    expect(context.files).toEqual(['base.js']);
+    expect(context.pr.target).toMatchObject({ type: 'working-tree', diff_args: ['HEAD'], uncommitted: true });
+  });
+
+  it('should diff a single commit or a range', async () => {
+    const base = git('rev-parse', 'HEAD');
+    for (const name of ['one', 'two']) {
+      await fs.writeFile(path.join(projectDir, `${name}.js`), `${name}\n`);
+      git('add', '.');
+      git('commit', '--quiet', '-m', name);
+    }
+    const one = git('rev-parse', 'HEAD~1');
+
+    const commit = await new ContextBuilder({ projectDir, env: {}, target: { type: 'commit', commit: one } }).build();
+    expect(commit.files).toEqual(['one.js']);
+    expect(commit.pr.headRefOid).toBe(one);
+
+    const range = await new ContextBuilder({ projectDir, env: {}, target: { type: 'range', range: `${base}..` } }).build();
+    expect(range.files).toEqual(['one.js', 'two.js']);
+    expect(range.pr.target).toMatchObject({ description: `range ${base}..`, head_sha: git('rev-parse', 'HEAD') });
+  });
+
+  it('should diff a root commit against the empty tree', async () => {
+    const root = git('rev-parse', 'HEAD');
+
+    const context = await new ContextBuilder({ projectDir, env: {}, target: { type: 'commit', commit: root } }).build();
+    expect(context.files).toEqual(['base.js']);
+    expect(context.pr.headRefOid).toBe(root);
+    expect(context.pr.target).toMatchObject({
+      description: `root commit ${root} (against the empty tree)`,
+      diff_args: [git('hash-object', '-t', 'tree', '/dev/null'), root]
+    });
+  });
+
+  it('should fail on a target git cannot diff instead of falling back', async () => {
+    await expect(new ContextBuilder({ projectDir, env: {}, target: { type: 'commit', commit: 'missing' } }).build())
+      .rejects.toThrow('Could not diff the review target (git diff missing^ missing)');
+    await expect(new ContextBuilder({ projectDir, env: {}, target: { type: 'range', range: '--output=x' } }).build())
+      .rejects.toThrow('Invalid revision: --output=x');
+    await expect(new ContextBuilder({ projectDir, env: {}, target: { type: 'range', range: 'main' } }).build())
+      .rejects.toThrow('Invalid range: main');
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import ContextGenerators, { readGeneratedArtifacts, renderReviewInputs } from '../../lib/context-generators.js';
+
+describe('ContextGenerators', () => {
+  let projectDir;
+  let contextDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'generators-'));
+    contextDir = path.join(projectDir, '.review-pipeline', 'workspace', 'context');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should write each generator\'s output and record the results', async () => {
+    await fs.writeFile(path.join(projectDir, 'schema.sql'), 'CREATE TABLE users (id int);\n');
+    const generators = new ContextGenerators({
+      projectDir,
+      enabled: true,
+      generators: [
+        { command: 'cat schema.sql', output: 'schema.sql', description: 'Database schema' },
+        { command: 'echo "{\\"routes\\": []}"', output: 'routes.json', description: 'HTTP routes' }
+      ]
+    });
+
+    const results = await generators.run();
+
+    expect(results.map(r => [r.output, r.status])).toEqual([['schema.sql', 'ok'], ['routes.json', 'ok']]);
+    expect(await fs.readFile(path.join(contextDir, 'schema.sql'), 'utf8')).toBe('CREATE TABLE users (id int);\n');
+    expect(JSON.parse(await fs.readFile(path.join(contextDir, 'routes.json'), 'utf8'))).toEqual({ routes: [] });
+    expect((await readGeneratedArtifacts(contextDir)).map(a => a.output)).toEqual(['schema.sql', 'routes.json']);
+  });
+
+  it('should reject failing, empty, oversized, invalid JSON and reserved outputs', async () => {
+    const results = await new ContextGenerators({
+      projectDir,
+      enabled: true,
+      generators: [
+        { command: 'echo broken >&2; exit 3', output: 'a.txt' },
+        { command: 'true', output: 'b.txt' },
+        { command: 'head -c 3000 /dev/zero', output: 'c.bin', max_size_kb: 1 },
+        { command: 'echo not json', output: 'd.json' },
+        { command: 'echo x', output: 'pr.json' },
+        { command: 'echo x', output: '../escape.txt' },
+        { command: 'sleep 5', output: 'e.txt', timeout_seconds: 1 }
+      ]
+    }).run();
+
+    expect(results.map(r => r.status)).toEqual(['failed', 'failed', 'failed', 'failed', 'failed', 'failed', 'failed']);
+    expect(results[0].error).toBe('Exited with code 3: broken');
+    expect(results[1].error).toBe('Produced no output');
+    expect(results[2].error).toBe('Output exceeds 1 KB');
+    expect(results[3].error).toMatch(/^Output is not valid JSON/);
+    expect(results[4].error).toBe('Output pr.json is not a plain file name or is reserved by the pipeline');
+    expect(results[6].error).toBe('Timed out after 1s');
+    expect((await fs.readdir(contextDir)).sort()).toEqual(['generators.json']);
+  });
+
+  it('should skip generators unless enabled and clear the previous run\'s artifacts', async () => {
+    const generators = [{ command: 'echo data', output: 'data.txt', description: 'Data' }];
+    await new ContextGenerators({ projectDir, enabled: true, generators }).run();
+    expect(await fs.readFile(path.join(contextDir, 'data.txt'), 'utf8')).toBe('data\n');
+
+    const results = await new ContextGenerators({ projectDir, generators }).run();
+
+    expect(results[0]).toMatchObject({ status: 'skipped', error: expect.stringContaining('CONTEXT_GENERATORS=true') });
+    await expect(fs.access(path.join(contextDir, 'data.txt'))).rejects.toThrow();
+    expect(await readGeneratedArtifacts(contextDir)).toEqual([]);
+  });
+});
+
+describe('renderReviewInputs', () => {
+  it('should list the built-in context files and any generated artifacts', () => {
+    expect(renderReviewInputs()).not.toContain('Project artifacts');
+
+    const inputs = renderReviewInputs([{ output: 'schema.sql', description: 'Database schema' }]);
+    expect(inputs).toContain('- `.review-pipeline/workspace/context/enhanced_diff.txt` - The ENHANCED DIFF');
+    expect(inputs).toContain('**Project artifacts (generated by the project for this review):**\n- `.review-pipeline/workspace/context/schema.sql` - Database schema');
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import { parseUnifiedDiff, formatEnhancedDiff, diffStats, parseHunkHeader, splitFileDiffs, filterDiff } from '../../lib/diff.js';
+
+const sampleDiff = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1111111..2222222 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -10,4 +10,5 @@ function main() {',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+-- not a file header',
+  ' const c = 4;',
+  ' return a + b + c;',
+  'diff --git a/old.txt b/old.txt',
+  'deleted file mode 100644',
+  'index 3333333..0000000',
+  '--- a/old.txt',
+  '+++ /dev/null',
+  '@@ -1,2 +0,0 @@',
+  '-first',
+  '-second',
+  'diff --git a/new.txt b/new.txt',
+  'new file mode 100644',
+  'index 0000000..4444444',
+  '--- /dev/null',
+  '+++ b/new.txt',
+  '@@ -0,0 +1 @@',
+  '+hello',
+  '\\ No newline at end of file'
+].join('\n');
+
+describe('diff', () => {
+  describe('parseHunkHeader', () => {
+    it('should default omitted counts to 1', () => {
+      expect(parseHunkHeader('@@ -3 +4 @@')).toEqual({ oldStart: 3, oldCount: 1, newStart: 4, newCount: 1 });
+      expect(parseHunkHeader('not a hunk')).toBeNull();
+    });
+  });
+
+  describe('parseUnifiedDiff', () => {
+    it('should parse files, statuses and line numbers', () => {
+      const files = parseUnifiedDiff(sampleDiff);
+
+      expect(files.map(f => [f.file, f.status])).toEqual([
+        ['src/app.js', 'modified'],
+        ['old.txt', 'deleted'],
+        ['new.txt', 'added']
+      ]);
+
+      const [app] = files;
+      expect(app.additions).toBe(2);
+      expect(app.deletions).toBe(1);
+      expect(app.hunks[0].lines).toEqual([
+        { type: ' ', oldLine: 10, newLine: 10, content: 'const a = 1;' },
+        { type: '-', oldLine: 11, content: 'const b = 2;' },
+        { type: '+', newLine: 11, content: 'const b = 3;' },
+        { type: '+', newLine: 12, content: '-- not a file header' },
+        { type: ' ', oldLine: 12, newLine: 13, content: 'const c = 4;' },
+        { type: ' ', oldLine: 13, newLine: 14, content: 'return a + b + c;' }
+      ]);
+    });
+
+    it('should summarize changes', () => {
+      expect(diffStats(parseUnifiedDiff(sampleDiff))).toEqual({
+        files_changed: 3,
+        files_added: 1,
+        files_deleted: 1,
+        lines_added: 3,
+        lines_removed: 3
+      });
+    });
+
+    it('should return no files for empty input', () => {
+      expect(parseUnifiedDiff('')).toEqual([]);
+      expect(parseUnifiedDiff(undefined)).toEqual([]);
+    });
+  });
+
+  describe('formatEnhancedDiff', () => {
+    it('should annotate added and context lines with new-file line numbers', () => {
+      const output = formatEnhancedDiff(sampleDiff).split('\n');
+
+      expect(output).toEqual([
+        'file: src/app.js',
+        '@@ -10,4 +10,5 @@ function main() {',
+        '   10| const a = 1;',
+        '-    | const b = 2;',
+        '+  11| const b = 3;',
+        '+  12| -- not a file header',
+        '   13| const c = 4;',
+        '   14| return a + b + c;',
+        '',
+        'file: old.txt (deleted)',
+        '@@ -1,2 +0,0 @@',
+        '-    | first',
+        '-    | second',
+        '',
+        'file: new.txt',
+        '@@ -0,0 +1 @@',
+        '+   1| hello'
+      ]);
+    });
+  });
+
+  describe('splitFileDiffs', () => {
+    it('should split the diff into one chunk per file', () => {
+      const chunks = splitFileDiffs(`${sampleDiff}\n`);
+
+      expect(chunks.map(c => c.file)).toEqual(['src/app.js', 'old.txt', 'new.txt']);
+      expect(chunks.map(c => c.text).join('')).toBe(`${sampleDiff}\n`);
+      expect(chunks[0].text).toContain('+-- not a file header');
+      expect(splitFileDiffs('')).toEqual([]);
+    });
+  });
+
+  describe('filterDiff', () => {
+    it('should drop the files the predicate rejects', () => {
+      const { diff, excluded } = filterDiff(`${sampleDiff}\n`, file => file !== 'old.txt');
+
+      expect(excluded).toEqual(['old.txt']);
+      expect(splitFileDiffs(diff).map(c => c.file)).toEqual(['src/app.js', 'new.txt']);
+      expect(filterDiff('', () => false)).toEqual({ diff: '', excluded: [] });
+    });
+  });
+});
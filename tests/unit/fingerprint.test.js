@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import Fingerprinter, { fingerprint, sourceFingerprints, codeHash, normalizeMessage } from '../../lib/fingerprint.js';
+import { clusterFindings } from '../../lib/consensus.js';
+import { applySuppressions } from '../../lib/suppressions.js';
+
+function finding(overrides = {}) {
+  return { category: 'security', severity: 'high', file: 'src/db.js', lines: '3', message: 'SQL built from user input', ...overrides };
+}
+
+describe('fingerprint', () => {
+  const code = ['const db = connect();', '', 'query(`SELECT * FROM users WHERE id = ${id}`);'];
+  const shifted = ['// header', 'const db = connect();', '', '  query(`SELECT *  FROM users WHERE id = ${id}`);'];
+
+  it('should survive line shifts and reformatting of the cited code', () => {
+    expect(fingerprint(finding(), code)).toBe(fingerprint(finding({ lines: '4', file: './src/db.js', message: 'SQL built from user input!' }), shifted));
+    expect(fingerprint(finding(), code)).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('should change with the cited code, file or category but not the wording', () => {
+    const base = fingerprint(finding(), code);
+
+    expect(fingerprint(finding(), ['const db = connect();', '', 'query(`SELECT * FROM users WHERE id = ?`, [id]);'])).not.toBe(base);
+    expect(fingerprint(finding({ lines: '1' }), code)).not.toBe(base);
+    expect(fingerprint(finding({ category: 'correctness' }), code)).not.toBe(base);
+    expect(fingerprint(finding({ file: 'src/api.js' }), code)).not.toBe(base);
+    expect(fingerprint(finding({ message: 'Unescaped SQL' }), code)).toBe(base);
+    expect(fingerprint(finding({ message: 'Unescaped SQL' }), null)).not.toBe(fingerprint(finding(), null));
+  });
+
+  it('should keep matching the same issue when a different set of providers agrees', () => {
+    const lines = ['const id = req.query.id;', 'const db = connect();', 'query(`SELECT * FROM users WHERE id = ${id}`);'];
+    const claude = { ...finding(), _tool: 'claude-code' };
+    const first = clusterFindings([
+      claude,
+      { ...finding({ lines: '1-3', severity: 'critical', message: 'User input from req.query reaches a raw SQL query string' }), _tool: 'codex-cli' }
+    ], 2)[0];
+    const second = clusterFindings([
+      { ...claude, message: 'SQL query interpolates user input' },
+      { ...finding({ lines: '2-3', message: 'Possible SQL injection in query()' }), _tool: 'gemini-cli' }
+    ], 2)[0];
+
+    // The merged message and line range differ between the runs
+    expect(first).toMatchObject({ lines: '1-3', severity: 'critical' });
+    expect(second).toMatchObject({ lines: '2-3', severity: 'high' });
+
+    const baseline = { suppressions: [{ fingerprint: 'x', fingerprints: sourceFingerprints(first, lines) }] };
+    const fingerprints = sourceFingerprints(second, lines);
+    expect(fingerprints).toContain(fingerprint(claude, lines));
+    expect(applySuppressions([{ ...second, fingerprints }], baseline).suppressed).toHaveLength(1);
+  });
+
+  it('should hash no code when the lines are not available', () => {
+    expect(codeHash(null, '3')).toBe('');
+    expect(codeHash(code, 'n/a')).toBe('');
+    expect(codeHash(code, '99')).toBe('');
+    expect(fingerprint(finding(), null)).toBe(fingerprint(finding({ lines: '99' }), code));
+    expect(normalizeMessage('SQL built (2x) from user-input!')).toBe('sql built x from user input');
+  });
+});
+
+describe('Fingerprinter', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fingerprint-'));
+    await fs.mkdir(path.join(projectDir, 'src'));
+    await fs.writeFile(path.join(projectDir, 'src', 'db.js'), 'const db = connect();\n\nquery(`SELECT * FROM users WHERE id = ${id}`);\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should fingerprint findings with the cited code from the working tree', async () => {
+    const [found, missing] = await new Fingerprinter({ projectDir }).apply([finding(), finding({ file: 'src/gone.js' })]);
+
+    expect(found.fingerprint).toBe(fingerprint(finding(), ['const db = connect();', '', 'query(`SELECT * FROM users WHERE id = ${id}`);']));
+    expect(found.fingerprints).toEqual([found.fingerprint]);
+    expect(missing.fingerprint).toBe(fingerprint(finding({ file: 'src/gone.js' })));
+  });
+});
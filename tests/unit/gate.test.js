@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import GateEvaluator from '../../lib/gate.js';
+
+function evaluator(gating = {}) {
+  // A loaded ConfigLoader only needs to expose the resolved config
+  return new GateEvaluator({ configLoader: { config: { gating: { enabled: true, ...gating } } } });
+}
+
+function report(tool, ready = true) {
+  return { tool, exit_criteria: { ready_for_pr: ready, reasons: [] } };
+}
+
+function finding(severity, agreedBy = ['claude-code']) {
+  return { severity, category: 'correctness', file: 'a.js', lines: '1', message: 'm', agreed_by: agreedBy };
+}
+
+const tools = ['claude-code', 'codex-cli', 'gemini-cli'];
+const allParsed = Object.fromEntries(tools.map(t => [t, 'parsed']));
+
+function input(overrides = {}) {
+  return {
+    tools,
+    reports: tools.map(t => report(t)),
+    reportStatus: allParsed,
+    findings: [],
+    mustFix: [],
+    unconfirmed: [],
+    tests: null,
+    ...overrides
+  };
+}
+
+function rule(result, name) {
+  return result.rules.find(r => r.rule === name);
+}
+
+describe('GateEvaluator', () => {
+  it('should pass a clean review and explain every rule', async () => {
+    const result = await evaluator().evaluate(input());
+
+    expect(result.gate).toBe('pass');
+    expect(result.rules.map(r => r.rule)).toEqual(['reports', 'must_fix', 'severity', 'tests', 'readiness']);
+    expect(result.rules.every(r => r.passed && r.reason)).toBe(true);
+  });
+
+  it('should fail when a report is missing', async () => {
+    const result = await evaluator().evaluate(input({
+      reports: [report('claude-code'), report('codex-cli')],
+      reportStatus: { ...allParsed, 'gemini-cli': 'failed' }
+    }));
+
+    expect(result.gate).toBe('fail');
+    expect(rule(result, 'reports')).toMatchObject({ passed: false, details: { missing: ['gemini-cli'] } });
+  });
+
+  it('should apply must_fix_threshold', async () => {
+    const mustFix = [finding('high'), finding('critical')];
+
+    expect(rule(await evaluator({ must_fix_threshold: 3 }).evaluate(input({ mustFix })), 'must_fix').passed).toBe(true);
+    expect(rule(await evaluator({ must_fix_threshold: 2 }).evaluate(input({ mustFix })), 'must_fix').passed).toBe(false);
+    expect(rule(await evaluator({ must_fix_threshold: 0 }).evaluate(input({ mustFix })), 'must_fix').passed).toBe(true);
+  });
+
+  it('should apply severity_thresholds to confirmed findings', async () => {
+    const mediums = [finding('medium'), finding('medium'), finding('medium')];
+    const gate = evaluator({ severity_thresholds: { medium: 2 } });
+
+    const result = await gate.evaluate(input({ findings: mediums }));
+    expect(rule(result, 'severity')).toMatchObject({ passed: false, reason: '3 medium (max 2)' });
+
+    const high = finding('high');
+    const held = await evaluator().evaluate(input({ findings: [high], unconfirmed: [high] }));
+    expect(rule(held, 'severity').passed).toBe(true);
+  });
+
+  it('should block on failing tests only when block_on_test_failure is set', async () => {
+    const tests = { command: 'npm test', exit_code: 1 };
+
+    expect(rule(await evaluator().evaluate(input({ tests })), 'tests').passed).toBe(false);
+    expect(rule(await evaluator({ block_on_test_failure: false }).evaluate(input({ tests })), 'tests').passed).toBe(true);
+  });
+
+  it('should require a majority, or every provider with require_unanimous_pass', async () => {
+    const reports = [report('claude-code'), report('codex-cli'), report('gemini-cli', false)];
+
+    expect((await evaluator().evaluate(input({ reports }))).gate).toBe('pass');
+    expect((await evaluator({ require_unanimous_pass: true }).evaluate(input({ reports }))).gate).toBe('fail');
+  });
+
+  it('should always pass when gating is disabled', async () => {
+    const result = await evaluator({ enabled: false }).evaluate(input({ reports: [], reportStatus: {} }));
+
+    expect(result).toMatchObject({ gate: 'pass', enabled: false });
+    expect(rule(result, 'reports').passed).toBe(false);
+  });
+});
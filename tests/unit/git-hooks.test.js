@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import GitHooks, { hookScript, parsePushedRefs, outgoingTargets, blockingFindings, hookModel, HOOK_MARKER } from '../../lib/git-hooks.js';
+
+const ZERO = '0'.repeat(40);
+const LOCAL = '1'.repeat(40);
+const REMOTE = '2'.repeat(40);
+
+describe('hook helpers', () => {
+  it('should review the outgoing commits of a push', () => {
+    const refs = parsePushedRefs(`refs/heads/old ${ZERO} refs/heads/old ${REMOTE}\nrefs/heads/feature ${LOCAL} refs/heads/feature ${REMOTE}\n`);
+
+    expect(refs).toHaveLength(2);
+    expect(outgoingTargets(refs, 'origin/main')).toEqual([{ type: 'base', base: REMOTE, head: LOCAL }]);
+    expect(outgoingTargets(parsePushedRefs(`refs/heads/new ${LOCAL} refs/heads/new ${ZERO}`), 'origin/main')).toEqual([{ type: 'base', base: 'origin/main', head: LOCAL }]);
+    expect(outgoingTargets(parsePushedRefs(`refs/heads/old ${ZERO} refs/heads/old ${REMOTE}`), 'origin/main')).toEqual([]);
+    expect(outgoingTargets(parsePushedRefs(''), 'origin/main')).toEqual([]);
+  });
+
+  it('should review every ref of a push', () => {
+    const OTHER = '3'.repeat(40);
+    const refs = parsePushedRefs([
+      `refs/heads/a ${LOCAL} refs/heads/a ${REMOTE}`,
+      `refs/heads/b ${OTHER} refs/heads/b ${ZERO}`,
+      `refs/heads/c ${LOCAL} refs/heads/c ${REMOTE}`,
+      `refs/tags/v1 ${OTHER} refs/tags/v1 ${ZERO}`
+    ].join('\n'));
+
+    expect(outgoingTargets(refs, 'origin/main')).toEqual([
+      { type: 'base', base: REMOTE, head: LOCAL },
+      { type: 'base', base: 'origin/main', head: OTHER }
+    ]);
+  });
+
+  it('should block only on the configured severities', () => {
+    const findings = [{ severity: 'critical' }, { severity: 'high' }, { severity: 'low' }];
+
+    expect(blockingFindings(findings)).toEqual([{ severity: 'critical' }]);
+    expect(blockingFindings(findings, ['critical', 'high'])).toHaveLength(2);
+  });
+
+  it('should use a cheap model only for the provider it belongs to', () => {
+    expect(hookModel('claude', null)).toBe('haiku');
+    expect(hookModel('codex', null)).toBeUndefined();
+    expect(hookModel('gemini', 'gemini-2.5-flash')).toBe('gemini-2.5-flash');
+  });
+
+  it('should quote the bin path in the hook script', () => {
+    const script = hookScript('pre-push', "/opt/it's/bin/review-pipeline");
+
+    expect(script).toContain(HOOK_MARKER);
+    expect(script).toContain(`exec node '/opt/it'\\''s/bin/review-pipeline' hook pre-push "$@"`);
+  });
+});
+
+describe('GitHooks', () => {
+  let projectDir;
+  let hooksDir;
+  let gitConfigEnv;
+
+  beforeEach(async () => {
+    // A core.hooksPath set in the environment or globally would point elsewhere
+    gitConfigEnv = Object.fromEntries(Object.entries(process.env).filter(([key]) => key.startsWith('GIT_CONFIG_')));
+    for (const key of Object.keys(gitConfigEnv)) delete process.env[key];
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-hooks-'));
+    execFileSync('git', ['init', '--quiet'], { cwd: projectDir });
+    execFileSync('git', ['config', 'core.hooksPath', '.git/hooks'], { cwd: projectDir });
+    hooksDir = path.join(projectDir, '.git', 'hooks');
+  });
+
+  afterEach(async () => {
+    Object.assign(process.env, gitConfigEnv);
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should install executable hooks that the bypass variable skips', async () => {
+    const hooks = new GitHooks({ projectDir, binPath: '/nonexistent/review-pipeline' });
+
+    const changes = await hooks.install(['pre-push', 'pre-commit']);
+
+    expect(changes.map(change => change.status)).toEqual(['installed', 'installed']);
+    const hook = path.join(hooksDir, 'pre-push');
+    expect((await fs.stat(hook)).mode & 0o111).toBeTruthy();
+    expect(() => execFileSync(hook, [], { env: { ...process.env, REVIEW_SKIP_HOOKS: '1' }, stdio: 'pipe' })).not.toThrow();
+    expect((await hooks.install(['pre-push']))[0].status).toBe('updated');
+  });
+
+  it('should refuse to install when hooks are disabled', async () => {
+    execFileSync('git', ['config', 'core.hooksPath', '/dev/null'], { cwd: projectDir });
+
+    await expect(new GitHooks({ projectDir }).install(['pre-push'])).rejects.toThrow('Git hooks are disabled here (core.hooksPath is /dev/null)');
+  });
+
+  it('should keep foreign hooks unless forced and restore them on uninstall', async () => {
+    await fs.mkdir(hooksDir, { recursive: true });
+    await fs.writeFile(path.join(hooksDir, 'pre-push'), '#!/bin/sh\nnpm run lint\n');
+    const hooks = new GitHooks({ projectDir, binPath: '/nonexistent/review-pipeline' });
+
+    await expect(hooks.install(['pre-push'])).rejects.toThrow('already exists; use --force');
+    await hooks.install(['pre-push'], { force: true });
+    expect(await fs.readFile(path.join(hooksDir, 'pre-push.backup'), 'utf8')).toContain('npm run lint');
+
+    const changes = await hooks.uninstall();
+
+    expect(changes.map(change => change.status)).toEqual(['restored', 'absent']);
+    expect(await fs.readFile(path.join(hooksDir, 'pre-push'), 'utf8')).toBe('#!/bin/sh\nnpm run lint\n');
+  });
+});
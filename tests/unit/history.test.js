@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import ReviewHistory, { severityCounts, renderChart } from '../../lib/history.js';
+
+function finding(severity, overrides = {}) {
+  return { category: 'security', severity, file: 'src/a.js', lines: '3', message: 'Injection', suggestion: 'Escape it', must_fix: severity === 'critical', agreed_by: ['claude-code'], sources: [], ...overrides };
+}
+
+function completedRun({ number = 7, sha = 'abc1234def', findings = [], model = 'opus' } = {}) {
+  return {
+    context: { pr: { repository: 'owner/repo', number, headRefName: 'feature', headRefOid: sha } },
+    results: [
+      { provider: 'claude', tool: 'claude-code', status: 'completed', durationMs: 1200, usage: { invocations: 1, retries: 0, wall_ms: 1200, tokens_in: 900, tokens_out: 100, tokens_total: 1000, cost_usd: 0.25 } },
+      { provider: 'codex', tool: 'codex-cli', status: 'failed', durationMs: 300, usage: null, error: 'timed out' }
+    ],
+    aggregate: {
+      gate: findings.some(f => f.must_fix) ? 'fail' : 'pass',
+      reports: [{ tool: 'claude-code', model, findings }],
+      findings,
+      mustFix: findings.filter(f => f.must_fix)
+    },
+    errors: ['Provider codex failed: timed out']
+  };
+}
+
+describe('ReviewHistory', () => {
+  let projectDir;
+  let history;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+    history = new ReviewHistory({ projectDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should append each run as a JSON line keyed by repo, PR, head, provider and model', async () => {
+    const entry = await history.record(completedRun({ findings: [finding('critical'), finding('low')] }));
+
+    expect(entry).toMatchObject({
+      repo: 'owner/repo',
+      pr: 7,
+      branch: 'feature',
+      head_sha: 'abc1234def',
+      gate: 'fail',
+      success: false,
+      providers: [
+        { provider: 'claude', tool: 'claude-code', model: 'opus', status: 'completed', duration_ms: 1200, counts: { critical: 1, high: 0, medium: 0, low: 1 } },
+        { provider: 'codex', tool: 'codex-cli', model: null, status: 'failed', duration_ms: 300, counts: { critical: 0, high: 0, medium: 0, low: 0 } }
+      ],
+      counts: { critical: 1, high: 0, medium: 0, low: 1, must_fix: 1 },
+      errors: ['Provider codex failed: timed out']
+    });
+    expect(entry.findings[0]).not.toHaveProperty('sources');
+
+    const lines = (await fs.readFile(path.join(projectDir, '.review-pipeline', 'history', 'runs.jsonl'), 'utf8')).trim().split('\n');
+    expect(lines.map(line => JSON.parse(line))).toEqual([entry]);
+  });
+
+  it('should filter runs and find one by id prefix', async () => {
+    const first = await history.record(completedRun({ number: 7, sha: 'aaa111' }));
+    await history.record(completedRun({ number: 8, sha: 'bbb222', model: 'sonnet' }));
+    await fs.appendFile(history.runsFile, 'not json\n');
+    const third = await history.record(completedRun({ number: 7, sha: 'ccc333' }));
+
+    expect((await history.list()).map(run => run.head_sha)).toEqual(['aaa111', 'bbb222', 'ccc333']);
+    expect((await history.list({ pr: '7' })).map(run => run.id)).toEqual([first.id, third.id]);
+    expect((await history.list({ model: 'sonnet' })).map(run => run.pr)).toEqual([8]);
+    expect((await history.list({ head: 'ccc' })).map(run => run.id)).toEqual([third.id]);
+    expect(await history.list({ provider: 'gemini' })).toEqual([]);
+    expect((await history.list({ limit: 1 })).map(run => run.id)).toEqual([third.id]);
+    expect((await history.get(first.id.slice(0, 6))).head_sha).toBe('aaa111');
+    await expect(history.get('zzzz')).rejects.toThrow('No run zzzz');
+  });
+
+  it('should add up the usage of the runs recorded since a time', async () => {
+    await history.record(completedRun());
+    await history.record(completedRun({ sha: 'bbb222' }));
+
+    expect((await history.list())[0].usage).toEqual({ tokens_in: 900, tokens_out: 100, tokens_total: 1000, cost_usd: 0.25 });
+    expect(await history.spentSince(new Date(Date.now() - 60000))).toEqual({ tokens_in: 1800, tokens_out: 200, tokens_total: 2000, cost_usd: 0.5 });
+    expect((await history.spentSince(new Date(Date.now() + 60000))).cost_usd).toBeNull();
+  });
+
+  it('should use a configured directory relative to the project', async () => {
+    const custom = new ReviewHistory({ projectDir, dir: 'ci/history' });
+    await custom.record(completedRun());
+
+    expect(custom.runsFile).toBe(path.join(projectDir, 'ci', 'history', 'runs.jsonl'));
+    expect(await history.list()).toEqual([]);
+  });
+});
+
+describe('renderChart', () => {
+  it('should draw one stacked bar per run with the severity counts', () => {
+    const runs = [
+      { id: 'r1', recorded_at: '2025-01-01T00:00:00Z', head_sha: 'aaa1111', pr: 7, counts: severityCounts([finding('critical'), finding('high'), finding('high')]), providers: [] },
+      { id: 'r2', recorded_at: '2025-01-02T00:00:00Z', head_sha: 'bbb2222', pr: 0, counts: severityCounts([]), providers: [] }
+    ];
+
+    const lines = renderChart(runs).split('\n');
+
+    expect(lines[0]).toMatch(/^r1 {2}2025-01-01 aaa1111 #7 +C1 H2 M0 L0 +█▓▓ \(3\)$/);
+    expect(lines[1]).toMatch(/^r2 {2}2025-01-02 bbb2222 local +C0 H0 M0 L0 +· \(0\)$/);
+    expect(lines[3]).toBe('█ critical  ▓ high  ▒ medium  ░ low');
+    expect(renderChart([])).toBe('No runs recorded');
+  });
+
+  it('should scale bars to the width and chart a single provider', () => {
+    const counts = { critical: 0, high: 0, medium: 80, low: 0 };
+    const run = { id: 'r1', recorded_at: '2025-01-01T00:00:00Z', head_sha: 'aaa1111', pr: 1, counts, providers: [{ provider: 'claude', tool: 'claude-code', counts: severityCounts([finding('low')]) }] };
+
+    expect(renderChart([run], { width: 20 })).toContain(`${'▒'.repeat(20)} (80)`);
+    expect(renderChart([run], { provider: 'claude' })).toContain('C0 H0 M0 L1');
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import IncrementalReview, { carryForward, lineMapper } from '../../lib/incremental.js';
+import ContextBuilder from '../../lib/context-builder.js';
+import { parseUnifiedDiff } from '../../lib/diff.js';
+
+// Line 3 rewritten, two lines inserted after line 10
+const diff = [
+  'diff --git a/src/app.js b/src/app.js',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -2,3 +2,3 @@',
+  ' two',
+  '-three',
+  '+THREE',
+  ' four',
+  '@@ -9,3 +9,5 @@',
+  ' nine',
+  ' ten',
+  '+ten.1',
+  '+ten.2',
+  ' eleven',
+  'diff --git a/src/old.js b/src/new.js',
+  'similarity index 100%',
+  'rename from src/old.js',
+  'rename to src/new.js',
+  ''
+].join('\n');
+
+function finding(file, lines, extra = {}) {
+  return { severity: 'high', category: 'bug', file, lines, message: `Bug at ${lines}`, agreed_by: ['claude-code'], ...extra };
+}
+
+describe('incremental carry-forward', () => {
+  it('should map old line numbers across hunks', () => {
+    const map = lineMapper(parseUnifiedDiff(diff)[0]);
+
+    expect([1, 2, 3, 4, 8, 10, 11, 20].map(map)).toEqual([1, 2, null, 4, 8, 10, 13, 22]);
+  });
+
+  it('should carry untouched findings forward and mark changed ones possibly resolved', () => {
+    const { carried, possiblyResolved } = carryForward([
+      finding('src/app.js', '20'),
+      finding('src/app.js', '3'),
+      finding('src/app.js', '10-11'),
+      finding('src/old.js', '7'),
+      finding('src/other.js', '5-6', { carried_forward: true })
+    ], diff);
+
+    expect(carried.map(f => [f.file, f.lines])).toEqual([
+      ['src/app.js', '22'],
+      ['src/new.js', '7'],
+      ['src/other.js', '5-6']
+    ]);
+    expect(carried.every(f => f.carried_forward)).toBe(true);
+    expect(possiblyResolved.map(f => f.lines)).toEqual(['3', '10-11']);
+    expect(possiblyResolved.every(f => f.possibly_resolved && !f.carried_forward)).toBe(true);
+  });
+});
+
+describe('IncrementalReview', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'incremental-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  function git(...args) {
+    return execFileSync('git', args, { cwd: projectDir, encoding: 'utf8' }).trim();
+  }
+
+  it('should save and load the reviewed head and findings', async () => {
+    const incremental = new IncrementalReview({ projectDir });
+    expect(await incremental.loadState()).toBeNull();
+
+    await incremental.saveState({ headSha: 'abc1234', findings: [finding('a.js', '1', { carried_forward: true })] });
+
+    const state = await incremental.loadState();
+    expect(state).toMatchObject({ head_sha: 'abc1234', findings: [finding('a.js', '1')] });
+    expect(state.findings[0]).not.toHaveProperty('carried_forward');
+  });
+
+  it('should diff only the commits since the last reviewed one', async () => {
+    git('init', '-q');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+    await fs.writeFile(path.join(projectDir, 'a.js'), lines.join('\n') + '\n');
+    git('add', 'a.js');
+    git('commit', '-qm', 'first');
+    const first = git('rev-parse', 'HEAD');
+    await fs.writeFile(path.join(projectDir, 'a.js'), ['header', ...lines].join('\n') + '\n');
+    git('commit', '-qam', 'second');
+    // Uncommitted edits are not part of the reviewed commits
+    await fs.writeFile(path.join(projectDir, 'b.js'), 'draft\n');
+    git('add', 'b.js');
+
+    const context = await new ContextBuilder({ projectDir, since: first, env: {} }).build();
+
+    expect(context).toMatchObject({ baseRef: first, incremental: true, files: ['a.js'], headSha: git('rev-parse', 'HEAD') });
+    expect(context.pr.target.diff_args).toEqual([`${first}..${context.headSha}`]);
+    const { carried } = await new IncrementalReview({ projectDir }).carryForward({
+      head_sha: first,
+      findings: [finding('a.js', '15')]
+    });
+    expect(carried[0].lines).toBe('16');
+
+    const full = await new ContextBuilder({ projectDir, since: 'deadbeef', env: {} }).build();
+    expect(full.incremental).toBe(false);
+  });
+
+  it('should find nothing to review when the head was already reviewed', async () => {
+    git('init', '-q');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    await fs.writeFile(path.join(projectDir, 'a.js'), 'a\n');
+    git('add', 'a.js');
+    git('commit', '-qm', 'first');
+    const head = git('rev-parse', 'HEAD');
+
+    const context = await new ContextBuilder({ projectDir, since: head, env: {} }).build();
+
+    expect(context).toMatchObject({ baseRef: head, incremental: true, unchanged: true, files: [], headSha: head });
+    expect(context.pr.target.description).toBe(`no commits since the last review (${head})`);
+    const incremental = new IncrementalReview({ projectDir });
+    await incremental.saveState({ headSha: head, findings: [finding('a.js', '1')], rules: [{ rule: 'tests', passed: true, reason: 'Tests passed' }] });
+    const previous = await incremental.carryForward(await incremental.loadState());
+    expect(previous).toMatchObject({ since: head, carried: [finding('a.js', '1', { carried_forward: true })], possiblyResolved: [] });
+    expect(previous.rules).toEqual([{ rule: 'tests', passed: true, reason: 'Tests passed' }]);
+  });
+});
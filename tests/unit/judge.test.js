@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Judge, { applyDecisions } from '../../lib/judge.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const packageDir = path.dirname(path.dirname(__dirname));
+
+function finding(message, extra = {}) {
+  return {
+    severity: 'high',
+    category: 'security',
+    file: 'src/app.js',
+    lines: '12',
+    message,
+    evidence: [],
+    agreed_by: ['claude-code'],
+    consensus: 0.5,
+    ...extra
+  };
+}
+
+describe('applyDecisions', () => {
+  it('should keep, merge and reject candidates', () => {
+    const candidates = [
+      finding('Command injection in exec'),
+      finding('Shell command built from input', { agreed_by: ['codex-cli'], evidence: ['+ 12| exec(x)'] }),
+      finding('Variable name is unclear', { severity: 'low', category: 'style' }),
+      finding('Missing await', { severity: 'medium', category: 'bug' })
+    ];
+
+    const { findings, rejected } = applyDecisions(candidates, [
+      { id: 'F1', decision: 'keep', rationale: 'exec() receives req.query.cmd', severity: 'critical' },
+      { id: 'F2', decision: 'merge', merged_into: 'F1', rationale: 'Same exec call' },
+      { id: 'F3', decision: 'reject', rationale: 'Style preference' }
+    ], 2);
+
+    expect(findings).toHaveLength(2);
+    expect(findings[0]).toMatchObject({
+      severity: 'critical',
+      agreed_by: ['claude-code', 'codex-cli'],
+      consensus: 1,
+      evidence: ['+ 12| exec(x)'],
+      judge: { id: 'F1', decision: 'keep', merged: [{ id: 'F2', message: 'Shell command built from input', rationale: 'Same exec call' }] }
+    });
+    expect(findings[1].judge).toMatchObject({ id: 'F4', decision: 'keep', rationale: 'Not adjudicated' });
+    expect(rejected).toEqual([expect.objectContaining({ message: 'Variable name is unclear', judge: { id: 'F3', decision: 'reject', rationale: 'Style preference' } })]);
+  });
+
+  it('should keep a finding merged into a rejected or unknown candidate', () => {
+    const { findings, rejected } = applyDecisions([finding('A'), finding('B'), finding('C')], [
+      { id: 'F1', decision: 'reject', rationale: 'Wrong' },
+      { id: 'F2', decision: 'merge', merged_into: 'F1', rationale: 'Same as F1' },
+      { id: 'F3', decision: 'merge', merged_into: 'F9', rationale: 'Same as F9' }
+    ], 1);
+
+    expect(findings.map(f => f.message)).toEqual(['B', 'C']);
+    expect(rejected.map(f => f.message)).toEqual(['A']);
+  });
+});
+
+describe('Judge', () => {
+  let projectDir;
+  let executor;
+  let judge;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'judge-'));
+    const contextDir = path.join(projectDir, '.review-pipeline', 'workspace', 'context');
+    await fs.mkdir(contextDir, { recursive: true });
+    await fs.writeFile(path.join(contextDir, 'enhanced_diff.txt'), '+  12| exec(req.query.cmd)\n');
+    executor = { capture: vi.fn() };
+    judge = new Judge({ packageDir, projectDir, provider: 'codex', timeout: 120, executor });
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  const reports = [{
+    tool: 'claude-code',
+    model: 'opus',
+    summary: 'Risky exec',
+    assumptions: ['cmd comes from the request'],
+    findings: [{ severity: 'critical', file: 'src/run.js', lines: '12', message: 'Query string reaches exec' }],
+    tests: { executed: true, command: 'npm test', exit_code: 0 },
+    exit_criteria: { ready_for_pr: false }
+  }];
+
+  it('should send reports, candidates and the diff to the judge and write judge.json', async () => {
+    const envelope = { type: 'result', result: '```json\n{"summary": "One real issue", "decisions": [{"id": "F1", "decision": "keep", "rationale": "exec of query input"}]}\n```' };
+    executor.capture.mockResolvedValue(JSON.stringify(envelope));
+
+    const judgment = await judge.adjudicate({ reports, findings: [finding('Command injection')], totalProviders: 1 });
+
+    const [provider, options] = executor.capture.mock.calls[0];
+    expect(provider).toBe('codex');
+    expect(options.timeout).toBe(120);
+    expect(options.standalonePrompt).toContain('You are the final judge');
+    expect(options.rawOutputFile).toBe(path.join(projectDir, '.review-pipeline', 'workspace', 'reports', 'judge.raw.txt'));
+    expect(options.standalonePrompt).toContain('"summary": "Risky exec"');
+    expect(options.standalonePrompt).toContain('"message": "Query string reaches exec"');
+    expect(options.standalonePrompt).toContain('"cmd comes from the request"');
+    expect(options.standalonePrompt).toContain('"command": "npm test"');
+    expect(options.standalonePrompt).toContain('"id": "F1"');
+    expect(options.standalonePrompt).toContain('<diff>\n+  12| exec(req.query.cmd)');
+
+    expect(judgment).toMatchObject({ provider: 'codex', summary: 'One real issue', rejected: [] });
+    expect(judgment.findings[0].judge.rationale).toBe('exec of query input');
+    const written = JSON.parse(await fs.readFile(path.join(projectDir, '.review-pipeline', 'workspace', 'judge.json'), 'utf8'));
+    expect(written).toEqual(judgment);
+  });
+
+  it('should reject output that does not match judge.schema.json', async () => {
+    executor.capture.mockResolvedValue('{"decisions": [{"id": "F1", "decision": "maybe", "rationale": "?"}]}');
+
+    await expect(judge.adjudicate({ reports, findings: [finding('A')], totalProviders: 1 }))
+      .rejects.toThrow('/decisions/0/decision must be equal to one of the allowed values (allowed: keep, merge, reject)');
+  });
+
+  it('should not call the provider when there is nothing to judge', async () => {
+    const judgment = await judge.adjudicate({ reports, findings: [], totalProviders: 1 });
+
+    expect(executor.capture).not.toHaveBeenCalled();
+    expect(judgment.findings).toEqual([]);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { matchesGlob, createPathFilter } from '../../lib/path-filter.js';
+
+describe('path-filter', () => {
+  describe('matchesGlob', () => {
+    it('should let ** match any number of directories, including none', () => {
+      expect(matchesGlob('node_modules/x/index.js', '**/node_modules/**')).toBe(true);
+      expect(matchesGlob('pkg/node_modules/z.js', '**/node_modules/**')).toBe(true);
+      expect(matchesGlob('src/node_modules.js', '**/node_modules/**')).toBe(false);
+      expect(matchesGlob('src/app.js', '**/*')).toBe(true);
+    });
+
+    it('should keep * and ? within one path segment', () => {
+      expect(matchesGlob('src/app.js', 'src/*.js')).toBe(true);
+      expect(matchesGlob('src/lib/app.js', 'src/*.js')).toBe(false);
+      expect(matchesGlob('src/a1.js', 'src/a?.js')).toBe(true);
+    });
+
+    it('should match slash-less patterns against the file name', () => {
+      expect(matchesGlob('pkg/cache/mod.pyc', '*.pyc')).toBe(true);
+      expect(matchesGlob('mod.py', '*.pyc')).toBe(false);
+    });
+
+    it('should support alternatives and character classes', () => {
+      expect(matchesGlob('src/app.ts', 'src/*.{js,ts}')).toBe(true);
+      expect(matchesGlob('src/app.py', 'src/*.{js,ts}')).toBe(false);
+      expect(matchesGlob('b.js', '[!a].js')).toBe(true);
+      expect(matchesGlob('a.js', '[!a].js')).toBe(false);
+    });
+  });
+
+  describe('createPathFilter', () => {
+    it('should require an include match and no exclude match', () => {
+      const isIncluded = createPathFilter({
+        include_patterns: ['src/**', '*.md'],
+        exclude_patterns: ['**/vendor/**']
+      });
+
+      expect(isIncluded('src/app.js')).toBe(true);
+      expect(isIncluded('docs/README.md')).toBe(true);
+      expect(isIncluded('src/vendor/lib.js')).toBe(false);
+      expect(isIncluded('scripts/run.sh')).toBe(false);
+    });
+
+    it('should include every path without patterns', () => {
+      expect(createPathFilter()('anything/at/all.txt')).toBe(true);
+      expect(createPathFilter({ exclude_patterns: [] })('./x.js')).toBe(true);
+    });
+  });
+});
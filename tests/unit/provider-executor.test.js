@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { EventEmitter } from 'node:events';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -352,6 +352,69 @@ describe('ProviderExecutor', () => {
       });
     });
 
+    it('should normalize output with the adapter parseOutput when provided', async () => {
+      const outputFile = path.join(process.cwd(), '.review-pipeline', 'workspace', 'reports', 'local-llm.json');
+      const parseOutput = vi.fn((raw) => ({ tool: 'local-llm', summary: raw.trim() }));
+      const mockCommand = {
+        command: 'local-llm',
+        args: [],
+        env: { TOOL: 'local-llm' },
+        outputFile,
+        workingDirectory: '/tmp',
+        parseOutput
+      };
+      
+      executor.commandBuilder.buildCommand.mockResolvedValueOnce(mockCommand);
+      
+      const executePromise = executor.execute('local');
+      
+      await new Promise(resolve => setImmediate(resolve));
+      const mockProcess = getLastProcess();
+      mockProcess.stdout.emit('data', Buffer.from('looks good\n'));
+      mockProcess.emit('exit', 0);
+      
+      await executePromise;
+      
+      expect(parseOutput).toHaveBeenCalledWith('looks good\n', mockCommand);
+      // The adapter replaces normalize-json.js, so only the provider was spawned
+      expect(mockSpawn).toHaveBeenCalledTimes(1);
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        outputFile,
+        JSON.stringify({ tool: 'local-llm', summary: 'looks good' }, null, 2)
+      );
+    });
+
+    it('should read providers that declare rawOutputFile from that file', async () => {
+      const reportsDir = path.join(process.cwd(), '.review-pipeline', 'workspace', 'reports');
+      const rawOutputFile = path.join(reportsDir, 'codex-cli.raw.txt');
+      fs.setFile(rawOutputFile, '{"findings": []}');
+      fs.copyFile = vi.fn().mockResolvedValue(undefined);
+      
+      executor.commandBuilder.buildCommand.mockResolvedValueOnce({
+        command: 'codex',
+        args: ['exec', 'prompt'],
+        env: { TOOL: 'codex-cli' },
+        outputFile: path.join(reportsDir, 'codex-cli.json'),
+        rawOutputFile,
+        workingDirectory: '/tmp'
+      });
+      
+      const executePromise = executor.execute('codex');
+      
+      await new Promise(resolve => setImmediate(resolve));
+      const mockProcess = getLastProcess();
+      mockProcess.emit('exit', 0);
+      
+      await executePromise;
+      
+      // stdin is not used for file-output providers
+      expect(mockSpawn.mock.calls[0][2].stdio[0]).toBe('ignore');
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        path.join(reportsDir, 'codex-cli.json'),
+        '{"normalized": true}'
+      );
+    });
+
     it('should throw error if provider is disabled', async () => {
       executor.commandBuilder.buildCommand.mockResolvedValueOnce(null);
       
@@ -360,6 +423,229 @@ describe('ProviderExecutor', () => {
     });
   });
 
+  describe('progress events', () => {
+    const outputFile = path.join(process.cwd(), '.review-pipeline', 'workspace', 'reports', 'claude-code.json');
+
+    it('should emit start, output chunks and done while the provider runs', async () => {
+      executor.commandBuilder.buildCommand.mockResolvedValueOnce({
+        command: 'claude',
+        args: [],
+        env: { TOOL: 'claude-code' },
+        outputFile,
+        workingDirectory: '/tmp'
+      });
+      const events = [];
+      for (const name of ['start', 'stdout-chunk', 'stderr-chunk', 'done']) {
+        executor.on(name, payload => events.push([name, payload]));
+      }
+
+      const executePromise = executor.execute('claude');
+      await new Promise(resolve => setImmediate(resolve));
+      const mockProcess = getLastProcess();
+      mockProcess.stdout.emit('data', Buffer.from('{"result":'));
+      mockProcess.stderr.emit('data', Buffer.from('warming up'));
+      mockProcess.stdout.emit('data', Buffer.from(' "ok"}'));
+      mockProcess.emit('exit', 0);
+      await executePromise;
+
+      expect(events.map(([name]) => name)).toEqual(['start', 'stdout-chunk', 'stderr-chunk', 'stdout-chunk', 'done']);
+      expect(events[0][1]).toMatchObject({ provider: 'claude', command: 'claude' });
+      expect(events[1][1]).toEqual({ provider: 'claude', chunk: '{"result":' });
+      expect(events[4][1]).toMatchObject({ provider: 'claude', exitCode: 0 });
+    });
+
+    it('should emit heartbeats until the provider exits', async () => {
+      executor.heartbeatInterval = 5;
+      executor.commandBuilder.buildCommand.mockResolvedValueOnce({
+        command: 'claude',
+        args: [],
+        env: { TOOL: 'claude-code' },
+        outputFile,
+        workingDirectory: '/tmp'
+      });
+      const heartbeats = [];
+      executor.on('heartbeat', payload => heartbeats.push(payload));
+
+      const executePromise = executor.execute('claude');
+      await new Promise(resolve => setTimeout(resolve, 30));
+      const mockProcess = getLastProcess();
+      mockProcess.emit('exit', 0);
+      await executePromise;
+      const count = heartbeats.length;
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(count).toBeGreaterThan(0);
+      expect(heartbeats[0]).toMatchObject({ provider: 'claude', stdoutBytes: 0 });
+      expect(heartbeats).toHaveLength(count);
+    });
+
+    it('should parse stream-json output and normalize only the result event', async () => {
+      const result = { type: 'result', subtype: 'success', result: '{"findings": []}' };
+      executor.commandBuilder.buildCommand.mockResolvedValueOnce({
+        command: 'claude',
+        args: [],
+        env: { TOOL: 'claude-code' },
+        outputFile,
+        outputFormat: 'stream-json',
+        workingDirectory: '/tmp'
+      });
+      const chunks = [];
+      executor.on('stdout-chunk', payload => chunks.push(payload));
+
+      const executePromise = executor.execute('claude');
+      await new Promise(resolve => setImmediate(resolve));
+      const mockProcess = getLastProcess();
+      mockProcess.stdout.emit('data', Buffer.from('{"type":"system","subtype":"init"}\n{"type":"assis'));
+      mockProcess.stdout.emit('data', Buffer.from(`tant","message":{"content":[]}}\n${JSON.stringify(result)}\n`));
+      mockProcess.emit('exit', 0);
+      await executePromise;
+
+      expect(chunks.map(c => c.events.map(e => e.type))).toEqual([['system'], ['assistant', 'result']]);
+      const normalizer = mockSpawn.mock.results[1].value;
+      expect(normalizer.stdin.write).toHaveBeenCalledWith(JSON.stringify(result));
+    });
+
+    it('should emit done with the error when the provider cannot be spawned', async () => {
+      executor.commandBuilder.buildCommand.mockResolvedValueOnce({
+        command: 'missing',
+        args: [],
+        env: { TOOL: 'missing' },
+        outputFile,
+        workingDirectory: '/tmp'
+      });
+      const done = vi.fn();
+      executor.on('done', done);
+
+      const executePromise = executor.execute('missing');
+      await new Promise(resolve => setImmediate(resolve));
+      getLastProcess().emit('error', new Error('spawn missing ENOENT'));
+
+      await expect(executePromise).rejects.toThrow('spawn missing ENOENT');
+      expect(done).toHaveBeenCalledWith(expect.objectContaining({ provider: 'missing', exitCode: null, error: 'spawn missing ENOENT' }));
+    });
+
+    it('should capture a one-off answer without writing the provider report', async () => {
+      const result = { type: 'result', subtype: 'success', result: '{"decisions": []}' };
+      executor.commandBuilder.buildCommand.mockResolvedValueOnce({
+        command: 'claude',
+        args: ['-p', 'judge this'],
+        env: { TOOL: 'claude-code' },
+        outputFile,
+        outputFormat: 'stream-json',
+        workingDirectory: '/tmp'
+      });
+      const done = vi.fn();
+      executor.on('done', done);
+
+      const capturePromise = executor.capture('claude', { standalonePrompt: 'judge this' });
+      await new Promise(resolve => setImmediate(resolve));
+      const mockProcess = getLastProcess();
+      mockProcess.stdout.emit('data', Buffer.from(`{"type":"system","subtype":"init"}\n${JSON.stringify(result)}\n`));
+      mockProcess.emit('exit', 0);
+
+      expect(await capturePromise).toBe(JSON.stringify(result));
+      expect(executor.commandBuilder.buildCommand).toHaveBeenCalledWith('claude', { standalonePrompt: 'judge this' });
+      expect(mockSpawn).toHaveBeenCalledTimes(1);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(done).toHaveBeenCalledWith(expect.objectContaining({ provider: 'claude', exitCode: 0 }));
+    });
+  });
+
+  describe('retries', () => {
+    const outputFile = path.join(process.cwd(), '.review-pipeline', 'workspace', 'reports', 'claude-code.json');
+
+    async function runAttempts(count, promise, outputs = []) {
+      for (let i = 0; i < count; i++) {
+        await vi.waitFor(() => expect(mockSpawn).toHaveBeenCalledTimes(i + 1));
+        getLastProcess().stdout.emit('data', Buffer.from(outputs[i] || 'output'));
+        getLastProcess().emit('exit', 0);
+      }
+      return promise;
+    }
+
+    beforeEach(() => {
+      // Reports written by an attempt are read back to decide on a retry
+      fs.writeFile.mockImplementation(async (file, content) => fs.setFile(file, content));
+      executor.commandBuilder.configLoader = {
+        config: { execution: { retry_on_failure: true, max_retries: 2, retry_backoff_seconds: 0, schema_repair_rounds: 0 } }
+      };
+      executor.commandBuilder.registry = {
+        getManifest: () => ({ models: [{ id: 'opus' }, { id: 'sonnet' }, { id: 'haiku' }] })
+      };
+    });
+
+    afterEach(() => {
+      fs.writeFile.mockResolvedValue(undefined);
+    });
+
+    function mockAttempts(reports) {
+      executor.commandBuilder.buildCommand.mockImplementation(async (provider, options) => ({
+        command: 'claude',
+        args: [],
+        env: { TOOL: 'claude-code', MODEL: options.model || 'opus' },
+        outputFile,
+        workingDirectory: '/tmp',
+        parseOutput: () => reports.shift()
+      }));
+    }
+
+    it('should re-prompt after invalid JSON and record every attempt in the report', async () => {
+      mockAttempts([{ error: 'truncated_json' }, { findings: [] }]);
+      const retries = [];
+      executor.on('retry', event => retries.push(event));
+
+      await runAttempts(2, executor.execute('claude', {}));
+
+      expect(retries).toEqual([{ provider: 'claude', attempt: 1, reason: 'invalid_json', delayMs: 0, model: 'opus' }]);
+      expect(executor.commandBuilder.buildCommand.mock.calls[1][1].prompt).toContain('not valid JSON');
+      const report = JSON.parse(fs.getFiles().get(outputFile));
+      expect(report.metrics.attempts.map(a => [a.attempt, a.model, a.outcome])).toEqual([
+        [1, 'opus', 'invalid_json'],
+        [2, 'opus', 'success']
+      ]);
+    });
+
+    it('should add up the tokens and cost every attempt reports', async () => {
+      mockAttempts([{ error: 'truncated_json' }, { findings: [] }]);
+      const envelope = (tokens, cost) => JSON.stringify({
+        type: 'result',
+        result: '{}',
+        total_cost_usd: cost,
+        usage: { input_tokens: tokens, cache_read_input_tokens: 100, output_tokens: 50 }
+      });
+
+      const result = await runAttempts(2, executor.execute('claude', {}), [envelope(1000, 0.12), envelope(2000, 0.2)]);
+
+      const report = JSON.parse(fs.getFiles().get(outputFile));
+      expect(report.metrics.attempts[0]).toMatchObject({ tokens_in: 1100, tokens_out: 50, tokens_total: 1150, cost_usd: 0.12 });
+      expect(report.metrics.usage).toMatchObject({ invocations: 2, retries: 1, tokens_in: 3200, tokens_out: 100, tokens_total: 3300, cost_usd: 0.32 });
+      expect(report.metrics.usage.wall_ms).toBeGreaterThanOrEqual(0);
+      expect(result.usage).toEqual(report.metrics.usage);
+    });
+
+    it('should fall back to the next manifest model after an execution error', async () => {
+      mockAttempts([{ error: 'claude_execution_error' }, { error: 'claude_execution_error' }, { error: 'claude_execution_error' }]);
+
+      await runAttempts(3, executor.execute('claude', {}));
+
+      expect(executor.commandBuilder.buildCommand.mock.calls.map(([, options]) => options.model))
+        .toEqual([undefined, 'sonnet', 'haiku']);
+      const report = JSON.parse(fs.getFiles().get(outputFile));
+      expect(report.metrics.attempts).toHaveLength(3);
+      expect(report.error).toBe('claude_execution_error');
+    });
+
+    it('should not retry when retry_on_failure is off', async () => {
+      executor.commandBuilder.configLoader.config.execution.retry_on_failure = false;
+      mockAttempts([{ error: 'truncated_json' }]);
+
+      await runAttempts(1, executor.execute('claude', {}));
+
+      expect(mockSpawn).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(fs.getFiles().get(outputFile)).metrics.attempts).toHaveLength(1);
+    });
+  });
+
   describe('security', () => {
     it('should pass environment variables from command builder', async () => {
       const mockCommand = {
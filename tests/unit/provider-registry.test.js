@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import ProviderRegistry from '../../lib/provider-registry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const packageDir = path.dirname(path.dirname(__dirname));
+
+describe('ProviderRegistry', () => {
+  let tmpDir;
+  let registry;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'provider-registry-'));
+    registry = new ProviderRegistry({ packageDir, providersDir: tmpDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('built-in manifests', () => {
+    it('should register claude, codex and gemini from config/providers', async () => {
+      const builtin = await new ProviderRegistry({ packageDir }).load();
+
+      expect(builtin.list()).toEqual(expect.arrayContaining(['claude', 'codex', 'gemini']));
+      expect(builtin.getToolName('claude')).toBe('claude-code');
+      expect(builtin.getToolName('codex')).toBe('codex-cli');
+      expect(builtin.getToolName('gemini')).toBe('gemini-cli');
+    });
+
+    it('should load the built-in adapters from lib/adapters', async () => {
+      const builtin = await new ProviderRegistry({ packageDir }).load();
+
+      for (const provider of ['claude', 'codex', 'gemini']) {
+        const adapter = await builtin.getAdapter(provider);
+        expect(typeof adapter.buildCommand).toBe('function');
+      }
+    });
+  });
+
+  describe('custom providers', () => {
+    it('should register a dropped-in manifest with its adapter', async () => {
+      await fs.writeFile(path.join(tmpDir, 'local.manifest.json'), JSON.stringify({
+        id: 'local',
+        tool: 'local-llm',
+        adapter: 'local.adapter.js',
+        models: [{ id: 'small' }, { id: 'large', default: true }]
+      }));
+      await fs.writeFile(path.join(tmpDir, 'local.adapter.js'), [
+        'export async function buildCommand() { return { command: "local", args: [] }; }',
+        'export function parseOutput(raw) { return { summary: raw }; }'
+      ].join('\n'));
+
+      await registry.load();
+
+      expect(registry.has('local')).toBe(true);
+      expect(registry.getToolName('local')).toBe('local-llm');
+      expect(registry.getDefaultModel('local')).toBe('large');
+
+      const adapter = await registry.getAdapter('local');
+      expect(await adapter.buildCommand()).toEqual({ command: 'local', args: [] });
+      expect(adapter.parseOutput('ok')).toEqual({ summary: 'ok' });
+    });
+
+    it('should fall back to the provider id as tool name', async () => {
+      await fs.writeFile(path.join(tmpDir, 'plain.manifest.json'), JSON.stringify({ id: 'plain' }));
+
+      await registry.load();
+
+      expect(registry.getToolName('plain')).toBe('plain');
+      expect(registry.getDefaultModel('plain')).toBe('unknown');
+    });
+
+    it('should ignore manifests with unsafe provider ids', async () => {
+      await fs.writeFile(path.join(tmpDir, 'Bad Name.manifest.json'), '{}');
+      await fs.writeFile(path.join(tmpDir, 'broken.manifest.json'), 'not json');
+
+      await registry.load();
+
+      expect(registry.list()).toEqual([]);
+      expect(registry.has('../../etc/passwd')).toBe(false);
+    });
+
+    it('should reject adapters outside the providers directory', async () => {
+      await fs.writeFile(path.join(tmpDir, 'escape.manifest.json'), JSON.stringify({
+        adapter: '../../evil.js'
+      }));
+
+      await registry.load();
+
+      await expect(registry.getAdapter('escape')).rejects.toThrow('outside the providers directory');
+    });
+
+    it('should reject adapters without buildCommand', async () => {
+      await fs.writeFile(path.join(tmpDir, 'empty.manifest.json'), JSON.stringify({
+        adapter: 'empty.adapter.js'
+      }));
+      await fs.writeFile(path.join(tmpDir, 'empty.adapter.js'), 'export const nothing = true;');
+
+      await registry.load();
+
+      await expect(registry.getAdapter('empty')).rejects.toThrow('must export buildCommand');
+    });
+  });
+});
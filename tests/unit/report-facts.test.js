@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { loadReportFacts, applyReportFacts } from '../../lib/report-facts.js';
+
+const DIFF = `diff --git a/src/app.js b/src/app.js
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,2 +1,3 @@
+ const a = 1;
+-const b = 2;
++const b = 3;
++const c = 4;
+`;
+
+describe('report-facts', () => {
+  let contextDir;
+
+  beforeEach(async () => {
+    contextDir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-facts-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(contextDir, { recursive: true, force: true });
+  });
+
+  it('should collect PR, test and diff facts from the context files', async () => {
+    await fs.writeFile(path.join(contextDir, 'pr.json'), JSON.stringify({
+      number: 7, url: 'https://github.com/o/r/pull/7', headRefName: 'fix', headRefOid: 'abc', repository: 'o/r', link: 'https://github.com/o/r/pull/7'
+    }));
+    await fs.writeFile(path.join(contextDir, 'test-metadata.json'), JSON.stringify({ command: 'npm test', exit_code: 0 }));
+    await fs.writeFile(path.join(contextDir, 'test-summary.json'), JSON.stringify({ coverage: { enabled: true, percentage: 81.5 } }));
+    await fs.writeFile(path.join(contextDir, 'diff.patch'), DIFF);
+
+    expect(await loadReportFacts(contextDir, { timestamp: Date.UTC(2025, 0, 2, 3, 4, 5) })).toEqual({
+      timestamp: '2025-01-02T03:04:05.000Z',
+      pr: { repo: 'o/r', number: 7, head_sha: 'abc', branch: 'fix', link: 'https://github.com/o/r/pull/7' },
+      tests: { executed: true, command: 'npm test', exit_code: 0, coverage: 81.5 },
+      metrics: { files_changed: 1, lines_added: 2, lines_removed: 1 }
+    });
+  });
+
+  it('should describe the review target from pr.json', async () => {
+    await fs.writeFile(path.join(contextDir, 'pr.json'), JSON.stringify({
+      number: 0, headRefName: 'fix', headRefOid: 'abc', repository: 'o/r', target: { type: 'staged', description: 'staged changes (git diff --cached)' }
+    }));
+
+    expect((await loadReportFacts(contextDir)).pr.target).toBe('staged changes (git diff --cached)');
+  });
+
+  it('should report tests as not executed without test metadata', async () => {
+    expect(await loadReportFacts(contextDir)).toEqual({
+      pr: null,
+      tests: { executed: false, command: null, exit_code: null },
+      metrics: null
+    });
+  });
+
+  it('should overwrite model-reported facts and keep the analysis', () => {
+    const report = applyReportFacts({
+      timestamp: '2020-01-01T00:00:00Z',
+      pr: { repo: 'made/up', number: 999, head_sha: 'zzz', branch: 'main' },
+      summary: 'Looks fine',
+      tests: { executed: true, command: 'make test', exit_code: 0, summary: 'Well tested' },
+      metrics: { lines_added: 5000, complexity_increase: 2 }
+    }, {
+      timestamp: '2025-01-02T03:04:05.000Z',
+      pr: { repo: 'o/r', number: 7, head_sha: 'abc', branch: 'fix', link: 'https://github.com/o/r/pull/7' },
+      tests: { executed: false, command: null, exit_code: null },
+      metrics: { files_changed: 1, lines_added: 2, lines_removed: 1 }
+    });
+
+    expect(report).toEqual({
+      timestamp: '2025-01-02T03:04:05.000Z',
+      pr: { repo: 'o/r', number: 7, head_sha: 'abc', branch: 'fix', link: 'https://github.com/o/r/pull/7' },
+      summary: 'Looks fine',
+      tests: { executed: false, command: null, exit_code: null, summary: 'Well tested' },
+      metrics: { files_changed: 1, lines_added: 2, lines_removed: 1, complexity_increase: 2 }
+    });
+    expect(applyReportFacts({}, { tests: { executed: false, command: null, exit_code: null } }).tests.summary).toBe('Tests not executed');
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const packageDir = path.dirname(path.dirname(__dirname));
+
+const { mockSpawn } = vi.hoisted(() => ({ mockSpawn: vi.fn() }));
+
+vi.mock('node:child_process', () => ({ spawn: mockSpawn }));
+
+vi.mock('../../lib/command-builder.js', () => ({
+  default: vi.fn(() => ({ buildCommand: vi.fn() }))
+}));
+
+const { default: ReportRepair } = await import('../../lib/report-repair.js');
+const { default: ProviderExecutor } = await import('../../lib/execute-provider.js');
+
+function report(overrides = {}) {
+  return {
+    tool: 'claude-code',
+    model: 'opus',
+    timestamp: '2025-01-01T00:00:00Z',
+    pr: { repo: 'owner/repo', number: 1, head_sha: 'abc123', branch: 'feature' },
+    summary: 'Reviewed',
+    assumptions: [],
+    findings: [{ category: 'security', severity: 'high', file: 'a.js', lines: '1', message: 'Injection' }],
+    tests: { executed: false, command: null, exit_code: null, summary: 'Not executed' },
+    exit_criteria: { ready_for_pr: false, reasons: [] },
+    ...overrides
+  };
+}
+
+describe('ReportRepair', () => {
+  const repair = new ReportRepair({ packageDir });
+
+  it('should report schema errors the provider is responsible for', async () => {
+    expect(await repair.validate(report(), 'claude-code')).toEqual([]);
+
+    const errors = await repair.validate(report({
+      pr: {},
+      findings: [{ category: 'security', severity: 'urgent', file: 'a.js', lines: '1', message: 'Injection' }]
+    }), 'claude-code');
+
+    expect(errors).toEqual(['/findings/0/severity must be equal to one of the allowed values (allowed: critical, high, medium, low)']);
+  });
+
+  it('should include the errors and the previous output in the follow-up prompt', () => {
+    const prompt = repair.buildPrompt({ findings: [] }, ['/summary must be string']);
+
+    expect(prompt).toContain('- /summary must be string');
+    expect(prompt).toContain('"findings": []');
+    expect(prompt).toContain('Reply with only the corrected JSON object');
+  });
+});
+
+describe('ProviderExecutor schema repair', () => {
+  let projectDir;
+  let outputFile;
+  let executor;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-repair-'));
+    outputFile = path.join(projectDir, '.review-pipeline', 'workspace', 'reports', 'claude-code.json');
+    executor = new ProviderExecutor({ packageDir, projectDir });
+    executor.commandBuilder.configLoader = { config: { execution: { schema_repair_rounds: 2 } } };
+
+    mockSpawn.mockImplementation(() => {
+      const proc = new EventEmitter();
+      proc.stdout = new EventEmitter();
+      proc.stderr = new EventEmitter();
+      proc.stdin = { write: vi.fn(), end: vi.fn() };
+      proc.kill = vi.fn();
+      setImmediate(() => proc.emit('exit', 0));
+      return proc;
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  function mockOutputs(outputs) {
+    executor.commandBuilder.buildCommand.mockImplementation(async () => ({
+      command: 'claude',
+      args: [],
+      env: { TOOL: 'claude-code', MODEL: 'opus' },
+      outputFile,
+      workingDirectory: projectDir,
+      parseOutput: () => outputs.shift()
+    }));
+  }
+
+  const invalid = report({ findings: [{ category: 'security', severity: 'urgent', file: 'a.js', lines: '1', message: 'Injection' }] });
+
+  it('should send the schema errors back until the report is valid', async () => {
+    mockOutputs([invalid, report()]);
+    const repairs = [];
+    executor.on('repair', event => repairs.push(event));
+
+    await executor.execute('claude', {});
+
+    expect(repairs).toHaveLength(1);
+    const [, options] = executor.commandBuilder.buildCommand.mock.calls[1];
+    expect(options.standalonePrompt).toContain('/findings/0/severity must be equal to one of the allowed values');
+    const written = JSON.parse(await fs.readFile(outputFile, 'utf8'));
+    expect(written.findings[0].severity).toBe('high');
+    expect(written.metrics).toMatchObject({ schema_repairs: 1, schema_valid: true });
+    expect(written.metrics.attempts).toHaveLength(1);
+  });
+
+  it('should keep the last usable report when a repair fails', async () => {
+    mockOutputs([invalid, { error: 'truncated_json' }]);
+
+    await executor.execute('claude', {});
+
+    const written = JSON.parse(await fs.readFile(outputFile, 'utf8'));
+    expect(written.findings[0].severity).toBe('urgent');
+    expect(written.metrics).toMatchObject({ schema_repairs: 1, schema_valid: false });
+  });
+
+  it('should stop after schema_repair_rounds', async () => {
+    executor.commandBuilder.configLoader.config.execution.schema_repair_rounds = 1;
+    mockOutputs([invalid, invalid, report()]);
+
+    await executor.execute('claude', {});
+
+    expect(mockSpawn).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(await fs.readFile(outputFile, 'utf8')).metrics).toMatchObject({ schema_repairs: 1, schema_valid: false });
+  });
+
+  it('should inject the pipeline-owned facts before validating', async () => {
+    const contextDir = path.join(projectDir, '.review-pipeline', 'workspace', 'context');
+    await fs.mkdir(contextDir, { recursive: true });
+    await fs.writeFile(path.join(contextDir, 'pr.json'), JSON.stringify({ number: 42, headRefName: 'feature', headRefOid: 'def456', repository: 'owner/repo', link: 'https://github.com/owner/repo/pull/42' }));
+    await fs.writeFile(path.join(contextDir, 'test-metadata.json'), JSON.stringify({ command: 'npm test', exit_code: 1 }));
+    const { timestamp, pr, ...slim } = report({ tests: { summary: 'One failing test' } });
+    mockOutputs([slim]);
+
+    await executor.execute('claude', {});
+
+    expect(mockSpawn).toHaveBeenCalledTimes(1);
+    const written = JSON.parse(await fs.readFile(outputFile, 'utf8'));
+    expect(written.pr).toEqual({ repo: 'owner/repo', number: 42, head_sha: 'def456', branch: 'feature', link: 'https://github.com/owner/repo/pull/42' });
+    expect(written.tests).toEqual({ executed: true, command: 'npm test', exit_code: 1, summary: 'One failing test' });
+    expect(written.metrics).toMatchObject({ schema_repairs: 0, schema_valid: true });
+  });
+});
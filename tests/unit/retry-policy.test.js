@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getRetryPolicy,
+  backoffDelay,
+  classifyAttempt,
+  getFallbackModel,
+  nextAttemptOptions,
+  REPAIR_PROMPT
+} from '../../lib/retry-policy.js';
+
+const manifest = { models: [{ id: 'opus' }, { id: 'sonnet' }, { id: 'haiku' }] };
+
+describe('retry-policy', () => {
+  it('should only retry when retry_on_failure is set', () => {
+    expect(getRetryPolicy({ retry_on_failure: false, max_retries: 3 }).maxRetries).toBe(0);
+    expect(getRetryPolicy({ retry_on_failure: true, max_retries: 0 }).maxRetries).toBe(1);
+    expect(getRetryPolicy({ retry_on_failure: true, max_retries: 3 }).maxRetries).toBe(3);
+    expect(getRetryPolicy().maxRetries).toBe(0);
+  });
+
+  it('should back off exponentially', () => {
+    const policy = getRetryPolicy({ retry_on_failure: true, retry_backoff_seconds: 5 });
+
+    expect([1, 2, 3].map(retry => backoffDelay(policy, retry))).toEqual([5000, 10000, 20000]);
+  });
+
+  it('should classify failed attempts', () => {
+    expect(classifyAttempt({ report: { findings: [] }, exitCode: 0 })).toBeNull();
+    expect(classifyAttempt({ report: { findings: [] }, exitCode: 1 })).toBeNull();
+    expect(classifyAttempt({ report: { error: 'claude_execution_error' } })).toEqual({ reason: 'execution_error', retryable: true });
+    expect(classifyAttempt({ report: { error: 'unstructured_output' } })).toEqual({ reason: 'invalid_json', retryable: true });
+    expect(classifyAttempt({ report: null, exitCode: 2 })).toEqual({ reason: 'exit_code', retryable: true });
+    expect(classifyAttempt({ error: new Error('claude timed out after 600 seconds') })).toEqual({ reason: 'timeout', retryable: true });
+    expect(classifyAttempt({ error: new Error('spawn claude ENOENT') })).toEqual({ reason: 'error', retryable: false });
+  });
+
+  it('should pick the next model in the manifest as fallback', () => {
+    expect(getFallbackModel(manifest, 'opus')).toBe('sonnet');
+    expect(getFallbackModel(manifest, 'haiku')).toBeNull();
+    expect(getFallbackModel(manifest, 'custom')).toBeNull();
+  });
+
+  it('should repair invalid output and fall back after execution failures', () => {
+    const policy = getRetryPolicy({ retry_on_failure: true });
+    const context = { options: { timeout: 60 }, manifest, model: 'opus' };
+
+    expect(nextAttemptOptions(policy, { reason: 'invalid_json' }, context)).toEqual({ timeout: 60, prompt: REPAIR_PROMPT });
+
+    const repaired = nextAttemptOptions(policy, { reason: 'invalid_json' }, { ...context, options: { prompt: 'Review' } });
+    expect(repaired.prompt).toBe(`Review\n\n${REPAIR_PROMPT}`);
+    expect(nextAttemptOptions(policy, { reason: 'invalid_json' }, { ...context, options: repaired })).toEqual(repaired);
+    expect(nextAttemptOptions(policy, { reason: 'timeout' }, context)).toEqual({ timeout: 60, model: 'sonnet' });
+
+    const plain = getRetryPolicy({ retry_on_failure: true, retry_fallback_model: false, retry_repair_prompt: false });
+    expect(nextAttemptOptions(plain, { reason: 'timeout' }, context)).toEqual({ timeout: 60 });
+    expect(nextAttemptOptions(plain, { reason: 'invalid_json' }, context)).toEqual({ timeout: 60 });
+  });
+});
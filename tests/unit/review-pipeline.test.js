@@ -0,0 +1,317 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import path from 'node:path';
+
+const executeMock = vi.fn();
+const aggregateMock = vi.fn();
+const testRunMock = vi.fn();
+const buildMock = vi.fn();
+const incrementalMock = { loadState: vi.fn(), carryForward: vi.fn(), saveState: vi.fn() };
+const sharderMock = { plan: vi.fn(), mergeReports: vi.fn() };
+const generatorsRunMock = vi.fn();
+const historyRecordMock = vi.fn();
+const historySpentMock = vi.fn();
+
+vi.mock('../../lib/context-builder.js', () => ({
+  default: vi.fn(() => ({ build: buildMock }))
+}));
+
+vi.mock('../../lib/incremental.js', () => ({
+  default: vi.fn(() => incrementalMock)
+}));
+
+vi.mock('../../lib/shards.js', () => ({
+  default: vi.fn(() => sharderMock)
+}));
+
+vi.mock('../../lib/context-generators.js', () => ({
+  default: vi.fn(() => ({ run: generatorsRunMock }))
+}));
+
+vi.mock('../../lib/history.js', () => ({
+  default: vi.fn(() => ({ record: historyRecordMock, spentSince: historySpentMock }))
+}));
+
+vi.mock('../../lib/test-runner.js', () => ({
+  default: vi.fn(() => ({ run: testRunMock }))
+}));
+
+vi.mock('../../lib/execute-provider.js', async () => {
+  const { EventEmitter } = await import('node:events');
+  return {
+    default: vi.fn(() => Object.assign(new EventEmitter(), { execute: executeMock }))
+  };
+});
+
+vi.mock('../../lib/aggregator.js', () => ({
+  default: vi.fn(() => ({ aggregate: aggregateMock }))
+}));
+
+vi.mock('node:fs/promises', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, mkdir: vi.fn().mockResolvedValue(undefined) };
+});
+
+const { ReviewPipeline } = await import('../../lib/index.js');
+const { default: ContextBuilder } = await import('../../lib/context-builder.js');
+const { default: Aggregator } = await import('../../lib/aggregator.js');
+const { default: ContextGenerators } = await import('../../lib/context-generators.js');
+const { default: ReviewHistory } = await import('../../lib/history.js');
+
+describe('ReviewPipeline', () => {
+  const projectRoot = '/tmp/project';
+  const originalTestCmd = process.env.TEST_CMD;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    delete process.env.TEST_CMD;
+    executeMock.mockResolvedValue({ exitCode: 0 });
+    buildMock.mockResolvedValue({ contextDir: '/tmp/context', baseRef: 'origin/main', incremental: false, files: ['a.js'], stats: {}, pr: {} });
+    sharderMock.plan.mockResolvedValue(null);
+    generatorsRunMock.mockResolvedValue([]);
+    historyRecordMock.mockImplementation(async () => ({ id: 'run1' }));
+    historySpentMock.mockResolvedValue({ tokens_in: null, tokens_out: null, tokens_total: null, cost_usd: null });
+    testRunMock.mockImplementation(async ({ command }) => ({
+      executed: !!command, command: command || null, exitCode: command ? 0 : null, timedOut: false, durationMs: 0
+    }));
+    aggregateMock.mockResolvedValue({ gate: 'pass', reports: [], reportStatus: {}, mustFix: [], errors: [], summary: '# Summary' });
+  });
+
+  afterAll(() => {
+    if (originalTestCmd !== undefined) process.env.TEST_CMD = originalTestCmd;
+  });
+
+  function createPipeline(options = {}) {
+    return new ReviewPipeline({ projectRoot, authCheck: false, ...options });
+  }
+
+  it('should run every enabled provider and return a typed result', async () => {
+    const result = await createPipeline().run();
+
+    expect(executeMock).toHaveBeenCalledTimes(3);
+    expect(result.results.map(r => [r.provider, r.tool, r.status])).toEqual([
+      ['claude', 'claude-code', 'completed'],
+      ['codex', 'codex-cli', 'completed'],
+      ['gemini', 'gemini-cli', 'completed']
+    ]);
+    expect(result).toMatchObject({
+      success: true,
+      gate: 'pass',
+      errors: [],
+      summary: '# Summary',
+      paths: {
+        workspace: path.join(projectRoot, '.review-pipeline', 'workspace'),
+        summary: path.join(projectRoot, '.review-pipeline', 'workspace', 'summary.md')
+      }
+    });
+    expect(aggregateMock).toHaveBeenCalledWith(['claude', 'codex', 'gemini']);
+  });
+
+  it('should record provider failures without aborting the run', async () => {
+    executeMock.mockImplementation(async (provider) => {
+      if (provider === 'codex') throw new Error('timed out');
+      return { exitCode: 0 };
+    });
+
+    const result = await createPipeline().run();
+
+    expect(result.success).toBe(false);
+    expect(result.results.find(r => r.provider === 'codex')).toMatchObject({ status: 'failed', error: 'timed out' });
+    expect(result.errors).toEqual(['Provider codex failed: timed out']);
+  });
+
+  it('should forward provider progress events to listeners', async () => {
+    executeMock.mockImplementation(async function (provider) {
+      this.emit('start', { provider, command: provider });
+      this.emit('heartbeat', { provider, elapsedMs: 10000 });
+      this.emit('done', { provider, exitCode: 0, durationMs: 10500 });
+      return { exitCode: 0 };
+    });
+    const pipeline = createPipeline({ providers: ['claude'] });
+    const events = [];
+    for (const name of ['start', 'heartbeat', 'done']) {
+      pipeline.on(name, payload => events.push([name, payload.provider]));
+    }
+
+    await pipeline.run();
+
+    expect(events).toEqual([['start', 'claude'], ['heartbeat', 'claude'], ['done', 'claude']]);
+  });
+
+  it('should skip unknown providers and aggregate only the ones that ran', async () => {
+    const result = await createPipeline({ providers: ['claude', 'nope'] }).run();
+
+    expect(executeMock).toHaveBeenCalledTimes(1);
+    expect(result.results[1]).toMatchObject({ provider: 'nope', status: 'skipped' });
+    expect(aggregateMock).toHaveBeenCalledWith(['claude']);
+  });
+
+  it('should stop after the first failure in sequential fail-fast mode', async () => {
+    executeMock.mockRejectedValue(new Error('boom'));
+
+    process.env.REVIEW_FAIL_FAST = 'true';
+    const result = await createPipeline({ parallel: false }).run();
+    delete process.env.REVIEW_FAIL_FAST;
+
+    expect(executeMock).toHaveBeenCalledTimes(1);
+    expect(result.results.map(r => r.status)).toEqual(['failed', 'skipped', 'skipped']);
+  });
+
+  it('should take the test command from the caller or TEST_CMD only', async () => {
+    await createPipeline().run();
+    expect(testRunMock).toHaveBeenLastCalledWith(expect.objectContaining({ command: '' }));
+
+    process.env.TEST_CMD = 'npm test';
+    await createPipeline().run();
+    expect(testRunMock).toHaveBeenLastCalledWith(expect.objectContaining({ command: 'npm test' }));
+
+    const result = await createPipeline({ testCommand: 'make check' }).run();
+    expect(testRunMock).toHaveBeenLastCalledWith(expect.objectContaining({ command: 'make check' }));
+    expect(result.tests.executed).toBe(true);
+  });
+
+  it('should run context generators only when enabled and record their failures', async () => {
+    await createPipeline().run();
+    expect(ContextGenerators).toHaveBeenLastCalledWith(expect.objectContaining({ enabled: false }));
+
+    generatorsRunMock.mockResolvedValue([
+      { output: 'schema.sql', status: 'ok' },
+      { output: 'routes.json', status: 'failed', error: 'Exited with code 1' }
+    ]);
+    const result = await createPipeline({ contextGenerators: true }).run();
+
+    expect(ContextGenerators).toHaveBeenLastCalledWith(expect.objectContaining({ enabled: true, generators: [] }));
+    expect(result.generators).toHaveLength(2);
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual(['Context generator routes.json failed: Exited with code 1']);
+  });
+
+  it('should review only new commits and carry findings forward in incremental mode', async () => {
+    const state = { head_sha: 'abc1234', findings: [] };
+    const previous = { since: 'abc1234', carried: [], possiblyResolved: [] };
+    incrementalMock.loadState.mockResolvedValue(state);
+    incrementalMock.carryForward.mockResolvedValue(previous);
+    buildMock.mockResolvedValue({ baseRef: 'abc1234', incremental: true, headSha: 'def5678', files: [], stats: {}, pr: { headRefOid: 'fedcba9' } });
+    aggregateMock.mockResolvedValue({ gate: 'pass', findings: [{ message: 'kept' }], errors: [], summary: '' });
+
+    await createPipeline({ incremental: true }).run();
+
+    expect(ContextBuilder).toHaveBeenCalledWith(expect.objectContaining({ since: 'abc1234' }));
+    expect(incrementalMock.carryForward).toHaveBeenCalledWith(state);
+    expect(Aggregator).toHaveBeenCalledWith(expect.objectContaining({ previous }));
+    expect(incrementalMock.saveState).toHaveBeenCalledWith({ headSha: 'def5678', findings: [{ message: 'kept' }] });
+
+    // A failed provider leaves the state where it was
+    executeMock.mockRejectedValueOnce(new Error('boom'));
+    incrementalMock.saveState.mockClear();
+    await createPipeline({ incremental: true, providers: ['claude'] }).run();
+    expect(incrementalMock.saveState).not.toHaveBeenCalled();
+  });
+
+  it('should carry the findings of an unchanged head forward without running the providers', async () => {
+    const rules = [{ rule: 'readiness', passed: true, reason: '3/3 providers ready for PR (a majority required)' }];
+    const state = { head_sha: 'abc1234', findings: [{ message: 'kept' }], gate_rules: rules };
+    const previous = { since: 'abc1234', carried: [{ message: 'kept', carried_forward: true }], possiblyResolved: [], rules };
+    incrementalMock.loadState.mockResolvedValue(state);
+    incrementalMock.carryForward.mockResolvedValue(previous);
+    buildMock.mockResolvedValue({ baseRef: 'abc1234', incremental: true, unchanged: true, headSha: 'abc1234', files: [], stats: {}, pr: {} });
+    aggregateMock.mockResolvedValue({ gate: 'pass', findings: [{ message: 'kept' }], gateResult: { rules }, errors: [], summary: '' });
+    process.env.TEST_CMD = 'npm test';
+
+    const result = await createPipeline({ incremental: true }).run();
+
+    expect(executeMock).not.toHaveBeenCalled();
+    expect(generatorsRunMock).not.toHaveBeenCalled();
+    expect(testRunMock).toHaveBeenCalledWith(expect.objectContaining({ command: '' }));
+    expect(Aggregator).toHaveBeenCalledWith(expect.objectContaining({ previous: { ...previous, unchanged: true } }));
+    expect(aggregateMock).toHaveBeenCalledWith([]);
+    expect(result).toMatchObject({ success: true, results: [], errors: [] });
+    expect(incrementalMock.saveState).toHaveBeenCalledWith({ headSha: 'abc1234', findings: [{ message: 'kept' }], rules });
+
+    // A state stored without gate rules gets a full review instead
+    incrementalMock.loadState.mockResolvedValue({ head_sha: 'abc1234', findings: [] });
+    buildMock.mockResolvedValueOnce({ baseRef: 'abc1234', incremental: true, unchanged: true, headSha: 'abc1234', files: [], stats: {}, pr: {} });
+    buildMock.mockResolvedValueOnce({ baseRef: 'origin/main', incremental: false, headSha: 'abc1234', files: ['a.js'], stats: {}, pr: {} });
+    await createPipeline({ incremental: true }).run();
+    expect(ContextBuilder).toHaveBeenLastCalledWith(expect.objectContaining({ since: undefined }));
+    expect(executeMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('should run each provider once per shard and merge the shard reports', async () => {
+    const shards = [
+      { id: 1, total: 2, files: ['src/api/a.js'], dirs: ['src/api'] },
+      { id: 2, total: 2, files: ['src/db/b.js'], dirs: ['src/db'] }
+    ];
+    sharderMock.plan.mockResolvedValue(shards);
+    executeMock.mockImplementation(async function (provider, { shard }) {
+      this.emit('done', { provider, exitCode: 0, durationMs: 1 });
+      if (provider === 'codex' && shard.id === 2) throw new Error('timed out');
+      return { exitCode: 0 };
+    });
+    const pipeline = createPipeline({ providers: ['claude', 'codex'] });
+    const done = [];
+    pipeline.on('done', ({ provider, shard }) => done.push(`${provider} ${shard}`));
+
+    const result = await pipeline.run();
+
+    expect(executeMock).toHaveBeenCalledTimes(4);
+    expect(executeMock).toHaveBeenCalledWith('claude', expect.objectContaining({ shard: shards[1] }));
+    expect(sharderMock.mergeReports).toHaveBeenCalledWith('claude-code', shards);
+    expect(sharderMock.mergeReports).toHaveBeenCalledWith('codex-cli', shards);
+    expect(done).toContain('codex 2/2');
+    expect(result.shards).toBe(shards);
+    expect(result.results.map(r => [r.provider, r.status])).toEqual([['claude', 'completed'], ['codex', 'completed']]);
+    expect(result.errors).toEqual(['Provider codex failed on shard 2/2: timed out']);
+    expect(aggregateMock).toHaveBeenCalledWith(['claude', 'codex']);
+  });
+
+  it('should record each run in the history store unless history is off', async () => {
+    const result = await createPipeline({ providers: ['claude'] }).run();
+
+    expect(ReviewHistory).toHaveBeenCalledWith(expect.objectContaining({ projectDir: projectRoot, dir: '.review-pipeline/history' }));
+    expect(historyRecordMock).toHaveBeenCalledWith(expect.objectContaining({
+      results: [expect.objectContaining({ provider: 'claude', status: 'completed' })],
+      aggregate: expect.objectContaining({ gate: 'pass' }),
+      errors: []
+    }));
+    expect(result.history).toEqual({ id: 'run1' });
+
+    historyRecordMock.mockClear();
+    process.env.REVIEW_HISTORY = 'false';
+    const unrecorded = await createPipeline({ providers: ['claude'] }).run();
+    delete process.env.REVIEW_HISTORY;
+
+    expect(historyRecordMock).not.toHaveBeenCalled();
+    expect(unrecorded.history).toBeNull();
+  });
+
+  it('should run optional providers last and skip them once a budget is reached', async () => {
+    const costs = { claude: 0.6, codex: 0.3, gemini: 0.2 };
+    executeMock.mockImplementation(async (provider) => ({ exitCode: 0, usage: { tokens_total: 1000, cost_usd: costs[provider] } }));
+    process.env.CLAUDE_OPTIONAL = 'true';
+    process.env.GEMINI_OPTIONAL = 'true';
+
+    process.env.REVIEW_BUDGET_RUN_USD = '0.25';
+    const overRun = await createPipeline().run();
+    delete process.env.REVIEW_BUDGET_RUN_USD;
+
+    expect(executeMock.mock.calls.map(([provider]) => provider)).toEqual(['codex']);
+    expect(overRun.results.map(r => [r.provider, r.status])).toEqual([['codex', 'completed'], ['claude', 'skipped'], ['gemini', 'skipped']]);
+    expect(overRun.results[1].error).toBe('Skipped optional provider: run budget of $0.25 reached ($0.3 spent)');
+
+    executeMock.mockClear();
+    historySpentMock.mockResolvedValue({ tokens_total: 50000, cost_usd: 9.5 });
+    process.env.REVIEW_BUDGET_DAY_USD = '10';
+    const overDay = await createPipeline({ parallel: false }).run();
+    delete process.env.REVIEW_BUDGET_DAY_USD;
+    delete process.env.CLAUDE_OPTIONAL;
+    delete process.env.GEMINI_OPTIONAL;
+
+    expect(historySpentMock).toHaveBeenCalledWith(expect.any(Date));
+    expect(executeMock.mock.calls.map(([provider]) => provider)).toEqual(['codex', 'claude']);
+    expect(overDay.results.find(r => r.provider === 'gemini')).toMatchObject({
+      status: 'skipped',
+      error: 'Skipped optional provider: daily budget of $10 reached ($10.4 spent)'
+    });
+    expect(overDay.results.find(r => r.provider === 'claude').usage).toEqual({ tokens_total: 1000, cost_usd: 0.6 });
+  });
+});
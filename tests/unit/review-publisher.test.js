@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import ReviewPublisher, { commentableLines, anchorFinding } from '../../lib/review-publisher.js';
+
+const diff = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1111111..2222222 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -10,4 +10,6 @@ function run() {',
+  ' const a = 1;',
+  '-exec(cmd);',
+  '+const input = req.query.cmd;',
+  '+exec(input);',
+  '+log(input);',
+  ' return a;',
+  ' }',
+  '@@ -40,2 +42,3 @@ function other() {',
+  ' x();',
+  '+y();',
+  ' z();'
+].join('\n');
+
+function finding(overrides = {}) {
+  return {
+    severity: 'high',
+    category: 'security',
+    file: 'src/app.js',
+    lines: '11-12',
+    message: 'Command injection',
+    suggestion: 'Use execFile',
+    agreed_by: ['claude-code', 'codex-cli'],
+    ...overrides
+  };
+}
+
+describe('ReviewPublisher', () => {
+  describe('anchoring', () => {
+    const lines = commentableLines(diff);
+
+    it('should anchor findings to lines on the new side of the diff', () => {
+      expect(anchorFinding(finding(), lines)).toEqual({ path: 'src/app.js', start_line: 11, line: 12 });
+      expect(anchorFinding(finding({ lines: '43', file: './src/app.js' }), lines)).toEqual({ path: 'src/app.js', line: 43 });
+    });
+
+    it('should keep multi-line comments within one hunk', () => {
+      expect(anchorFinding(finding({ lines: '12-43' }), lines)).toEqual({ path: 'src/app.js', start_line: 42, line: 43 });
+    });
+
+    it('should leave findings outside the diff unanchored', () => {
+      expect(anchorFinding(finding({ lines: '100' }), lines)).toBeNull();
+      expect(anchorFinding(finding({ file: 'src/other.js' }), lines)).toBeNull();
+      expect(anchorFinding(finding({ lines: '' }), lines)).toBeNull();
+    });
+  });
+
+  describe('publish', () => {
+    let projectDir;
+    let server;
+    let requests;
+    let respond;
+
+    beforeEach(async () => {
+      projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'publisher-'));
+      const contextDir = path.join(projectDir, '.review-pipeline', 'workspace', 'context');
+      await fs.mkdir(contextDir, { recursive: true });
+      await fs.writeFile(path.join(contextDir, 'diff.patch'), diff);
+      await fs.writeFile(path.join(contextDir, 'pr.json'), JSON.stringify({
+        number: 7, repository: 'owner/repo', headRefOid: 'abc123'
+      }));
+
+      // Local stand-in for the GitHub REST API
+      requests = [];
+      respond = () => [200, { id: 1, html_url: 'https://github.com/owner/repo/pull/7#pullrequestreview-1' }];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+          const [status, json] = respond(requests.length);
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(json));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(projectDir, { recursive: true, force: true });
+    });
+
+    function publisher(options = {}) {
+      return new ReviewPublisher({
+        projectDir,
+        apiUrl: `http://127.0.0.1:${server.address().port}`,
+        token: 'test-token',
+        ...options
+      });
+    }
+
+    it('should post one review with inline comments and the rest in the body', async () => {
+      const result = await publisher().publish({
+        findings: [finding(), finding({ file: 'README.md', lines: '3', severity: 'low', category: 'docs', message: 'Typo' })],
+        gate: 'fail'
+      });
+
+      expect(result.posted).toBe(true);
+      expect(requests).toHaveLength(1);
+      const [request] = requests;
+      expect(request).toMatchObject({ method: 'POST', url: '/repos/owner/repo/pulls/7/reviews' });
+      expect(request.headers.authorization).toBe('Bearer test-token');
+      expect(request.body).toMatchObject({
+        commit_id: 'abc123',
+        event: 'COMMENT',
+        comments: [{ path: 'src/app.js', start_line: 11, line: 12, side: 'RIGHT', start_side: 'RIGHT' }]
+      });
+      expect(request.body.comments[0].body).toContain('**[high] security**: Command injection');
+      expect(request.body.body).toContain('## Multi‑Model Review: FAIL');
+      expect(request.body.body).toContain('- [low] (claude-code, codex-cli) docs — Typo — README.md:3');
+    });
+
+    it('should move inline comments into the body when GitHub rejects them', async () => {
+      respond = (count) => count === 1 ? [422, { message: 'Line could not be resolved' }] : [200, { id: 2 }];
+
+      await publisher().publish({ findings: [finding()] });
+
+      expect(requests).toHaveLength(2);
+      expect(requests[1].body.comments).toEqual([]);
+      expect(requests[1].body.body).toContain('- src/app.js:12: **[high] security**: Command injection');
+    });
+
+    it('should surface API errors', async () => {
+      respond = () => [403, { message: 'Resource not accessible by integration' }];
+
+      await expect(publisher().publish({ findings: [] })).rejects.toThrow('GitHub API returned 403');
+    });
+
+    it('should write the payload to the workspace in dry-run mode', async () => {
+      const result = await publisher({ dryRun: true, token: undefined }).publish({ findings: [finding()] });
+
+      expect(requests).toHaveLength(0);
+      expect(result.payloadFile).toBe(path.join(projectDir, '.review-pipeline', 'workspace', 'review-payload.json'));
+      expect(JSON.parse(await fs.readFile(result.payloadFile, 'utf8'))).toEqual(result.payload);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import ReviewServer, { signPayload, verifySignature, parsePullRequestEvent, takeServerSecrets } from '../../lib/review-server.js';
+import ContextBuilder from '../../lib/context-builder.js';
+import TestRunner from '../../lib/test-runner.js';
+
+const SECRET = 'webhook-secret';
+
+function pullRequestEvent(overrides = {}, pr = {}) {
+  return {
+    action: 'synchronize',
+    repository: { full_name: 'owner/repo', clone_url: 'https://example.invalid/owner/repo.git' },
+    pull_request: {
+      number: 7,
+      draft: false,
+      html_url: 'https://github.com/owner/repo/pull/7',
+      head: { ref: 'feature', sha: 'a'.repeat(40) },
+      base: { ref: 'main' },
+      ...pr
+    },
+    ...overrides
+  };
+}
+
+/**
+ * Local webhook sender
+ */
+function deliver(url, payload, { event = 'pull_request', secret = SECRET } = {}) {
+  const body = JSON.stringify(payload);
+  return fetch(`${url}/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': 'delivery-1',
+      'X-Hub-Signature-256': signPayload(secret, body)
+    },
+    body
+  });
+}
+
+async function waitForJob(url, id) {
+  for (let i = 0; i < 200; i++) {
+    const job = await (await fetch(`${url}/jobs/${id}`)).json();
+    if (!['queued', 'running'].includes(job.status)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`job ${id} did not finish`);
+}
+
+describe('webhook parsing', () => {
+  it('should verify signatures in constant time', () => {
+    const body = Buffer.from('{"action":"opened"}');
+
+    expect(verifySignature(SECRET, body, signPayload(SECRET, body))).toBe(true);
+    expect(verifySignature(SECRET, body, signPayload('other', body))).toBe(false);
+    expect(verifySignature(SECRET, body, 'sha256=abc')).toBe(false);
+    expect(verifySignature(SECRET, body, undefined)).toBe(false);
+  });
+
+  it('should review only events that change the pull request', () => {
+    expect(parsePullRequestEvent(pullRequestEvent()).job).toMatchObject({
+      repository: 'owner/repo',
+      number: 7,
+      head_ref: 'feature',
+      base_ref: 'main',
+      head_clone_url: 'https://example.invalid/owner/repo.git'
+    });
+    expect(parsePullRequestEvent(pullRequestEvent({}, { head: { ref: 'fix', sha: 'b'.repeat(40), repo: { clone_url: 'https://example.invalid/fork/repo.git' } } })).job.head_clone_url)
+      .toBe('https://example.invalid/fork/repo.git');
+    expect(parsePullRequestEvent(pullRequestEvent({ action: 'closed' }))).toEqual({ ignored: 'action closed' });
+    expect(parsePullRequestEvent(pullRequestEvent({}, { draft: true }))).toEqual({ ignored: 'draft pull request' });
+    expect(parsePullRequestEvent({ zen: 'Keep it simple' })).toEqual({ ignored: 'not a pull request event' });
+  });
+});
+
+describe('ReviewServer', () => {
+  let dir;
+  let server;
+  let url;
+
+  async function start(options = {}) {
+    server = new ReviewServer({ secret: SECRET, port: 0, workDir: path.join(dir, 'serve'), ...options });
+    ({ url } = await server.listen());
+  }
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'review-server-'));
+  });
+
+  afterEach(async () => {
+    await server?.close();
+    server = null;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should require a secret and reject unsigned or ignored deliveries', async () => {
+    expect(() => new ReviewServer({})).toThrow('A webhook secret is required');
+    await start({ repositories: ['owner/repo'] });
+
+    expect((await deliver(url, pullRequestEvent(), { secret: 'wrong' })).status).toBe(401);
+    expect((await deliver(url, { zen: 'hi' }, { event: 'ping' })).status).toBe(200);
+    expect(await (await deliver(url, { ref: 'refs/heads/main' }, { event: 'push' })).json()).toEqual({ ignored: 'event push' });
+    expect(await (await deliver(url, pullRequestEvent({ action: 'labeled' }))).json()).toEqual({ ignored: 'action labeled' });
+    expect((await deliver(url, pullRequestEvent({ repository: { full_name: 'other/repo', clone_url: 'x' } }))).status).toBe(403);
+    expect((await fetch(`${url}/jobs/missing`)).status).toBe(404);
+    expect(await (await fetch(`${url}/healthz`)).json()).toEqual({ ok: true, queued: 0, running: 0 });
+  });
+
+  it('should supersede a queued job with a newer event for the same pull request', async () => {
+    let release;
+    const blocked = new Promise(resolve => { release = resolve; });
+    await start();
+    server.runJob = async (job) => {
+      if (job.head_sha === '1'.repeat(40)) await blocked;
+      return { gate: 'pass', findings: 0 };
+    };
+
+    const ids = [];
+    for (const sha of ['1', '2', '3']) {
+      const response = await deliver(url, pullRequestEvent({}, { head: { ref: 'feature', sha: sha.repeat(40) } }));
+      ids.push((await response.json()).id);
+    }
+    release();
+
+    const [first, second, third] = await Promise.all(ids.map(id => waitForJob(url, id)));
+    expect(first).toMatchObject({ status: 'completed', gate: 'pass', delivery: 'delivery-1' });
+    expect(second).toMatchObject({ status: 'superseded', superseded_by: third.id });
+    expect(third).toMatchObject({ status: 'completed', head_sha: '3'.repeat(40) });
+    expect((await (await fetch(`${url}/jobs`)).json()).jobs.map(job => job.id)).toEqual([...ids].reverse());
+  });
+
+  it('should review a pull request in its own workspace and post the review to the forge', async () => {
+    // Repository with a feature branch one commit ahead of main
+    const origin = path.join(dir, 'origin');
+    const git = (...args) => execFileSync('git', args, {
+      cwd: origin,
+      env: { ...process.env, GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' }
+    }).toString().trim();
+    await fs.mkdir(origin);
+    git('init', '--quiet', '-b', 'main');
+    await fs.writeFile(path.join(origin, 'app.js'), 'const a = 1;\n');
+    git('add', '.');
+    git('commit', '--quiet', '-m', 'base');
+    git('checkout', '--quiet', '-b', 'feature');
+    await fs.writeFile(path.join(origin, 'app.js'), 'const a = 1;\neval(input);\n');
+    git('commit', '--quiet', '-am', 'feature');
+    const headSha = git('rev-parse', 'HEAD');
+    git('checkout', '--quiet', 'main');
+
+    // Local stand-in for the forge API
+    const reviews = [];
+    const forge = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        reviews.push({ url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id: 1, html_url: 'https://forge.test/owner/repo/pull/7#review-1' }));
+      });
+    });
+    await new Promise(resolve => forge.listen(0, '127.0.0.1', resolve));
+
+    // Builds the real context; the findings stand in for the providers
+    const pipelines = [];
+    const createPipeline = (options) => {
+      pipelines.push(options);
+      return {
+        async run() {
+          const context = await new ContextBuilder({ projectDir: options.projectRoot, env: options.env }).build();
+          const findings = [{ severity: 'critical', category: 'security', file: 'app.js', lines: '2', message: 'eval of user input', agreed_by: ['claude-code'] }];
+          return { gate: 'fail', context, aggregate: { findings }, errors: [] };
+        }
+      };
+    };
+
+    try {
+      await start({ apiUrl: `http://127.0.0.1:${forge.address().port}`, token: 'forge-token', createPipeline });
+      const response = await deliver(url, pullRequestEvent(
+        { action: 'opened', repository: { full_name: 'owner/repo', clone_url: origin } },
+        { head: { ref: 'feature', sha: headSha } }
+      ));
+      expect(response.status).toBe(202);
+      const { id } = await response.json();
+
+      const job = await waitForJob(url, id);
+
+      expect(job).toMatchObject({ status: 'completed', gate: 'fail', findings: 1, review_url: 'https://forge.test/owner/repo/pull/7#review-1', error: null });
+      expect(pipelines[0].env).toMatchObject({ GITHUB_EVENT_NAME: 'pull_request', GITHUB_REPOSITORY: 'owner/repo' });
+      expect(reviews).toHaveLength(1);
+      expect(reviews[0]).toMatchObject({ url: '/repos/owner/repo/pulls/7/reviews', authorization: 'Bearer forge-token' });
+      expect(reviews[0].body).toMatchObject({ commit_id: headSha, comments: [expect.objectContaining({ path: 'app.js', line: 2 })] });
+      await expect(fs.access(path.join(dir, 'serve', 'jobs', id, 'repo'))).rejects.toThrow();
+      expect(JSON.parse(await fs.readFile(path.join(dir, 'serve', 'jobs', id, 'job.json'), 'utf8')).status).toBe('completed');
+    } finally {
+      await new Promise(resolve => forge.close(resolve));
+    }
+  });
+
+  it('should keep the forge token away from the code it reviews', async () => {
+    const saved = { ...process.env };
+    Object.assign(process.env, { REVIEW_WEBHOOK_SECRET: SECRET, GH_TOKEN: 'forge-token', GITHUB_TOKEN: 'actions-token' });
+    const pipelines = [];
+    // Runs a test command the way the pipeline does, then stops the job
+    const createPipeline = (options) => {
+      pipelines.push(options);
+      return {
+        async run() {
+          const tests = await new TestRunner({ projectDir: options.projectRoot })
+            .run({ command: 'echo "tokens:${GH_TOKEN:-}${GITHUB_TOKEN:-}${REVIEW_WEBHOOK_SECRET:-}"' });
+          throw new Error((await fs.readFile(tests.outputFile, 'utf8')).split('\n')[1]);
+        }
+      };
+    };
+
+    try {
+      const { secret, token } = takeServerSecrets();
+      expect({ secret, token }).toEqual({ secret: SECRET, token: 'forge-token' });
+
+      await start({ secret, token, createPipeline });
+      server.checkout = (target, repoDir) => fs.mkdir(repoDir, { recursive: true });
+      const { id } = await (await deliver(url, pullRequestEvent())).json();
+
+      const job = await waitForJob(url, id);
+
+      expect(job.error).toBe('tokens:');
+      expect(server.token).toBe('forge-token');
+      expect(pipelines[0].tests).toBe(false);
+    } finally {
+      for (const name of Object.keys(process.env)) {
+        if (!(name in saved)) delete process.env[name];
+      }
+      Object.assign(process.env, saved);
+    }
+  });
+
+  it('should fail a job whose repository cannot be cloned', async () => {
+    await start({ createPipeline: () => { throw new Error('not reached'); } });
+    const { id } = await (await deliver(url, pullRequestEvent({ repository: { full_name: 'owner/repo', clone_url: path.join(dir, 'missing') } }))).json();
+
+    const job = await waitForJob(url, id);
+
+    expect(job.status).toBe('failed');
+    expect(job.error).toMatch(/^git clone failed/);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { buildSarif, severityToLevel, ruleId } from '../../lib/sarif.js';
+
+function finding(overrides = {}) {
+  return {
+    category: 'security',
+    severity: 'high',
+    file: './src/app.js',
+    lines: '12-14',
+    message: 'Command injection',
+    suggestion: 'Use execFile',
+    must_fix: true,
+    agreed_by: ['claude-code', 'codex-cli'],
+    consensus: 1,
+    ...overrides
+  };
+}
+
+describe('sarif', () => {
+  it('should map severities to SARIF levels', () => {
+    expect(['critical', 'high', 'medium', 'low'].map(severityToLevel)).toEqual(['error', 'error', 'warning', 'note']);
+  });
+
+  it('should build one run with a rule per category', () => {
+    const sarif = buildSarif({
+      findings: [finding(), finding({ category: 'docs', severity: 'low', file: 'README.md', lines: '', message: 'Typo', suggestion: undefined })],
+      reports: [{ tool: 'claude-code', model: 'opus' }, { tool: 'codex-cli', model: 'gpt-5' }],
+      version: '1.0.0'
+    });
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs).toHaveLength(1);
+    const [run] = sarif.runs;
+    expect(run.tool.driver).toMatchObject({ name: 'multi-model-review-pipeline', version: '1.0.0' });
+    expect(run.tool.driver.rules.map(r => r.id)).toEqual([ruleId('docs'), ruleId('security')]);
+    expect(run.properties.providers).toEqual([{ tool: 'claude-code', model: 'opus' }, { tool: 'codex-cli', model: 'gpt-5' }]);
+
+    expect(run.results[0]).toMatchObject({
+      ruleId: 'review/security',
+      ruleIndex: 1,
+      level: 'error',
+      message: { text: 'Command injection\n\nSuggestion: Use execFile' },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: 'src/app.js', uriBaseId: '%SRCROOT%' },
+          region: { startLine: 12, endLine: 14 }
+        }
+      }],
+      properties: { severity: 'high', must_fix: true, agreed_by: ['claude-code', 'codex-cli'], suggestion: 'Use execFile' }
+    });
+    // Findings without line numbers are reported at file level
+    expect(run.results[1].locations[0].physicalLocation.region).toBeUndefined();
+  });
+
+  it('should flag unconfirmed findings', () => {
+    const held = finding({ agreed_by: ['claude-code'], consensus: 0.5 });
+    const sarif = buildSarif({ findings: [held, finding({ file: 'b.js' })], unconfirmed: [held] });
+
+    expect(sarif.runs[0].results.map(r => r.properties.unconfirmed)).toEqual([true, undefined]);
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import QuotaScheduler, { detectRateLimit } from '../../lib/scheduler.js';
+import ProviderExecutor from '../../lib/execute-provider.js';
+
+const START = Date.parse('2026-03-02T10:00:00Z');
+
+describe('detectRateLimit', () => {
+  it('should read the reset time from the message', () => {
+    expect(detectRateLimit('Claude AI usage limit reached|1772449200')).toEqual({
+      reason: 'Claude AI usage limit reached|1772449200',
+      resetAt: 1772449200000
+    });
+    expect(detectRateLimit('ERROR: Rate limit exceeded, try again in 1h 30m', START).resetAt).toBe(START + 90 * 60000);
+    expect(detectRateLimit('429 Too Many Requests: retry after 45 seconds', START).resetAt).toBe(START + 45000);
+  });
+
+  it('should report limits without a reset time and ignore other failures', () => {
+    expect(detectRateLimit('starting\n[RESOURCE_EXHAUSTED] Quota exceeded for model\n', START)).toEqual({
+      reason: '[RESOURCE_EXHAUSTED] Quota exceeded for model',
+      resetAt: null
+    });
+    expect(detectRateLimit('Error: ENOENT: no such file or directory')).toBeNull();
+    expect(detectRateLimit('')).toBeNull();
+  });
+});
+
+describe('QuotaScheduler', () => {
+  let dir;
+  let clock;
+
+  function scheduler(options = {}) {
+    return new QuotaScheduler({
+      stateFile: path.join(dir, 'scheduler.json'),
+      pollSeconds: 60,
+      now: () => clock,
+      sleep: async (ms) => { clock += ms; },
+      ...options
+    });
+  }
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scheduler-'));
+    clock = START;
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should hold an invocation while the provider is at max_concurrent', async () => {
+    const queue = scheduler({ quotas: { claude: { max_concurrent: 1 } } });
+    const first = await queue.acquire('claude');
+    const onWait = vi.fn();
+    queue.sleep = vi.fn(async (ms) => {
+      clock += ms;
+      await queue.release(first);
+    });
+
+    const second = await queue.acquire('claude', { onWait });
+
+    expect(onWait).toHaveBeenCalledWith({ provider: 'claude', reason: '1/1 invocations running', until: null });
+    expect(second.started_at).toBe('2026-03-02T10:01:00.000Z');
+    expect((await queue.status()).claude).toMatchObject({ running: 1, recent: 2 });
+  });
+
+  it('should defer an invocation until the oldest one leaves the window', async () => {
+    const queue = scheduler({ maxWaitMinutes: 60, quotas: { codex: { window_minutes: 60, max_invocations: 2, max_tokens: 1000 } } });
+    await queue.release(await queue.acquire('codex'), { tokens: 300 });
+    clock += 10 * 60000;
+    await queue.release(await queue.acquire('codex'), { tokens: 300 });
+
+    const lease = await queue.acquire('codex');
+
+    expect(clock).toBe(START + 60 * 60000);
+    expect(lease.started_at).toBe('2026-03-02T11:00:00.000Z');
+    expect((await queue.status()).codex).toMatchObject({ running: 1, recent: 2, tokens: 300 });
+  });
+
+  it('should share the state file between schedulers and drop invocations of dead processes', async () => {
+    await fs.writeFile(path.join(dir, 'scheduler.json'), JSON.stringify({
+      version: 1,
+      providers: {
+        claude: {
+          invocations: [{ id: 'gone', pid: 2 ** 22 + 1, host: os.hostname(), started_at: new Date(START).toISOString(), finished_at: null }],
+          blocked_until: null
+        }
+      }
+    }));
+
+    const lease = await scheduler().acquire('claude');
+
+    const other = scheduler({ maxWaitMinutes: 0 });
+    await expect(other.acquire('claude')).rejects.toThrow('claude quota exhausted: 1/1 invocations running');
+    await other.release(lease);
+    await expect(other.acquire('claude')).resolves.toMatchObject({ provider: 'claude' });
+  });
+
+  it('should block a rate-limited provider until the limit resets', async () => {
+    const queue = scheduler({ rateLimitCooldownMinutes: 20, maxWaitMinutes: 30 });
+    const limit = await queue.release(await queue.acquire('gemini'), { output: 'Error 429: Too Many Requests' });
+    expect(limit).toEqual({ reason: 'Error 429: Too Many Requests', resetAt: null });
+
+    await queue.acquire('gemini').then(lease => queue.release(lease));
+    expect(clock).toBe(START + 20 * 60000);
+
+    await queue.release(await queue.acquire('gemini'), { output: 'usage limit reached, try again in 2h' });
+    await expect(queue.acquire('gemini')).rejects.toThrow(/rate limited .*available again at 2026-03-02T12:20:00.000Z/);
+  });
+});
+
+describe('ProviderExecutor with a scheduler', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scheduler-executor-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should queue a rate-limited invocation again once the limit resets', async () => {
+    let clock = START;
+    const scheduler = new QuotaScheduler({
+      stateFile: path.join(dir, 'scheduler.json'),
+      rateLimitCooldownMinutes: 5,
+      now: () => clock,
+      sleep: async (ms) => { clock += ms; }
+    });
+    const executor = new ProviderExecutor({ projectDir: dir, scheduler });
+    const limited = { code: 1, signal: null, stdout: '', stderr: 'Error: rate limit exceeded', timedOut: false };
+    const passed = { code: 0, signal: null, stdout: 'tokens used: 1,200', stderr: '', timedOut: false };
+    executor.spawnProcess = vi.fn().mockResolvedValueOnce(limited).mockResolvedValueOnce(passed);
+    const queued = vi.fn();
+    executor.on('queued', queued);
+
+    const result = await executor.spawnProvider({ provider: 'codex', command: 'codex' }, [], { stdio: 'pipe' });
+
+    expect(result).toBe(passed);
+    expect(executor.spawnProcess).toHaveBeenCalledTimes(2);
+    expect(queued).toHaveBeenCalledWith({
+      provider: 'codex',
+      reason: 'rate limited (Error: rate limit exceeded)',
+      until: '2026-03-02T10:05:00.000Z'
+    });
+    expect((await scheduler.status()).codex).toMatchObject({ running: 0, recent: 2, tokens: 1200 });
+  });
+
+  it('should not read rate limits from review text or queue a timed-out invocation again', async () => {
+    const scheduler = new QuotaScheduler({ stateFile: path.join(dir, 'scheduler.json'), now: () => START });
+    const executor = new ProviderExecutor({ projectDir: dir, scheduler });
+    const review = 'The handler retries on 429 but ignores the rate limit reset header';
+    const timedOut = { code: null, signal: 'SIGTERM', stdout: review, stderr: '', timedOut: true };
+    const failed = { code: 1, signal: null, stdout: review, stderr: 'Error: invalid response', timedOut: false };
+    executor.spawnProcess = vi.fn().mockResolvedValueOnce(timedOut).mockResolvedValueOnce(failed);
+    const queued = vi.fn();
+    executor.on('queued', queued);
+
+    expect(await executor.spawnProvider({ provider: 'codex', command: 'codex' }, [], {})).toBe(timedOut);
+    expect(await executor.spawnProvider({ provider: 'codex', command: 'codex' }, [], {})).toBe(failed);
+
+    expect(executor.spawnProcess).toHaveBeenCalledTimes(2);
+    expect(queued).not.toHaveBeenCalled();
+    expect((await scheduler.status()).codex.blocked_until).toBeNull();
+  });
+
+  it('should read a rate limit from the error result of stream-json output', async () => {
+    const scheduler = new QuotaScheduler({
+      stateFile: path.join(dir, 'scheduler.json'),
+      rateLimitCooldownMinutes: 5,
+      maxRequeues: 0,
+      maxWaitMinutes: 0,
+      now: () => START
+    });
+    const executor = new ProviderExecutor({ projectDir: dir, scheduler });
+    const stdout = [
+      { type: 'assistant', message: { content: [{ type: 'text', text: 'Checking the 429 handling' }] } },
+      { type: 'result', is_error: true, result: 'Claude AI usage limit reached|1772449200' }
+    ].map(event => JSON.stringify(event)).join('\n');
+    const limited = { code: 1, signal: null, stdout, stderr: '', timedOut: false };
+    executor.spawnProcess = vi.fn().mockResolvedValue(limited);
+
+    const cmd = { provider: 'claude', command: 'claude', outputFormat: 'stream-json' };
+    expect(await executor.spawnProvider(cmd, [], {})).toBe(limited);
+
+    await expect(scheduler.acquire('claude')).rejects.toThrow(/rate limited \(Claude AI usage limit reached/);
+  });
+});
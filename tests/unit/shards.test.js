@@ -0,0 +1,203 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Sharder, { planShards, mergeShardReports } from '../../lib/shards.js';
+import ProviderExecutor from '../../lib/execute-provider.js';
+
+const packageDir = path.dirname(path.dirname(path.dirname(fileURLToPath(import.meta.url))));
+
+function fileDiff(file, size = 100) {
+  const header = `diff --git a/${file} b/${file}\n--- a/${file}\n+++ b/${file}\n@@ -1 +1 @@\n-old\n+`;
+  return { file, text: `${header}${'x'.repeat(Math.max(size - header.length - 1, 0))}\n` };
+}
+
+function report(tool, overrides = {}) {
+  return {
+    tool,
+    model: 'opus',
+    timestamp: '2025-01-01T00:00:00Z',
+    summary: 'Looked at it',
+    assumptions: [],
+    findings: [],
+    tests: { executed: false, command: null, exit_code: null, summary: 'Not executed' },
+    exit_criteria: { ready_for_pr: true, reasons: [] },
+    ...overrides
+  };
+}
+
+describe('planShards', () => {
+  it('should keep directories together and stay under both limits', () => {
+    const shards = planShards([
+      fileDiff('src/db/query.js'),
+      fileDiff('src/api/users.js'),
+      fileDiff('src/api/orders.js'),
+      fileDiff('README.md'),
+      fileDiff('src/db/pool.js')
+    ], { maxBytes: 250, maxFiles: 3 });
+
+    expect(shards.map(s => s.map(f => f.file))).toEqual([
+      ['README.md'],
+      ['src/api/orders.js', 'src/api/users.js'],
+      ['src/db/pool.js', 'src/db/query.js']
+    ]);
+    for (const shard of shards) {
+      expect(shard.length).toBeLessThanOrEqual(3);
+      expect(shard.reduce((sum, f) => sum + f.text.length, 0)).toBeLessThanOrEqual(250);
+    }
+  });
+
+  it('should start a new shard rather than split a directory that fits in one', () => {
+    const shards = planShards([
+      fileDiff('a/one.js'),
+      fileDiff('b/one.js'),
+      fileDiff('b/two.js')
+    ], { maxBytes: 200, maxFiles: 10 });
+
+    expect(shards.map(s => s.map(f => f.file))).toEqual([['a/one.js'], ['b/one.js', 'b/two.js']]);
+  });
+
+  it('should split a directory that does not fit and give an oversized file its own shard', () => {
+    const shards = planShards([
+      fileDiff('lib/a.js'),
+      fileDiff('lib/b.js'),
+      fileDiff('lib/c.js'),
+      fileDiff('lib/huge.js', 1000)
+    ], { maxBytes: 200, maxFiles: 10 });
+
+    expect(shards.map(s => s.map(f => f.file))).toEqual([['lib/a.js', 'lib/b.js'], ['lib/c.js'], ['lib/huge.js']]);
+  });
+});
+
+describe('mergeShardReports', () => {
+  const shards = [
+    { id: 1, total: 2, files: ['src/api/users.js'], dirs: ['src/api'] },
+    { id: 2, total: 2, files: ['src/db/pool.js'], dirs: ['src/db'] }
+  ];
+
+  it('should concatenate the findings and summaries of every shard', () => {
+    const api = { severity: 'high', category: 'security', file: 'src/api/users.js', lines: '3', message: 'Missing auth' };
+    const db = { severity: 'low', category: 'style', file: 'src/db/pool.js', lines: '8', message: 'Unused import' };
+
+    const merged = mergeShardReports(shards, [
+      report('claude-code', { summary: 'API looks risky', findings: [api], exit_criteria: { ready_for_pr: false, reasons: ['Missing auth'] }, metrics: { attempts: [] } }),
+      report('claude-code', { summary: 'DB is fine', findings: [db] })
+    ]);
+
+    expect(merged).toMatchObject({
+      tool: 'claude-code',
+      model: 'opus',
+      findings: [api, db],
+      exit_criteria: { ready_for_pr: false, reasons: ['Missing auth'] }
+    });
+    expect(merged.summary).toBe('[Shard 1/2: src/api] API looks risky\n\n[Shard 2/2: src/db] DB is fine');
+    expect(merged.metrics.shards).toEqual([{ id: 1, files: 1, attempts: [] }, { id: 2, files: 1 }]);
+  });
+
+  it('should not be ready for PR when a shard failed, and fail when all did', () => {
+    const partial = mergeShardReports(shards, [report('codex-cli'), { tool: 'codex-cli', error: 'timed out', findings: [] }]);
+    expect(partial.error).toBeUndefined();
+    expect(partial.exit_criteria).toEqual({ ready_for_pr: false, reasons: ['Shard 2/2 (src/db) failed: timed out'] });
+
+    const failed = mergeShardReports(shards, [null, { tool: 'codex-cli', model: 'gpt-5', error: 'timed out', findings: [] }]);
+    expect(failed).toMatchObject({ tool: 'codex-cli', model: 'gpt-5', error: 'All 2 shards failed', findings: [] });
+    expect(failed.exit_criteria.reasons).toEqual(['Shard 1/2 (src/api) failed: no report', 'Shard 2/2 (src/db) failed: timed out']);
+  });
+});
+
+describe('Sharder', () => {
+  let projectDir;
+  let contextDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'shards-'));
+    contextDir = path.join(projectDir, '.review-pipeline', 'workspace', 'context');
+    await fs.mkdir(contextDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should not shard a diff within the limits', async () => {
+    await fs.writeFile(path.join(contextDir, 'diff.patch'), fileDiff('src/app.js').text);
+
+    expect(await new Sharder({ projectDir, maxDiffSizeKb: 500, maxFiles: 100 }).plan()).toBeNull();
+  });
+
+  it('should write shard context files and merge shard reports', async () => {
+    const diffs = [fileDiff('src/api/users.js'), fileDiff('src/db/pool.js')];
+    await fs.writeFile(path.join(contextDir, 'diff.patch'), diffs.map(d => d.text).join(''));
+    const sharder = new Sharder({ projectDir, maxDiffSizeKb: 500, maxFiles: 1 });
+
+    const shards = await sharder.plan();
+
+    expect(shards).toEqual([
+      { id: 1, total: 2, files: ['src/api/users.js'], dirs: ['src/api'], bytes: diffs[0].text.length, contextDir: path.join('.review-pipeline', 'workspace', 'context', 'shards', '1') },
+      { id: 2, total: 2, files: ['src/db/pool.js'], dirs: ['src/db'], bytes: diffs[1].text.length, contextDir: path.join('.review-pipeline', 'workspace', 'context', 'shards', '2') }
+    ]);
+    expect(JSON.parse(await fs.readFile(path.join(contextDir, 'shards.json'), 'utf8'))).toEqual(shards);
+    expect(await fs.readFile(path.join(contextDir, 'shards', '2', 'diff.patch'), 'utf8')).toBe(diffs[1].text);
+    expect(await fs.readFile(path.join(contextDir, 'shards', '2', 'files.txt'), 'utf8')).toBe('src/db/pool.js\n');
+    expect(await fs.readFile(path.join(contextDir, 'shards', '2', 'enhanced_diff.txt'), 'utf8')).toContain('file: src/db/pool.js');
+
+    for (const shard of shards) {
+      await fs.mkdir(sharder.shardReportsDir(shard), { recursive: true });
+      await fs.writeFile(path.join(sharder.shardReportsDir(shard), 'gemini-cli.json'), JSON.stringify(report('gemini-cli', { summary: `Shard ${shard.id}` })));
+    }
+    const merged = await sharder.mergeReports('gemini-cli', shards);
+
+    const written = JSON.parse(await fs.readFile(path.join(projectDir, '.review-pipeline', 'workspace', 'reports', 'gemini-cli.json'), 'utf8'));
+    expect(written).toEqual(merged);
+    expect(merged.exit_criteria.ready_for_pr).toBe(true);
+    expect(merged.metrics.files_changed).toBe(2);
+
+    // A later run within the limits clears the old shards
+    await fs.writeFile(path.join(contextDir, 'diff.patch'), diffs[0].text);
+    expect(await new Sharder({ projectDir }).plan()).toBeNull();
+    await expect(fs.access(path.join(contextDir, 'shards'))).rejects.toThrow();
+    await expect(fs.access(path.join(contextDir, 'shards.json'))).rejects.toThrow();
+  });
+});
+
+describe('ProviderExecutor in a shard', () => {
+  let projectDir;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'shard-executor-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should let a file-output provider write into the shard report directory', async () => {
+    // Stands in for codex, which writes its final message to --output-last-message
+    const script = "require('node:fs').writeFileSync(process.argv[process.argv.indexOf('--output-last-message') + 1], process.env.REPORT)";
+    const reportsDir = path.join(projectDir, '.review-pipeline', 'workspace', 'reports');
+    const rawOutputFile = path.join(reportsDir, 'codex-cli.raw.txt');
+    const cmd = {
+      command: process.execPath,
+      args: ['-e', script, '--', '--output-last-message', rawOutputFile],
+      rawOutputFile,
+      outputFile: path.join(reportsDir, 'codex-cli.json'),
+      env: { TOOL: 'codex-cli', MODEL: 'gpt-5', REPORT: JSON.stringify(report('codex-cli', { pr: { repo: 'o/r', number: 1, head_sha: 'abc', branch: 'main' } })) },
+      workingDirectory: projectDir,
+      timeout: 30,
+      provider: 'codex'
+    };
+    const executor = new ProviderExecutor({ packageDir, projectDir });
+    executor.commandBuilder.relocateToShard(cmd, { id: 2 });
+    executor.commandBuilder.buildCommand = async () => cmd;
+
+    await executor.execute('codex', {});
+
+    const shardDir = path.join(reportsDir, 'shards', '2');
+    expect(JSON.parse(await fs.readFile(path.join(shardDir, 'codex-cli.raw.txt'), 'utf8')).tool).toBe('codex-cli');
+    expect(await fs.access(path.join(shardDir, 'raw', 'codex-cli.raw.txt'))).toBeUndefined();
+    const written = JSON.parse(await fs.readFile(path.join(shardDir, 'codex-cli.json'), 'utf8'));
+    expect(written.error).toBeUndefined();
+    expect(written).toMatchObject({ tool: 'codex-cli', summary: 'Looked at it' });
+  });
+});
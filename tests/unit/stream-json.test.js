@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { parseStreamLines, streamResult, describeStreamEvent } from '../../lib/stream-json.js';
+
+const transcript = [
+  { type: 'system', subtype: 'init', model: 'claude-opus-4-1' },
+  { type: 'assistant', message: { content: [{ type: 'tool_use', name: 'Read', input: { file_path: 'src/app.js' } }] } },
+  { type: 'assistant', message: { content: [{ type: 'text', text: 'Looking at\nthe diff' }] } },
+  { type: 'result', subtype: 'success', num_turns: 3, result: '{"findings": []}' }
+].map(event => JSON.stringify(event)).join('\n');
+
+describe('stream-json', () => {
+  it('should parse complete lines and keep the partial one', () => {
+    const { events, rest } = parseStreamLines('{"type":"system"}\nnot json\n{"type":"assi');
+
+    expect(events).toEqual([{ type: 'system' }]);
+    expect(rest).toBe('{"type":"assi');
+  });
+
+  it('should reduce a stream to its result envelope', () => {
+    expect(JSON.parse(streamResult(transcript))).toMatchObject({ type: 'result', result: '{"findings": []}' });
+    expect(streamResult('plain output')).toBe('plain output');
+  });
+
+  it('should describe events for progress displays', () => {
+    const descriptions = parseStreamLines(`${transcript}\n`).events.map(describeStreamEvent);
+
+    expect(descriptions).toEqual([
+      'session started (claude-opus-4-1)',
+      'Read src/app.js',
+      'Looking at the diff',
+      'finished (success, 3 turns)'
+    ]);
+    expect(describeStreamEvent({ type: 'user' })).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import Suppressions, { applySuppressions } from '../../lib/suppressions.js';
+
+function finding(fingerprint, overrides = {}) {
+  return { fingerprint, category: 'security', severity: 'high', file: 'src/db.js', lines: '3', message: 'SQL built from user input', ...overrides };
+}
+
+describe('applySuppressions', () => {
+  it('should split findings by fingerprint', () => {
+    const baseline = { version: 1, suppressions: [{ fingerprint: 'aaaa' }] };
+
+    const { kept, suppressed } = applySuppressions([finding('aaaa'), finding('bbbb'), finding(undefined)], baseline);
+
+    expect(kept.map(f => f.fingerprint)).toEqual(['bbbb', undefined]);
+    expect(suppressed.map(f => f.fingerprint)).toEqual(['aaaa']);
+  });
+
+  it('should suppress a finding when any of its source fingerprints is known', () => {
+    const baseline = { version: 1, suppressions: [{ fingerprint: 'aaaa', fingerprints: ['aaaa', 'cccc'] }] };
+
+    const { kept, suppressed } = applySuppressions([finding('bbbb', { fingerprints: ['bbbb', 'cccc'] }), finding('dddd', { fingerprints: ['dddd'] })], baseline);
+
+    expect(suppressed.map(f => f.fingerprint)).toEqual(['bbbb']);
+    expect(kept.map(f => f.fingerprint)).toEqual(['dddd']);
+  });
+});
+
+describe('Suppressions', () => {
+  let projectDir;
+  let suppressions;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'suppressions-'));
+    suppressions = new Suppressions({ projectDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should write a sorted baseline and add only new fingerprints', async () => {
+    expect(await suppressions.baseline([finding('bbbb', { file: 'src/z.js' }), finding('aaaa')], { reason: 'Known debt' })).toEqual({ added: 2, total: 2 });
+    expect(await suppressions.baseline([finding('aaaa'), finding('cccc')])).toEqual({ added: 1, total: 3 });
+
+    const saved = JSON.parse(await fs.readFile(path.join(projectDir, '.review-suppressions.json'), 'utf8'));
+    expect(saved.version).toBe(1);
+    expect(saved.suppressions.map(s => s.fingerprint)).toEqual(['aaaa', 'cccc', 'bbbb']);
+    expect(saved.suppressions[0]).toMatchObject({ file: 'src/db.js', category: 'security', severity: 'high', message: 'SQL built from user input', reason: 'Known debt' });
+    expect(saved.suppressions[1]).not.toHaveProperty('reason');
+  });
+
+  it('should rebuild the baseline with replace', async () => {
+    await suppressions.baseline([finding('aaaa'), finding('bbbb')]);
+
+    expect(await suppressions.baseline([finding('cccc')], { replace: true })).toEqual({ added: 1, total: 1 });
+    expect((await suppressions.load()).suppressions.map(s => s.fingerprint)).toEqual(['cccc']);
+  });
+
+  it('should reject a suppressions file of another version', async () => {
+    await fs.writeFile(suppressions.suppressionsFile, JSON.stringify({ version: 2, suppressions: [] }));
+
+    await expect(suppressions.load()).rejects.toThrow('is not a version 1 suppressions file');
+  });
+});
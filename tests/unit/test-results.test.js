@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import TestResults, {
+  detectFormat,
+  parseJUnit,
+  parseTap,
+  parseJestJson,
+  parseGoTestJson,
+  parseLcov,
+  parseCobertura,
+  parseCoverageJson
+} from '../../lib/test-results.js';
+
+const JUNIT = `<?xml version="1.0" encoding="utf-8"?>
+<testsuites time="1.5">
+  <testsuite name="pytest" tests="4" failures="1" errors="1" skipped="1" time="1.5">
+    <testcase classname="tests.unit.test_math" name="test_add" time="0.1"/>
+    <testcase classname="tests.unit.test_math" name="test_div" time="0.2">
+      <failure message="assert 1 == 2" type="AssertionError">trace</failure>
+    </testcase>
+    <testcase classname="tests.integration.test_db" name="test_connect" time="1.0">
+      <error message="could not connect &amp; retry"/>
+    </testcase>
+    <testcase classname="tests.e2e.test_ui" name="test_login"><skipped/></testcase>
+  </testsuite>
+</testsuites>`;
+
+const JEST = {
+  numTotalTests: 3,
+  testResults: [{
+    name: '/repo/tests/unit/math.test.js',
+    startTime: 1000,
+    endTime: 1250,
+    assertionResults: [
+      { fullName: 'math adds', status: 'passed', failureMessages: [] },
+      { fullName: 'math divides', status: 'failed', failureMessages: ['Error: expected 2 to be 3\n    at stack'] },
+      { fullName: 'math later', status: 'todo', failureMessages: [] }
+    ]
+  }]
+};
+
+const GO_TEST = [
+  '{"Action":"run","Package":"example.com/app","Test":"TestAdd"}',
+  '{"Action":"pass","Package":"example.com/app","Test":"TestAdd","Elapsed":0.01}',
+  '{"Action":"output","Package":"example.com/app","Test":"TestDiv","Output":"    div_test.go:12: got 1, want 2\\n"}',
+  '{"Action":"output","Package":"example.com/app","Test":"TestDiv","Output":"--- FAIL: TestDiv (0.00s)\\n"}',
+  '{"Action":"fail","Package":"example.com/app","Test":"TestDiv","Elapsed":0}',
+  '{"Action":"skip","Package":"example.com/app","Test":"TestSlow","Elapsed":0}',
+  'go: downloading example.com/dep v1.0.0',
+  '{"Action":"fail","Package":"example.com/app","Elapsed":0.42}'
+].join('\n');
+
+const TAP = `TAP version 13
+# Subtest: adds
+ok 1 - adds
+# Subtest: divides
+not ok 2 - divides
+  ---
+  error: 'expected 2 to be 3'
+  ...
+ok 3 - later # SKIP not yet
+1..3
+# duration_ms 250`;
+
+describe('test-results', () => {
+  describe('detectFormat', () => {
+    it('should recognize every supported report', () => {
+      expect(detectFormat(JUNIT)).toBe('junit');
+      expect(detectFormat(TAP)).toBe('tap');
+      expect(detectFormat(JSON.stringify(JEST))).toBe('jest');
+      expect(detectFormat(GO_TEST)).toBe('go-test');
+      expect(detectFormat('TN:\nSF:src/a.js\nLF:10\nLH:5\nend_of_record')).toBe('lcov');
+      expect(detectFormat('<?xml version="1.0"?>\n<coverage line-rate="0.5"></coverage>')).toBe('cobertura');
+      expect(detectFormat('{"totals": {"percent_covered": 80}}')).toBe('coverage-json');
+      expect(detectFormat('All tests passed!')).toBeNull();
+    });
+  });
+
+  describe('parsers', () => {
+    it('should parse JUnit XML, counting errors as failures', () => {
+      expect(parseJUnit(JUNIT)).toEqual({
+        total: 4,
+        passed: 1,
+        failed: 2,
+        skipped: 1,
+        duration: 1.5,
+        categories: { unit: 2, integration: 1, e2e: 1, other: 0 },
+        failures: [
+          { test: 'tests.unit.test_math.test_div', message: 'assert 1 == 2', type: 'AssertionError' },
+          { test: 'tests.integration.test_db.test_connect', message: 'could not connect & retry', type: 'Error' }
+        ]
+      });
+    });
+
+    it('should parse TAP with directives and diagnostics', () => {
+      expect(parseTap(TAP)).toMatchObject({
+        total: 3,
+        passed: 1,
+        failed: 1,
+        skipped: 1,
+        duration: 0.25,
+        failures: [{ test: 'divides', message: 'expected 2 to be 3', type: 'AssertionError' }]
+      });
+    });
+
+    it('should parse the Jest / Vitest JSON reporter', () => {
+      expect(parseJestJson(JSON.stringify(JEST), { projectDir: '/repo' })).toMatchObject({
+        total: 3,
+        passed: 1,
+        failed: 1,
+        skipped: 1,
+        duration: 0.25,
+        categories: { unit: 3 },
+        failures: [{ test: 'tests/unit/math.test.js.math divides', message: 'Error: expected 2 to be 3' }]
+      });
+    });
+
+    it('should parse go test -json and ignore other output', () => {
+      expect(parseGoTestJson(GO_TEST)).toMatchObject({
+        total: 3,
+        passed: 1,
+        failed: 1,
+        skipped: 1,
+        duration: 0.42,
+        failures: [{ test: 'example.com/app.TestDiv', message: 'div_test.go:12: got 1, want 2', type: 'FAIL' }]
+      });
+    });
+
+    it('should read line coverage from lcov, Cobertura and coverage JSON', () => {
+      expect(parseLcov('SF:a.js\nLF:10\nLH:5\nend_of_record\nSF:b.js\nLF:10\nLH:10\nend_of_record')).toBe(75);
+      expect(parseCobertura('<coverage line-rate="0.825" branch-rate="0.5">')).toBe(82.5);
+      expect(parseCoverageJson('{"totals": {"percent_covered": 91.234}}')).toBe(91.234);
+      expect(parseCoverageJson('{"total": {"lines": {"pct": 64.5}}}')).toBe(64.5);
+    });
+  });
+
+  describe('TestResults', () => {
+    let projectDir;
+    let summaryFile;
+
+    beforeEach(async () => {
+      projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'test-results-'));
+      summaryFile = path.join(projectDir, '.review-pipeline', 'workspace', 'context', 'test-summary.json');
+    });
+
+    afterEach(async () => {
+      await fs.rm(projectDir, { recursive: true, force: true });
+    });
+
+    it('should write test-summary.json from report files', async () => {
+      await fs.writeFile(path.join(projectDir, 'junit.xml'), JUNIT);
+      await fs.writeFile(path.join(projectDir, 'lcov.info'), 'SF:a.js\nLF:3\nLH:2\nend_of_record\n');
+
+      const summary = await new TestResults({ projectDir }).ingest({ resultsFile: 'junit.xml', coverageFile: 'lcov.info' });
+
+      expect(summary).toMatchObject({
+        tests: { total: 4, failed: 2 },
+        coverage: { enabled: true, percentage: 66.7 },
+        success: false,
+        pass_rate: 0.25
+      });
+      expect(JSON.parse(await fs.readFile(summaryFile, 'utf8'))).toEqual(summary);
+    });
+
+    it('should parse the test output without a results file', async () => {
+      const summary = await new TestResults({ projectDir }).ingest({ output: `go: downloading x\n${GO_TEST}\n` });
+
+      expect(summary).toMatchObject({ tests: { total: 3 }, coverage: { enabled: false, percentage: null } });
+    });
+
+    it('should honour an explicit format and leave no summary when nothing parses', async () => {
+      await fs.writeFile(path.join(projectDir, 'report.json'), JSON.stringify(JEST));
+      const results = new TestResults({ projectDir });
+
+      expect(await results.ingest({ resultsFile: 'report.json', resultsFormat: 'vitest' })).toMatchObject({ tests: { total: 3 } });
+      expect(await results.ingest({ resultsFile: 'report.json', resultsFormat: 'junit' })).toBeNull();
+      await expect(fs.access(summaryFile)).rejects.toThrow();
+      expect(await results.ingest({ resultsFile: '../outside.xml', output: 'plain output' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import Triage, { triageKey, groupByFile, citedCode, applyTriage, triageStats, parseAnswer } from '../../lib/triage.js';
+
+function finding(overrides = {}) {
+  return {
+    category: 'security',
+    severity: 'high',
+    file: 'src/db.js',
+    lines: '3',
+    message: 'SQL built from user input',
+    suggestion: 'Use placeholders',
+    must_fix: true,
+    agreed_by: ['claude-code', 'codex-cli'],
+    ...overrides
+  };
+}
+
+describe('triage helpers', () => {
+  it('should key findings independently of lines, numbers and wording case', () => {
+    expect(triageKey(finding())).toBe(triageKey(finding({ lines: '40-42', file: './src/db.js', message: 'SQL built from user input!' })));
+    expect(triageKey(finding())).toBe(triageKey(finding({ message: 'sql built from user input (2)' })));
+    expect(triageKey(finding())).not.toBe(triageKey(finding({ category: 'correctness' })));
+    expect(triageKey(finding())).not.toBe(triageKey(finding({ file: 'src/api.js' })));
+  });
+
+  it('should group findings by file in line order', () => {
+    const groups = groupByFile([finding({ lines: '30' }), finding({ file: 'src/api.js' }), finding({ lines: '2-4' })]);
+
+    expect(groups.map(g => [g.file, g.findings.map(f => f.lines)])).toEqual([
+      ['src/api.js', ['3']],
+      ['src/db.js', ['2-4', '30']]
+    ]);
+  });
+
+  it('should show the cited lines with context', () => {
+    const text = ['a', 'b', 'c', 'd', 'e', 'f'].join('\n');
+
+    expect(citedCode(text, '3-4', { context: 1 })).toEqual(['  2 | b', '> 3 | c', '> 4 | d', '  5 | e']);
+    expect(citedCode(text, '99')).toEqual([]);
+    expect(citedCode(text, 'n/a')).toEqual([]);
+  });
+
+  it('should parse answers with an optional note', () => {
+    expect(parseAnswer('f generated code')).toEqual({ action: 'decide', decision: 'false-positive', note: 'generated code' });
+    expect(parseAnswer('wont-fix')).toEqual({ action: 'decide', decision: 'wont-fix', note: '' });
+    expect(parseAnswer('S')).toEqual({ action: 'skip' });
+    expect(parseAnswer('q')).toEqual({ action: 'quit' });
+    expect(parseAnswer('x')).toBeNull();
+    expect(parseAnswer('')).toBeNull();
+  });
+
+  it('should mark triaged findings and count decisions per tool', () => {
+    const triage = {
+      version: 1,
+      decisions: [
+        { key: triageKey(finding()), tools: ['claude-code', 'codex-cli'], decision: 'false-positive', note: 'Escaped upstream' },
+        { key: 'other', tools: ['claude-code'], decision: 'accepted' }
+      ]
+    };
+
+    const [marked, untouched] = applyTriage([finding({ lines: '9' }), finding({ file: 'src/api.js' })], triage);
+
+    expect(marked.triage).toEqual({ decision: 'false-positive', note: 'Escaped upstream' });
+    expect(untouched).not.toHaveProperty('triage');
+    expect(triageStats(triage)).toEqual({
+      'claude-code': { accepted: 1, 'false-positive': 1, 'wont-fix': 0, duplicate: 0 },
+      'codex-cli': { accepted: 0, 'false-positive': 1, 'wont-fix': 0, duplicate: 0 }
+    });
+  });
+});
+
+describe('Triage', () => {
+  let projectDir;
+  let triage;
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'triage-'));
+    await fs.mkdir(path.join(projectDir, 'src'));
+    await fs.writeFile(path.join(projectDir, 'src', 'db.js'), 'const db = connect();\n\nquery(`SELECT * FROM users WHERE id = ${id}`);\n');
+    triage = new Triage({ projectDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  async function walk(findings, answers, options = {}) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let printed = '';
+    output.on('data', chunk => { printed += chunk; });
+    input.end(answers.map(answer => `${answer}\n`).join(''));
+    const result = await triage.walk(findings, { input, output, headSha: 'abc123', ...options });
+    return { result, printed };
+  }
+
+  it('should walk through findings with their code and save each decision', async () => {
+    const findings = [finding(), finding({ lines: '1', category: 'correctness', message: 'Connection never closed' }), finding({ file: 'src/api.js' })];
+
+    const { result, printed } = await walk(findings, ['x', 's', 'f escaped by the driver', 'a']);
+
+    expect(result).toEqual({ decided: 2, skipped: 1, remaining: 0 });
+    expect(printed).toContain('── src/db.js (2) ──');
+    expect(printed).toContain('> 3 | query(`SELECT * FROM users WHERE id = ${id}`);');
+    expect(printed).toContain('Unknown answer');
+
+    const saved = JSON.parse(await fs.readFile(path.join(projectDir, '.review-triage.json'), 'utf8'));
+    expect(saved.version).toBe(1);
+    expect(saved.decisions).toHaveLength(2);
+    expect(saved.decisions.find(d => d.file === 'src/db.js')).toMatchObject({
+      key: triageKey(findings[1]),
+      lines: '1',
+      decision: 'false-positive',
+      note: 'escaped by the driver',
+      tools: ['claude-code', 'codex-cli'],
+      head_sha: 'abc123'
+    });
+  });
+
+  it('should only revisit triaged findings with all and stop on quit', async () => {
+    await walk([finding()], ['a']);
+
+    const again = await walk([finding({ lines: '7' }), finding({ file: 'src/api.js' })], ['q']);
+    expect(again.printed).toContain('1 already triaged');
+    expect(again.result).toEqual({ decided: 0, skipped: 0, remaining: 1 });
+
+    const revisited = await walk([finding()], ['w'], { all: true });
+    expect(revisited.printed).toContain('was accepted');
+    expect((await triage.load()).decisions.map(d => d.decision)).toEqual(['wont-fix']);
+  });
+
+  it('should reject a triage file of another version', async () => {
+    await fs.writeFile(triage.triageFile, JSON.stringify({ version: 2, decisions: [] }));
+
+    await expect(triage.load()).rejects.toThrow('is not a version 1 triage file');
+  });
+});
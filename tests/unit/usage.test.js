@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { parseUsage, sumUsage, combineUsage, hasBudget, exceededBudget } from '../../lib/usage.js';
+
+describe('parseUsage', () => {
+  const envelope = {
+    type: 'result',
+    subtype: 'success',
+    duration_ms: 41000,
+    total_cost_usd: 0.4213,
+    usage: { input_tokens: 12, cache_creation_input_tokens: 3000, cache_read_input_tokens: 20000, output_tokens: 1800 },
+    result: '{"findings": []}'
+  };
+
+  it('should read tokens and cost from the Claude result envelope', () => {
+    const expected = { tokens_in: 23012, tokens_out: 1800, tokens_total: 24812, cost_usd: 0.4213 };
+
+    expect(parseUsage(JSON.stringify(envelope))).toEqual(expected);
+    expect(parseUsage(`{"type":"system","subtype":"init"}\n{"type":"assistant","message":{}}\n${JSON.stringify(envelope)}\n`)).toEqual(expected);
+  });
+
+  it('should read the total from the last Codex "tokens used" line', () => {
+    const output = '[2025-08-20T10:00:00] codex\n{"findings": []}\n[2025-08-20T10:02:11] tokens used: 18,342\n';
+
+    expect(parseUsage(output)).toEqual({ tokens_in: null, tokens_out: null, tokens_total: 18342, cost_usd: null });
+  });
+
+  it('should report nothing for output without usage', () => {
+    const none = { tokens_in: null, tokens_out: null, tokens_total: null, cost_usd: null };
+
+    expect(parseUsage('```json\n{"findings": []}\n```')).toEqual(none);
+    expect(parseUsage(undefined)).toEqual(none);
+  });
+});
+
+describe('usage totals', () => {
+  it('should add up reported fields and keep unreported ones null', () => {
+    expect(sumUsage([{ tokens_total: 100, cost_usd: 0.1 }, { tokens_total: 50, cost_usd: 0.2 }, null])).toEqual({
+      tokens_in: null, tokens_out: null, tokens_total: 150, cost_usd: 0.3
+    });
+    expect(combineUsage([
+      { invocations: 2, retries: 1, wall_ms: 1000, tokens_in: 10, tokens_out: 5, tokens_total: 15, cost_usd: null },
+      undefined,
+      { invocations: 1, retries: 0, wall_ms: 500, tokens_in: null, tokens_out: null, tokens_total: 7, cost_usd: null }
+    ])).toEqual({ invocations: 3, retries: 1, wall_ms: 1500, tokens_in: 10, tokens_out: 5, tokens_total: 22, cost_usd: null });
+    expect(combineUsage([null])).toBeNull();
+  });
+});
+
+describe('budgets', () => {
+  const budgets = { per_run: { cost_usd: 1, tokens: null }, per_day: { cost_usd: null, tokens: 100000 } };
+
+  it('should only count configured limits', () => {
+    expect(hasBudget(budgets)).toBe(true);
+    expect(hasBudget({ per_run: { cost_usd: null, tokens: null } })).toBe(false);
+    expect(hasBudget(undefined)).toBe(false);
+  });
+
+  it('should name the first budget that was reached', () => {
+    expect(exceededBudget(budgets, { run: { cost_usd: 0.5 }, day: { tokens_total: 90000 } })).toBeNull();
+    expect(exceededBudget(budgets, { run: { cost_usd: 1.23456 }, day: {} })).toBe('run budget of $1 reached ($1.2346 spent)');
+    expect(exceededBudget(budgets, { run: {}, day: { tokens_total: 100000 } })).toBe('daily budget of 100000 tokens reached (100000 used)');
+  });
+});